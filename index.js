@@ -2,19 +2,24 @@
 import "dotenv/config";
 import express from "express";
 import morgan from "morgan";
-import fs from "node:fs";
-import path from "node:path";
 import axios from "axios";
 import cron from "node-cron";
 import { applySecurity } from "./middleware/security.js";
-import { initDB, q, pool } from "./utils/db.js";
+import { q, pool } from "./utils/db.js";
+import { migrateUp, migrationStatus } from "./utils/migrate.js";
 import { authenticateToken as auth } from "./middleware/auth.js";
 import { scheduleReminders } from "./workers/reminders.worker.js";
+import { scheduleCobrosReconciler } from "./workers/cobros.reconciler.js";
 import { startOutboxDispatcher } from "./workers/outbox.dispatch.js";
+import { createInvoice } from "./services/invoices.service.js";
+import { RECURRING_COLUMNS, runRecurringTemplate } from "./services/recurring.service.js";
+import { DUNNING_CANDIDATES_SQL, runInvoiceDunning, sendManualReminder } from "./services/dunning.service.js";
+import { UPLOAD_DIR } from "./utils/uploads.js";
 
 process.env.SLACK_WEBHOOK_FALLBACK_CHANNEL ??= "#reminders-and-follow-ups";
 process.env.REMINDER_CRON ??= "*/10 * * * *";
 process.env.INVOICE_REMINDER_CRON ??= "0 * * * *";
+process.env.RECURRING_INVOICE_CRON ??= "30 * * * *";
 process.env.OUTBOX_DISPATCH_INTERVAL_MS ??= "60000";
 
 const app = express();
@@ -41,24 +46,34 @@ if (process.env.NODE_ENV !== "test") {
 
 applySecurity(app);
 
-const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(process.cwd(), "uploads");
-fs.mkdirSync(UPLOAD_DIR, { recursive: true });
 app.use("/uploads", express.static(UPLOAD_DIR));
 
 app.get("/favicon.ico", (_req, res) => res.status(204).end());
 
 let dbReady = false;
+let migrationError = null;
 app.get("/healthz", (_req, res) => res.status(200).json({ ok: true, minimal: true }));
 app.get("/readyz", (_req, res) =>
-  dbReady ? res.json({ ok: true }) : res.status(503).json({ ok: false, dbReady })
+  dbReady
+    ? res.json({ ok: true })
+    : res.status(503).json({ ok: false, dbReady, migration: migrationError })
 );
 
+// MIGRATE_ON_BOOT=false => las migraciones se corren aparte (npm run migrate)
+const MIGRATE_ON_BOOT = !/^(0|false|no|off)$/i.test(process.env.MIGRATE_ON_BOOT || "true");
 try {
-  await initDB();
-  await ensureInvoicesSchema();
+  if (MIGRATE_ON_BOOT) {
+    await migrateUp();
+  } else {
+    const { pending } = await migrationStatus();
+    if (pending.length) {
+      console.warn(`[migrate] ${pending.length} migracion(es) pendiente(s): ${pending.join(", ")}`);
+    }
+  }
   dbReady = true;
 } catch (e) {
-  console.error("initDB() fallo:", e?.stack || e?.message || e);
+  migrationError = { version: e?.migration || null, message: e?.message || String(e) };
+  console.error("[migrate] fallo al arrancar:", e?.cause?.stack || e?.stack || e?.message || e);
 }
 
 function joinPath(prefix, pathname) {
@@ -100,12 +115,16 @@ await mountAll("/proveedores", "./routes/proveedores.js");
 await mountAll("/users", "./routes/users.js");
 await mountAll("/usuarios", "./routes/users.js");
 
+await mountAll("/compras", "./routes/compras.ordenes.js");
+await mountAll("/compras", "./routes/compras.reposicion.js");
 await mountAll("/compras", "./routes/compras.js");
 await mountAll("/stock", "./routes/stock.js");
 await mountAll("/cobros", "./routes/cobros.js");
 await mountAll("/caja", "./routes/caja.js");
+await mountAll("/precios", "./routes/precios.js");
 
 await mountAll("/categorias", "./routes/categorias.js");
+await mountAll("/pipelines", "./routes/pipelines.js");
 await mountAll("/kanban", "./routes/kanban.js");
 await mountAll("/tareas", "./routes/tareas.js");
 await mountAll("/dashboard", "./routes/dashboard.js");
@@ -121,6 +140,8 @@ await mountAll("/health", "./routes/health.js");
 await mountAll("/labs", "./routes/labs.js");
 await mountAll("/recordatorios", "./routes/recordatorios.js");
 await mountAll("/billing", "./routes/billing.js");
+await mountAll("/billing", "./routes/billing.payables.js");
+await mountAll("/fx", "./routes/fx.js");
 
 await mountAll("/area", "./routes/area.js");
 await mountAll("/historias", "./routes/historias.js");
@@ -170,39 +191,27 @@ app.get("/invoices", auth, withOrg, async (req, res) => {
 });
 
 app.post("/invoices", auth, withOrg, async (req, res) => {
-  const b = req.body || {};
-  const { rows } = await q(
-    `
-    INSERT INTO invoices
-      (id, organizacion_id, client_id, number, issue_date, due_date, currency,
-       amount_subtotal, amount_tax, amount_total, amount_paid, status, notes)
-    VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, COALESCE($6,'USD'),
-            $7, $8, $9, COALESCE($10,0), COALESCE($11,'draft'), $12)
-    RETURNING *
-    `,
-    [
-      req.orgId,
-      b.client_id,
-      b.number || null,
-      b.issue_date || new Date().toISOString().slice(0, 10),
-      b.due_date,
-      b.currency || "USD",
-      N(b.amount_subtotal),
-      N(b.amount_tax),
-      N(b.amount_total),
-      N(b.amount_paid),
-      b.status || "draft",
-      b.notes || null,
-    ]
-  );
-  res.status(201).json(rows[0]);
+  const c = await pool.connect();
+  try {
+    await c.query("BEGIN");
+    const row = await createInvoice(c, { org: req.orgId, body: req.body || {} });
+    await c.query("COMMIT");
+    res.status(201).json(row);
+  } catch (e) {
+    await c.query("ROLLBACK").catch(() => {});
+    if (!e?.status) throw e;
+    res.status(e.status).json({ error: e.code, ...(e.detail || {}) });
+  } finally {
+    c.release();
+  }
 });
 
 app.post("/invoices/:id/remind", auth, withOrg, async (req, res) => {
   const { id } = req.params;
   const { rows } = await q(
     `
-    SELECT i.*, c.nombre AS client_name, c.email AS client_email
+    SELECT i.*, (now()::date - i.due_date)::int AS days_overdue,
+           c.nombre AS client_name, c.email AS client_email, c.telefono AS client_phone
     FROM invoices i
     JOIN clientes c ON c.id = i.client_id
     WHERE i.id = $1 AND i.organizacion_id = $2
@@ -211,18 +220,10 @@ app.post("/invoices/:id/remind", auth, withOrg, async (req, res) => {
   );
   const inv = rows[0];
   if (!inv) return res.status(404).json({ error: "Invoice not found" });
+  if (inv.status === "void") return res.status(409).json({ error: "invoice_void" });
 
-  const amount_due = Math.max(N(inv.amount_total) - N(inv.amount_paid), 0);
-  await notifyFlows("invoice_reminder", {
-    org: req.orgId,
-    invoiceId: inv.id,
-    client: { name: inv.client_name, email: inv.client_email },
-    amount_due,
-    due_date: inv.due_date,
-  });
-
-  await q(`UPDATE invoices SET last_reminder_at = now() WHERE id=$1`, [inv.id]);
-  res.status(202).json({ queued: true });
+  const reminder = await sendManualReminder(pool, inv, { actor: req.usuario?.email || null });
+  res.status(202).json({ queued: reminder.status === "sent", reminder });
 });
 
 app.get("/", (_req, res) => res.json({ ok: true, service: "vex-crm-backend" }));
@@ -246,65 +247,22 @@ console.log(
   `InvoiceReminders ON cron=${process.env.INVOICE_REMINDER_CRON} tz=${process.env.TZ || "UTC"}`
 );
 
+startRecurringInvoices();
+console.log(
+  `RecurringInvoices ON cron=${process.env.RECURRING_INVOICE_CRON} tz=${process.env.TZ || "UTC"}`
+);
+
 startOutboxDispatcher();
 console.log(`Outbox ON interval=${process.env.OUTBOX_DISPATCH_INTERVAL_MS}ms`);
 
+scheduleCobrosReconciler();
+console.log(
+  `CobrosReconciler ON cron=${process.env.COBROS_RECONCILE_CRON || "*/5 * * * *"} maxAttempts=${process.env.COBROS_RECONCILE_MAX_ATTEMPTS || 8}`
+);
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => console.log(`VEX CRM en :${PORT} | dbReady=${dbReady}`));
 
-async function ensureInvoicesSchema() {
-  await q(`CREATE EXTENSION IF NOT EXISTS pgcrypto;`);
-
-  await q(`DO $$ BEGIN
-    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'invoice_status') THEN
-      CREATE TYPE invoice_status AS ENUM ('draft','sent','partial','paid','overdue','void');
-    END IF;
-  END $$;`);
-
-  await q(`
-    CREATE TABLE IF NOT EXISTS invoices (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      organizacion_id TEXT NOT NULL,
-      client_id INTEGER NOT NULL,
-      number TEXT,
-      issue_date DATE NOT NULL DEFAULT (now()::date),
-      due_date DATE NOT NULL,
-      currency TEXT NOT NULL DEFAULT 'USD',
-      amount_subtotal NUMERIC(12,2) NOT NULL DEFAULT 0,
-      amount_tax NUMERIC(12,2) NOT NULL DEFAULT 0,
-      amount_total NUMERIC(12,2) NOT NULL DEFAULT 0,
-      amount_paid NUMERIC(12,2) NOT NULL DEFAULT 0,
-      status invoice_status NOT NULL DEFAULT 'draft',
-      last_reminder_at TIMESTAMPTZ,
-      next_reminder_at TIMESTAMPTZ,
-      reminder_policy JSONB DEFAULT '{"days_before":[7,3,1],"days_after":[1,7,15]}'::jsonb,
-      notes TEXT,
-      created_at TIMESTAMPTZ DEFAULT now(),
-      updated_at TIMESTAMPTZ DEFAULT now()
-    );
-    CREATE INDEX IF NOT EXISTS idx_invoices_org_status ON invoices (organizacion_id, status);
-    CREATE INDEX IF NOT EXISTS idx_invoices_org_due    ON invoices (organizacion_id, due_date);
-  `);
-
-  await q(`
-    CREATE OR REPLACE VIEW v_ar_aging AS
-    SELECT
-      i.organizacion_id,
-      SUM(GREATEST(i.amount_total - i.amount_paid, 0)) AS ar_total,
-      SUM(CASE WHEN (now()::date - i.due_date) <= 0  THEN GREATEST(i.amount_total - i.amount_paid,0) ELSE 0 END) AS bucket_current,
-      SUM(CASE WHEN (now()::date - i.due_date) BETWEEN 1  AND 30 THEN GREATEST(i.amount_total - i.amount_paid,0) ELSE 0 END) AS bucket_1_30,
-      SUM(CASE WHEN (now()::date - i.due_date) BETWEEN 31 AND 60 THEN GREATEST(i.amount_total - i.amount_paid,0) ELSE 0 END) AS bucket_31_60,
-      SUM(CASE WHEN (now()::date - i.due_date) BETWEEN 61 AND 90 THEN GREATEST(i.amount_total - i.amount_paid,0) ELSE 0 END) AS bucket_61_90,
-      SUM(CASE WHEN (now()::date - i.due_date) > 90 THEN GREATEST(i.amount_total - i.amount_paid,0) ELSE 0 END) AS bucket_90p,
-      COUNT(*) FILTER (WHERE (now()::date - i.due_date) > 0) AS overdue_count,
-      SUM(GREATEST(i.amount_total - i.amount_paid, 0)) FILTER (WHERE (now()::date - i.due_date) > 0) AS overdue_amount,
-      SUM(GREATEST(i.amount_total - i.amount_paid, 0)) FILTER (WHERE i.due_date BETWEEN now()::date AND (now()::date + 7)) AS due_next_7
-    FROM invoices i
-    WHERE i.status IN ('sent','partial','overdue')
-    GROUP BY i.organizacion_id;
-  `);
-}
-
 function startInvoiceReminders() {
   const CRON = process.env.INVOICE_REMINDER_CRON || "0 * * * *";
   const TZ = process.env.TZ || "UTC";
@@ -314,52 +272,25 @@ function startInvoiceReminders() {
     CRON,
     async () => {
       const c = await pool.connect();
+      let got = false;
       try {
-        const got = (await c.query("SELECT pg_try_advisory_lock($1)", [LOCK])).rows[0].pg_try_advisory_lock;
+        got = (await c.query("SELECT pg_try_advisory_lock($1)", [LOCK])).rows[0].pg_try_advisory_lock;
         if (!got) return;
 
-        const { rows } = await c.query(`
-          WITH cand AS (
-            SELECT i.*,
-                   (now()::date - i.due_date)::int AS days_overdue,
-                   COALESCE((i.reminder_policy->'days_before')::jsonb, '[]'::jsonb) AS db,
-                   COALESCE((i.reminder_policy->'days_after')::jsonb,  '[]'::jsonb) AS da
-            FROM invoices i
-            WHERE i.status IN ('sent','partial','overdue')
-          )
-          SELECT * FROM cand
-          WHERE
-            (
-              (due_date >= now()::date AND (due_date - now()::date) IN (
-                SELECT (value)::int FROM jsonb_array_elements_text(db)
-              ))
-              OR
-              (due_date <  now()::date AND (now()::date - due_date) IN (
-                SELECT (value)::int FROM jsonb_array_elements_text(da)
-              ))
-            )
-            AND (last_reminder_at IS NULL OR last_reminder_at < now() - interval '20 hours')
-        `);
-
-        const Nnum = (x) => Number(x ?? 0);
-        for (const i of rows) {
-          const due = Math.max(Nnum(i.amount_total) - Nnum(i.amount_paid), 0);
-          await notifyFlows("invoice_reminder", {
-            org: i.organizacion_id,
-            invoiceId: i.id,
-            amount_due: due,
-            due_date: i.due_date,
-            client_id: i.client_id,
-          });
-          await c.query(
-            "UPDATE invoices SET last_reminder_at = now(), status = CASE WHEN now()::date > due_date THEN 'overdue' ELSE status END WHERE id=$1",
-            [i.id]
-          );
+        // paso de dunning por factura (politica asignada, default de la org o reminder_policy)
+        const { rows } = await c.query(DUNNING_CANDIDATES_SQL);
+        const cache = new Map();
+        for (const inv of rows) {
+          try {
+            await runInvoiceDunning(c, inv, { cache });
+          } catch (e) {
+            console.error("InvoiceReminders error:", inv.id, e?.message || e);
+          }
         }
       } catch (e) {
         console.error("InvoiceReminders error:", e?.message || e);
       } finally {
-        await c.query("SELECT pg_advisory_unlock($1)", [LOCK]).catch(() => {});
+        if (got) await c.query("SELECT pg_advisory_unlock($1)", [LOCK]).catch(() => {});
         c.release();
       }
     },
@@ -367,4 +298,67 @@ function startInvoiceReminders() {
   );
 }
 
+// Facturas recurrentes: una transaccion por plantilla; el evento a Flows sale despues del COMMIT
+function startRecurringInvoices() {
+  const CRON = process.env.RECURRING_INVOICE_CRON || "30 * * * *";
+  const TZ = process.env.TZ || "UTC";
+  const LOCK = 842511;
+
+  cron.schedule(
+    CRON,
+    async () => {
+      const c = await pool.connect();
+      let got = false;
+      try {
+        got = (await c.query("SELECT pg_try_advisory_lock($1)", [LOCK])).rows[0].pg_try_advisory_lock;
+        if (!got) return;
 
+        const today = (await c.query("SELECT to_char(now()::date,'YYYY-MM-DD') AS d")).rows[0].d;
+        const { rows: due } = await c.query(
+          `SELECT id FROM recurring_invoices
+            WHERE active AND next_run_date <= now()::date
+            ORDER BY next_run_date
+            LIMIT 200`
+        );
+
+        for (const { id } of due) {
+          let created = [];
+          try {
+            await c.query("BEGIN");
+            const r = await c.query(
+              `SELECT ${RECURRING_COLUMNS} FROM recurring_invoices WHERE id = $1 AND active FOR UPDATE`,
+              [id]
+            );
+            if (r.rows[0]) created = await runRecurringTemplate(c, r.rows[0], today);
+            await c.query("COMMIT");
+          } catch (e) {
+            await c.query("ROLLBACK").catch(() => {});
+            console.error("RecurringInvoices error:", id, e?.message || e);
+            continue;
+          }
+
+          for (const inv of created) {
+            await notifyFlows("invoice_recurring_created", {
+              org: inv.organizacion_id,
+              invoiceId: inv.id,
+              recurringId: id,
+              number: inv.number || null,
+              status: inv.status,
+              amount_total: N(inv.amount_total),
+              issue_date: inv.recurring_period,
+              due_date: inv.due_date,
+              client_id: inv.client_id,
+            }).catch((e) => console.error("RecurringInvoices flows error:", e?.message || e));
+          }
+        }
+      } catch (e) {
+        console.error("RecurringInvoices error:", e?.message || e);
+      } finally {
+        // sin el lock, pg_advisory_unlock solo deja un WARNING en el log de Postgres
+        if (got) await c.query("SELECT pg_advisory_unlock($1)", [LOCK]).catch(() => {});
+        c.release();
+      }
+    },
+    { timezone: TZ }
+  );
+}
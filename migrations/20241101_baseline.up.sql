@@ -0,0 +1,579 @@
+-- Baseline: esquema que antes levantaba initDB() + ensureInvoicesSchema() en cada boot.
+-- Idempotente (IF NOT EXISTS) para poder aplicarse sobre bases que ya lo tenian.
+-- Sin .down.sql a proposito: no se revierte.
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+CREATE EXTENSION IF NOT EXISTS "pgcrypto";
+
+/* ===========================
+ *  Tablas base
+ * =========================== */
+CREATE TABLE IF NOT EXISTS usuarios (
+  id SERIAL PRIMARY KEY,
+  email TEXT UNIQUE,
+  password TEXT,
+  rol TEXT,
+  organizacion_id TEXT
+);
+
+CREATE TABLE IF NOT EXISTS clientes (
+  id SERIAL PRIMARY KEY,
+  nombre TEXT NOT NULL,
+  telefono TEXT,
+  email TEXT,
+  direccion TEXT,
+  observacion TEXT,
+  stage TEXT,
+  categoria TEXT,
+  assignee TEXT,
+  source TEXT,
+  due_date TIMESTAMPTZ,
+  contacto_nombre TEXT,
+  estimate_url TEXT,
+  estimate_file TEXT,
+  estimate_uploaded_at TIMESTAMPTZ,
+  usuario_email TEXT,
+  organizacion_id TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS contactos (
+  id SERIAL PRIMARY KEY,
+  cliente_id INTEGER NOT NULL REFERENCES clientes(id) ON DELETE CASCADE,
+  nombre TEXT,
+  email TEXT,
+  telefono TEXT,
+  cargo TEXT,
+  rol TEXT,
+  notas TEXT,
+  es_principal BOOLEAN DEFAULT FALSE,
+  obra_social TEXT,
+  plan TEXT,
+  numero_afiliado TEXT,
+  preguntas JSONB DEFAULT '{}'::jsonb,
+  motivo_consulta TEXT,
+  ultima_consulta TEXT,
+  cepillados_diarios TEXT,
+  sangrado TEXT,
+  momentos_azucar TEXT,
+  dolor TEXT,
+  golpe TEXT,
+  dificultad TEXT,
+  usuario_email TEXT,
+  organizacion_id TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS pedidos (
+  id SERIAL PRIMARY KEY,
+  cliente_id INTEGER,
+  observacion TEXT,
+  estado TEXT DEFAULT 'pendiente',
+  fecha DATE DEFAULT CURRENT_DATE,
+  usuario_email TEXT,
+  organizacion_id TEXT
+);
+
+CREATE TABLE IF NOT EXISTS pedido_items (
+  id SERIAL PRIMARY KEY,
+  pedido_id INTEGER REFERENCES pedidos(id) ON DELETE CASCADE,
+  producto TEXT NOT NULL,
+  cantidad INTEGER,
+  observacion TEXT
+);
+
+CREATE TABLE IF NOT EXISTS compras (
+  id SERIAL PRIMARY KEY,
+  proveedor TEXT,
+  cliente_id INTEGER,
+  numero TEXT,
+  estado TEXT DEFAULT 'draft',
+  total NUMERIC(14,2),
+  moneda TEXT DEFAULT 'ARS',
+  notas TEXT,
+  fecha TIMESTAMPTZ DEFAULT NOW(),
+  usuario_email TEXT,
+  organizacion_id TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS compra_items (
+  id SERIAL PRIMARY KEY,
+  compra_id INTEGER REFERENCES compras(id) ON DELETE CASCADE,
+  producto TEXT NOT NULL,
+  cantidad NUMERIC(14,3) DEFAULT 1,
+  precio_unitario NUMERIC(14,2) DEFAULT 0,
+  impuesto NUMERIC(14,2) DEFAULT 0,
+  observacion TEXT
+);
+
+CREATE TABLE IF NOT EXISTS cajas (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organizacion_id TEXT NOT NULL,
+  almacen_id INTEGER NOT NULL,
+  usuario_email TEXT,
+  estado TEXT DEFAULT 'abierta',
+  apertura_monto NUMERIC(14,2) NOT NULL DEFAULT 0,
+  apertura_at TIMESTAMPTZ DEFAULT NOW(),
+  cierre_monto NUMERIC(14,2),
+  cierre_total_esperado NUMERIC(14,2),
+  cierre_diferencia NUMERIC(14,2),
+  cierre_at TIMESTAMPTZ,
+  arqueo_detalle JSONB DEFAULT '{}'::jsonb,
+  arqueo_total NUMERIC(14,2),
+  notas TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS cobros (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organizacion_id TEXT NOT NULL,
+  cliente_id INTEGER,
+  almacen_id INTEGER,
+  caja_id UUID,
+  moneda TEXT DEFAULT 'ARS',
+  total NUMERIC(14,2) NOT NULL DEFAULT 0,
+  descuento_total NUMERIC(14,2) NOT NULL DEFAULT 0,
+  medio_pago TEXT,
+  notas TEXT,
+  estado TEXT DEFAULT 'pendiente',
+  usuario_email TEXT,
+  stock_error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS cobro_items (
+  id SERIAL PRIMARY KEY,
+  cobro_id UUID REFERENCES cobros(id) ON DELETE CASCADE,
+  producto_id INTEGER,
+  producto_nombre TEXT,
+  codigo_qr TEXT,
+  cantidad NUMERIC(14,3) NOT NULL DEFAULT 1,
+  precio_unitario NUMERIC(14,2) NOT NULL DEFAULT 0,
+  subtotal NUMERIC(14,2) NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS tareas (
+  id SERIAL PRIMARY KEY,
+  titulo TEXT NOT NULL,
+  descripcion TEXT,
+  cliente_id INTEGER,
+  estado TEXT DEFAULT 'todo',
+  prioridad TEXT DEFAULT 'media',
+  vence_en TIMESTAMPTZ,
+  completada BOOLEAN DEFAULT FALSE,
+  orden INTEGER DEFAULT 0,
+  usuario_email TEXT,
+  organizacion_id TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS integraciones (
+  id SERIAL PRIMARY KEY,
+  organizacion_id TEXT UNIQUE,
+  slack_webhook_url TEXT,
+  slack_default_channel TEXT,
+  whatsapp_meta_token TEXT,
+  whatsapp_phone_id TEXT,
+  ios_push_key_id TEXT,
+  ios_team_id TEXT,
+  ios_bundle_id TEXT,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS recordatorios (
+  id SERIAL PRIMARY KEY,
+  organizacion_id TEXT NOT NULL,
+  titulo TEXT NOT NULL,
+  mensaje TEXT NOT NULL,
+  enviar_en TIMESTAMPTZ NOT NULL,
+  cliente_id INTEGER,
+  tarea_id INTEGER,
+  estado TEXT DEFAULT 'pendiente',
+  intento_count INTEGER DEFAULT 0,
+  last_error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  sent_at TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS categorias (
+  id SERIAL PRIMARY KEY,
+  nombre TEXT NOT NULL,
+  organizacion_id TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  orden INTEGER DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS slack_users (
+  id SERIAL PRIMARY KEY,
+  organizacion_id TEXT,
+  email TEXT,
+  slack_user_id TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS org_profiles (
+  organizacion_id TEXT PRIMARY KEY,
+  area TEXT NOT NULL DEFAULT 'general',
+  vocab JSONB DEFAULT '{}'::jsonb,
+  features JSONB DEFAULT '{}'::jsonb,
+  forms JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS historias_clinicas (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  cliente_id INTEGER NOT NULL,
+  organizacion_id TEXT NOT NULL,
+  tipo TEXT,
+  motivo TEXT,
+  diagnostico TEXT,
+  tratamiento TEXT,
+  indicaciones TEXT,
+  notas TEXT,
+  signos_vitales JSONB DEFAULT '{}'::jsonb,
+  antecedentes JSONB DEFAULT '{}'::jsonb,
+  extras JSONB DEFAULT '{}'::jsonb,
+  creado_por TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS proyectos (
+  id SERIAL PRIMARY KEY,
+  nombre TEXT NOT NULL,
+  descripcion TEXT,
+  cliente_id INTEGER,
+  stage TEXT DEFAULT 'Incoming Leads',
+  categoria TEXT,
+  estimate_amount NUMERIC(14,2),
+  estimate_currency TEXT,
+  prob_win NUMERIC(5,2),
+  fecha_cierre_estimada DATE,
+  usuario_email TEXT,
+  organizacion_id TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS proveedores (
+  id SERIAL PRIMARY KEY,
+  nombre TEXT NOT NULL,
+  contacto TEXT,
+  telefono TEXT,
+  email TEXT,
+  rubro TEXT,
+  notas TEXT,
+  activo BOOLEAN DEFAULT TRUE,
+  usuario_email TEXT,
+  organizacion_id TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+/* ===========================
+ *  Columnas agregadas con el tiempo
+ * =========================== */
+ALTER TABLE public.cobros
+  ADD COLUMN IF NOT EXISTS caja_id UUID;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'cobros_caja_fk') THEN
+    ALTER TABLE public.cobros
+      ADD CONSTRAINT cobros_caja_fk
+      FOREIGN KEY (caja_id) REFERENCES public.cajas(id) ON DELETE SET NULL;
+  END IF;
+END$$;
+
+ALTER TABLE public.contactos
+  ADD COLUMN IF NOT EXISTS obra_social TEXT,
+  ADD COLUMN IF NOT EXISTS plan TEXT,
+  ADD COLUMN IF NOT EXISTS numero_afiliado TEXT,
+  ADD COLUMN IF NOT EXISTS preguntas JSONB DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS motivo_consulta TEXT,
+  ADD COLUMN IF NOT EXISTS ultima_consulta TEXT,
+  ADD COLUMN IF NOT EXISTS cepillados_diarios TEXT,
+  ADD COLUMN IF NOT EXISTS sangrado TEXT,
+  ADD COLUMN IF NOT EXISTS momentos_azucar TEXT,
+  ADD COLUMN IF NOT EXISTS dolor TEXT,
+  ADD COLUMN IF NOT EXISTS golpe TEXT,
+  ADD COLUMN IF NOT EXISTS dificultad TEXT,
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ DEFAULT NOW(),
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+ALTER TABLE public.proyectos
+  ADD COLUMN IF NOT EXISTS closed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS result TEXT,
+  ADD COLUMN IF NOT EXISTS source           TEXT,
+  ADD COLUMN IF NOT EXISTS assignee         TEXT,
+  ADD COLUMN IF NOT EXISTS due_date         TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS estimate_url     TEXT,
+  ADD COLUMN IF NOT EXISTS estimate_file    TEXT,
+  ADD COLUMN IF NOT EXISTS contacto_nombre  TEXT;
+
+ALTER TABLE public.tareas
+  ADD COLUMN IF NOT EXISTS prioridad TEXT DEFAULT 'media',
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT now();
+
+/* ===========================
+ *  organizacion_id siempre TEXT (antes ensureOrgText por tabla)
+ * =========================== */
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY[
+    'usuarios','clientes','contactos','pedidos','tareas','integraciones','recordatorios',
+    'categorias','compras','compra_items','cobros','cajas','pedido_items','proyectos','proveedores','slack_users',
+    'org_profiles','historias_clinicas'
+  ] LOOP
+    IF EXISTS (
+      SELECT 1 FROM information_schema.columns
+       WHERE table_schema='public' AND table_name=t AND column_name='organizacion_id'
+         AND data_type <> 'text'
+    ) THEN
+      BEGIN
+        EXECUTE format(
+          'ALTER TABLE public.%I ALTER COLUMN organizacion_id TYPE TEXT USING organizacion_id::text', t
+        );
+      EXCEPTION WHEN others THEN
+        RAISE NOTICE '[baseline] skip organizacion_id TEXT en %: %', t, SQLERRM;
+      END;
+    END IF;
+  END LOOP;
+END$$;
+
+/* ===========================
+ *  Triggers
+ * =========================== */
+CREATE OR REPLACE FUNCTION proyectos_on_close() RETURNS trigger AS $$
+BEGIN
+  IF NEW.stage IN ('Won','Lost')
+     AND (OLD.stage IS DISTINCT FROM NEW.stage OR OLD.stage IS NULL) THEN
+    IF NEW.closed_at IS NULL THEN NEW.closed_at := NOW(); END IF;
+    NEW.result := lower(NEW.stage);
+  END IF;
+  RETURN NEW;
+END; $$ LANGUAGE plpgsql;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'tr_proyectos_on_close') THEN
+    CREATE TRIGGER tr_proyectos_on_close
+    BEFORE UPDATE ON public.proyectos
+    FOR EACH ROW EXECUTE FUNCTION proyectos_on_close();
+  END IF;
+END$$;
+
+CREATE OR REPLACE FUNCTION touch_updated_at() RETURNS trigger AS $$
+BEGIN NEW.updated_at := NOW(); RETURN NEW; END; $$ LANGUAGE plpgsql;
+
+DO $$
+DECLARE
+  t TEXT;
+  tg TEXT;
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname='tr_proyectos_touch') THEN
+    CREATE TRIGGER tr_proyectos_touch BEFORE UPDATE ON public.proyectos
+    FOR EACH ROW EXECUTE FUNCTION touch_updated_at();
+  END IF;
+
+  FOREACH t IN ARRAY ARRAY[
+    'clientes','compras','cobros','cajas','proveedores','slack_users','org_profiles','historias_clinicas','contactos'
+  ] LOOP
+    tg := CASE WHEN t = 'historias_clinicas' THEN 'tr_historias_touch' ELSE 'tr_' || t || '_touch' END;
+    IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name=t AND column_name='updated_at')
+       AND NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname=tg) THEN
+      EXECUTE format(
+        'CREATE TRIGGER %I BEFORE UPDATE ON public.%I FOR EACH ROW EXECUTE FUNCTION touch_updated_at()',
+        tg, t
+      );
+    END IF;
+  END LOOP;
+END$$;
+
+/* ===========================
+ *  Vistas
+ * =========================== */
+CREATE OR REPLACE VIEW public.projects AS
+SELECT
+  id,
+  organizacion_id AS org_id,
+  stage,
+  result,
+  closed_at,
+  created_at,
+  updated_at
+FROM public.proyectos;
+
+/* ===========================
+ *  Indices
+ * =========================== */
+CREATE INDEX IF NOT EXISTS idx_clientes_org         ON clientes(organizacion_id);
+CREATE INDEX IF NOT EXISTS idx_clientes_created     ON clientes(created_at);
+CREATE INDEX IF NOT EXISTS idx_clientes_updated     ON clientes(updated_at);
+CREATE INDEX IF NOT EXISTS idx_clientes_stage       ON clientes(stage);
+CREATE INDEX IF NOT EXISTS idx_clientes_categoria   ON clientes(categoria);
+CREATE INDEX IF NOT EXISTS idx_clientes_assignee    ON clientes(assignee);
+CREATE INDEX IF NOT EXISTS idx_clientes_due         ON clientes(due_date);
+CREATE INDEX IF NOT EXISTS idx_clientes_source      ON clientes(source);
+
+CREATE INDEX IF NOT EXISTS idx_contactos_cliente    ON contactos(cliente_id);
+CREATE INDEX IF NOT EXISTS idx_contactos_org        ON contactos(organizacion_id);
+CREATE INDEX IF NOT EXISTS idx_contactos_principal  ON contactos(cliente_id) WHERE COALESCE(es_principal, FALSE) = TRUE;
+
+CREATE INDEX IF NOT EXISTS idx_tareas_org           ON tareas(organizacion_id);
+CREATE INDEX IF NOT EXISTS idx_tareas_estado        ON tareas(estado);
+CREATE INDEX IF NOT EXISTS idx_tareas_orden         ON tareas(orden);
+CREATE INDEX IF NOT EXISTS idx_tareas_vence         ON tareas(vence_en);
+CREATE INDEX IF NOT EXISTS idx_tareas_compl         ON tareas(completada);
+CREATE INDEX IF NOT EXISTS idx_tareas_cliente       ON tareas(cliente_id);
+CREATE INDEX IF NOT EXISTS idx_tareas_user_due      ON tareas(usuario_email, vence_en);
+
+CREATE INDEX IF NOT EXISTS idx_compras_org          ON compras(organizacion_id);
+CREATE INDEX IF NOT EXISTS idx_compras_fecha        ON compras(fecha);
+CREATE INDEX IF NOT EXISTS idx_compras_estado       ON compras(estado);
+CREATE INDEX IF NOT EXISTS idx_compra_items_cid     ON compra_items(compra_id);
+
+CREATE INDEX IF NOT EXISTS idx_cobros_org           ON cobros(organizacion_id);
+CREATE INDEX IF NOT EXISTS idx_cobros_created       ON cobros(created_at);
+CREATE INDEX IF NOT EXISTS idx_cobros_estado        ON cobros(estado);
+CREATE INDEX IF NOT EXISTS idx_cobro_items_cobro    ON cobro_items(cobro_id);
+CREATE INDEX IF NOT EXISTS idx_cobros_caja          ON cobros(caja_id);
+CREATE INDEX IF NOT EXISTS idx_cajas_org_estado     ON cajas(organizacion_id, estado);
+CREATE INDEX IF NOT EXISTS idx_cajas_created        ON cajas(organizacion_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_cajas_almacen        ON cajas(organizacion_id, almacen_id);
+
+CREATE INDEX IF NOT EXISTS idx_proyectos_org        ON proyectos(organizacion_id);
+CREATE INDEX IF NOT EXISTS idx_proyectos_updated    ON proyectos(updated_at);
+CREATE INDEX IF NOT EXISTS idx_proyectos_stage      ON proyectos(stage);
+CREATE INDEX IF NOT EXISTS idx_proyectos_cliente    ON proyectos(cliente_id);
+CREATE INDEX IF NOT EXISTS idx_proyectos_assignee   ON proyectos(assignee);
+CREATE INDEX IF NOT EXISTS idx_proyectos_source     ON proyectos(source);
+CREATE INDEX IF NOT EXISTS idx_proyectos_due        ON proyectos(due_date);
+CREATE INDEX IF NOT EXISTS idx_proyectos_result     ON proyectos(result);
+CREATE INDEX IF NOT EXISTS idx_proyectos_closed_at  ON proyectos(closed_at);
+
+CREATE UNIQUE INDEX IF NOT EXISTS categorias_org_nombre_lower_uniq
+  ON categorias (organizacion_id, lower(nombre));
+
+CREATE INDEX IF NOT EXISTS idx_historias_org_cli
+  ON historias_clinicas (organizacion_id, cliente_id);
+CREATE INDEX IF NOT EXISTS idx_historias_org_created
+  ON historias_clinicas (organizacion_id, created_at);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_indexes
+     WHERE schemaname='public' AND tablename='integraciones'
+       AND (indexname='integraciones_org_unique' OR indexname='integraciones_organizacion_id_key')
+  ) THEN
+    CREATE UNIQUE INDEX integraciones_org_unique ON integraciones(organizacion_id);
+  END IF;
+END$$;
+
+CREATE INDEX IF NOT EXISTS idx_recordatorios_pend
+  ON recordatorios(enviar_en)
+  WHERE estado = 'pendiente';
+
+/* ===========================
+ *  Facturacion (antes ensureInvoicesSchema en index.js)
+ * =========================== */
+DO $$ BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'invoice_status') THEN
+    CREATE TYPE invoice_status AS ENUM ('draft','sent','partial','paid','overdue','void');
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS invoices (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organizacion_id TEXT NOT NULL,
+  client_id INTEGER NOT NULL,
+  number TEXT,
+  issue_date DATE NOT NULL DEFAULT (now()::date),
+  due_date DATE NOT NULL,
+  currency TEXT NOT NULL DEFAULT 'USD',
+  amount_subtotal NUMERIC(12,2) NOT NULL DEFAULT 0,
+  amount_tax NUMERIC(12,2) NOT NULL DEFAULT 0,
+  amount_total NUMERIC(12,2) NOT NULL DEFAULT 0,
+  amount_paid NUMERIC(12,2) NOT NULL DEFAULT 0,
+  status invoice_status NOT NULL DEFAULT 'draft',
+  last_reminder_at TIMESTAMPTZ,
+  next_reminder_at TIMESTAMPTZ,
+  reminder_policy JSONB DEFAULT '{"days_before":[7,3,1],"days_after":[1,7,15]}'::jsonb,
+  notes TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_invoices_org_status ON invoices (organizacion_id, status);
+CREATE INDEX IF NOT EXISTS idx_invoices_org_due    ON invoices (organizacion_id, due_date);
+
+CREATE OR REPLACE VIEW v_ar_aging AS
+SELECT
+  i.organizacion_id,
+  SUM(GREATEST(i.amount_total - i.amount_paid, 0)) AS ar_total,
+  SUM(CASE WHEN (now()::date - i.due_date) <= 0  THEN GREATEST(i.amount_total - i.amount_paid,0) ELSE 0 END) AS bucket_current,
+  SUM(CASE WHEN (now()::date - i.due_date) BETWEEN 1  AND 30 THEN GREATEST(i.amount_total - i.amount_paid,0) ELSE 0 END) AS bucket_1_30,
+  SUM(CASE WHEN (now()::date - i.due_date) BETWEEN 31 AND 60 THEN GREATEST(i.amount_total - i.amount_paid,0) ELSE 0 END) AS bucket_31_60,
+  SUM(CASE WHEN (now()::date - i.due_date) BETWEEN 61 AND 90 THEN GREATEST(i.amount_total - i.amount_paid,0) ELSE 0 END) AS bucket_61_90,
+  SUM(CASE WHEN (now()::date - i.due_date) > 90 THEN GREATEST(i.amount_total - i.amount_paid,0) ELSE 0 END) AS bucket_90p,
+  COUNT(*) FILTER (WHERE (now()::date - i.due_date) > 0) AS overdue_count,
+  SUM(GREATEST(i.amount_total - i.amount_paid, 0)) FILTER (WHERE (now()::date - i.due_date) > 0) AS overdue_amount,
+  SUM(GREATEST(i.amount_total - i.amount_paid, 0)) FILTER (WHERE i.due_date BETWEEN now()::date AND (now()::date + 7)) AS due_next_7
+FROM invoices i
+WHERE i.status IN ('sent','partial','overdue')
+GROUP BY i.organizacion_id;
+
+/* ===========================
+ *  Seeds / backfills
+ * =========================== */
+-- Categorias canonicas globales (DEFAULT_PIPELINE de utils/db.js)
+WITH canon(nombre, orden) AS (
+  VALUES ('Unqualified', 0), ('Incoming Leads', 1), ('Qualified', 2), ('Follow-up Missed', 3),
+         ('Bid/Estimate Sent', 4), ('Won', 5), ('Lost', 6)
+), upd AS (
+  UPDATE categorias c
+     SET orden = canon.orden
+    FROM canon
+   WHERE c.organizacion_id IS NULL AND lower(c.nombre) = lower(canon.nombre)
+  RETURNING c.id
+)
+INSERT INTO categorias (nombre, organizacion_id, orden)
+SELECT canon.nombre, NULL, canon.orden
+  FROM canon
+ WHERE NOT EXISTS (
+   SELECT 1 FROM categorias c
+    WHERE c.organizacion_id IS NULL AND lower(c.nombre) = lower(canon.nombre)
+ );
+
+UPDATE public.proyectos
+   SET result = lower(stage)
+ WHERE stage IN ('Won','Lost') AND (result IS NULL OR result NOT IN ('won','lost'));
+
+UPDATE public.proyectos
+   SET closed_at = COALESCE(updated_at, created_at, NOW())
+ WHERE stage IN ('Won','Lost') AND closed_at IS NULL;
+
+UPDATE clientes  SET stage = categoria WHERE stage IS NULL AND categoria IS NOT NULL;
+UPDATE clientes  SET categoria = stage WHERE categoria IS NULL AND stage IS NOT NULL;
+UPDATE proyectos SET stage = COALESCE(stage, 'Incoming Leads') WHERE stage IS NULL;
+UPDATE proyectos SET categoria = COALESCE(categoria, stage) WHERE categoria IS NULL;
+UPDATE tareas
+   SET estado = COALESCE(NULLIF(TRIM(estado), ''), 'todo')
+ WHERE estado IS NULL OR TRIM(estado) = '';
+UPDATE tareas
+   SET prioridad = COALESCE(NULLIF(TRIM(prioridad), ''), 'media')
+ WHERE prioridad IS NULL OR TRIM(prioridad) = '';
+UPDATE tareas SET completada = COALESCE(completada, FALSE) WHERE completada IS NULL;
+UPDATE tareas SET orden = COALESCE(orden, 0) WHERE orden IS NULL;
+UPDATE tareas SET updated_at = COALESCE(updated_at, created_at, NOW()) WHERE updated_at IS NULL;
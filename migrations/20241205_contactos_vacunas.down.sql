@@ -0,0 +1,8 @@
+-- Revierte campos de vertical Salud/Veterinaria en contactos
+-- (organizacion_id queda: lo crea el baseline)
+DROP INDEX IF EXISTS public.idx_contactos_org_vacuna;
+
+ALTER TABLE IF EXISTS public.contactos
+  DROP COLUMN IF EXISTS peso,
+  DROP COLUMN IF EXISTS vacunas,
+  DROP COLUMN IF EXISTS proxima_vacuna;
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS uq_invoices_org_number;
+DROP TABLE IF EXISTS invoice_sequences;
+DROP TABLE IF EXISTS invoice_numbering;
+DROP TABLE IF EXISTS invoice_items;
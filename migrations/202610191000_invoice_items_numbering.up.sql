@@ -0,0 +1,67 @@
+-- Lineas de factura, numeracion correlativa por org y totales derivados de las lineas.
+
+CREATE TABLE IF NOT EXISTS invoice_items (
+  id SERIAL PRIMARY KEY,
+  invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  organizacion_id TEXT NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  description TEXT NOT NULL,
+  producto_id INTEGER,
+  quantity NUMERIC(14,3) NOT NULL DEFAULT 1,
+  unit_price NUMERIC(14,2) NOT NULL DEFAULT 0,
+  tax_rate NUMERIC(6,3) NOT NULL DEFAULT 0,
+  amount_subtotal NUMERIC(12,2) NOT NULL DEFAULT 0,
+  amount_tax NUMERIC(12,2) NOT NULL DEFAULT 0,
+  amount_total NUMERIC(12,2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  CONSTRAINT invoice_items_tax_rate_chk CHECK (tax_rate >= 0 AND tax_rate <= 100)
+);
+CREATE INDEX IF NOT EXISTS idx_invoice_items_invoice ON invoice_items (invoice_id, position);
+
+-- Config de numeracion por org (sin fila => defaults)
+CREATE TABLE IF NOT EXISTS invoice_numbering (
+  organizacion_id TEXT PRIMARY KEY,
+  prefix TEXT NOT NULL DEFAULT 'INV-',
+  padding INTEGER NOT NULL DEFAULT 5,
+  yearly_reset BOOLEAN NOT NULL DEFAULT TRUE,
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  CONSTRAINT invoice_numbering_padding_chk CHECK (padding BETWEEN 1 AND 12)
+);
+
+-- Contador por org y año (year = 0 si no resetea). El UPSERT bloquea la fila hasta
+-- el COMMIT, asi que un rollback no deja huecos.
+CREATE TABLE IF NOT EXISTS invoice_sequences (
+  organizacion_id TEXT NOT NULL,
+  year INTEGER NOT NULL,
+  last_number INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (organizacion_id, year)
+);
+
+-- Numero unico por org (si ya hay duplicados, se deja registrado y /health/schema lo muestra)
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM invoices WHERE number IS NOT NULL
+     GROUP BY organizacion_id, number HAVING COUNT(*) > 1
+  ) THEN
+    RAISE NOTICE '[invoice_items_numbering] numeros duplicados en invoices; no se crea uq_invoices_org_number';
+  ELSE
+    CREATE UNIQUE INDEX IF NOT EXISTS uq_invoices_org_number
+      ON invoices (organizacion_id, number) WHERE number IS NOT NULL;
+  END IF;
+END$$;
+
+-- Backfill: una linea por factura existente con los importes que ya tenia
+INSERT INTO invoice_items
+  (invoice_id, organizacion_id, position, description, quantity, unit_price, tax_rate,
+   amount_subtotal, amount_tax, amount_total)
+SELECT i.id, i.organizacion_id, 0, COALESCE(NULLIF(TRIM(i.notes), ''), 'Importe'), 1, i.amount_subtotal,
+       CASE WHEN i.amount_subtotal > 0
+            THEN LEAST(ROUND(i.amount_tax * 100 / i.amount_subtotal, 3), 100) ELSE 0 END,
+       i.amount_subtotal, i.amount_tax, i.amount_subtotal + i.amount_tax
+  FROM invoices i
+ WHERE NOT EXISTS (SELECT 1 FROM invoice_items it WHERE it.invoice_id = i.id);
+
+UPDATE invoices
+   SET amount_total = amount_subtotal + amount_tax
+ WHERE amount_total <> amount_subtotal + amount_tax;
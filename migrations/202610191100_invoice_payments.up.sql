@@ -0,0 +1,31 @@
+-- Ledger de pagos por factura. amount_paid y el status (partial/paid/overdue) se derivan de aca.
+-- Revertir un pago no lo borra: queda marcado con reversed_at/reversed_by/reversal_reason.
+
+CREATE TABLE IF NOT EXISTS invoice_payments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  organizacion_id TEXT NOT NULL,
+  paid_at DATE NOT NULL DEFAULT (now()::date),
+  amount NUMERIC(12,2) NOT NULL,
+  method TEXT NOT NULL DEFAULT 'otro',
+  reference TEXT,
+  caja_id UUID REFERENCES cajas(id) ON DELETE SET NULL,
+  notes TEXT,
+  usuario_email TEXT,
+  reversed_at TIMESTAMPTZ,
+  reversed_by TEXT,
+  reversal_reason TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  CONSTRAINT invoice_payments_amount_chk CHECK (amount > 0)
+);
+CREATE INDEX IF NOT EXISTS idx_invoice_payments_invoice ON invoice_payments (invoice_id);
+CREATE INDEX IF NOT EXISTS idx_invoice_payments_org_date ON invoice_payments (organizacion_id, paid_at);
+CREATE INDEX IF NOT EXISTS idx_invoice_payments_caja ON invoice_payments (caja_id) WHERE caja_id IS NOT NULL;
+
+-- Backfill: lo ya cobrado queda como un pago 'legacy' para que el ledger cierre con amount_paid
+INSERT INTO invoice_payments (invoice_id, organizacion_id, paid_at, amount, method, reference, notes)
+SELECT i.id, i.organizacion_id, COALESCE(i.updated_at::date, i.issue_date), i.amount_paid,
+       'legacy', NULL, 'Saldo cobrado antes del ledger de pagos'
+  FROM invoices i
+ WHERE i.amount_paid > 0
+   AND NOT EXISTS (SELECT 1 FROM invoice_payments p WHERE p.invoice_id = i.id);
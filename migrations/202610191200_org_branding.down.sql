@@ -0,0 +1,2 @@
+ALTER TABLE public.org_profiles
+  DROP COLUMN IF EXISTS branding;
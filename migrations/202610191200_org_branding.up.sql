@@ -0,0 +1,3 @@
+-- Datos de marca por org para documentos generados (facturas / presupuestos en PDF)
+ALTER TABLE public.org_profiles
+  ADD COLUMN IF NOT EXISTS branding JSONB DEFAULT '{}'::jsonb;
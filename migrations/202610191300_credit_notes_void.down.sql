@@ -0,0 +1,33 @@
+CREATE OR REPLACE VIEW v_ar_aging AS
+SELECT
+  i.organizacion_id,
+  SUM(GREATEST(i.amount_total - i.amount_paid, 0)) AS ar_total,
+  SUM(CASE WHEN (now()::date - i.due_date) <= 0  THEN GREATEST(i.amount_total - i.amount_paid,0) ELSE 0 END) AS bucket_current,
+  SUM(CASE WHEN (now()::date - i.due_date) BETWEEN 1  AND 30 THEN GREATEST(i.amount_total - i.amount_paid,0) ELSE 0 END) AS bucket_1_30,
+  SUM(CASE WHEN (now()::date - i.due_date) BETWEEN 31 AND 60 THEN GREATEST(i.amount_total - i.amount_paid,0) ELSE 0 END) AS bucket_31_60,
+  SUM(CASE WHEN (now()::date - i.due_date) BETWEEN 61 AND 90 THEN GREATEST(i.amount_total - i.amount_paid,0) ELSE 0 END) AS bucket_61_90,
+  SUM(CASE WHEN (now()::date - i.due_date) > 90 THEN GREATEST(i.amount_total - i.amount_paid,0) ELSE 0 END) AS bucket_90p,
+  COUNT(*) FILTER (WHERE (now()::date - i.due_date) > 0) AS overdue_count,
+  SUM(GREATEST(i.amount_total - i.amount_paid, 0)) FILTER (WHERE (now()::date - i.due_date) > 0) AS overdue_amount,
+  SUM(GREATEST(i.amount_total - i.amount_paid, 0)) FILTER (WHERE i.due_date BETWEEN now()::date AND (now()::date + 7)) AS due_next_7
+FROM invoices i
+WHERE i.status IN ('sent','partial','overdue')
+GROUP BY i.organizacion_id;
+
+DROP TRIGGER IF EXISTS tr_invoices_block_delete ON public.invoices;
+DROP FUNCTION IF EXISTS invoices_block_delete();
+
+DELETE FROM public.invoice_sequences WHERE kind <> 'invoice';
+ALTER TABLE public.invoice_sequences DROP CONSTRAINT IF EXISTS invoice_sequences_pkey;
+ALTER TABLE public.invoice_sequences ADD PRIMARY KEY (organizacion_id, year);
+ALTER TABLE public.invoice_sequences DROP COLUMN IF EXISTS kind;
+ALTER TABLE public.invoice_numbering DROP COLUMN IF EXISTS credit_prefix;
+
+DROP TABLE IF EXISTS credit_note_items;
+DROP TABLE IF EXISTS credit_notes;
+
+ALTER TABLE public.invoices
+  DROP COLUMN IF EXISTS void_reason,
+  DROP COLUMN IF EXISTS voided_by,
+  DROP COLUMN IF EXISTS voided_at,
+  DROP COLUMN IF EXISTS amount_credited;
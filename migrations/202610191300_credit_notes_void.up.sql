@@ -0,0 +1,90 @@
+-- Notas de credito contra una factura + anulacion (void) con motivo y actor.
+-- Las facturas emitidas (con numero o fuera de draft) no se pueden borrar.
+
+ALTER TABLE public.invoices
+  ADD COLUMN IF NOT EXISTS amount_credited NUMERIC(12,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS voided_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS voided_by TEXT,
+  ADD COLUMN IF NOT EXISTS void_reason TEXT;
+
+CREATE TABLE IF NOT EXISTS credit_notes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organizacion_id TEXT NOT NULL,
+  invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE RESTRICT,
+  number TEXT,
+  issue_date DATE NOT NULL DEFAULT (now()::date),
+  currency TEXT NOT NULL DEFAULT 'USD',
+  reason TEXT NOT NULL,
+  amount_subtotal NUMERIC(12,2) NOT NULL DEFAULT 0,
+  amount_tax NUMERIC(12,2) NOT NULL DEFAULT 0,
+  amount_total NUMERIC(12,2) NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'issued',
+  created_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  voided_at TIMESTAMPTZ,
+  voided_by TEXT,
+  void_reason TEXT,
+  CONSTRAINT credit_notes_status_chk CHECK (status IN ('issued','void'))
+);
+CREATE INDEX IF NOT EXISTS idx_credit_notes_invoice ON credit_notes (invoice_id);
+CREATE INDEX IF NOT EXISTS idx_credit_notes_org_date ON credit_notes (organizacion_id, issue_date);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_credit_notes_org_number
+  ON credit_notes (organizacion_id, number) WHERE number IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS credit_note_items (
+  id SERIAL PRIMARY KEY,
+  credit_note_id UUID NOT NULL REFERENCES credit_notes(id) ON DELETE CASCADE,
+  organizacion_id TEXT NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  description TEXT NOT NULL,
+  producto_id INTEGER,
+  quantity NUMERIC(14,3) NOT NULL DEFAULT 1,
+  unit_price NUMERIC(14,2) NOT NULL DEFAULT 0,
+  tax_rate NUMERIC(6,3) NOT NULL DEFAULT 0,
+  amount_subtotal NUMERIC(12,2) NOT NULL DEFAULT 0,
+  amount_tax NUMERIC(12,2) NOT NULL DEFAULT 0,
+  amount_total NUMERIC(12,2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_credit_note_items_cn ON credit_note_items (credit_note_id, position);
+
+-- Numeracion propia para notas de credito (mismo contador por org/año, otro kind)
+ALTER TABLE public.invoice_numbering
+  ADD COLUMN IF NOT EXISTS credit_prefix TEXT NOT NULL DEFAULT 'NC-';
+
+ALTER TABLE public.invoice_sequences
+  ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'invoice';
+ALTER TABLE public.invoice_sequences DROP CONSTRAINT IF EXISTS invoice_sequences_pkey;
+ALTER TABLE public.invoice_sequences ADD PRIMARY KEY (organizacion_id, kind, year);
+
+-- Backstop: nada emitido se borra fisicamente
+CREATE OR REPLACE FUNCTION invoices_block_delete() RETURNS trigger AS $$
+BEGIN
+  IF OLD.number IS NOT NULL OR OLD.status <> 'draft' THEN
+    RAISE EXCEPTION 'invoice % is issued and cannot be deleted (use void)', OLD.id
+      USING ERRCODE = 'restrict_violation';
+  END IF;
+  RETURN OLD;
+END; $$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS tr_invoices_block_delete ON public.invoices;
+CREATE TRIGGER tr_invoices_block_delete
+BEFORE DELETE ON public.invoices
+FOR EACH ROW EXECUTE FUNCTION invoices_block_delete();
+
+-- Aging: saldo = total - pagado - acreditado
+CREATE OR REPLACE VIEW v_ar_aging AS
+SELECT
+  i.organizacion_id,
+  SUM(GREATEST(i.amount_total - i.amount_paid - i.amount_credited, 0)) AS ar_total,
+  SUM(CASE WHEN (now()::date - i.due_date) <= 0  THEN GREATEST(i.amount_total - i.amount_paid - i.amount_credited,0) ELSE 0 END) AS bucket_current,
+  SUM(CASE WHEN (now()::date - i.due_date) BETWEEN 1  AND 30 THEN GREATEST(i.amount_total - i.amount_paid - i.amount_credited,0) ELSE 0 END) AS bucket_1_30,
+  SUM(CASE WHEN (now()::date - i.due_date) BETWEEN 31 AND 60 THEN GREATEST(i.amount_total - i.amount_paid - i.amount_credited,0) ELSE 0 END) AS bucket_31_60,
+  SUM(CASE WHEN (now()::date - i.due_date) BETWEEN 61 AND 90 THEN GREATEST(i.amount_total - i.amount_paid - i.amount_credited,0) ELSE 0 END) AS bucket_61_90,
+  SUM(CASE WHEN (now()::date - i.due_date) > 90 THEN GREATEST(i.amount_total - i.amount_paid - i.amount_credited,0) ELSE 0 END) AS bucket_90p,
+  COUNT(*) FILTER (WHERE (now()::date - i.due_date) > 0) AS overdue_count,
+  SUM(GREATEST(i.amount_total - i.amount_paid - i.amount_credited, 0)) FILTER (WHERE (now()::date - i.due_date) > 0) AS overdue_amount,
+  SUM(GREATEST(i.amount_total - i.amount_paid - i.amount_credited, 0)) FILTER (WHERE i.due_date BETWEEN now()::date AND (now()::date + 7)) AS due_next_7
+FROM invoices i
+WHERE i.status IN ('sent','partial','overdue')
+GROUP BY i.organizacion_id;
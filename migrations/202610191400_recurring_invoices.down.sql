@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS uq_invoices_recurring_period;
+ALTER TABLE public.invoices
+  DROP COLUMN IF EXISTS recurring_period,
+  DROP COLUMN IF EXISTS recurring_invoice_id;
+
+DROP TABLE IF EXISTS recurring_invoices;
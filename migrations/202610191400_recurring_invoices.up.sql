@@ -0,0 +1,40 @@
+-- Plantillas de facturacion recurrente (abonos mensuales, etc.). El cron genera
+-- una factura por periodo; (recurring_invoice_id, recurring_period) evita duplicados.
+
+CREATE TABLE IF NOT EXISTS recurring_invoices (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organizacion_id TEXT NOT NULL,
+  client_id INTEGER NOT NULL,
+  name TEXT,
+  currency TEXT NOT NULL DEFAULT 'USD',
+  items JSONB NOT NULL DEFAULT '[]'::jsonb,
+  notes TEXT,
+  interval_unit TEXT NOT NULL DEFAULT 'month',
+  interval_count INTEGER NOT NULL DEFAULT 1,
+  day_of_month INTEGER,
+  start_date DATE NOT NULL,
+  end_date DATE,
+  next_run_date DATE NOT NULL,
+  due_days INTEGER NOT NULL DEFAULT 15,
+  auto_send BOOLEAN NOT NULL DEFAULT FALSE,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  runs_count INTEGER NOT NULL DEFAULT 0,
+  last_run_at TIMESTAMPTZ,
+  last_invoice_id UUID,
+  created_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  CONSTRAINT recurring_invoices_unit_chk CHECK (interval_unit IN ('week','month','year')),
+  CONSTRAINT recurring_invoices_count_chk CHECK (interval_count BETWEEN 1 AND 36),
+  CONSTRAINT recurring_invoices_dom_chk CHECK (day_of_month IS NULL OR day_of_month BETWEEN 1 AND 31),
+  CONSTRAINT recurring_invoices_due_chk CHECK (due_days BETWEEN 0 AND 365),
+  CONSTRAINT recurring_invoices_dates_chk CHECK (end_date IS NULL OR end_date >= start_date)
+);
+CREATE INDEX IF NOT EXISTS idx_recurring_invoices_due ON recurring_invoices (next_run_date) WHERE active;
+CREATE INDEX IF NOT EXISTS idx_recurring_invoices_org ON recurring_invoices (organizacion_id);
+
+ALTER TABLE public.invoices
+  ADD COLUMN IF NOT EXISTS recurring_invoice_id UUID REFERENCES recurring_invoices(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS recurring_period DATE;
+CREATE UNIQUE INDEX IF NOT EXISTS uq_invoices_recurring_period
+  ON invoices (recurring_invoice_id, recurring_period) WHERE recurring_invoice_id IS NOT NULL;
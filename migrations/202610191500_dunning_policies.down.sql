@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS invoice_reminders;
+ALTER TABLE public.invoices DROP COLUMN IF EXISTS dunning_policy_id;
+ALTER TABLE public.clientes DROP COLUMN IF EXISTS activo;
+DROP TABLE IF EXISTS dunning_policies;
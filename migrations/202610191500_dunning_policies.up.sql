@@ -0,0 +1,47 @@
+-- Politicas de cobranza (dunning) por org con pasos escalonados + historial de envios.
+-- steps: [{ offset_days, channel: flows|slack|whatsapp|none, template, event?, action? }]
+-- offset_days es relativo al vencimiento (negativo = antes).
+
+CREATE TABLE IF NOT EXISTS dunning_policies (
+  id SERIAL PRIMARY KEY,
+  organizacion_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  steps JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  CONSTRAINT dunning_policies_org_name_key UNIQUE (organizacion_id, name)
+);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_dunning_policies_org_default
+  ON dunning_policies (organizacion_id) WHERE is_default;
+
+-- accion mark_client_inactive: marca aparte, el stage del cliente (kanban) no se toca
+ALTER TABLE public.clientes
+  ADD COLUMN IF NOT EXISTS activo BOOLEAN NOT NULL DEFAULT TRUE;
+
+ALTER TABLE public.invoices
+  ADD COLUMN IF NOT EXISTS dunning_policy_id INTEGER REFERENCES dunning_policies(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS invoice_reminders (
+  id BIGSERIAL PRIMARY KEY,
+  invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  organizacion_id TEXT NOT NULL,
+  policy_id INTEGER REFERENCES dunning_policies(id) ON DELETE SET NULL,
+  step_key TEXT NOT NULL,
+  offset_days INTEGER,
+  channel TEXT NOT NULL,
+  status TEXT NOT NULL,
+  recipient TEXT,
+  message TEXT,
+  actions JSONB NOT NULL DEFAULT '[]'::jsonb,
+  error TEXT,
+  manual BOOLEAN NOT NULL DEFAULT FALSE,
+  usuario_email TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  CONSTRAINT invoice_reminders_status_chk CHECK (status IN ('sent','failed','skipped'))
+);
+CREATE INDEX IF NOT EXISTS idx_invoice_reminders_invoice ON invoice_reminders (invoice_id, created_at);
+-- un paso automatico se envia una sola vez por factura
+CREATE UNIQUE INDEX IF NOT EXISTS uq_invoice_reminders_step
+  ON invoice_reminders (invoice_id, step_key) WHERE NOT manual AND status = 'sent';
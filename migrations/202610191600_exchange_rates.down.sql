@@ -0,0 +1,20 @@
+-- la vista vuelve a una fila por org (sin columna currency)
+DROP VIEW IF EXISTS v_ar_aging;
+CREATE VIEW v_ar_aging AS
+SELECT
+  i.organizacion_id,
+  SUM(GREATEST(i.amount_total - i.amount_paid - i.amount_credited, 0)) AS ar_total,
+  SUM(CASE WHEN (now()::date - i.due_date) <= 0  THEN GREATEST(i.amount_total - i.amount_paid - i.amount_credited,0) ELSE 0 END) AS bucket_current,
+  SUM(CASE WHEN (now()::date - i.due_date) BETWEEN 1  AND 30 THEN GREATEST(i.amount_total - i.amount_paid - i.amount_credited,0) ELSE 0 END) AS bucket_1_30,
+  SUM(CASE WHEN (now()::date - i.due_date) BETWEEN 31 AND 60 THEN GREATEST(i.amount_total - i.amount_paid - i.amount_credited,0) ELSE 0 END) AS bucket_31_60,
+  SUM(CASE WHEN (now()::date - i.due_date) BETWEEN 61 AND 90 THEN GREATEST(i.amount_total - i.amount_paid - i.amount_credited,0) ELSE 0 END) AS bucket_61_90,
+  SUM(CASE WHEN (now()::date - i.due_date) > 90 THEN GREATEST(i.amount_total - i.amount_paid - i.amount_credited,0) ELSE 0 END) AS bucket_90p,
+  COUNT(*) FILTER (WHERE (now()::date - i.due_date) > 0) AS overdue_count,
+  SUM(GREATEST(i.amount_total - i.amount_paid - i.amount_credited, 0)) FILTER (WHERE (now()::date - i.due_date) > 0) AS overdue_amount,
+  SUM(GREATEST(i.amount_total - i.amount_paid - i.amount_credited, 0)) FILTER (WHERE i.due_date BETWEEN now()::date AND (now()::date + 7)) AS due_next_7
+FROM invoices i
+WHERE i.status IN ('sent','partial','overdue')
+GROUP BY i.organizacion_id;
+
+DROP TABLE IF EXISTS exchange_rates;
+ALTER TABLE public.org_profiles DROP COLUMN IF EXISTS base_currency;
@@ -0,0 +1,41 @@
+-- Moneda base por org + cotizaciones diarias. rate = unidades de base_currency por 1 unidad de currency.
+-- Se guarda base_currency en cada fila: si la org cambia de base, las cotizaciones viejas no se mezclan.
+
+ALTER TABLE public.org_profiles
+  ADD COLUMN IF NOT EXISTS base_currency TEXT NOT NULL DEFAULT 'USD';
+
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  id SERIAL PRIMARY KEY,
+  organizacion_id TEXT NOT NULL,
+  base_currency TEXT NOT NULL,
+  currency TEXT NOT NULL,
+  rate_date DATE NOT NULL,
+  rate NUMERIC(18,8) NOT NULL,
+  source TEXT,
+  usuario_email TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  CONSTRAINT exchange_rates_rate_chk CHECK (rate > 0),
+  CONSTRAINT exchange_rates_code_chk CHECK (currency ~ '^[A-Z]{3}$' AND base_currency ~ '^[A-Z]{3}$'),
+  CONSTRAINT exchange_rates_org_cur_date_key UNIQUE (organizacion_id, base_currency, currency, rate_date)
+);
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_lookup
+  ON exchange_rates (organizacion_id, base_currency, currency, rate_date DESC);
+
+-- Aging por moneda: los KPIs convierten cada fila a la moneda base
+CREATE OR REPLACE VIEW v_ar_aging AS
+SELECT
+  i.organizacion_id,
+  SUM(GREATEST(i.amount_total - i.amount_paid - i.amount_credited, 0)) AS ar_total,
+  SUM(CASE WHEN (now()::date - i.due_date) <= 0  THEN GREATEST(i.amount_total - i.amount_paid - i.amount_credited,0) ELSE 0 END) AS bucket_current,
+  SUM(CASE WHEN (now()::date - i.due_date) BETWEEN 1  AND 30 THEN GREATEST(i.amount_total - i.amount_paid - i.amount_credited,0) ELSE 0 END) AS bucket_1_30,
+  SUM(CASE WHEN (now()::date - i.due_date) BETWEEN 31 AND 60 THEN GREATEST(i.amount_total - i.amount_paid - i.amount_credited,0) ELSE 0 END) AS bucket_31_60,
+  SUM(CASE WHEN (now()::date - i.due_date) BETWEEN 61 AND 90 THEN GREATEST(i.amount_total - i.amount_paid - i.amount_credited,0) ELSE 0 END) AS bucket_61_90,
+  SUM(CASE WHEN (now()::date - i.due_date) > 90 THEN GREATEST(i.amount_total - i.amount_paid - i.amount_credited,0) ELSE 0 END) AS bucket_90p,
+  COUNT(*) FILTER (WHERE (now()::date - i.due_date) > 0) AS overdue_count,
+  SUM(GREATEST(i.amount_total - i.amount_paid - i.amount_credited, 0)) FILTER (WHERE (now()::date - i.due_date) > 0) AS overdue_amount,
+  SUM(GREATEST(i.amount_total - i.amount_paid - i.amount_credited, 0)) FILTER (WHERE i.due_date BETWEEN now()::date AND (now()::date + 7)) AS due_next_7,
+  UPPER(TRIM(i.currency)) AS currency
+FROM invoices i
+WHERE i.status IN ('sent','partial','overdue')
+GROUP BY i.organizacion_id, UPPER(TRIM(i.currency));
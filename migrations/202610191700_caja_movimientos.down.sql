@@ -0,0 +1,5 @@
+ALTER TABLE public.cajas
+  DROP COLUMN IF EXISTS cierre_movimientos_salida,
+  DROP COLUMN IF EXISTS cierre_movimientos_entrada;
+
+DROP TABLE IF EXISTS caja_movimientos;
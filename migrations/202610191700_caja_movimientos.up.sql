@@ -0,0 +1,29 @@
+-- Movimientos de efectivo durante el turno: retiros al tesoro, gastos de caja chica, refuerzos de cambio.
+-- monto siempre positivo; sentido (entrada/salida) lo fija el tipo. No se borran: se anulan con motivo.
+
+CREATE TABLE IF NOT EXISTS caja_movimientos (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organizacion_id TEXT NOT NULL,
+  caja_id UUID NOT NULL REFERENCES cajas(id) ON DELETE CASCADE,
+  tipo TEXT NOT NULL,
+  sentido TEXT NOT NULL,
+  monto NUMERIC(14,2) NOT NULL,
+  motivo TEXT,
+  categoria TEXT,
+  comprobante TEXT,
+  usuario_email TEXT,
+  anulado_at TIMESTAMPTZ,
+  anulado_por TEXT,
+  anulado_motivo TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  CONSTRAINT caja_movimientos_monto_chk CHECK (monto > 0),
+  CONSTRAINT caja_movimientos_tipo_chk CHECK (tipo IN ('retiro','gasto','cambio','ingreso')),
+  CONSTRAINT caja_movimientos_sentido_chk CHECK (sentido IN ('entrada','salida'))
+);
+CREATE INDEX IF NOT EXISTS idx_caja_movimientos_caja ON caja_movimientos (caja_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_caja_movimientos_org ON caja_movimientos (organizacion_id, created_at);
+
+-- Foto al cierre (como cierre_total_esperado)
+ALTER TABLE public.cajas
+  ADD COLUMN IF NOT EXISTS cierre_movimientos_entrada NUMERIC(14,2),
+  ADD COLUMN IF NOT EXISTS cierre_movimientos_salida NUMERIC(14,2);
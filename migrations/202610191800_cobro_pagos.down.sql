@@ -0,0 +1,4 @@
+ALTER TABLE public.cajas
+  DROP COLUMN IF EXISTS cierre_por_medio;
+
+DROP TABLE IF EXISTS cobro_pagos;
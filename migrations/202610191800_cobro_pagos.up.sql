@@ -0,0 +1,26 @@
+-- Pagos divididos por cobro (efectivo + tarjeta, etc). cobros.medio_pago queda como resumen
+-- (el medio unico o 'mixto'). El cierre de caja compara el arqueo solo contra el efectivo.
+
+CREATE TABLE IF NOT EXISTS cobro_pagos (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  cobro_id UUID NOT NULL REFERENCES cobros(id) ON DELETE CASCADE,
+  organizacion_id TEXT NOT NULL,
+  medio TEXT NOT NULL,
+  monto NUMERIC(14,2) NOT NULL,
+  referencia TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  CONSTRAINT cobro_pagos_monto_chk CHECK (monto > 0)
+);
+CREATE INDEX IF NOT EXISTS idx_cobro_pagos_cobro ON cobro_pagos (cobro_id);
+CREATE INDEX IF NOT EXISTS idx_cobro_pagos_org_medio ON cobro_pagos (organizacion_id, medio);
+
+-- Backfill: un pago por cobro con su medio_pago (sin medio => efectivo, como lo contaba el cierre)
+INSERT INTO cobro_pagos (cobro_id, organizacion_id, medio, monto, created_at)
+SELECT c.id, c.organizacion_id, COALESCE(NULLIF(lower(trim(c.medio_pago)), ''), 'efectivo'), c.total, c.created_at
+  FROM cobros c
+ WHERE c.total > 0
+   AND NOT EXISTS (SELECT 1 FROM cobro_pagos p WHERE p.cobro_id = c.id);
+
+-- Foto del cierre por medio: [{ medio, esperado, contado, diferencia }]
+ALTER TABLE public.cajas
+  ADD COLUMN IF NOT EXISTS cierre_por_medio JSONB;
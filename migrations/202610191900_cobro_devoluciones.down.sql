@@ -0,0 +1,12 @@
+DELETE FROM cobro_pagos WHERE monto < 0;
+ALTER TABLE public.cobro_pagos DROP CONSTRAINT IF EXISTS cobro_pagos_monto_chk;
+ALTER TABLE public.cobro_pagos ADD CONSTRAINT cobro_pagos_monto_chk CHECK (monto > 0);
+
+DROP INDEX IF EXISTS idx_cobro_items_origen;
+ALTER TABLE public.cobro_items DROP COLUMN IF EXISTS origen_item_id;
+
+DROP INDEX IF EXISTS idx_cobros_devolucion_de;
+ALTER TABLE public.cobros DROP CONSTRAINT IF EXISTS cobros_tipo_chk;
+ALTER TABLE public.cobros
+  DROP COLUMN IF EXISTS devolucion_de,
+  DROP COLUMN IF EXISTS tipo;
@@ -0,0 +1,17 @@
+-- Devoluciones: un cobro negativo (tipo 'devolucion') enlazado al original, con items en cantidad
+-- negativa que apuntan al item vendido. Reingresa stock via /entradas y descuenta de la caja abierta.
+
+ALTER TABLE public.cobros
+  ADD COLUMN IF NOT EXISTS tipo TEXT NOT NULL DEFAULT 'venta',
+  ADD COLUMN IF NOT EXISTS devolucion_de UUID REFERENCES cobros(id) ON DELETE RESTRICT;
+ALTER TABLE public.cobros DROP CONSTRAINT IF EXISTS cobros_tipo_chk;
+ALTER TABLE public.cobros ADD CONSTRAINT cobros_tipo_chk CHECK (tipo IN ('venta','devolucion'));
+CREATE INDEX IF NOT EXISTS idx_cobros_devolucion_de ON cobros (devolucion_de) WHERE devolucion_de IS NOT NULL;
+
+ALTER TABLE public.cobro_items
+  ADD COLUMN IF NOT EXISTS origen_item_id INTEGER REFERENCES cobro_items(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_cobro_items_origen ON cobro_items (origen_item_id) WHERE origen_item_id IS NOT NULL;
+
+-- el reintegro de una devolucion es un pago negativo
+ALTER TABLE public.cobro_pagos DROP CONSTRAINT IF EXISTS cobro_pagos_monto_chk;
+ALTER TABLE public.cobro_pagos ADD CONSTRAINT cobro_pagos_monto_chk CHECK (monto <> 0);
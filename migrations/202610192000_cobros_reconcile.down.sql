@@ -0,0 +1,10 @@
+DROP INDEX IF EXISTS idx_cobros_fallidos;
+
+ALTER TABLE public.cobros
+  DROP COLUMN IF EXISTS resolucion,
+  DROP COLUMN IF EXISTS resuelto_at,
+  DROP COLUMN IF EXISTS resuelto_por,
+  DROP COLUMN IF EXISTS requiere_revision,
+  DROP COLUMN IF EXISTS stock_proximo_intento_at,
+  DROP COLUMN IF EXISTS stock_ultimo_intento_at,
+  DROP COLUMN IF EXISTS stock_intentos;
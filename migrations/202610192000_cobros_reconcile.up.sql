@@ -0,0 +1,14 @@
+-- Reintentos de stock para cobros 'fallido' (workers/cobros.reconciler.js) y resolucion manual.
+-- Agotados los intentos, o ante un error no transitorio, queda requiere_revision para un humano.
+
+ALTER TABLE public.cobros
+  ADD COLUMN IF NOT EXISTS stock_intentos INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS stock_ultimo_intento_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS stock_proximo_intento_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS requiere_revision BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS resuelto_por TEXT,
+  ADD COLUMN IF NOT EXISTS resuelto_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS resolucion TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_cobros_fallidos
+  ON cobros (stock_proximo_intento_at) WHERE estado = 'fallido';
@@ -0,0 +1,8 @@
+DROP INDEX IF EXISTS idx_cobros_stock_pendiente;
+
+ALTER TABLE public.cobros DROP CONSTRAINT IF EXISTS cobros_stock_estado_chk;
+ALTER TABLE public.cobros DROP CONSTRAINT IF EXISTS cobros_origen_chk;
+ALTER TABLE public.cobros
+  DROP COLUMN IF EXISTS stock_estado,
+  DROP COLUMN IF EXISTS sincronizado_at,
+  DROP COLUMN IF EXISTS origen;
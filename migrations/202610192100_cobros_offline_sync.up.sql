@@ -0,0 +1,17 @@
+-- Cobros creados offline (POST /cobros/sync): el id y created_at los genera la tablet.
+-- La venta ya se cobro: entra 'confirmado' (cuenta en la caja) y el posteo de stock se sigue
+-- aparte en stock_estado (pendiente -> posteado | fallido; ajustado = resuelto a mano).
+-- El reconciliador postea los pendientes (stock_proximo_intento_at).
+
+ALTER TABLE public.cobros
+  ADD COLUMN IF NOT EXISTS origen TEXT NOT NULL DEFAULT 'online',
+  ADD COLUMN IF NOT EXISTS sincronizado_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS stock_estado TEXT;
+ALTER TABLE public.cobros DROP CONSTRAINT IF EXISTS cobros_origen_chk;
+ALTER TABLE public.cobros ADD CONSTRAINT cobros_origen_chk CHECK (origen IN ('online','offline'));
+ALTER TABLE public.cobros DROP CONSTRAINT IF EXISTS cobros_stock_estado_chk;
+ALTER TABLE public.cobros ADD CONSTRAINT cobros_stock_estado_chk
+  CHECK (stock_estado IS NULL OR stock_estado IN ('pendiente','posteado','fallido','ajustado'));
+
+CREATE INDEX IF NOT EXISTS idx_cobros_stock_pendiente
+  ON cobros (stock_proximo_intento_at) WHERE stock_estado IN ('pendiente','fallido');
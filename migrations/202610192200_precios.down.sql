@@ -0,0 +1,11 @@
+ALTER TABLE public.cobros DROP COLUMN IF EXISTS descuento_manual;
+ALTER TABLE public.cobro_items
+  DROP COLUMN IF EXISTS regla,
+  DROP COLUMN IF EXISTS promocion_id,
+  DROP COLUMN IF EXISTS lista_id,
+  DROP COLUMN IF EXISTS descuento,
+  DROP COLUMN IF EXISTS precio_lista;
+
+DROP TABLE IF EXISTS promociones;
+DROP TABLE IF EXISTS lista_precio_items;
+DROP TABLE IF EXISTS listas_precios;
@@ -0,0 +1,82 @@
+-- Listas de precios por categoria de cliente (clientes.categoria), promociones con vigencia
+-- y reglas de descuento por producto. POST /cobros las evalua en el servidor y deja en cada
+-- item el precio de lista, el descuento y la regla aplicada.
+
+CREATE TABLE IF NOT EXISTS listas_precios (
+  id SERIAL PRIMARY KEY,
+  organizacion_id TEXT NOT NULL,
+  nombre TEXT NOT NULL,
+  -- NULL = lista general (clientes sin categoria o sin lista propia)
+  categoria_cliente TEXT,
+  prioridad INTEGER NOT NULL DEFAULT 0,
+  activa BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS listas_precios_org_nombre_uniq
+  ON listas_precios (organizacion_id, lower(nombre));
+CREATE INDEX IF NOT EXISTS idx_listas_precios_org_cat
+  ON listas_precios (organizacion_id, lower(categoria_cliente)) WHERE activa;
+
+CREATE TABLE IF NOT EXISTS lista_precio_items (
+  id SERIAL PRIMARY KEY,
+  lista_id INTEGER NOT NULL REFERENCES listas_precios(id) ON DELETE CASCADE,
+  producto_id INTEGER NOT NULL,
+  precio NUMERIC(14,2) NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT lista_precio_items_precio_chk CHECK (precio >= 0)
+);
+CREATE UNIQUE INDEX IF NOT EXISTS lista_precio_items_lista_producto_uniq
+  ON lista_precio_items (lista_id, producto_id);
+
+-- tipo: porcentaje (valor = %) | fijo (valor = monto por unidad).
+-- producto_ids NULL = todos los productos; con ids es una regla por producto.
+CREATE TABLE IF NOT EXISTS promociones (
+  id SERIAL PRIMARY KEY,
+  organizacion_id TEXT NOT NULL,
+  nombre TEXT NOT NULL,
+  tipo TEXT NOT NULL,
+  valor NUMERIC(14,2) NOT NULL,
+  producto_ids INTEGER[],
+  categoria_cliente TEXT,
+  cantidad_minima NUMERIC(14,3) NOT NULL DEFAULT 1,
+  desde DATE,
+  hasta DATE,
+  prioridad INTEGER NOT NULL DEFAULT 0,
+  activa BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT promociones_tipo_chk CHECK (tipo IN ('porcentaje','fijo')),
+  CONSTRAINT promociones_valor_chk CHECK (valor > 0 AND (tipo <> 'porcentaje' OR valor <= 100)),
+  CONSTRAINT promociones_rango_chk CHECK (desde IS NULL OR hasta IS NULL OR desde <= hasta)
+);
+CREATE INDEX IF NOT EXISTS idx_promociones_org_vigencia
+  ON promociones (organizacion_id, desde, hasta) WHERE activa;
+
+DO $$
+DECLARE t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY['listas_precios','promociones'] LOOP
+    IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'tr_' || t || '_touch') THEN
+      EXECUTE format(
+        'CREATE TRIGGER %I BEFORE UPDATE ON public.%I FOR EACH ROW EXECUTE FUNCTION touch_updated_at()',
+        'tr_' || t || '_touch', t
+      );
+    END IF;
+  END LOOP;
+END $$;
+
+-- Lo que se aplico en cada linea: precio de lista, descuento de la linea y la regla
+ALTER TABLE public.cobro_items
+  ADD COLUMN IF NOT EXISTS precio_lista NUMERIC(14,2),
+  ADD COLUMN IF NOT EXISTS descuento NUMERIC(14,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS lista_id INTEGER REFERENCES listas_precios(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS promocion_id INTEGER REFERENCES promociones(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS regla JSONB;
+
+-- Descuento manual del cajero, aparte de lo que aplicaron las reglas (cobros.descuento_total = ambos)
+ALTER TABLE public.cobros
+  ADD COLUMN IF NOT EXISTS descuento_manual NUMERIC(14,2) NOT NULL DEFAULT 0;
+-- hasta aca todo descuento era manual
+UPDATE public.cobros SET descuento_manual = descuento_total
+ WHERE descuento_manual = 0 AND COALESCE(descuento_total, 0) <> 0;
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS orden_compra_recepciones;
+DROP TABLE IF EXISTS orden_compra_items;
+DROP TABLE IF EXISTS ordenes_compra;
@@ -0,0 +1,69 @@
+-- Ordenes de compra a proveedores (proveedores.id): borrador -> aprobada -> enviada ->
+-- parcial -> recibida (o cancelada). Cada recepcion postea /entradas al servicio de stock.
+-- compras/compra_items siguen siendo la lista-compras diaria.
+
+CREATE TABLE IF NOT EXISTS ordenes_compra (
+  id SERIAL PRIMARY KEY,
+  organizacion_id TEXT NOT NULL,
+  numero INTEGER NOT NULL,
+  proveedor_id INTEGER NOT NULL REFERENCES proveedores(id),
+  almacen_id INTEGER,
+  estado TEXT NOT NULL DEFAULT 'borrador',
+  moneda TEXT NOT NULL DEFAULT 'ARS',
+  total NUMERIC(14,2) NOT NULL DEFAULT 0,
+  notas TEXT,
+  fecha_entrega DATE,
+  usuario_email TEXT,
+  aprobado_por TEXT,
+  aprobado_at TIMESTAMPTZ,
+  enviado_at TIMESTAMPTZ,
+  recibido_at TIMESTAMPTZ,
+  cancelado_por TEXT,
+  cancelado_at TIMESTAMPTZ,
+  cancelado_motivo TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT ordenes_compra_estado_chk
+    CHECK (estado IN ('borrador','aprobada','enviada','parcial','recibida','cancelada'))
+);
+CREATE UNIQUE INDEX IF NOT EXISTS ordenes_compra_org_numero_uniq ON ordenes_compra (organizacion_id, numero);
+CREATE INDEX IF NOT EXISTS idx_ordenes_compra_org_estado ON ordenes_compra (organizacion_id, estado);
+CREATE INDEX IF NOT EXISTS idx_ordenes_compra_proveedor ON ordenes_compra (proveedor_id);
+
+CREATE TABLE IF NOT EXISTS orden_compra_items (
+  id SERIAL PRIMARY KEY,
+  orden_id INTEGER NOT NULL REFERENCES ordenes_compra(id) ON DELETE CASCADE,
+  producto_id INTEGER,
+  descripcion TEXT NOT NULL,
+  cantidad NUMERIC(14,3) NOT NULL,
+  cantidad_recibida NUMERIC(14,3) NOT NULL DEFAULT 0,
+  precio_unitario NUMERIC(14,2) NOT NULL DEFAULT 0,
+  impuesto NUMERIC(14,2) NOT NULL DEFAULT 0,
+  CONSTRAINT orden_compra_items_cantidad_chk CHECK (cantidad > 0 AND cantidad_recibida >= 0)
+);
+CREATE INDEX IF NOT EXISTS idx_orden_compra_items_orden ON orden_compra_items (orden_id);
+
+-- items: [{ item_id, producto_id, descripcion, cantidad }]; stock_estado del POST /entradas
+CREATE TABLE IF NOT EXISTS orden_compra_recepciones (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  orden_id INTEGER NOT NULL REFERENCES ordenes_compra(id) ON DELETE CASCADE,
+  organizacion_id TEXT NOT NULL,
+  almacen_id INTEGER NOT NULL,
+  items JSONB NOT NULL,
+  notas TEXT,
+  usuario_email TEXT,
+  stock_estado TEXT NOT NULL DEFAULT 'pendiente',
+  stock_error JSONB,
+  stock_intentos INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT orden_compra_recepciones_stock_chk CHECK (stock_estado IN ('pendiente','confirmado','fallido'))
+);
+CREATE INDEX IF NOT EXISTS idx_orden_compra_recepciones_orden ON orden_compra_recepciones (orden_id);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'tr_ordenes_compra_touch') THEN
+    CREATE TRIGGER tr_ordenes_compra_touch BEFORE UPDATE ON public.ordenes_compra
+    FOR EACH ROW EXECUTE FUNCTION touch_updated_at();
+  END IF;
+END $$;
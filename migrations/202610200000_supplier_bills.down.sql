@@ -0,0 +1,3 @@
+DROP VIEW IF EXISTS v_ap_aging;
+DROP TABLE IF EXISTS supplier_bill_payments;
+DROP TABLE IF EXISTS supplier_bills;
@@ -0,0 +1,79 @@
+-- Cuentas a pagar: facturas de proveedores (opcionalmente de una compra u orden de compra),
+-- pagos (se revierten, no se borran) y aging con los mismos buckets que v_ar_aging.
+
+CREATE TABLE IF NOT EXISTS supplier_bills (
+  id SERIAL PRIMARY KEY,
+  organizacion_id TEXT NOT NULL,
+  proveedor_id INTEGER NOT NULL REFERENCES proveedores(id),
+  compra_id INTEGER REFERENCES compras(id) ON DELETE SET NULL,
+  orden_compra_id INTEGER REFERENCES ordenes_compra(id) ON DELETE SET NULL,
+  number TEXT,
+  issue_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  due_date DATE NOT NULL,
+  currency TEXT NOT NULL,
+  amount_total NUMERIC(14,2) NOT NULL,
+  amount_paid NUMERIC(14,2) NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'open',
+  notes TEXT,
+  usuario_email TEXT,
+  voided_at TIMESTAMPTZ,
+  voided_by TEXT,
+  void_reason TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  CONSTRAINT supplier_bills_status_chk CHECK (status IN ('open','partial','paid','void')),
+  CONSTRAINT supplier_bills_amount_chk CHECK (amount_total > 0 AND amount_paid >= 0),
+  CONSTRAINT supplier_bills_dates_chk CHECK (due_date >= issue_date),
+  CONSTRAINT supplier_bills_currency_chk CHECK (currency ~ '^[A-Z]{3}$')
+);
+-- la misma factura del proveedor no se carga dos veces
+CREATE UNIQUE INDEX IF NOT EXISTS supplier_bills_org_prov_number_uniq
+  ON supplier_bills (organizacion_id, proveedor_id, lower(number)) WHERE number IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_supplier_bills_org_due ON supplier_bills (organizacion_id, due_date)
+  WHERE status IN ('open','partial');
+CREATE INDEX IF NOT EXISTS idx_supplier_bills_proveedor ON supplier_bills (proveedor_id);
+
+CREATE TABLE IF NOT EXISTS supplier_bill_payments (
+  id SERIAL PRIMARY KEY,
+  bill_id INTEGER NOT NULL REFERENCES supplier_bills(id) ON DELETE CASCADE,
+  organizacion_id TEXT NOT NULL,
+  paid_at DATE NOT NULL,
+  amount NUMERIC(14,2) NOT NULL,
+  method TEXT,
+  reference TEXT,
+  notes TEXT,
+  usuario_email TEXT,
+  reversed_at TIMESTAMPTZ,
+  reversed_by TEXT,
+  reversal_reason TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  CONSTRAINT supplier_bill_payments_amount_chk CHECK (amount > 0)
+);
+CREATE INDEX IF NOT EXISTS idx_supplier_bill_payments_bill ON supplier_bill_payments (bill_id);
+CREATE INDEX IF NOT EXISTS idx_supplier_bill_payments_org_date ON supplier_bill_payments (organizacion_id, paid_at);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'tr_supplier_bills_touch') THEN
+    CREATE TRIGGER tr_supplier_bills_touch BEFORE UPDATE ON public.supplier_bills
+    FOR EACH ROW EXECUTE FUNCTION touch_updated_at();
+  END IF;
+END $$;
+
+-- Una fila por org y moneda, mismas columnas que v_ar_aging (ap_* en lugar de ar_*)
+CREATE OR REPLACE VIEW v_ap_aging AS
+SELECT
+  b.organizacion_id,
+  SUM(GREATEST(b.amount_total - b.amount_paid, 0)) AS ap_total,
+  SUM(CASE WHEN (now()::date - b.due_date) <= 0  THEN GREATEST(b.amount_total - b.amount_paid,0) ELSE 0 END) AS bucket_current,
+  SUM(CASE WHEN (now()::date - b.due_date) BETWEEN 1  AND 30 THEN GREATEST(b.amount_total - b.amount_paid,0) ELSE 0 END) AS bucket_1_30,
+  SUM(CASE WHEN (now()::date - b.due_date) BETWEEN 31 AND 60 THEN GREATEST(b.amount_total - b.amount_paid,0) ELSE 0 END) AS bucket_31_60,
+  SUM(CASE WHEN (now()::date - b.due_date) BETWEEN 61 AND 90 THEN GREATEST(b.amount_total - b.amount_paid,0) ELSE 0 END) AS bucket_61_90,
+  SUM(CASE WHEN (now()::date - b.due_date) > 90 THEN GREATEST(b.amount_total - b.amount_paid,0) ELSE 0 END) AS bucket_90p,
+  COUNT(*) FILTER (WHERE (now()::date - b.due_date) > 0) AS overdue_count,
+  SUM(GREATEST(b.amount_total - b.amount_paid, 0)) FILTER (WHERE (now()::date - b.due_date) > 0) AS overdue_amount,
+  SUM(GREATEST(b.amount_total - b.amount_paid, 0)) FILTER (WHERE b.due_date BETWEEN now()::date AND (now()::date + 7)) AS due_next_7,
+  b.currency
+FROM supplier_bills b
+WHERE b.status IN ('open','partial')
+GROUP BY b.organizacion_id, b.currency;
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS stock_minimos;
+DROP VIEW IF EXISTS v_proveedor_precios;
+DROP INDEX IF EXISTS idx_compra_items_proveedor_producto;
+ALTER TABLE compra_items DROP COLUMN IF EXISTS proveedor_id;
+ALTER TABLE compra_items DROP COLUMN IF EXISTS producto_id;
@@ -0,0 +1,72 @@
+-- Historial de precios por proveedor/producto y minimos de stock para sugerir ordenes de compra.
+-- compra_items gana producto_id/proveedor_id: la lista-compras es un bucket diario por org,
+-- asi que el proveedor va por item (backfill desde compras.proveedor por nombre).
+
+ALTER TABLE compra_items ADD COLUMN IF NOT EXISTS producto_id INTEGER;
+ALTER TABLE compra_items ADD COLUMN IF NOT EXISTS proveedor_id INTEGER REFERENCES proveedores(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_compra_items_proveedor_producto ON compra_items (proveedor_id, producto_id);
+
+UPDATE compra_items ci
+   SET proveedor_id = p.id
+  FROM compras c
+  JOIN proveedores p
+    ON p.organizacion_id = c.organizacion_id
+   AND lower(trim(p.nombre)) = lower(trim(c.proveedor))
+ WHERE ci.compra_id = c.id
+   AND ci.proveedor_id IS NULL;
+
+-- Precios pagados: items de lista-compras con proveedor y ordenes de compra no borrador/cancelada
+CREATE OR REPLACE VIEW v_proveedor_precios AS
+SELECT c.organizacion_id,
+       ci.proveedor_id,
+       ci.producto_id,
+       ci.producto AS descripcion,
+       ci.precio_unitario,
+       COALESCE(c.moneda, 'ARS') AS moneda,
+       COALESCE(c.fecha, c.created_at) AS fecha,
+       'compra'::text AS origen,
+       c.id AS origen_id
+  FROM compra_items ci
+  JOIN compras c ON c.id = ci.compra_id
+ WHERE ci.proveedor_id IS NOT NULL
+   AND ci.precio_unitario > 0
+UNION ALL
+SELECT o.organizacion_id,
+       o.proveedor_id,
+       oi.producto_id,
+       oi.descripcion,
+       oi.precio_unitario,
+       o.moneda,
+       COALESCE(o.aprobado_at, o.created_at) AS fecha,
+       'orden_compra'::text AS origen,
+       o.id AS origen_id
+  FROM orden_compra_items oi
+  JOIN ordenes_compra o ON o.id = oi.orden_id
+ WHERE o.estado NOT IN ('borrador','cancelada')
+   AND oi.precio_unitario > 0;
+
+-- almacen_id NULL = minimo para todos los almacenes; cantidad_reorden NULL = reponer hasta 2x minimo
+CREATE TABLE IF NOT EXISTS stock_minimos (
+  id SERIAL PRIMARY KEY,
+  organizacion_id TEXT NOT NULL,
+  producto_id INTEGER NOT NULL,
+  almacen_id INTEGER,
+  stock_minimo NUMERIC(14,3) NOT NULL,
+  cantidad_reorden NUMERIC(14,3),
+  proveedor_id INTEGER REFERENCES proveedores(id) ON DELETE SET NULL,
+  activo BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT stock_minimos_cantidades_chk
+    CHECK (stock_minimo >= 0 AND (cantidad_reorden IS NULL OR cantidad_reorden > 0))
+);
+CREATE UNIQUE INDEX IF NOT EXISTS stock_minimos_org_prod_alm_uniq
+  ON stock_minimos (organizacion_id, producto_id, COALESCE(almacen_id, 0));
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'tr_stock_minimos_touch') THEN
+    CREATE TRIGGER tr_stock_minimos_touch BEFORE UPDATE ON public.stock_minimos
+    FOR EACH ROW EXECUTE FUNCTION touch_updated_at();
+  END IF;
+END $$;
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS stock_movimientos;
+DROP TABLE IF EXISTS stock_productos;
+DROP TABLE IF EXISTS stock_almacenes;
+ALTER TABLE public.org_profiles DROP CONSTRAINT IF EXISTS org_profiles_stock_adapter_chk;
+ALTER TABLE public.org_profiles DROP COLUMN IF EXISTS stock_adapter;
@@ -0,0 +1,73 @@
+-- Adaptador de stock local (Postgres) para orgs sin el servicio externo y para pruebas.
+-- org_profiles.stock_adapter: 'http' (servicio externo) | 'local'; NULL = STOCK_ADAPTER del entorno.
+-- Misma forma que el servicio: almacenes, productos (con su stock) y movimientos
+-- (/entradas, /salidas) deduplicados por Idempotency-Key.
+
+ALTER TABLE public.org_profiles
+  ADD COLUMN IF NOT EXISTS stock_adapter TEXT;
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'org_profiles_stock_adapter_chk') THEN
+    ALTER TABLE public.org_profiles
+      ADD CONSTRAINT org_profiles_stock_adapter_chk CHECK (stock_adapter IS NULL OR stock_adapter IN ('http','local'));
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS stock_almacenes (
+  id SERIAL PRIMARY KEY,
+  organizacion_id TEXT NOT NULL,
+  nombre TEXT NOT NULL,
+  activo BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS stock_almacenes_org_nombre_uniq ON stock_almacenes (organizacion_id, lower(nombre));
+
+-- Como en el servicio externo cada producto vive en un almacen; costo = precio de venta
+CREATE TABLE IF NOT EXISTS stock_productos (
+  id SERIAL PRIMARY KEY,
+  organizacion_id TEXT NOT NULL,
+  almacen_id INTEGER NOT NULL REFERENCES stock_almacenes(id),
+  nombre TEXT NOT NULL,
+  codigo_qr TEXT,
+  costo NUMERIC(14,2) NOT NULL DEFAULT 0,
+  stock NUMERIC(14,3) NOT NULL DEFAULT 0,
+  stock_minimo NUMERIC(14,3),
+  activo BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT stock_productos_valores_chk CHECK (costo >= 0 AND stock >= 0)
+);
+CREATE UNIQUE INDEX IF NOT EXISTS stock_productos_alm_codigo_uniq
+  ON stock_productos (almacen_id, codigo_qr) WHERE codigo_qr IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_stock_productos_org_nombre ON stock_productos (organizacion_id, lower(nombre));
+
+-- items: [{ producto_id, cantidad }] ya resueltos; cantidad siempre positiva, el tipo da el signo
+CREATE TABLE IF NOT EXISTS stock_movimientos (
+  id SERIAL PRIMARY KEY,
+  organizacion_id TEXT NOT NULL,
+  tipo TEXT NOT NULL,
+  almacen_id INTEGER NOT NULL REFERENCES stock_almacenes(id),
+  items JSONB NOT NULL,
+  referencia TEXT,
+  idempotency_key TEXT,
+  observaciones TEXT,
+  usuario_email TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT stock_movimientos_tipo_chk CHECK (tipo IN ('entrada','salida'))
+);
+CREATE UNIQUE INDEX IF NOT EXISTS stock_movimientos_org_idem_uniq
+  ON stock_movimientos (organizacion_id, idempotency_key) WHERE idempotency_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_stock_movimientos_org_created ON stock_movimientos (organizacion_id, created_at DESC);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'tr_stock_almacenes_touch') THEN
+    CREATE TRIGGER tr_stock_almacenes_touch BEFORE UPDATE ON public.stock_almacenes
+    FOR EACH ROW EXECUTE FUNCTION touch_updated_at();
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'tr_stock_productos_touch') THEN
+    CREATE TRIGGER tr_stock_productos_touch BEFORE UPDATE ON public.stock_productos
+    FOR EACH ROW EXECUTE FUNCTION touch_updated_at();
+  END IF;
+END $$;
@@ -0,0 +1,14 @@
+CREATE OR REPLACE FUNCTION proyectos_on_close() RETURNS trigger AS $$
+BEGIN
+  IF NEW.stage IN ('Won','Lost')
+     AND (OLD.stage IS DISTINCT FROM NEW.stage OR OLD.stage IS NULL) THEN
+    IF NEW.closed_at IS NULL THEN NEW.closed_at := NOW(); END IF;
+    NEW.result := lower(NEW.stage);
+  END IF;
+  RETURN NEW;
+END; $$ LANGUAGE plpgsql;
+
+DROP INDEX IF EXISTS idx_proyectos_pipeline;
+ALTER TABLE public.proyectos DROP COLUMN IF EXISTS pipeline_id;
+DROP TABLE IF EXISTS pipeline_stages;
+DROP TABLE IF EXISTS pipelines;
@@ -0,0 +1,82 @@
+-- Pipelines configurables por org (mas de uno: "Residencial", "Comercial"...). Cada etapa tiene
+-- orden, probabilidad, tipo open|won|lost, color y SLA en dias. Una org sin filas sigue con el
+-- pipeline fijo de utils/db.js segun su area. proyectos.pipeline_id NULL = pipeline default de la org.
+
+CREATE TABLE IF NOT EXISTS pipelines (
+  id SERIAL PRIMARY KEY,
+  organizacion_id TEXT NOT NULL,
+  nombre TEXT NOT NULL,
+  es_default BOOLEAN NOT NULL DEFAULT FALSE,
+  activo BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS pipelines_org_nombre_uniq ON pipelines (organizacion_id, lower(nombre));
+CREATE UNIQUE INDEX IF NOT EXISTS pipelines_org_default_uniq ON pipelines (organizacion_id) WHERE es_default;
+
+CREATE TABLE IF NOT EXISTS pipeline_stages (
+  id SERIAL PRIMARY KEY,
+  pipeline_id INTEGER NOT NULL REFERENCES pipelines(id) ON DELETE CASCADE,
+  nombre TEXT NOT NULL,
+  orden INTEGER NOT NULL DEFAULT 0,
+  probabilidad NUMERIC(5,2) NOT NULL DEFAULT 0,
+  tipo TEXT NOT NULL DEFAULT 'open',
+  color TEXT,
+  sla_dias INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT pipeline_stages_tipo_chk CHECK (tipo IN ('open','won','lost')),
+  CONSTRAINT pipeline_stages_prob_chk CHECK (probabilidad BETWEEN 0 AND 100),
+  CONSTRAINT pipeline_stages_sla_chk CHECK (sla_dias IS NULL OR sla_dias > 0)
+);
+CREATE UNIQUE INDEX IF NOT EXISTS pipeline_stages_pipeline_nombre_uniq ON pipeline_stages (pipeline_id, lower(nombre));
+CREATE INDEX IF NOT EXISTS idx_pipeline_stages_pipeline_orden ON pipeline_stages (pipeline_id, orden);
+
+ALTER TABLE public.proyectos
+  ADD COLUMN IF NOT EXISTS pipeline_id INTEGER REFERENCES pipelines(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_proyectos_pipeline ON proyectos (pipeline_id);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'tr_pipelines_touch') THEN
+    CREATE TRIGGER tr_pipelines_touch BEFORE UPDATE ON public.pipelines
+    FOR EACH ROW EXECUTE FUNCTION touch_updated_at();
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'tr_pipeline_stages_touch') THEN
+    CREATE TRIGGER tr_pipeline_stages_touch BEFORE UPDATE ON public.pipeline_stages
+    FOR EACH ROW EXECUTE FUNCTION touch_updated_at();
+  END IF;
+END $$;
+
+-- Cierre por tipo de etapa (antes: stage IN ('Won','Lost')). Sin definicion usa los
+-- pipelines fijos: Won/Completado ganan, Lost/Turno perdido pierden.
+CREATE OR REPLACE FUNCTION proyectos_on_close() RETURNS trigger AS $$
+DECLARE
+  t TEXT;
+BEGIN
+  IF OLD.stage IS DISTINCT FROM NEW.stage OR OLD.stage IS NULL
+     OR OLD.pipeline_id IS DISTINCT FROM NEW.pipeline_id THEN
+    SELECT s.tipo INTO t
+      FROM pipeline_stages s
+     WHERE s.pipeline_id = COALESCE(
+             NEW.pipeline_id,
+             (SELECT p.id FROM pipelines p
+               WHERE p.organizacion_id = NEW.organizacion_id::text AND p.activo
+               ORDER BY p.es_default DESC, p.id
+               LIMIT 1))
+       AND lower(s.nombre) = lower(NEW.stage)
+     LIMIT 1;
+    IF t IS NULL THEN
+      t := CASE
+             WHEN NEW.stage IN ('Won','Completado') THEN 'won'
+             WHEN NEW.stage IN ('Lost','Turno perdido') THEN 'lost'
+             ELSE 'open'
+           END;
+    END IF;
+    IF t IN ('won','lost') THEN
+      IF NEW.closed_at IS NULL THEN NEW.closed_at := NOW(); END IF;
+      NEW.result := t;
+    END IF;
+  END IF;
+  RETURN NEW;
+END; $$ LANGUAGE plpgsql;
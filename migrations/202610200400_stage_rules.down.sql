@@ -0,0 +1,7 @@
+ALTER TABLE public.proyectos DROP COLUMN IF EXISTS lost_reason;
+
+ALTER TABLE public.pipeline_stages
+  DROP COLUMN IF EXISTS motivos,
+  DROP COLUMN IF EXISTS requiere_motivo,
+  DROP COLUMN IF EXISTS desde,
+  DROP COLUMN IF EXISTS requisitos;
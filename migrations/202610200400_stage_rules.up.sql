@@ -0,0 +1,22 @@
+-- Reglas de entrada por etapa: campos requeridos del proyecto, etapas desde las que se puede
+-- llegar (vacio = cualquiera) y motivo obligatorio (opcionalmente de una lista) al perder.
+ALTER TABLE public.pipeline_stages
+  ADD COLUMN IF NOT EXISTS requisitos TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS desde TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS requiere_motivo BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS motivos TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE public.proyectos
+  ADD COLUMN IF NOT EXISTS lost_reason TEXT;
+
+-- Pipelines ya creados copiaron las etapas fijas sin reglas: las etapas que coinciden en nombre
+-- y tipo con las fijas reciben sus reglas (solo si siguen sin ninguna).
+UPDATE public.pipeline_stages s
+   SET requisitos = f.requisitos, requiere_motivo = f.requiere_motivo
+  FROM (VALUES
+         ('Bid/Estimate Sent', 'open', ARRAY['estimate_amount']::text[], FALSE),
+         ('Won',               'won',  ARRAY['estimate_amount']::text[], FALSE),
+         ('Lost',              'lost', '{}'::text[],                     TRUE)
+       ) AS f(nombre, tipo, requisitos, requiere_motivo)
+ WHERE s.nombre = f.nombre AND s.tipo = f.tipo
+   AND s.requisitos = '{}' AND s.desde = '{}' AND NOT s.requiere_motivo AND s.motivos = '{}';
@@ -0,0 +1,3 @@
+DROP TRIGGER IF EXISTS tr_proyectos_stage_history ON public.proyectos;
+DROP FUNCTION IF EXISTS proyectos_stage_history();
+DROP TABLE IF EXISTS proyecto_stage_history;
@@ -0,0 +1,51 @@
+-- Historial de etapas de proyectos: una fila por cada cambio de stage (y el alta), con quien y
+-- cuando. "Quien" sale de la variable de sesion vex.actor (utils/db.js withActor); en el alta,
+-- si no esta seteada, el creador del proyecto.
+CREATE TABLE IF NOT EXISTS proyecto_stage_history (
+  id BIGSERIAL PRIMARY KEY,
+  proyecto_id INTEGER NOT NULL REFERENCES proyectos(id) ON DELETE CASCADE,
+  organizacion_id TEXT,
+  pipeline_id INTEGER,
+  from_stage TEXT,
+  to_stage TEXT NOT NULL,
+  changed_by TEXT,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  backfill BOOLEAN NOT NULL DEFAULT FALSE
+);
+CREATE INDEX IF NOT EXISTS idx_stage_history_proyecto ON proyecto_stage_history (proyecto_id, changed_at);
+CREATE INDEX IF NOT EXISTS idx_stage_history_org_changed ON proyecto_stage_history (organizacion_id, changed_at);
+
+CREATE OR REPLACE FUNCTION proyectos_stage_history() RETURNS trigger AS $$
+DECLARE
+  actor TEXT := NULLIF(current_setting('vex.actor', true), '');
+BEGIN
+  -- renombre de etapa (PUT /pipelines/:id): no es un movimiento, el historial se renombra aparte
+  IF NEW.stage IS NULL OR current_setting('vex.stage_rename', true) = 'on' THEN RETURN NEW; END IF;
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO proyecto_stage_history (proyecto_id, organizacion_id, pipeline_id, from_stage, to_stage, changed_by)
+    VALUES (NEW.id, NEW.organizacion_id::text, NEW.pipeline_id, NULL, NEW.stage, COALESCE(actor, NEW.usuario_email));
+  ELSIF OLD.stage IS DISTINCT FROM NEW.stage THEN
+    INSERT INTO proyecto_stage_history (proyecto_id, organizacion_id, pipeline_id, from_stage, to_stage, changed_by)
+    VALUES (NEW.id, NEW.organizacion_id::text, NEW.pipeline_id, OLD.stage, NEW.stage, actor);
+  END IF;
+  RETURN NEW;
+END; $$ LANGUAGE plpgsql;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'tr_proyectos_stage_history') THEN
+    CREATE TRIGGER tr_proyectos_stage_history
+    AFTER INSERT OR UPDATE OF stage ON public.proyectos
+    FOR EACH ROW EXECUTE FUNCTION proyectos_stage_history();
+  END IF;
+END $$;
+
+-- Punto de partida para los proyectos existentes: la etapa actual desde que se creo
+-- (o desde el cierre). backfill = TRUE para que las duraciones puedan excluirlas.
+INSERT INTO proyecto_stage_history
+  (proyecto_id, organizacion_id, pipeline_id, from_stage, to_stage, changed_by, changed_at, backfill)
+SELECT p.id, p.organizacion_id::text, p.pipeline_id, NULL, p.stage, NULL,
+       COALESCE(p.closed_at, p.created_at, NOW()), TRUE
+  FROM proyectos p
+ WHERE p.stage IS NOT NULL
+   AND NOT EXISTS (SELECT 1 FROM proyecto_stage_history h WHERE h.proyecto_id = p.id);
@@ -1,8 +1,12 @@
 // Backend/routes/analytics.js
 import { Router } from "express";
-import { q } from "../utils/db.js";
+import { q, pool, pipelinesForOrg, pipelineDefForOrg } from "../utils/db.js";
 import { authenticateToken } from "../middleware/auth.js";
 import { getOrgText } from "../utils/org.js";
+import { hasTable, tableColumns } from "../utils/schema.js";
+import { loadFx, convertByCurrency } from "../utils/fx.js";
+import { round2 } from "../utils/money.js";
+import { apSnapshot, emptyAp } from "../services/payables.service.js";
 
 const router = Router();
 
@@ -32,43 +36,19 @@ function nocache(_req, res, next) {
   res.set("Vary", "Authorization");
   next();
 }
-async function regclassExists(name) {
-  try {
-    const r = await q(`SELECT to_regclass($1) IS NOT NULL AS ok`, [`public.${name}`]);
-    return !!r.rows?.[0]?.ok;
-  } catch {
-    return false;
-  }
-}
 
 /* ---------- detección de tabla pipeline (con cache) ---------- */
 let PIPE_CACHE = { name: null, ts: 0 };
 async function pickPipelineTable() {
   const now = Date.now();
   if (PIPE_CACHE.name && now - PIPE_CACHE.ts < 10 * 60 * 1000) return PIPE_CACHE.name;
-  const hasProy = await regclassExists("proyectos");
-  const hasCli = await regclassExists("clientes");
+  const hasProy = await hasTable("proyectos");
+  const hasCli = await hasTable("clientes");
   const name = hasProy ? "proyectos" : hasCli ? "clientes" : null;
   PIPE_CACHE = { name, ts: now };
   return name;
 }
 
-/* ---------- detección de columnas por tabla (cache) ---------- */
-const COLS_CACHE = new Map(); // key: table, val: { ts, set:Set<string> }
-async function tableColumns(table) {
-  const now = Date.now();
-  const cached = COLS_CACHE.get(table);
-  if (cached && now - cached.ts < 10 * 60 * 1000) return cached.set;
-
-  const r = await q(
-    `SELECT column_name FROM information_schema.columns
-     WHERE table_schema='public' AND table_name=$1`,
-    [table]
-  );
-  const set = new Set((r.rows || []).map((x) => x.column_name));
-  COLS_CACHE.set(table, { ts: now, set });
-  return set;
-}
 function pickOne(set, candidates) {
   for (const c of candidates) if (set.has(c)) return c;
   return null;
@@ -85,6 +65,7 @@ router.get("/kpis", authenticateToken, nocache, async (req, res) => {
 
   try {
     const { fromISO, toISO } = parseRange(req.query);
+    const fx = await loadFx(orgId);
 
     // stalled_days seguro: entero >=1; si no, 7
     const stalledDays = (() => {
@@ -93,8 +74,8 @@ router.get("/kpis", authenticateToken, nocache, async (req, res) => {
       return 7;
     })();
 
-    const hasClientes = await regclassExists("clientes");
-    const hasTareas = await regclassExists("tareas");
+    const hasClientes = await hasTable("clientes");
+    const hasTareas = await hasTable("tareas");
     const PIPE = await pickPipelineTable();
 
     // Sin clientes ni pipeline -> estructura vacía
@@ -267,9 +248,20 @@ router.get("/kpis", authenticateToken, nocache, async (req, res) => {
         ? `${dateCol} >= $2::timestamptz AND ${dateCol} < $3::timestamptz`
         : `($2::timestamptz IS NOT NULL AND $3::timestamptz IS NOT NULL)`;
 
-      // condiciones won/lost robustas
-      const wonCond = `(${stageCol ? `${stageCol} ~* '^(won|ganad)'` : "FALSE"}${resultCol ? ` OR ${resultCol}='won'` : ""})`;
-      const lostCond = `(${stageCol ? `${stageCol} ~* '^(lost|perdid)'` : "FALSE"}${resultCol ? ` OR ${resultCol}='lost'` : ""})`;
+      // etapas definidas (pipelines de la org o el fijo de su area); default primero
+      const stageDefs = PIPE === "proyectos" ? (await pipelinesForOrg(orgId)).flatMap((p) => p.stages) : [];
+      const stageInfo = new Map();
+      for (const st of stageDefs) if (!stageInfo.has(st.nombre)) stageInfo.set(st.nombre, st);
+      const namesOf = (tipo) => [...new Set(stageDefs.filter((st) => st.tipo === tipo).map((st) => st.nombre))];
+
+      // condiciones won/lost: por tipo de etapa si hay definicion, si no por nombre
+      const byTipo = !!(stageCol && stageDefs.length);
+      const wonStage = byTipo ? `${stageCol} = ANY($4::text[])` : stageCol ? `${stageCol} ~* '^(won|ganad)'` : "FALSE";
+      const lostStage = byTipo ? `${stageCol} = ANY($5::text[])` : stageCol ? `${stageCol} ~* '^(lost|perdid)'` : "FALSE";
+      const wonCond = `(${wonStage}${resultCol ? ` OR ${resultCol}='won'` : ""})`;
+      const lostCond = `(${lostStage}${resultCol ? ` OR ${resultCol}='lost'` : ""})`;
+      // $4/$5 solo en las consultas que usan wonCond/lostCond
+      const condParams = [orgId, fromISO, toISO, ...(byTipo ? [namesOf("won"), namesOf("lost")] : [])];
 
       const bySourceSQL = `
         WITH agg AS (
@@ -285,7 +277,7 @@ router.get("/kpis", authenticateToken, nocache, async (req, res) => {
                CASE WHEN (won+lost)>0 THEN ROUND(100.0*won/(won+lost))::int ELSE 0 END AS win_rate
           FROM agg
          ORDER BY win_rate DESC, won DESC, source ASC`;
-      const bySource = await q(bySourceSQL, [orgId, fromISO, toISO]);
+      const bySource = await q(bySourceSQL, condParams);
       pipeline_by_source = bySource.rows || [];
 
       const byOwnerSQL = `
@@ -310,7 +302,7 @@ router.get("/kpis", authenticateToken, nocache, async (req, res) => {
                CASE WHEN (won+lost)>0 THEN ROUND(100.0*won/(won+lost))::int ELSE 0 END AS win_rate
           FROM agg
          ORDER BY win_rate DESC, won DESC, owner ASC`;
-      const byOwner = await q(byOwnerSQL, [orgId, fromISO, toISO]);
+      const byOwner = await q(byOwnerSQL, condParams);
       pipeline_by_owner = byOwner.rows || [];
 
       const dateAggExpr = `COALESCE(${[closedCol, updatedCol, createdCol].filter(Boolean).join(", ") || "NULL"}, NOW())`;
@@ -322,7 +314,7 @@ router.get("/kpis", authenticateToken, nocache, async (req, res) => {
         WHERE organizacion_id::text = $1::text
           AND ${dateAggExpr} >= $2::timestamptz
           AND ${dateAggExpr} <  $3::timestamptz`,
-        [orgId, fromISO, toISO]
+        condParams
       );
       const wonTotal = num(wonLostAgg.rows?.[0]?.won, 0);
       const lostTotal = num(wonLostAgg.rows?.[0]?.lost, 0);
@@ -336,16 +328,51 @@ router.get("/kpis", authenticateToken, nocache, async (req, res) => {
          GROUP BY 1`;
       const stagesAgg = await q(stagesAggSQL, [orgId, fromISO, toISO]);
 
+      // orden/tipo/probabilidad/color de la definicion; etapas fuera del pipeline al final
+      const stages = (stagesAgg.rows || [])
+        .map((r) => {
+          const st = stageInfo.get(r.stage);
+          return st
+            ? { ...r, orden: st.orden, tipo: st.tipo, probabilidad: st.probabilidad, color: st.color }
+            : { ...r, orden: null, tipo: null, probabilidad: null, color: null };
+        })
+        .sort((a, b) => (a.orden ?? Infinity) - (b.orden ?? Infinity) || b.total - a.total);
+
       pipeline_summary = {
         won: wonTotal,
         lost: lostTotal,
         win_rate,
-        stages: stagesAgg.rows || [],
+        stages,
         table: PIPE,
       };
+
+      // valor del pipeline (estimate_amount) en moneda base; sin moneda se asume la base
+      if (cols.has("estimate_amount")) {
+        const curExpr = cols.has("estimate_currency") ? "UPPER(TRIM(estimate_currency))" : "NULL";
+        const val = await q(
+          `SELECT ${curExpr} AS currency,
+                  COALESCE(SUM(estimate_amount) FILTER (
+                    WHERE NOT COALESCE(${wonCond}, FALSE) AND NOT COALESCE(${lostCond}, FALSE)
+                  ), 0) AS open,
+                  COALESCE(SUM(estimate_amount) FILTER (
+                    WHERE COALESCE(${wonCond}, FALSE)
+                      AND ${dateAggExpr} >= $2::timestamptz AND ${dateAggExpr} < $3::timestamptz
+                  ), 0) AS won
+             FROM ${PIPE}
+            WHERE organizacion_id::text = $1::text
+            GROUP BY 1`,
+          condParams
+        );
+        const { totals, fx: used } = convertByCurrency(val.rows, { amounts: ["open", "won"] }, fx);
+        pipeline_summary.value = { open: totals.open, won: totals.won, currency: fx.base, fx: used };
+      }
     }
 
-    /* ---------- AR / DSO ---------- */
+    /* ---------- AR / DSO (convertido a la moneda base) ---------- */
+    const AR_AMOUNTS = [
+      "ar_total", "overdue_amount", "due_next_7",
+      "bucket_current", "bucket_1_30", "bucket_31_60", "bucket_61_90", "bucket_90p",
+    ];
     let ar = {
       total: 0,
       overdue: { count: 0, amount: 0 },
@@ -353,74 +380,92 @@ router.get("/kpis", authenticateToken, nocache, async (req, res) => {
       aging: { current: 0, d1_30: 0, d31_60: 0, d61_90: 0, d90p: 0 },
       dso_days: 0,
       source: "none",
+      currency: fx.base,
+      fx: null,
     };
 
-    const hasAgingView = await regclassExists("v_ar_aging");
-    const hasInvoicesTable = await regclassExists("invoices");
+    const hasAgingView = await hasTable("v_ar_aging");
+    const hasInvoicesTable = await hasTable("invoices");
 
+    let arRows = null;
     if (hasAgingView) {
+      // una fila por moneda
       const r = await q(`SELECT * FROM v_ar_aging WHERE organizacion_id::text = $1::text`, [orgId]);
-      const v = r.rows?.[0] || {};
-      ar = {
-        total: num(v.ar_total),
-        overdue: { count: num(v.overdue_count), amount: num(v.overdue_amount) },
-        due_next_7: num(v.due_next_7),
-        aging: {
-          current: num(v.bucket_current),
-          d1_30: num(v.bucket_1_30),
-          d31_60: num(v.bucket_31_60),
-          d61_90: num(v.bucket_61_90),
-          d90p: num(v.bucket_90p),
-        },
-        dso_days: 0,
-        source: "v_ar_aging",
-      };
+      arRows = r.rows || [];
+      ar.source = "v_ar_aging";
     } else if (hasInvoicesTable) {
+      // saldo neto de notas de credito si la columna ya existe
+      const bal = (await tableColumns("invoices")).has("amount_credited")
+        ? "amount_total - amount_paid - amount_credited"
+        : "amount_total - amount_paid";
       const base = await q(
         `SELECT
-           SUM(GREATEST(amount_total - amount_paid,0)) AS ar_total,
-           SUM(GREATEST(amount_total - amount_paid,0)) FILTER (WHERE (now()::date - due_date) > 0) AS overdue_amount,
+           UPPER(TRIM(currency)) AS currency,
+           SUM(GREATEST(${bal},0)) AS ar_total,
+           SUM(GREATEST(${bal},0)) FILTER (WHERE (now()::date - due_date) > 0) AS overdue_amount,
            COUNT(*) FILTER (WHERE (now()::date - due_date) > 0)::int AS overdue_count,
-           SUM(GREATEST(amount_total - amount_paid,0)) FILTER (WHERE due_date BETWEEN now()::date AND (now()::date + 7)) AS due_next_7,
-           SUM(GREATEST(amount_total - amount_paid,0)) FILTER (WHERE (now()::date - due_date) <= 0) AS bucket_current,
-           SUM(GREATEST(amount_total - amount_paid,0)) FILTER (WHERE (now()::date - due_date) BETWEEN 1 AND 30) AS bucket_1_30,
-           SUM(GREATEST(amount_total - amount_paid,0)) FILTER (WHERE (now()::date - due_date) BETWEEN 31 AND 60) AS bucket_31_60,
-           SUM(GREATEST(amount_total - amount_paid,0)) FILTER (WHERE (now()::date - due_date) BETWEEN 61 AND 90) AS bucket_61_90,
-           SUM(GREATEST(amount_total - amount_paid,0)) FILTER (WHERE (now()::date - due_date) > 90) AS bucket_90p
+           SUM(GREATEST(${bal},0)) FILTER (WHERE due_date BETWEEN now()::date AND (now()::date + 7)) AS due_next_7,
+           SUM(GREATEST(${bal},0)) FILTER (WHERE (now()::date - due_date) <= 0) AS bucket_current,
+           SUM(GREATEST(${bal},0)) FILTER (WHERE (now()::date - due_date) BETWEEN 1 AND 30) AS bucket_1_30,
+           SUM(GREATEST(${bal},0)) FILTER (WHERE (now()::date - due_date) BETWEEN 31 AND 60) AS bucket_31_60,
+           SUM(GREATEST(${bal},0)) FILTER (WHERE (now()::date - due_date) BETWEEN 61 AND 90) AS bucket_61_90,
+           SUM(GREATEST(${bal},0)) FILTER (WHERE (now()::date - due_date) > 90) AS bucket_90p
          FROM invoices
         WHERE status IN ('sent','partial','overdue')
-          AND organizacion_id::text = $1::text`,
+          AND organizacion_id::text = $1::text
+        GROUP BY 1`,
         [orgId]
       );
-      const v = base.rows?.[0] || {};
+      arRows = base.rows || [];
+      ar.source = "invoices";
+    }
+
+    if (arRows) {
+      const { totals: v, fx: used } = convertByCurrency(
+        arRows,
+        { amounts: AR_AMOUNTS, counts: ["overdue_count"] },
+        fx
+      );
       ar = {
-        total: num(v.ar_total),
-        overdue: { count: num(v.overdue_count), amount: num(v.overdue_amount) },
-        due_next_7: num(v.due_next_7),
+        ...ar,
+        total: v.ar_total,
+        overdue: { count: v.overdue_count, amount: v.overdue_amount },
+        due_next_7: v.due_next_7,
         aging: {
-          current: num(v.bucket_current),
-          d1_30: num(v.bucket_1_30),
-          d31_60: num(v.bucket_31_60),
-          d61_90: num(v.bucket_61_90),
-          d90p: num(v.bucket_90p),
+          current: v.bucket_current,
+          d1_30: v.bucket_1_30,
+          d31_60: v.bucket_31_60,
+          d61_90: v.bucket_61_90,
+          d90p: v.bucket_90p,
         },
-        dso_days: 0,
-        source: "invoices",
+        fx: used,
       };
+    }
 
+    if (hasInvoicesTable) {
       const sales30 = await q(
-        `SELECT COALESCE(SUM(amount_total),0) AS s
+        `SELECT UPPER(TRIM(currency)) AS currency, COALESCE(SUM(amount_total),0) AS s
            FROM invoices
           WHERE organizacion_id::text = $1::text
             AND issue_date >= (CURRENT_DATE - INTERVAL '30 days')
-            AND status IN ('sent','partial','paid','overdue')`,
+            AND status IN ('sent','partial','paid','overdue')
+          GROUP BY 1`,
         [orgId]
       );
-      const s = num(sales30.rows?.[0]?.s, 0);
+      const s = convertByCurrency(sales30.rows, { amounts: ["s"] }, fx).totals.s;
       const daily = s / 30;
       ar.dso_days = daily > 0 ? Math.round(num(ar.total) / daily) : 0;
     }
 
+    /* ---------- AP (cuentas a pagar, misma forma que ar) ---------- */
+    // opcional: si falla (tablas/vista de proveedores a medio instalar) va vacio, no tira el resto
+    let ap = emptyAp(fx.base);
+    try {
+      ap = await apSnapshot(pool, { org: orgId, fx });
+    } catch (e) {
+      console.error("[GET /analytics/kpis] ap:", e?.message || e);
+    }
+
     /* ---------- Qualification (sobre clientes) ---------- */
     let qualifiedCount = 0;
     let uncontactableCount = 0;
@@ -502,6 +547,7 @@ router.get("/kpis", authenticateToken, nocache, async (req, res) => {
       contacts: { total: totalContacts, new_by_day, contactability_pct, first_touch },
       tasks: { overdue: tasks_overdue, due_next_7d: tasks_next_7d },
       ar,
+      ap,
       pipeline: {
         by_source: pipeline_by_source,
         by_owner: pipeline_by_owner,
@@ -531,6 +577,7 @@ router.get("/kpis", authenticateToken, nocache, async (req, res) => {
         dso_days: 0,
         source: "none",
       },
+      ap: emptyAp(),
       pipeline: { by_source: [], by_owner: [], summary: { won: 0, lost: 0, win_rate: 0, stages: [], table: "clientes" } },
       qualification: {
         total: 0,
@@ -545,11 +592,351 @@ router.get("/kpis", authenticateToken, nocache, async (req, res) => {
   }
 });
 
+/* =================== Forecast de ventas =================== */
+// clave de agrupacion sobre las filas de proyectos ya clasificadas (fecha = cierre real o estimado)
+const FORECAST_GROUPS = {
+  month: `to_char(fecha, 'YYYY-MM')`,
+  owner: `COALESCE(NULLIF(assignee,''), NULLIF(usuario_email,''), 'Unassigned')`,
+  source: `COALESCE(NULLIF(source,''), 'Unknown')`,
+};
+const FORECAST_AMOUNTS = ["won", "commit_open", "open_amount", "weighted_open"];
+const FORECAST_COUNTS = ["won_count", "open_count"];
+
+// ?from&to (fechas) o ?months desde el primer dia del mes actual (default 3 meses)
+function forecastRange(query) {
+  const now = new Date();
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const months = Math.min(24, Math.max(1, parseInt(query?.months, 10) || 3));
+  const from = query?.from ? new Date(query.from) : monthStart;
+  const safeFrom = isNaN(from.getTime()) ? monthStart : from;
+  const to = query?.to ? new Date(query.to) : null;
+  const safeTo =
+    to && !isNaN(to.getTime()) && to > safeFrom
+      ? to
+      : new Date(Date.UTC(safeFrom.getUTCFullYear(), safeFrom.getUTCMonth() + months, 1));
+  return { from: safeFrom.toISOString().slice(0, 10), to: safeTo.toISOString().slice(0, 10) };
+}
+
+function monthsBetween(from, to) {
+  const out = [];
+  const d = new Date(`${from.slice(0, 7)}-01T00:00:00Z`);
+  while (d.toISOString().slice(0, 10) < to) {
+    out.push(d.toISOString().slice(0, 7));
+    d.setUTCMonth(d.getUTCMonth() + 1);
+  }
+  return out;
+}
+
+function forecastTotals(rows, fx) {
+  const { totals, fx: used } = convertByCurrency(rows, { amounts: FORECAST_AMOUNTS, counts: FORECAST_COUNTS }, fx);
+  return {
+    totals: {
+      won: totals.won,
+      committed: round2(totals.won + totals.commit_open),
+      best_case: round2(totals.won + totals.open_amount),
+      weighted: round2(totals.won + totals.weighted_open),
+      open: totals.open_amount,
+      won_count: totals.won_count,
+      open_count: totals.open_count,
+    },
+    fx: used,
+  };
+}
+
+/**
+ * Forecast por periodo (?group=month|owner|source, ?from&to o ?months, ?pipeline_id, ?commit_min).
+ * Ganados cuentan por closed_at; abiertos por fecha_cierre_estimada, con prob_win o, si es null,
+ * la probabilidad de su etapa. committed = ganado + abiertos con prob >= commit_min (default 90);
+ * best_case = ganado + todo lo abierto; weighted = ganado + abiertos x prob.
+ * Abiertos con fecha vencida o sin fecha van aparte (overdue / undated). Montos en la moneda base.
+ */
+router.get("/forecast", authenticateToken, nocache, async (req, res) => {
+  const orgId = getOrgText(req);
+  if (!orgId) return res.status(400).json({ error: "organizacion_id requerido" });
+
+  const group = String(req.query?.group || "month").toLowerCase();
+  if (!(group in FORECAST_GROUPS)) {
+    return res.status(400).json({ error: "group_invalido", groups: Object.keys(FORECAST_GROUPS) });
+  }
+
+  try {
+    const { from, to } = forecastRange(req.query);
+    const commitMin = Math.min(100, Math.max(0, num(req.query?.commit_min, 90)));
+    const fx = await loadFx(orgId);
+
+    // probabilidad/tipo por etapa de cada pipeline; pid 0 = proyectos sin pipeline_id (el default)
+    const pipelines = await pipelinesForOrg(orgId);
+    const dflt = await pipelineDefForOrg(orgId);
+    // por id (y builtin), no por referencia: las dos lecturas pueden venir de cargas distintas del cache
+    const isDefault = (def) => !!dflt && def.id === dflt.id && !!def.builtin === !!dflt.builtin;
+    const st = { pid: [], nombre: [], probabilidad: [], tipo: [] };
+    for (const def of pipelines) {
+      const pids = [def.id, isDefault(def) ? 0 : null].filter((x) => x != null);
+      for (const pid of pids) {
+        for (const s of def.stages) {
+          st.pid.push(pid);
+          st.nombre.push(s.nombre);
+          st.probabilidad.push(Number(s.probabilidad) || 0);
+          st.tipo.push(s.tipo);
+        }
+      }
+    }
+
+    const params = [orgId, from, to, st.pid, st.nombre, st.probabilidad, st.tipo, commitMin];
+    let pipeFilter = "";
+    let pipeline = null;
+    if (req.query?.pipeline_id) {
+      const def = await pipelineDefForOrg(orgId, req.query.pipeline_id);
+      if (!def) return res.status(400).json({ error: "pipeline_id_invalido" });
+      pipeline = { id: def.id, nombre: def.nombre };
+      if (def.id != null) {
+        params.push(def.id);
+        pipeFilter = isDefault(def) ? `AND (p.pipeline_id = $9 OR p.pipeline_id IS NULL)` : `AND p.pipeline_id = $9`;
+      }
+    }
+    const r = await q(
+      `WITH st AS (
+         SELECT * FROM unnest($4::int[], $5::text[], $6::numeric[], $7::text[]) AS s(pid, nombre, probabilidad, tipo)
+       ), f AS (
+         SELECT p.*,
+                CASE WHEN p.result = 'won' OR st.tipo = 'won' THEN 'won'
+                     WHEN p.result = 'lost' OR st.tipo = 'lost' THEN 'lost'
+                     ELSE 'open' END AS estado,
+                CASE WHEN p.result = 'won' OR st.tipo = 'won' THEN COALESCE(p.closed_at, p.updated_at)::date
+                     ELSE p.fecha_cierre_estimada END AS fecha,
+                LEAST(GREATEST(COALESCE(p.prob_win, st.probabilidad, 0), 0), 100) AS prob,
+                COALESCE(p.estimate_amount, 0) AS amount,
+                UPPER(TRIM(p.estimate_currency)) AS currency
+           FROM proyectos p
+           LEFT JOIN st ON st.pid = COALESCE(p.pipeline_id, 0) AND st.nombre = p.stage
+          WHERE p.organizacion_id::text = $1::text ${pipeFilter}
+       ), b AS (
+         SELECT f.*,
+                CASE WHEN f.estado = 'lost' THEN NULL
+                     WHEN f.fecha >= $2::date AND f.fecha < $3::date THEN 'in'
+                     WHEN f.estado <> 'open' THEN NULL
+                     WHEN f.fecha IS NULL THEN 'undated'
+                     WHEN f.fecha < $2::date THEN 'overdue'
+                END AS bucket
+           FROM f
+       )
+       SELECT bucket,
+              CASE WHEN bucket = 'in' THEN ${FORECAST_GROUPS[group]} END AS key,
+              currency,
+              COALESCE(SUM(amount) FILTER (WHERE estado = 'won'), 0) AS won,
+              COUNT(*) FILTER (WHERE estado = 'won')::int AS won_count,
+              COALESCE(SUM(amount) FILTER (WHERE estado = 'open' AND prob >= $8), 0) AS commit_open,
+              COALESCE(SUM(amount) FILTER (WHERE estado = 'open'), 0) AS open_amount,
+              COALESCE(SUM(amount * prob / 100) FILTER (WHERE estado = 'open'), 0) AS weighted_open,
+              COUNT(*) FILTER (WHERE estado = 'open')::int AS open_count
+         FROM b
+        WHERE bucket IS NOT NULL
+        GROUP BY 1, 2, 3`,
+      params
+    );
+
+    const rows = r.rows || [];
+    const inRows = rows.filter((x) => x.bucket === "in");
+    const byKey = new Map();
+    for (const row of inRows) {
+      const list = byKey.get(row.key) || [];
+      list.push(row);
+      byKey.set(row.key, list);
+    }
+    // meses sin movimiento tambien aparecen (en cero)
+    const keys = group === "month" ? monthsBetween(from, to) : [...byKey.keys()];
+    const periods = keys.map((key) => ({ key, ...forecastTotals(byKey.get(key) || [], fx).totals }));
+    if (group !== "month") periods.sort((a, b) => b.weighted - a.weighted || String(a.key).localeCompare(String(b.key)));
+
+    const total = forecastTotals(inRows, fx);
+    const side = (bucket) => {
+      const { open, open_count, weighted } = forecastTotals(rows.filter((x) => x.bucket === bucket), fx).totals;
+      return { open, open_count, weighted };
+    };
+
+    res.json({
+      group,
+      range: { from, to },
+      commit_min: commitMin,
+      pipeline,
+      currency: fx.base,
+      periods,
+      totals: total.totals,
+      overdue: side("overdue"),
+      undated: side("undated"),
+      fx: forecastTotals(rows, fx).fx,
+    });
+  } catch (e) {
+    console.error("[GET /analytics/forecast]", e?.stack || e?.message || e);
+    res.status(500).json({ error: "error_forecast" });
+  }
+});
+
+/* =================== Velocidad del pipeline =================== */
+const days = (v) => (v == null ? null : Math.round(Number(v) * 10) / 10);
+
+/**
+ * Sobre proyecto_stage_history (?from&to, ?pipeline_id; sin el, el pipeline default):
+ * - stages: dias promedio/mediana en cada etapa (estadias que terminaron en el rango, sin las
+ *   filas de backfill) y cuantos estan hoy en la etapa con su antiguedad promedio.
+ * - conversion: entre etapas consecutivas del camino principal, de los movimientos del rango que
+ *   salieron de una etapa, cuantos fueron a la siguiente (transitions: todos los from -> to).
+ * - time_to_close: dias de alta a cierre (closed_at en el rango), total, por source y por owner.
+ */
+router.get("/pipeline/velocity", authenticateToken, nocache, async (req, res) => {
+  const orgId = getOrgText(req);
+  if (!orgId) return res.status(400).json({ error: "organizacion_id requerido" });
+
+  try {
+    if (!(await hasTable("proyecto_stage_history"))) {
+      return res.status(501).json({ error: "stage_history_no_instalado" });
+    }
+    const { fromISO, toISO } = parseRange(req.query);
+    const pipelineId = req.query?.pipeline_id ? Number(req.query.pipeline_id) : null;
+    const def = await pipelineDefForOrg(orgId, pipelineId);
+    if (!def) return res.status(400).json({ error: "pipeline_id_invalido" });
+
+    // proyectos del pipeline (sin pipeline_id = el default); $1 org, $2/$3 rango, $4 pipeline
+    const base = [orgId, fromISO, toISO];
+    let pipeFilter = "TRUE";
+    if (def.id != null) {
+      base.push(def.id);
+      pipeFilter = def.es_default ? `(p.pipeline_id = $4 OR p.pipeline_id IS NULL)` : `p.pipeline_id = $4`;
+    }
+    const inRange = (col) => `${col} >= $2::timestamptz AND ${col} < $3::timestamptz`;
+    const stintDays = "EXTRACT(EPOCH FROM (exited - entered)) / 86400";
+    const closedStint = `exited IS NOT NULL AND ${inRange("exited")} AND NOT backfill`;
+
+    const stints = await q(
+      `WITH h AS (
+         SELECT h.to_stage AS stage, h.changed_at AS entered, h.backfill,
+                LEAD(h.changed_at) OVER (PARTITION BY h.proyecto_id ORDER BY h.changed_at, h.id) AS exited
+           FROM proyecto_stage_history h
+           JOIN proyectos p ON p.id = h.proyecto_id
+          WHERE p.organizacion_id::text = $1::text AND ${pipeFilter}
+       )
+       SELECT stage,
+              COUNT(*) FILTER (WHERE ${closedStint})::int AS exits,
+              AVG(${stintDays}) FILTER (WHERE ${closedStint}) AS avg_days,
+              percentile_cont(0.5) WITHIN GROUP (ORDER BY ${stintDays}) FILTER (WHERE ${closedStint}) AS median_days,
+              COUNT(*) FILTER (WHERE exited IS NULL)::int AS current,
+              AVG(EXTRACT(EPOCH FROM (NOW() - entered)) / 86400) FILTER (WHERE exited IS NULL AND NOT backfill) AS current_avg_days
+         FROM h
+        GROUP BY stage`,
+      base
+    );
+    const byStage = new Map((stints.rows || []).map((r) => [r.stage, r]));
+    const stageRow = (nombre, st = null) => {
+      const r = byStage.get(nombre) || {};
+      const abierta = !st || st.tipo === "open";
+      return {
+        stage: nombre,
+        orden: st?.orden ?? null,
+        tipo: st?.tipo ?? null,
+        sla_days: st?.sla_dias ?? null,
+        exits: num(r.exits),
+        avg_days: days(r.avg_days),
+        median_days: days(r.median_days),
+        current: num(r.current),
+        // en etapas won/lost la antiguedad no es una espera
+        current_avg_days: abierta ? days(r.current_avg_days) : null,
+      };
+    };
+    const known = new Set(def.stages.map((st) => st.nombre));
+    const stages = [
+      ...def.stages.map((st) => stageRow(st.nombre, st)),
+      ...[...byStage.keys()].filter((n) => !known.has(n)).sort().map((n) => stageRow(n)),
+    ];
+
+    const transitions = await q(
+      `SELECT h.from_stage AS "from", h.to_stage AS "to", COUNT(*)::int AS count
+         FROM proyecto_stage_history h
+         JOIN proyectos p ON p.id = h.proyecto_id
+        WHERE p.organizacion_id::text = $1::text AND ${pipeFilter}
+          AND h.from_stage IS NOT NULL AND NOT h.backfill AND ${inRange("h.changed_at")}
+        GROUP BY 1, 2
+        ORDER BY 3 DESC, 1, 2`,
+      base
+    );
+
+    // conversion con los movimientos reales: de las salidas de una etapa, cuantas fueron a la
+    // siguiente del camino principal (en orden, las etapas no lost que suben la probabilidad; p.ej.
+    // Follow-up Missed queda fuera). No se asume que llegar lejos implica pasar por todas.
+    const moves = transitions.rows || [];
+    const exitsFrom = (stage) => moves.filter((m) => m.from === stage).reduce((acc, m) => acc + m.count, 0);
+    const funnel = [];
+    let lastProb = -Infinity;
+    for (const st of def.stages) {
+      if (st.tipo === "lost" || !(Number(st.probabilidad) > lastProb)) continue;
+      funnel.push(st.nombre);
+      lastProb = Number(st.probabilidad);
+    }
+    const conversion = funnel.slice(0, -1).map((from, i) => {
+      const to = funnel[i + 1];
+      const exits = exitsFrom(from);
+      const advanced = moves.find((m) => m.from === from && m.to === to)?.count || 0;
+      return { from, to, exits, advanced, rate_pct: pct(advanced, exits) };
+    });
+
+    const closeDays = "EXTRACT(EPOCH FROM (p.closed_at - p.created_at)) / 86400";
+    const closeBy = async (keyExpr) => {
+      const r = await q(
+        `SELECT ${keyExpr} AS key,
+                COUNT(*)::int AS closed,
+                COUNT(*) FILTER (WHERE p.result = 'won')::int AS won,
+                COUNT(*) FILTER (WHERE p.result = 'lost')::int AS lost,
+                AVG(${closeDays}) AS avg_days,
+                percentile_cont(0.5) WITHIN GROUP (ORDER BY ${closeDays}) AS median_days,
+                AVG(${closeDays}) FILTER (WHERE p.result = 'won') AS avg_days_won
+           FROM proyectos p
+          WHERE p.organizacion_id::text = $1::text AND ${pipeFilter}
+            AND p.closed_at IS NOT NULL AND p.created_at IS NOT NULL AND ${inRange("p.closed_at")}
+          GROUP BY 1
+          ORDER BY 2 DESC, 1`,
+        base
+      );
+      return (r.rows || []).map((x) => ({
+        key: x.key,
+        closed: x.closed,
+        won: x.won,
+        lost: x.lost,
+        avg_days: days(x.avg_days),
+        median_days: days(x.median_days),
+        avg_days_won: days(x.avg_days_won),
+      }));
+    };
+    const [overall, bySource, byOwner] = await Promise.all([
+      closeBy("'all'"),
+      closeBy(`COALESCE(NULLIF(p.source,''), 'Unknown')`),
+      closeBy(`COALESCE(NULLIF(p.assignee,''), NULLIF(p.usuario_email,''), 'Unassigned')`),
+    ]);
+    const { key: _all, ...overallRow } = overall[0] || {
+      key: null, closed: 0, won: 0, lost: 0, avg_days: null, median_days: null, avg_days_won: null,
+    };
+
+    res.json({
+      range: { from: fromISO, to: toISO },
+      pipeline: { id: def.id, nombre: def.nombre, builtin: !!def.builtin },
+      stages,
+      conversion,
+      transitions: moves,
+      time_to_close: {
+        overall: overallRow,
+        by_source: bySource.map(({ key, ...r }) => ({ source: key, ...r })),
+        by_owner: byOwner.map(({ key, ...r }) => ({ owner: key, ...r })),
+      },
+    });
+  } catch (e) {
+    console.error("[GET /analytics/pipeline/velocity]", e?.stack || e?.message || e);
+    res.status(500).json({ error: "error_pipeline_velocity" });
+  }
+});
+
 /* =================== KPIs de tareas =================== */
 router.get("/tasks/kpis", authenticateToken, nocache, async (req, res) => {
   try {
     const orgId = getOrgText(req);
-    const hasView = await regclassExists("v_tareas_overview");
+    const hasView = await hasTable("v_tareas_overview");
     if (!hasView) return res.json([]);
     const r = await q(`SELECT * FROM public.v_tareas_overview WHERE organizacion_id::text = $1::text`, [orgId]);
     if (r.rows?.length === 1) return res.json(r.rows[0]);
@@ -15,7 +15,7 @@ const cleanArea = (a) => {
 
 async function fetchProfile(orgId) {
   const { rows } = await q(
-    `SELECT area, vocab, features, forms, updated_at
+    `SELECT area, vocab, features, forms, branding, updated_at
        FROM org_profiles
       WHERE organizacion_id = $1
       LIMIT 1`,
@@ -59,7 +59,7 @@ router.post("/sync", authenticateToken, async (req, res) => {
        VALUES ($1,$2,$3,$4,$5,NOW())
        ON CONFLICT (organizacion_id)
        DO UPDATE SET area=$2, vocab=$3, features=$4, forms=$5, updated_at=NOW()
-       RETURNING area, vocab, features, forms, updated_at`,
+       RETURNING area, vocab, features, forms, branding, updated_at`,
       [orgId, payload.area, payload.vocab, payload.features, payload.forms]
     );
 
@@ -77,12 +77,14 @@ router.put("/perfil", authenticateToken, requireRole("admin", "owner"), async (r
     const clean = sanitizeProfilePayload(req.body || {});
 
     const { rows } = await q(
-      `INSERT INTO org_profiles (organizacion_id, area, vocab, features, forms, updated_at)
-       VALUES ($1,$2,$3,$4,$5,NOW())
+      `INSERT INTO org_profiles (organizacion_id, area, vocab, features, forms, branding, updated_at)
+       VALUES ($1,$2,$3,$4,$5,COALESCE($6,'{}'::jsonb),NOW())
        ON CONFLICT (organizacion_id)
-       DO UPDATE SET area=$2, vocab=$3, features=$4, forms=$5, updated_at=NOW()
-       RETURNING area, vocab, features, forms, updated_at`,
-      [orgId, clean.area, clean.vocab, clean.features, clean.forms]
+       DO UPDATE SET area=$2, vocab=$3, features=$4, forms=$5,
+                     branding=COALESCE($6, org_profiles.branding), updated_at=NOW()
+       RETURNING area, vocab, features, forms, branding, updated_at`,
+      // branding solo se pisa si viene en el body
+      [orgId, clean.area, clean.vocab, clean.features, clean.forms, req.body?.branding ? clean.branding : null]
     );
 
     res.json({ ...resolveProfile(rows[0] || {}), organizacion_id: orgId });
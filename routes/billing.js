@@ -1,7 +1,34 @@
 import { Router } from "express";
-import { authenticateToken } from "../middleware/auth.js";
+import { authenticateToken, requireRole } from "../middleware/auth.js";
 import { getOrgText } from "../utils/org.js";
-import { q } from "../utils/db.js";
+import { q, pool } from "../utils/db.js";
+import { resolveProfile } from "../utils/area.profiles.js";
+import { publicUpload } from "../utils/uploads.js";
+import { renderInvoicePdf, storeDocument } from "../services/pdf.service.js";
+import {
+  createInvoice,
+  updateInvoice,
+  recordInvoicePayment,
+  reverseInvoicePayment,
+  listInvoicePayments,
+  loadInvoiceItems,
+  voidInvoice,
+  deleteDraftInvoice,
+  createCreditNote,
+  voidCreditNote,
+  listCreditNotes,
+  getCreditNote,
+  getNumberingConfig,
+  invoiceError,
+  NUMBERING_DEFAULTS,
+} from "../services/invoices.service.js";
+import { normalizeSteps, listInvoiceReminders } from "../services/dunning.service.js";
+import {
+  RECURRING_COLUMNS,
+  normalizeRecurring,
+  scheduleFor,
+  scheduleChanged,
+} from "../services/recurring.service.js";
 
 const router = Router();
 
@@ -27,14 +54,63 @@ function mapInvoiceRow(row) {
     date: row.issue_date ? String(row.issue_date) : "",
     dueDate: row.due_date ? String(row.due_date) : "",
     status: row.status,
+    currency: row.currency,
+    subtotal: toNum(row.amount_subtotal),
+    tax: toNum(row.amount_tax),
     total,
     paid: toNum(row.amount_paid),
+    credited: toNum(row.amount_credited),
     type: "",
     party: row.client_name || "",
     client_id: row.client_id,
+    dunning_policy_id: row.dunning_policy_id ?? null,
+    ...(row.voided_at
+      ? { voided_at: row.voided_at, voided_by: row.voided_by || null, void_reason: row.void_reason || "" }
+      : {}),
+    ...(row.items ? { items: row.items.map(mapItemRow) } : {}),
   };
 }
 
+function mapItemRow(it) {
+  return {
+    id: it.id,
+    position: it.position,
+    description: it.description,
+    producto_id: it.producto_id,
+    quantity: toNum(it.quantity),
+    unit_price: toNum(it.unit_price),
+    tax_rate: toNum(it.tax_rate),
+    subtotal: toNum(it.amount_subtotal),
+    tax: toNum(it.amount_tax),
+    total: toNum(it.amount_total),
+  };
+}
+
+async function inTx(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const out = await fn(client);
+    await client.query("COMMIT");
+    return out;
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Errores de services/invoices.service.js traen status/code; el resto es 500
+function sendInvoiceError(res, e, tag, fallback) {
+  if (e?.status) return res.status(e.status).json({ error: e.code, ...(e.detail || {}) });
+  if (e?.code === "23505") return res.status(409).json({ error: "invoice_number_conflict" });
+  // trigger tr_invoices_block_delete
+  if (e?.code === "23001") return res.status(409).json({ error: "invoice_issued_use_void" });
+  console.error(tag, e?.message || e);
+  return res.status(500).json({ error: fallback });
+}
+
 router.get("/invoices", authenticateToken, async (req, res) => {
   try {
     const org = requireOrg(req, res);
@@ -46,7 +122,7 @@ router.get("/invoices", authenticateToken, async (req, res) => {
     // TODO: implementar filtros reales. Por ahora: primeras 50, sin 500.
     const r = await q(
       `SELECT i.id, i.number, i.issue_date, i.due_date, i.status,
-              i.amount_total, i.amount_paid, i.client_id,
+              i.amount_total, i.amount_paid, i.amount_credited, i.client_id,
               c.nombre AS client_name
          FROM public.invoices i
          LEFT JOIN public.clientes c ON c.id = i.client_id
@@ -67,183 +143,668 @@ router.get("/invoices", authenticateToken, async (req, res) => {
   }
 });
 
-router.post("/invoices", authenticateToken, async (req, res) => {
+router.get("/invoices/:id", authenticateToken, async (req, res) => {
   try {
     const org = requireOrg(req, res);
     if (!org) return;
 
-    const b = req.body || {};
-    const clientId = Number(b.client_id);
-    if (!Number.isInteger(clientId) || clientId <= 0) {
-      return res.status(400).json({ error: "client_id requerido" });
-    }
+    const r = await q(
+      `SELECT i.*, c.nombre AS client_name
+         FROM public.invoices i
+         LEFT JOIN public.clientes c ON c.id = i.client_id
+        WHERE i.id = $1 AND i.organizacion_id = $2`,
+      [req.params.id, org]
+    );
+    const row = r.rows?.[0];
+    if (!row) return res.status(404).json({ error: "invoice_not_found" });
+    row.items = await loadInvoiceItems(pool, row.id);
+    return res.json(mapInvoiceRow(row));
+  } catch (e) {
+    console.error("[GET /api/billing/invoices/:id]", e?.message || e);
+    return res.status(500).json({ error: "error_fetching_invoice" });
+  }
+});
 
-    const issueDate = b.date || b.issue_date || new Date().toISOString().slice(0, 10);
-    const dueDate = b.dueDate || b.due_date || issueDate;
-    const status = b.status || "draft";
+// PDF de la factura; queda guardado en UPLOAD_DIR/docs/<org>/ (?link=1 devuelve la URL en JSON)
+router.get("/invoices/:id/pdf", authenticateToken, async (req, res) => {
+  try {
+    const org = requireOrg(req, res);
+    if (!org) return;
 
     const r = await q(
-      `INSERT INTO public.invoices
-        (id, organizacion_id, client_id, number, issue_date, due_date, currency,
-         amount_subtotal, amount_tax, amount_total, amount_paid, status, notes)
-       VALUES
-        (gen_random_uuid(), $1, $2, $3, $4, $5, COALESCE($6,'USD'),
-         $7, $8, $9, COALESCE($10,0), $11, $12)
-       RETURNING *`,
-      [
-        org,
-        clientId,
-        b.number || null,
-        issueDate,
-        dueDate,
-        b.currency || "USD",
-        toNum(b.amount_subtotal),
-        toNum(b.amount_tax),
-        toNum(b.amount_total),
-        toNum(b.amount_paid),
-        status,
-        b.notes || null,
-      ]
+      `SELECT * FROM public.invoices WHERE id = $1 AND organizacion_id = $2`,
+      [req.params.id, org]
     );
+    const invoice = r.rows?.[0];
+    if (!invoice) return res.status(404).json({ error: "invoice_not_found" });
 
-    const row = r.rows?.[0];
-    return res.status(201).json(row ? mapInvoiceRow(row) : {});
+    const [cli, prof, items] = await Promise.all([
+      q(
+        `SELECT nombre, email, telefono, direccion FROM public.clientes
+          WHERE id = $1 AND organizacion_id = $2`,
+        [invoice.client_id, org]
+      ),
+      q(
+        `SELECT area, vocab, features, forms, branding FROM public.org_profiles
+          WHERE organizacion_id = $1 LIMIT 1`,
+        [org]
+      ),
+      loadInvoiceItems(pool, invoice.id),
+    ]);
+
+    const buffer = await renderInvoicePdf({
+      profile: resolveProfile(prof.rows?.[0] || {}),
+      client: cli.rows?.[0] || null,
+      invoice,
+      items,
+    });
+    const rel = await storeDocument({ org, filename: `invoice-${invoice.id}.pdf`, buffer });
+    const link = publicUpload(req, rel);
+
+    if (req.query?.link) return res.json(link);
+    const name = String(invoice.number || invoice.id).replace(/[^a-zA-Z0-9._-]/g, "_");
+    res.set("Content-Type", "application/pdf");
+    res.set("Content-Disposition", `inline; filename="${name}.pdf"`);
+    res.set("Content-Location", link.path);
+    return res.send(buffer);
   } catch (e) {
-    console.error("[POST /api/billing/invoices]", e?.message || e);
-    return res.status(500).json({ error: "error_creating_invoice" });
+    console.error("[GET /api/billing/invoices/:id/pdf]", e?.message || e);
+    return res.status(500).json({ error: "error_rendering_invoice_pdf" });
   }
 });
 
+router.post("/invoices", authenticateToken, async (req, res) => {
+  const org = requireOrg(req, res);
+  if (!org) return;
+  try {
+    const row = await inTx((client) => createInvoice(client, { org, body: req.body || {} }));
+    return res.status(201).json(mapInvoiceRow(row));
+  } catch (e) {
+    return sendInvoiceError(res, e, "[POST /api/billing/invoices]", "error_creating_invoice");
+  }
+});
+
+// Atajo: registra un pago por el saldo pendiente (method/reference/caja_id opcionales)
 router.patch("/invoices/:id/paid", authenticateToken, async (req, res) => {
+  const org = requireOrg(req, res);
+  if (!org) return;
+  try {
+    const b = req.body || {};
+    const { invoice } = await inTx((client) =>
+      recordInvoicePayment(client, {
+        org,
+        invoiceId: req.params.id,
+        body: { ...b, amount: undefined },
+        actor: req.usuario?.email || null,
+      })
+    );
+    return res.json(mapInvoiceRow(invoice));
+  } catch (e) {
+    return sendInvoiceError(res, e, "[PATCH /api/billing/invoices/:id/paid]", "error_updating_invoice");
+  }
+});
+
+/* ---------------------------- pagos ---------------------------- */
+function mapPaymentRow(p) {
+  return {
+    id: p.id,
+    date: p.paid_at ? String(p.paid_at) : "",
+    amount: toNum(p.amount),
+    method: p.method,
+    reference: p.reference || "",
+    caja_id: p.caja_id || null,
+    notes: p.notes || "",
+    usuario_email: p.usuario_email || null,
+    reversed: !!p.reversed_at,
+    reversed_at: p.reversed_at || null,
+    reversed_by: p.reversed_by || null,
+    reversal_reason: p.reversal_reason || null,
+  };
+}
+
+router.get("/invoices/:id/payments", authenticateToken, async (req, res) => {
   try {
     const org = requireOrg(req, res);
     if (!org) return;
+    const inv = await q(
+      `SELECT id FROM public.invoices WHERE id = $1 AND organizacion_id = $2`,
+      [req.params.id, org]
+    );
+    if (!inv.rowCount) return res.status(404).json({ error: "invoice_not_found" });
+    const rows = await listInvoicePayments(pool, req.params.id);
+    return res.json({ rows: rows.map(mapPaymentRow) });
+  } catch (e) {
+    console.error("[GET /api/billing/invoices/:id/payments]", e?.message || e);
+    return res.status(500).json({ error: "error_fetching_payments" });
+  }
+});
 
-    const { id } = req.params;
-    const r = await q(
-      `UPDATE public.invoices
-          SET amount_paid = amount_total,
-              status = 'paid',
-              updated_at = NOW()
-        WHERE id = $1 AND organizacion_id = $2
-        RETURNING *`,
-      [id, org]
+router.post("/invoices/:id/payments", authenticateToken, async (req, res) => {
+  const org = requireOrg(req, res);
+  if (!org) return;
+  try {
+    const out = await inTx((client) =>
+      recordInvoicePayment(client, {
+        org,
+        invoiceId: req.params.id,
+        body: req.body || {},
+        actor: req.usuario?.email || null,
+      })
     );
-    if (!r.rowCount) return res.status(404).json({ error: "invoice_not_found" });
-    return res.json(mapInvoiceRow(r.rows[0]));
+    return res.status(201).json({ payment: mapPaymentRow(out.payment), invoice: mapInvoiceRow(out.invoice) });
   } catch (e) {
-    console.error("[PATCH /api/billing/invoices/:id/paid]", e?.message || e);
-    return res.status(500).json({ error: "error_updating_invoice" });
+    return sendInvoiceError(res, e, "[POST /api/billing/invoices/:id/payments]", "error_recording_payment");
+  }
+});
+
+router.post("/invoices/:id/payments/:paymentId/reverse", authenticateToken, async (req, res) => {
+  const org = requireOrg(req, res);
+  if (!org) return;
+  try {
+    const out = await inTx((client) =>
+      reverseInvoicePayment(client, {
+        org,
+        invoiceId: req.params.id,
+        paymentId: req.params.paymentId,
+        reason: req.body?.reason || null,
+        actor: req.usuario?.email || null,
+      })
+    );
+    return res.json({ payment: mapPaymentRow(out.payment), invoice: mapInvoiceRow(out.invoice) });
+  } catch (e) {
+    return sendInvoiceError(
+      res,
+      e,
+      "[POST /api/billing/invoices/:id/payments/:paymentId/reverse]",
+      "error_reversing_payment"
+    );
   }
 });
 
 router.patch("/invoices/:id", authenticateToken, async (req, res) => {
+  const org = requireOrg(req, res);
+  if (!org) return;
+  try {
+    const row = await inTx((client) =>
+      updateInvoice(client, { org, id: req.params.id, body: req.body || {} })
+    );
+    return res.json(mapInvoiceRow(row));
+  } catch (e) {
+    return sendInvoiceError(res, e, "[PATCH /api/billing/invoices/:id]", "error_updating_invoice");
+  }
+});
+
+// Solo borradores sin numero; lo emitido se anula con POST /invoices/:id/void
+router.delete("/invoices/:id", authenticateToken, async (req, res) => {
+  const org = requireOrg(req, res);
+  if (!org) return;
+  try {
+    await inTx((client) => deleteDraftInvoice(client, { org, invoiceId: req.params.id }));
+    return res.json({ ok: true });
+  } catch (e) {
+    return sendInvoiceError(res, e, "[DELETE /api/billing/invoices/:id]", "error_deleting_invoice");
+  }
+});
+
+router.post("/invoices/:id/void", authenticateToken, requireRole("owner", "admin"), async (req, res) => {
+  const org = requireOrg(req, res);
+  if (!org) return;
+  try {
+    const row = await inTx((client) =>
+      voidInvoice(client, {
+        org,
+        invoiceId: req.params.id,
+        reason: req.body?.reason,
+        actor: req.usuario?.email || null,
+      })
+    );
+    return res.json(mapInvoiceRow(row));
+  } catch (e) {
+    return sendInvoiceError(res, e, "[POST /api/billing/invoices/:id/void]", "error_voiding_invoice");
+  }
+});
+
+/* ---------------------------- notas de credito ---------------------------- */
+function mapCreditNoteRow(cn) {
+  return {
+    id: cn.id,
+    invoice_id: cn.invoice_id,
+    number: cn.number || "",
+    date: cn.issue_date ? String(cn.issue_date) : "",
+    status: cn.status,
+    currency: cn.currency,
+    reason: cn.reason,
+    subtotal: toNum(cn.amount_subtotal),
+    tax: toNum(cn.amount_tax),
+    total: toNum(cn.amount_total),
+    created_by: cn.created_by || null,
+    voided_at: cn.voided_at || null,
+    voided_by: cn.voided_by || null,
+    void_reason: cn.void_reason || null,
+    ...(cn.items ? { items: cn.items.map(mapItemRow) } : {}),
+  };
+}
+
+router.get("/invoices/:id/credit-notes", authenticateToken, async (req, res) => {
   try {
     const org = requireOrg(req, res);
     if (!org) return;
+    const inv = await q(
+      `SELECT id FROM public.invoices WHERE id = $1 AND organizacion_id = $2`,
+      [req.params.id, org]
+    );
+    if (!inv.rowCount) return res.status(404).json({ error: "invoice_not_found" });
+    const rows = await listCreditNotes(pool, req.params.id);
+    return res.json({ rows: rows.map(mapCreditNoteRow) });
+  } catch (e) {
+    console.error("[GET /api/billing/invoices/:id/credit-notes]", e?.message || e);
+    return res.status(500).json({ error: "error_fetching_credit_notes" });
+  }
+});
 
-    const { id } = req.params;
-    const b = req.body || {};
-    const sets = [];
-    const vals = [];
-
-    if ("client_id" in b) {
-      const clientId = Number(b.client_id);
-      if (!Number.isInteger(clientId) || clientId <= 0) {
-        return res.status(400).json({ error: "client_id invalido" });
-      }
-      sets.push(`client_id = $${vals.length + 1}`);
-      vals.push(clientId);
-    }
+router.post("/invoices/:id/credit-notes", authenticateToken, async (req, res) => {
+  const org = requireOrg(req, res);
+  if (!org) return;
+  try {
+    const out = await inTx((client) =>
+      createCreditNote(client, {
+        org,
+        invoiceId: req.params.id,
+        body: req.body || {},
+        actor: req.usuario?.email || null,
+      })
+    );
+    return res
+      .status(201)
+      .json({ credit_note: mapCreditNoteRow(out.credit_note), invoice: mapInvoiceRow(out.invoice) });
+  } catch (e) {
+    return sendInvoiceError(res, e, "[POST /api/billing/invoices/:id/credit-notes]", "error_creating_credit_note");
+  }
+});
 
-    if ("number" in b) {
-      sets.push(`number = $${vals.length + 1}`);
-      vals.push(b.number || null);
-    }
+router.get("/credit-notes/:id", authenticateToken, async (req, res) => {
+  try {
+    const org = requireOrg(req, res);
+    if (!org) return;
+    const cn = await getCreditNote(pool, { org, id: req.params.id });
+    if (!cn) return res.status(404).json({ error: "credit_note_not_found" });
+    return res.json(mapCreditNoteRow(cn));
+  } catch (e) {
+    console.error("[GET /api/billing/credit-notes/:id]", e?.message || e);
+    return res.status(500).json({ error: "error_fetching_credit_note" });
+  }
+});
 
-    const issueDate = b.issue_date || b.date;
-    if ("issue_date" in b || "date" in b) {
-      sets.push(`issue_date = $${vals.length + 1}`);
-      vals.push(issueDate || null);
-    }
+router.post("/credit-notes/:id/void", authenticateToken, requireRole("owner", "admin"), async (req, res) => {
+  const org = requireOrg(req, res);
+  if (!org) return;
+  try {
+    const out = await inTx((client) =>
+      voidCreditNote(client, {
+        org,
+        id: req.params.id,
+        reason: req.body?.reason,
+        actor: req.usuario?.email || null,
+      })
+    );
+    return res.json({ credit_note: mapCreditNoteRow(out.credit_note), invoice: mapInvoiceRow(out.invoice) });
+  } catch (e) {
+    return sendInvoiceError(res, e, "[POST /api/billing/credit-notes/:id/void]", "error_voiding_credit_note");
+  }
+});
 
-    const dueDate = b.due_date || b.dueDate;
-    if ("due_date" in b || "dueDate" in b) {
-      sets.push(`due_date = $${vals.length + 1}`);
-      vals.push(dueDate || null);
-    }
+/* ---------------------------- cobranza (dunning) ---------------------------- */
+function mapReminderRow(r) {
+  return {
+    id: r.id,
+    date: r.created_at,
+    policy_id: r.policy_id,
+    policy: r.policy_name || (r.manual ? "manual" : r.policy_id ? "" : "legacy"),
+    step: r.offset_days,
+    channel: r.channel,
+    status: r.status,
+    recipient: r.recipient || null,
+    message: r.message || "",
+    actions: r.actions || [],
+    error: r.error || null,
+    manual: !!r.manual,
+    usuario_email: r.usuario_email || null,
+  };
+}
 
-    if ("amount_subtotal" in b) {
-      sets.push(`amount_subtotal = $${vals.length + 1}`);
-      vals.push(toNum(b.amount_subtotal));
-    }
-    if ("amount_tax" in b) {
-      sets.push(`amount_tax = $${vals.length + 1}`);
-      vals.push(toNum(b.amount_tax));
-    }
-    if ("amount_total" in b) {
-      sets.push(`amount_total = $${vals.length + 1}`);
-      vals.push(toNum(b.amount_total));
-    }
-    if ("amount_paid" in b) {
-      sets.push(`amount_paid = $${vals.length + 1}`);
-      vals.push(toNum(b.amount_paid));
-    }
+router.get("/invoices/:id/reminders", authenticateToken, async (req, res) => {
+  try {
+    const org = requireOrg(req, res);
+    if (!org) return;
+    const inv = await q(
+      `SELECT id FROM public.invoices WHERE id = $1 AND organizacion_id = $2`,
+      [req.params.id, org]
+    );
+    if (!inv.rowCount) return res.status(404).json({ error: "invoice_not_found" });
+    const rows = await listInvoiceReminders(pool, req.params.id);
+    return res.json({ rows: rows.map(mapReminderRow) });
+  } catch (e) {
+    console.error("[GET /api/billing/invoices/:id/reminders]", e?.message || e);
+    return res.status(500).json({ error: "error_fetching_reminders" });
+  }
+});
 
-    if ("status" in b) {
-      const allowed = new Set(["draft", "sent", "partial", "paid", "overdue", "void"]);
-      const st = String(b.status || "").toLowerCase();
-      if (!allowed.has(st)) {
-        return res.status(400).json({ error: "status invalido" });
-      }
-      sets.push(`status = $${vals.length + 1}`);
-      vals.push(st);
-    }
+function mapPolicyRow(p) {
+  return {
+    id: p.id,
+    name: p.name,
+    is_default: !!p.is_default,
+    active: !!p.active,
+    steps: p.steps || [],
+    updated_at: p.updated_at,
+  };
+}
 
-    if ("notes" in b) {
-      sets.push(`notes = $${vals.length + 1}`);
-      vals.push(b.notes || null);
-    }
+router.get("/dunning-policies", authenticateToken, async (req, res) => {
+  try {
+    const org = requireOrg(req, res);
+    if (!org) return;
+    const r = await q(
+      `SELECT * FROM public.dunning_policies WHERE organizacion_id = $1 ORDER BY is_default DESC, name`,
+      [org]
+    );
+    return res.json({ rows: (r.rows || []).map(mapPolicyRow) });
+  } catch (e) {
+    console.error("[GET /api/billing/dunning-policies]", e?.message || e);
+    return res.status(500).json({ error: "error_fetching_dunning_policies" });
+  }
+});
 
-    if (!sets.length) {
-      return res.status(400).json({ error: "nada para actualizar" });
-    }
+// Alta/edicion: una sola default por org (se desmarca la anterior en la misma transaccion)
+async function savePolicy(client, { org, id = null, body }) {
+  const name = String(body.name || "").trim();
+  if (!name) throw invoiceError(400, "name_required");
+  const steps = normalizeSteps(body.steps);
+  const isDefault = !!body.is_default;
+  const active = body.active == null ? true : !!body.active;
+
+  if (isDefault) {
+    await client.query(
+      `UPDATE public.dunning_policies SET is_default = FALSE, updated_at = NOW()
+        WHERE organizacion_id = $1 AND is_default AND id IS DISTINCT FROM $2`,
+      [org, id]
+    );
+  }
+  const r = id
+    ? await client.query(
+        `UPDATE public.dunning_policies
+            SET name = $3, steps = $4::jsonb, is_default = $5, active = $6, updated_at = NOW()
+          WHERE id = $1 AND organizacion_id = $2
+          RETURNING *`,
+        [id, org, name, JSON.stringify(steps), isDefault, active]
+      )
+    : await client.query(
+        `INSERT INTO public.dunning_policies (organizacion_id, name, steps, is_default, active)
+         VALUES ($1, $2, $3::jsonb, $4, $5)
+         RETURNING *`,
+        [org, name, JSON.stringify(steps), isDefault, active]
+      );
+  return r.rows?.[0] || null;
+}
+
+function sendPolicyError(res, e, tag, fallback) {
+  if (e?.code === "23505") return res.status(409).json({ error: "dunning_policy_name_taken" });
+  return sendInvoiceError(res, e, tag, fallback);
+}
 
-    sets.push("updated_at = NOW()");
-    vals.push(id, org);
+router.post("/dunning-policies", authenticateToken, requireRole("owner", "admin"), async (req, res) => {
+  const org = requireOrg(req, res);
+  if (!org) return;
+  try {
+    const row = await inTx((client) => savePolicy(client, { org, body: req.body || {} }));
+    return res.status(201).json(mapPolicyRow(row));
+  } catch (e) {
+    return sendPolicyError(res, e, "[POST /api/billing/dunning-policies]", "error_creating_dunning_policy");
+  }
+});
+
+router.put("/dunning-policies/:id", authenticateToken, requireRole("owner", "admin"), async (req, res) => {
+  const org = requireOrg(req, res);
+  if (!org) return;
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: "id_invalid" });
+    const row = await inTx((client) => savePolicy(client, { org, id, body: req.body || {} }));
+    if (!row) return res.status(404).json({ error: "dunning_policy_not_found" });
+    return res.json(mapPolicyRow(row));
+  } catch (e) {
+    return sendPolicyError(res, e, "[PUT /api/billing/dunning-policies/:id]", "error_updating_dunning_policy");
+  }
+});
 
+// Las facturas que la usaban vuelven a la default de la org; el historial conserva policy_id NULL
+router.delete("/dunning-policies/:id", authenticateToken, requireRole("owner", "admin"), async (req, res) => {
+  try {
+    const org = requireOrg(req, res);
+    if (!org) return;
     const r = await q(
-      `UPDATE public.invoices
-          SET ${sets.join(", ")}
-        WHERE id = $${vals.length - 1} AND organizacion_id = $${vals.length}
-        RETURNING *`,
-      vals
+      `DELETE FROM public.dunning_policies WHERE id = $1 AND organizacion_id = $2 RETURNING id`,
+      [Number(req.params.id) || 0, org]
     );
-    if (!r.rowCount) return res.status(404).json({ error: "invoice_not_found" });
-    return res.json(mapInvoiceRow(r.rows[0]));
+    if (!r.rowCount) return res.status(404).json({ error: "dunning_policy_not_found" });
+    return res.json({ ok: true });
   } catch (e) {
-    console.error("[PATCH /api/billing/invoices/:id]", e?.message || e);
-    return res.status(500).json({ error: "error_updating_invoice" });
+    console.error("[DELETE /api/billing/dunning-policies/:id]", e?.message || e);
+    return res.status(500).json({ error: "error_deleting_dunning_policy" });
   }
 });
 
-router.delete("/invoices/:id", authenticateToken, async (req, res) => {
+/* ---------------------------- recurrentes ---------------------------- */
+function mapRecurringRow(t) {
+  return {
+    id: t.id,
+    name: t.name || "",
+    client_id: t.client_id,
+    party: t.client_name || "",
+    currency: t.currency,
+    items: t.items || [],
+    notes: t.notes || "",
+    interval: t.interval_unit,
+    interval_count: t.interval_count,
+    day_of_month: t.day_of_month,
+    start_date: t.start_date,
+    end_date: t.end_date || null,
+    next_run_date: t.next_run_date,
+    due_days: t.due_days,
+    auto_send: !!t.auto_send,
+    active: !!t.active,
+    runs_count: t.runs_count,
+    last_run_at: t.last_run_at || null,
+    last_invoice_id: t.last_invoice_id || null,
+  };
+}
+
+async function fetchRecurring(db, org, id) {
+  const r = await db.query(
+    `SELECT ${RECURRING_COLUMNS} FROM public.recurring_invoices WHERE id = $1 AND organizacion_id = $2`,
+    [id, org]
+  );
+  return r.rows?.[0] || null;
+}
+
+router.get("/recurring", authenticateToken, async (req, res) => {
+  try {
+    const org = requireOrg(req, res);
+    if (!org) return;
+    const r = await q(
+      `SELECT t.*, c.nombre AS client_name
+         FROM (SELECT ${RECURRING_COLUMNS} FROM public.recurring_invoices WHERE organizacion_id = $1) t
+         LEFT JOIN public.clientes c ON c.id = t.client_id
+        ORDER BY t.active DESC, t.next_run_date`,
+      [org]
+    );
+    return res.json({ rows: (r.rows || []).map(mapRecurringRow) });
+  } catch (e) {
+    console.error("[GET /api/billing/recurring]", e?.message || e);
+    return res.status(500).json({ error: "error_fetching_recurring" });
+  }
+});
+
+router.get("/recurring/:id", authenticateToken, async (req, res) => {
   try {
     const org = requireOrg(req, res);
     if (!org) return;
+    const tpl = await fetchRecurring(pool, org, req.params.id);
+    if (!tpl) return res.status(404).json({ error: "recurring_not_found" });
+    const inv = await q(
+      `SELECT id, number, issue_date, due_date, status, amount_total, amount_paid, amount_credited, client_id
+         FROM public.invoices
+        WHERE recurring_invoice_id = $1 AND organizacion_id = $2
+        ORDER BY recurring_period DESC
+        LIMIT 24`,
+      [tpl.id, org]
+    );
+    return res.json({ ...mapRecurringRow(tpl), invoices: (inv.rows || []).map(mapInvoiceRow) });
+  } catch (e) {
+    console.error("[GET /api/billing/recurring/:id]", e?.message || e);
+    return res.status(500).json({ error: "error_fetching_recurring" });
+  }
+});
 
-    const { id } = req.params;
+router.post("/recurring", authenticateToken, async (req, res) => {
+  const org = requireOrg(req, res);
+  if (!org) return;
+  try {
+    const { merged } = normalizeRecurring(req.body || {});
+    const next = await scheduleFor(pool, merged);
     const r = await q(
-      `DELETE FROM public.invoices
-        WHERE id = $1 AND organizacion_id = $2
-        RETURNING id`,
-      [id, org]
+      `INSERT INTO public.recurring_invoices
+         (organizacion_id, client_id, name, currency, items, notes, interval_unit, interval_count,
+          day_of_month, start_date, end_date, next_run_date, due_days, auto_send, created_by)
+       VALUES ($1,$2,$3,$4,$5::jsonb,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15)
+       RETURNING id`,
+      [
+        org,
+        merged.client_id,
+        merged.name,
+        merged.currency,
+        JSON.stringify(merged.items),
+        merged.notes,
+        merged.interval_unit,
+        merged.interval_count,
+        merged.day_of_month,
+        merged.start_date,
+        merged.end_date,
+        next,
+        merged.due_days,
+        merged.auto_send,
+        req.usuario?.email || null,
+      ]
     );
-    if (!r.rowCount) return res.status(404).json({ error: "invoice_not_found" });
+    return res.status(201).json(mapRecurringRow(await fetchRecurring(pool, org, r.rows[0].id)));
+  } catch (e) {
+    return sendInvoiceError(res, e, "[POST /api/billing/recurring]", "error_creating_recurring");
+  }
+});
+
+router.patch("/recurring/:id", authenticateToken, async (req, res) => {
+  const org = requireOrg(req, res);
+  if (!org) return;
+  try {
+    const row = await inTx(async (client) => {
+      const r = await client.query(
+        `SELECT ${RECURRING_COLUMNS} FROM public.recurring_invoices
+          WHERE id = $1 AND organizacion_id = $2 FOR UPDATE`,
+        [req.params.id, org]
+      );
+      const prev = r.rows?.[0];
+      if (!prev) return null;
+
+      const { fields, merged } = normalizeRecurring(req.body || {}, prev);
+      fields.next_run_date = await scheduleFor(client, merged, {
+        id: prev.id,
+        changed: scheduleChanged(fields),
+      });
+      if ("items" in fields) fields.items = JSON.stringify(fields.items);
+
+      const keys = Object.keys(fields);
+      await client.query(
+        `UPDATE public.recurring_invoices
+            SET ${keys.map((k, i) => `${k} = $${i + 3}`).join(", ")}, updated_at = NOW()
+          WHERE id = $1 AND organizacion_id = $2`,
+        [prev.id, org, ...keys.map((k) => fields[k])]
+      );
+      return fetchRecurring(client, org, prev.id);
+    });
+    if (!row) return res.status(404).json({ error: "recurring_not_found" });
+    return res.json(mapRecurringRow(row));
+  } catch (e) {
+    return sendInvoiceError(res, e, "[PATCH /api/billing/recurring/:id]", "error_updating_recurring");
+  }
+});
+
+// Las facturas ya generadas quedan (recurring_invoice_id pasa a NULL)
+router.delete("/recurring/:id", authenticateToken, async (req, res) => {
+  try {
+    const org = requireOrg(req, res);
+    if (!org) return;
+    const r = await q(
+      `DELETE FROM public.recurring_invoices WHERE id = $1 AND organizacion_id = $2 RETURNING id`,
+      [req.params.id, org]
+    );
+    if (!r.rowCount) return res.status(404).json({ error: "recurring_not_found" });
     return res.json({ ok: true });
   } catch (e) {
-    console.error("[DELETE /api/billing/invoices/:id]", e?.message || e);
-    return res.status(500).json({ error: "error_deleting_invoice" });
+    console.error("[DELETE /api/billing/recurring/:id]", e?.message || e);
+    return res.status(500).json({ error: "error_deleting_recurring" });
+  }
+});
+
+/* ---------------------------- numeracion ---------------------------- */
+router.get("/numbering", authenticateToken, async (req, res) => {
+  try {
+    const org = requireOrg(req, res);
+    if (!org) return;
+    const cfg = await getNumberingConfig(pool, org);
+    const seq = await q(
+      `SELECT kind, year, last_number FROM public.invoice_sequences
+        WHERE organizacion_id = $1 ORDER BY kind, year DESC`,
+      [org]
+    );
+    return res.json({ ...cfg, sequences: seq.rows || [] });
+  } catch (e) {
+    console.error("[GET /api/billing/numbering]", e?.message || e);
+    return res.status(500).json({ error: "error_fetching_numbering" });
+  }
+});
+
+router.put("/numbering", authenticateToken, requireRole("owner", "admin"), async (req, res) => {
+  try {
+    const org = requireOrg(req, res);
+    if (!org) return;
+
+    const b = req.body || {};
+    const prefix = b.prefix == null ? NUMBERING_DEFAULTS.prefix : String(b.prefix).trim();
+    const creditPrefix =
+      b.credit_prefix == null ? NUMBERING_DEFAULTS.credit_prefix : String(b.credit_prefix).trim();
+    const padding = b.padding == null ? NUMBERING_DEFAULTS.padding : Number(b.padding);
+    const yearly = b.yearly_reset == null ? NUMBERING_DEFAULTS.yearly_reset : !!b.yearly_reset;
+    if (prefix.length > 20) return res.status(400).json({ error: "prefix_invalid" });
+    if (!creditPrefix || creditPrefix.length > 20 || creditPrefix === prefix) {
+      return res.status(400).json({ error: "credit_prefix_invalid" });
+    }
+    if (!Number.isInteger(padding) || padding < 1 || padding > 12) {
+      return res.status(400).json({ error: "padding_invalid" });
+    }
+
+    const r = await q(
+      `INSERT INTO public.invoice_numbering (organizacion_id, prefix, credit_prefix, padding, yearly_reset)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (organizacion_id)
+         DO UPDATE SET prefix = EXCLUDED.prefix, credit_prefix = EXCLUDED.credit_prefix,
+                       padding = EXCLUDED.padding, yearly_reset = EXCLUDED.yearly_reset, updated_at = NOW()
+       RETURNING prefix, credit_prefix, padding, yearly_reset`,
+      [org, prefix, creditPrefix, padding, yearly]
+    );
+    return res.json(r.rows[0]);
+  } catch (e) {
+    console.error("[PUT /api/billing/numbering]", e?.message || e);
+    return res.status(500).json({ error: "error_updating_numbering" });
   }
 });
 
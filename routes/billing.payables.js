@@ -0,0 +1,294 @@
+// routes/billing.payables.js — cuentas a pagar (/billing/supplier-bills, /billing/ap-aging)
+// Facturas de proveedores con vencimiento y pagos; el aging usa los mismos buckets que AR.
+import { Router } from "express";
+import { authenticateToken, requireRole } from "../middleware/auth.js";
+import { getOrgText } from "../utils/org.js";
+import { q, pool } from "../utils/db.js";
+import { hasTable } from "../utils/schema.js";
+import { loadFx } from "../utils/fx.js";
+import {
+  BILL_STATUSES,
+  billBalance,
+  createSupplierBill,
+  recordBillPayment,
+  reverseBillPayment,
+  voidSupplierBill,
+  apSnapshot,
+} from "../services/payables.service.js";
+
+const router = Router();
+const toNum = (v, d = 0) => (Number.isFinite(Number(v)) ? Number(v) : d);
+
+// pg devuelve DATE como Date a medianoche local
+function ymd(v) {
+  if (!v) return "";
+  if (v instanceof Date) {
+    return `${v.getFullYear()}-${String(v.getMonth() + 1).padStart(2, "0")}-${String(v.getDate()).padStart(2, "0")}`;
+  }
+  return String(v).slice(0, 10);
+}
+
+async function requireApOrg(req, res) {
+  const org = getOrgText(req, { require: false });
+  if (!org) {
+    res.status(400).json({ error: "organizacion_id requerido" });
+    return null;
+  }
+  if (!(await hasTable("supplier_bills"))) {
+    res.status(501).json({ error: "cuentas_a_pagar_no_instalado" });
+    return null;
+  }
+  return String(org);
+}
+
+async function inTx(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const out = await fn(client);
+    await client.query("COMMIT");
+    return out;
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+function sendBillError(res, e, tag, fallback) {
+  if (e?.status) return res.status(e.status).json({ error: e.code, ...(e.detail || {}) });
+  if (e?.code === "23505") return res.status(409).json({ error: "bill_number_taken" });
+  console.error(tag, e?.message || e);
+  return res.status(500).json({ error: fallback });
+}
+
+function mapBillRow(b) {
+  const today = ymd(new Date());
+  const due = ymd(b.due_date);
+  return {
+    id: b.id,
+    proveedor_id: b.proveedor_id,
+    proveedor: b.proveedor_nombre || undefined,
+    compra_id: b.compra_id,
+    orden_compra_id: b.orden_compra_id,
+    number: b.number || "",
+    date: ymd(b.issue_date),
+    dueDate: due,
+    status: b.status,
+    overdue: ["open", "partial"].includes(b.status) && !!due && due < today,
+    currency: b.currency,
+    total: toNum(b.amount_total),
+    paid: toNum(b.amount_paid),
+    balance: b.status === "void" ? 0 : billBalance(b),
+    notes: b.notes || "",
+    ...(b.voided_at ? { voided_at: b.voided_at, voided_by: b.voided_by || null, void_reason: b.void_reason || "" } : {}),
+  };
+}
+
+function mapPaymentRow(p) {
+  return {
+    id: p.id,
+    bill_id: p.bill_id,
+    date: ymd(p.paid_at),
+    amount: toNum(p.amount),
+    method: p.method,
+    reference: p.reference || "",
+    notes: p.notes || "",
+    usuario_email: p.usuario_email || null,
+    ...(p.reversed_at ? { reversed_at: p.reversed_at, reversed_by: p.reversed_by, reversal_reason: p.reversal_reason || "" } : {}),
+  };
+}
+
+/* ---------------------------- facturas ---------------------------- */
+// ?status=open|partial|paid|void &proveedor_id= &overdue=1
+router.get("/supplier-bills", authenticateToken, async (req, res) => {
+  const org = await requireApOrg(req, res);
+  if (!org) return;
+  try {
+    const where = ["b.organizacion_id = $1"];
+    const params = [org];
+    const status = String(req.query?.status || "").trim();
+    if (status) {
+      if (!BILL_STATUSES.includes(status)) return res.status(400).json({ error: "status_invalid", statuses: BILL_STATUSES });
+      params.push(status);
+      where.push(`b.status = $${params.length}`);
+    }
+    const provId = Number(req.query?.proveedor_id);
+    if (Number.isInteger(provId)) {
+      params.push(provId);
+      where.push(`b.proveedor_id = $${params.length}`);
+    }
+    if (["1", "true"].includes(String(req.query?.overdue || "").toLowerCase())) {
+      where.push(`b.status IN ('open','partial') AND b.due_date < now()::date`);
+    }
+    const r = await q(
+      `SELECT b.*, p.nombre AS proveedor_nombre
+         FROM public.supplier_bills b
+         JOIN proveedores p ON p.id = b.proveedor_id
+        WHERE ${where.join(" AND ")}
+        ORDER BY b.due_date ASC, b.id ASC
+        LIMIT 500`,
+      params
+    );
+    return res.json((r.rows || []).map(mapBillRow));
+  } catch (e) {
+    return sendBillError(res, e, "[GET /api/billing/supplier-bills]", "error_listing_bills");
+  }
+});
+
+router.get("/supplier-bills/:id", authenticateToken, async (req, res) => {
+  const org = await requireApOrg(req, res);
+  if (!org) return;
+  try {
+    const r = await q(
+      `SELECT b.*, p.nombre AS proveedor_nombre
+         FROM public.supplier_bills b
+         JOIN proveedores p ON p.id = b.proveedor_id
+        WHERE b.id = $1 AND b.organizacion_id = $2`,
+      [Number(req.params.id) || 0, org]
+    );
+    if (!r.rowCount) return res.status(404).json({ error: "bill_not_found" });
+    const pays = await q(
+      `SELECT * FROM public.supplier_bill_payments WHERE bill_id = $1 ORDER BY paid_at, id`,
+      [r.rows[0].id]
+    );
+    return res.json({ ...mapBillRow(r.rows[0]), payments: (pays.rows || []).map(mapPaymentRow) });
+  } catch (e) {
+    return sendBillError(res, e, "[GET /api/billing/supplier-bills/:id]", "error_fetching_bill");
+  }
+});
+
+/**
+ * Body: { proveedor_id, compra_id?, orden_compra_id?, number?, issue_date?, due_date? | due_days?,
+ *         currency?, amount_total?, notes? }. Con orden_compra_id, monto y moneda salen de la orden.
+ */
+router.post("/supplier-bills", authenticateToken, async (req, res) => {
+  const org = await requireApOrg(req, res);
+  if (!org) return;
+  try {
+    const bill = await inTx((client) =>
+      createSupplierBill(client, { org, body: req.body || {}, actor: req.usuario?.email || null })
+    );
+    return res.status(201).json(mapBillRow(bill));
+  } catch (e) {
+    return sendBillError(res, e, "[POST /api/billing/supplier-bills]", "error_creating_bill");
+  }
+});
+
+router.post("/supplier-bills/:id/payments", authenticateToken, async (req, res) => {
+  const org = await requireApOrg(req, res);
+  if (!org) return;
+  try {
+    const out = await inTx((client) =>
+      recordBillPayment(client, { org, billId: req.params.id, body: req.body || {}, actor: req.usuario?.email || null })
+    );
+    return res.status(201).json({ payment: mapPaymentRow(out.payment), bill: mapBillRow(out.bill) });
+  } catch (e) {
+    return sendBillError(res, e, "[POST /api/billing/supplier-bills/:id/payments]", "error_recording_payment");
+  }
+});
+
+router.post("/supplier-bills/:id/payments/:paymentId/reverse", authenticateToken, async (req, res) => {
+  const org = await requireApOrg(req, res);
+  if (!org) return;
+  try {
+    const out = await inTx((client) =>
+      reverseBillPayment(client, {
+        org,
+        billId: req.params.id,
+        paymentId: req.params.paymentId,
+        reason: req.body?.reason || null,
+        actor: req.usuario?.email || null,
+      })
+    );
+    return res.json({ payment: mapPaymentRow(out.payment), bill: mapBillRow(out.bill) });
+  } catch (e) {
+    return sendBillError(
+      res,
+      e,
+      "[POST /api/billing/supplier-bills/:id/payments/:paymentId/reverse]",
+      "error_reversing_payment"
+    );
+  }
+});
+
+router.post("/supplier-bills/:id/void", authenticateToken, requireRole("owner", "admin"), async (req, res) => {
+  const org = await requireApOrg(req, res);
+  if (!org) return;
+  try {
+    const bill = await inTx((client) =>
+      voidSupplierBill(client, { org, billId: req.params.id, reason: req.body?.reason, actor: req.usuario?.email || null })
+    );
+    return res.json(mapBillRow(bill));
+  } catch (e) {
+    return sendBillError(res, e, "[POST /api/billing/supplier-bills/:id/void]", "error_voiding_bill");
+  }
+});
+
+/* ---------------------------- aging ---------------------------- */
+/**
+ * Aging AP: totales convertidos a la moneda base (como el bloque `ap` de KPIs), buckets por
+ * proveedor y moneda, y vencimientos de las proximas `weeks` semanas (default 12) para el flujo de caja.
+ */
+router.get("/ap-aging", authenticateToken, async (req, res) => {
+  const org = await requireApOrg(req, res);
+  if (!org) return;
+  try {
+    const weeks = Math.min(Math.max(parseInt(req.query?.weeks, 10) || 12, 1), 52);
+    const fx = await loadFx(org);
+    const totals = await apSnapshot(pool, { org, fx });
+
+    const bal = "GREATEST(b.amount_total - b.amount_paid, 0)";
+    const porProveedor = await q(
+      `SELECT b.proveedor_id, p.nombre AS proveedor, b.currency,
+              SUM(${bal}) AS total,
+              SUM(${bal}) FILTER (WHERE (now()::date - b.due_date) <= 0) AS current,
+              SUM(${bal}) FILTER (WHERE (now()::date - b.due_date) BETWEEN 1 AND 30) AS d1_30,
+              SUM(${bal}) FILTER (WHERE (now()::date - b.due_date) BETWEEN 31 AND 60) AS d31_60,
+              SUM(${bal}) FILTER (WHERE (now()::date - b.due_date) BETWEEN 61 AND 90) AS d61_90,
+              SUM(${bal}) FILTER (WHERE (now()::date - b.due_date) > 90) AS d90p,
+              MIN(b.due_date) AS proximo_vencimiento
+         FROM public.supplier_bills b
+         JOIN proveedores p ON p.id = b.proveedor_id
+        WHERE b.organizacion_id = $1 AND b.status IN ('open','partial')
+        GROUP BY b.proveedor_id, p.nombre, b.currency
+        ORDER BY SUM(${bal}) DESC`,
+      [org]
+    );
+    // lo vencido entra en la semana 0 (hay que pagarlo ya)
+    const calendario = await q(
+      `SELECT to_char(date_trunc('week', GREATEST(b.due_date, now()::date)), 'YYYY-MM-DD') AS semana,
+              b.currency, SUM(${bal}) AS monto, COUNT(*)::int AS facturas
+         FROM public.supplier_bills b
+        WHERE b.organizacion_id = $1 AND b.status IN ('open','partial')
+          AND b.due_date < (date_trunc('week', now()) + make_interval(weeks => $2::int))::date
+        GROUP BY 1, 2
+        ORDER BY 1, 2`,
+      [org, weeks]
+    );
+
+    const n = (v) => toNum(v);
+    return res.json({
+      ...totals,
+      by_proveedor: (porProveedor.rows || []).map((r) => ({
+        proveedor_id: r.proveedor_id,
+        proveedor: r.proveedor,
+        currency: r.currency,
+        total: n(r.total),
+        aging: { current: n(r.current), d1_30: n(r.d1_30), d31_60: n(r.d31_60), d61_90: n(r.d61_90), d90p: n(r.d90p) },
+        next_due: ymd(r.proximo_vencimiento) || null,
+      })),
+      schedule: (calendario.rows || []).map((r) => ({
+        week: r.semana,
+        currency: r.currency,
+        amount: n(r.monto),
+        bills: r.facturas,
+      })),
+    });
+  } catch (e) {
+    return sendBillError(res, e, "[GET /api/billing/ap-aging]", "error_ap_aging");
+  }
+});
+
+export default router;
@@ -1,7 +1,12 @@
 import { Router } from "express";
 import { authenticateToken } from "../middleware/auth.js";
 import { getOrgText } from "../utils/org.js";
-import { q } from "../utils/db.js";
+import { q, pool } from "../utils/db.js";
+import { hasTable, tableColumns } from "../utils/schema.js";
+import { cajaTotalesPorMedio, arqueoPorMedio, normalizeMedio, MEDIO_EFECTIVO } from "../services/cobros.service.js";
+import { movimientosResumen, buildCajaReporte, cajaReporteToCsv } from "../services/caja.service.js";
+import { renderCajaReportePdf } from "../services/pdf.service.js";
+import { resolveProfile } from "../utils/area.profiles.js";
 
 const router = Router();
 
@@ -45,6 +50,9 @@ function calcArqueoTotal(detalle) {
   return Number.isFinite(total) ? total : null;
 }
 
+// tipo -> sentido del efectivo (retiro al tesoro, gasto de caja chica, refuerzo de cambio, otro ingreso)
+const MOVIMIENTO_TIPOS = { retiro: "salida", gasto: "salida", cambio: "entrada", ingreso: "entrada" };
+
 async function ensureCajaInfra() {
   const r1 = await q(`SELECT to_regclass('public.cajas') IS NOT NULL AS ok`);
   const r2 = await q(`SELECT to_regclass('public.cobros') IS NOT NULL AS ok`);
@@ -137,10 +145,16 @@ router.get("/:id", authenticateToken, async (req, res) => {
     );
     const cobrosTotal = Number(resumen.rows?.[0]?.total ?? 0);
     const cobrosCount = resumen.rows?.[0]?.count ?? 0;
-    const apertura = Number(caja.apertura_monto ?? 0);
+    const movs = await movimientosResumen(pool, { cajaId: id, org });
+    // cerrada: la foto del cierre; abierta: lo esperado hasta ahora (sin contado)
+    const porMedio = caja.cierre_por_medio || arqueoPorMedio({
+      apertura: caja.apertura_monto,
+      totales: await cajaTotalesPorMedio(pool, { cajaId: id, org }),
+      movimientos: movs,
+    });
     const esperado = caja.cierre_total_esperado != null
       ? Number(caja.cierre_total_esperado)
-      : apertura + cobrosTotal;
+      : porMedio.find((m) => m.medio === MEDIO_EFECTIVO).esperado;
     const diff = caja.cierre_diferencia != null
       ? Number(caja.cierre_diferencia)
       : (caja.cierre_monto != null ? Number(caja.cierre_monto) - esperado : null);
@@ -158,6 +172,10 @@ router.get("/:id", authenticateToken, async (req, res) => {
       ...caja,
       cobros_total: cobrosTotal,
       cobros_count: cobrosCount,
+      movimientos_entrada: movs.entrada,
+      movimientos_salida: movs.salida,
+      movimientos_por_tipo: movs.por_tipo,
+      por_medio: porMedio,
       cierre_total_esperado: esperado,
       cierre_diferencia: diff,
       cobros: cobros.rows || [],
@@ -168,6 +186,49 @@ router.get("/:id", authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * Reporte Z (caja cerrada) o X (abierta, parcial). ?format=json|csv|pdf (default json)
+ */
+router.get("/:id/reporte", authenticateToken, async (req, res) => {
+  try {
+    const org = requireOrg(req, res);
+    if (!org) return;
+
+    const okInfra = await ensureCajaInfra();
+    if (!okInfra) return res.status(501).json({ error: "caja_no_instalado" });
+
+    const format = String(req.query?.format || "json").toLowerCase();
+    if (!["json", "csv", "pdf"].includes(format)) return res.status(400).json({ error: "format_invalido" });
+
+    const r = await q(`SELECT * FROM cajas WHERE id = $1 AND organizacion_id = $2 LIMIT 1`, [req.params.id, org]);
+    if (!r.rowCount) return res.status(404).json({ error: "caja_no_encontrada" });
+
+    const reporte = await buildCajaReporte(pool, { caja: r.rows[0], org });
+    const name = `caja-${String(r.rows[0].id).slice(0, 8)}-${reporte.tipo.toLowerCase()}`;
+
+    if (format === "csv") {
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set("Content-Disposition", `attachment; filename="${name}.csv"`);
+      return res.send(cajaReporteToCsv(reporte));
+    }
+    if (format === "pdf") {
+      const prof = await q(
+        `SELECT area, vocab, features, forms, branding FROM public.org_profiles
+          WHERE organizacion_id = $1 LIMIT 1`,
+        [org]
+      );
+      const buffer = await renderCajaReportePdf({ profile: resolveProfile(prof.rows?.[0] || {}), reporte });
+      res.set("Content-Type", "application/pdf");
+      res.set("Content-Disposition", `inline; filename="${name}.pdf"`);
+      return res.send(buffer);
+    }
+    return res.json(reporte);
+  } catch (e) {
+    console.error("[GET /caja/:id/reporte] error:", e?.message || e);
+    return res.status(500).json({ error: "caja_reporte_error" });
+  }
+});
+
 router.post("/", authenticateToken, async (req, res) => {
   try {
     const org = requireOrg(req, res);
@@ -234,6 +295,16 @@ router.post("/:id/cerrar", authenticateToken, async (req, res) => {
 
     const notas = (body.notas ?? body.observacion ?? "").toString().trim() || null;
 
+    // contado de los medios que no son efectivo: { tarjeta: 1200, transferencia: 300 }
+    const contados = {};
+    for (const [k, v] of Object.entries(body.contado_por_medio || {})) {
+      const medio = normalizeMedio(k);
+      const n = toNum(v, NaN);
+      if (medio === MEDIO_EFECTIVO) continue; // el efectivo sale del arqueo / cierre_monto
+      if (!Number.isFinite(n)) return res.status(400).json({ error: "contado_invalido", medio });
+      contados[medio] = n;
+    }
+
     const rCaja = await q(
       `SELECT * FROM cajas WHERE id = $1 AND organizacion_id = $2 LIMIT 1`,
       [id, org]
@@ -251,9 +322,33 @@ router.post("/:id/cerrar", authenticateToken, async (req, res) => {
       [id, org]
     );
     const cobrosTotal = Number(resumen.rows?.[0]?.total ?? 0);
-    const apertura = Number(caja.apertura_monto ?? 0);
-    const esperado = apertura + cobrosTotal;
-    const diff = cierre_monto - esperado;
+    const movs = await movimientosResumen(pool, { cajaId: id, org });
+    // el arqueo (cierre_monto) se compara solo contra el efectivo
+    const porMedio = arqueoPorMedio({
+      apertura: caja.apertura_monto,
+      totales: await cajaTotalesPorMedio(pool, { cajaId: id, org }),
+      movimientos: movs,
+      cierreEfectivo: cierre_monto,
+      contados,
+    });
+    const efectivo = porMedio.find((m) => m.medio === MEDIO_EFECTIVO);
+    const esperado = efectivo.esperado;
+    const diff = efectivo.diferencia;
+
+    // columnas de la foto que existan segun las migraciones aplicadas
+    const cols = await tableColumns("cajas");
+    const params = [];
+    const extraSet = [];
+    const snap = {
+      cierre_movimientos_entrada: movs.entrada,
+      cierre_movimientos_salida: movs.salida,
+      cierre_por_medio: JSON.stringify(porMedio),
+    };
+    for (const [col, val] of Object.entries(snap)) {
+      if (!cols.has(col)) continue;
+      params.push(val);
+      extraSet.push(`${col} = $${8 + params.length},`);
+    }
 
     const r = await q(
       `UPDATE cajas
@@ -265,6 +360,7 @@ router.post("/:id/cerrar", authenticateToken, async (req, res) => {
               arqueo_detalle = $6,
               arqueo_total = $7,
               notas = COALESCE($8, notas),
+              ${extraSet.join("\n              ")}
               updated_at = NOW()
         WHERE id = $1 AND organizacion_id = $2
         RETURNING *`,
@@ -277,12 +373,17 @@ router.post("/:id/cerrar", authenticateToken, async (req, res) => {
         detalle != null ? JSON.stringify(detalle) : JSON.stringify({}),
         Number.isFinite(arqueoTotal) ? arqueoTotal : null,
         notas,
+        ...params,
       ]
     );
 
     return res.json({
       ...r.rows[0],
       cobros_total: cobrosTotal,
+      movimientos_entrada: movs.entrada,
+      movimientos_salida: movs.salida,
+      movimientos_por_tipo: movs.por_tipo,
+      por_medio: porMedio,
       cierre_total_esperado: esperado,
       cierre_diferencia: diff,
     });
@@ -292,4 +393,116 @@ router.post("/:id/cerrar", authenticateToken, async (req, res) => {
   }
 });
 
+/* ---------------------------- movimientos de efectivo ---------------------------- */
+async function ensureMovimientosInfra(res) {
+  const ok = (await ensureCajaInfra()) && (await hasTable("caja_movimientos"));
+  if (!ok) res.status(501).json({ error: "caja_movimientos_no_instalado" });
+  return ok;
+}
+
+router.get("/:id/movimientos", authenticateToken, async (req, res) => {
+  try {
+    const org = requireOrg(req, res);
+    if (!org) return;
+    if (!(await ensureMovimientosInfra(res))) return;
+
+    const rCaja = await q(`SELECT id FROM cajas WHERE id = $1 AND organizacion_id = $2 LIMIT 1`, [req.params.id, org]);
+    if (!rCaja.rowCount) return res.status(404).json({ error: "caja_no_encontrada" });
+
+    const r = await q(
+      `SELECT * FROM caja_movimientos
+        WHERE caja_id = $1 AND organizacion_id = $2
+        ORDER BY created_at DESC`,
+      [req.params.id, org]
+    );
+    const resumen = await movimientosResumen(pool, { cajaId: req.params.id, org });
+    return res.json({ rows: r.rows || [], ...resumen });
+  } catch (e) {
+    console.error("[GET /caja/:id/movimientos] error:", e?.message || e);
+    return res.status(500).json({ error: "caja_movimientos_list_error" });
+  }
+});
+
+/**
+ * Registra un movimiento en una caja abierta.
+ * Body: { tipo: retiro|gasto|cambio|ingreso, monto > 0, motivo?, categoria?, comprobante? }
+ */
+router.post("/:id/movimientos", authenticateToken, async (req, res) => {
+  try {
+    const org = requireOrg(req, res);
+    if (!org) return;
+    if (!(await ensureMovimientosInfra(res))) return;
+
+    const body = req.body || {};
+    const tipo = String(body.tipo ?? "").trim().toLowerCase();
+    const sentido = MOVIMIENTO_TIPOS[tipo];
+    if (!sentido) return res.status(400).json({ error: "tipo_invalido", tipos: Object.keys(MOVIMIENTO_TIPOS) });
+    const monto = toNum(body.monto, NaN);
+    if (!Number.isFinite(monto) || monto <= 0) return res.status(400).json({ error: "monto_invalido" });
+    const motivo = (body.motivo ?? body.notas ?? "").toString().trim() || null;
+    if (tipo === "gasto" && !motivo) return res.status(400).json({ error: "motivo requerido" });
+    const categoria = (body.categoria ?? "").toString().trim() || null;
+    const comprobante = (body.comprobante ?? "").toString().trim() || null;
+
+    // insert condicionado a que la caja siga abierta (evita carreras con el cierre)
+    const r = await q(
+      `INSERT INTO caja_movimientos
+        (organizacion_id, caja_id, tipo, sentido, monto, motivo, categoria, comprobante, usuario_email)
+       SELECT $1, c.id, $3, $4, $5, $6, $7, $8, $9
+         FROM cajas c
+        WHERE c.id = $2 AND c.organizacion_id = $1 AND c.estado = 'abierta'
+       RETURNING *`,
+      [org, req.params.id, tipo, sentido, monto, motivo, categoria, comprobante, req.usuario?.email || null]
+    );
+    if (!r.rowCount) {
+      const rCaja = await q(`SELECT estado FROM cajas WHERE id = $1 AND organizacion_id = $2 LIMIT 1`, [req.params.id, org]);
+      if (!rCaja.rowCount) return res.status(404).json({ error: "caja_no_encontrada" });
+      return res.status(409).json({ error: "caja_no_abierta" });
+    }
+    return res.status(201).json(r.rows[0]);
+  } catch (e) {
+    console.error("[POST /caja/:id/movimientos] error:", e?.message || e);
+    return res.status(500).json({ error: "caja_movimiento_create_error" });
+  }
+});
+
+// Anula (no borra) un movimiento; solo mientras la caja esta abierta
+router.post("/:id/movimientos/:movId/anular", authenticateToken, async (req, res) => {
+  try {
+    const org = requireOrg(req, res);
+    if (!org) return;
+    if (!(await ensureMovimientosInfra(res))) return;
+
+    const motivo = (req.body?.motivo ?? req.body?.reason ?? "").toString().trim();
+    if (!motivo) return res.status(400).json({ error: "motivo requerido" });
+
+    const rCaja = await q(`SELECT estado FROM cajas WHERE id = $1 AND organizacion_id = $2 LIMIT 1`, [req.params.id, org]);
+    if (!rCaja.rowCount) return res.status(404).json({ error: "caja_no_encontrada" });
+    if (String(rCaja.rows[0].estado || "").toLowerCase() !== "abierta") {
+      return res.status(409).json({ error: "caja_no_abierta" });
+    }
+
+    const r = await q(
+      `UPDATE caja_movimientos
+          SET anulado_at = NOW(), anulado_por = $4, anulado_motivo = $5
+        WHERE id = $1 AND caja_id = $2 AND organizacion_id = $3 AND anulado_at IS NULL
+        RETURNING *`,
+      [req.params.movId, req.params.id, org, req.usuario?.email || null, motivo]
+    );
+    if (!r.rowCount) {
+      const ex = await q(
+        `SELECT 1 FROM caja_movimientos WHERE id = $1 AND caja_id = $2 AND organizacion_id = $3`,
+        [req.params.movId, req.params.id, org]
+      );
+      return ex.rowCount
+        ? res.status(409).json({ error: "movimiento_ya_anulado" })
+        : res.status(404).json({ error: "movimiento_no_encontrado" });
+    }
+    return res.json(r.rows[0]);
+  } catch (e) {
+    console.error("[POST /caja/:id/movimientos/:movId/anular] error:", e?.message || e);
+    return res.status(500).json({ error: "caja_movimiento_anular_error" });
+  }
+});
+
 export default router;
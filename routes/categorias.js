@@ -1,6 +1,6 @@
 // routes/categorias.js — Pipeline Categories (TEXT-safe, tenancy estricto, sin deps externas)
 import { Router } from "express";
-import { q, CANON_CATS } from "../utils/db.js";
+import { q, CANON_CATS, pipelineForOrg } from "../utils/db.js";
 import { authenticateToken } from "../middleware/auth.js";
 
 const router = Router();
@@ -56,17 +56,18 @@ const sameOrg = (a, b) => T(a) !== null && T(b) !== null && String(a) === String
 /* =========================== GET =========================== */
 /**
  * Devuelve categorías ordenadas.
- * - Si falta la tabla o columnas mínimas: lista virtual desde CANON_CATS (no rompe FE).
+ * - Si falta la tabla o columnas mínimas: lista virtual desde el pipeline default de la org (no rompe FE).
  * - Seed suave canónicas globales (NULL) con su orden cuando la tabla está OK.
- * - Mezcla globales + org y ordena por CANON_CATS; desconocidas al final.
+ * - Mezcla globales + org y ordena por el pipeline de la org; desconocidas al final.
  */
 router.get("/", authenticateToken, async (req, res) => {
   try {
     const orgId = getOrgText(req); // TEXT
     const hasCats = await hasTable("categorias");
+    const pipeline = await pipelineForOrg(orgId);
 
-    // Lista virtual canónica (fallback)
-    const virtual = (CANON_CATS || []).map((nombre, i) => ({
+    // Lista virtual del pipeline (fallback)
+    const virtual = pipeline.map((nombre, i) => ({
       id: null,
       nombre,
       organizacion_id: null,
@@ -107,7 +108,7 @@ router.get("/", authenticateToken, async (req, res) => {
     const orgSel     = "organizacion_id";
     const createdSel = cols.has("created_at") ? "created_at" : "NULL::timestamptz AS created_at";
 
-    const params = [orgId, CANON_CATS || []];
+    const params = [orgId, pipeline];
 
     const r = await q(
       `
@@ -133,7 +134,8 @@ router.get("/", authenticateToken, async (req, res) => {
 
 /* =========================== POST ========================== */
 /**
- * Crea categoría canónica global (NULL org).
+ * Crea categoría; el nombre tiene que ser una etapa del pipeline de la org.
+ * Etapa fija (CANON_CATS) => global (NULL org); etapa de un pipeline propio => de la org del request.
  * Si falta la tabla => 501 (módulo no instalado).
  */
 router.post("/", authenticateToken, async (req, res) => {
@@ -148,20 +150,27 @@ router.post("/", authenticateToken, async (req, res) => {
     }
     nombre = nombre.trim();
 
-    const idx = (CANON_CATS || []).indexOf(nombre);
+    const orgId = getOrgText(req);
+    const idx = (await pipelineForOrg(orgId)).indexOf(nombre);
     if (idx === -1) {
       return res.status(400).json({ message: "Categoría no permitida (fuera del pipeline)" });
     }
+    // una etapa propia de la org no puede quedar como categoría de todos los tenants
+    const canon = (CANON_CATS || []).includes(nombre);
+    if (!canon && !orgId) return res.status(400).json({ message: "organizacion_id requerido" });
+    const owner = canon ? null : orgId;
 
     try {
       const r = await q(
         `INSERT INTO categorias (nombre, organizacion_id, orden)
-         SELECT $1, NULL, $2
+         SELECT $1, $3, $2
           WHERE NOT EXISTS (
-            SELECT 1 FROM categorias WHERE organizacion_id IS NULL AND lower(nombre)=lower($1)
+            SELECT 1 FROM categorias
+             WHERE (organizacion_id IS NULL OR organizacion_id::text = $4::text)
+               AND lower(nombre)=lower($1)
           )
          RETURNING id, nombre, organizacion_id, (NOW())::timestamptz AS created_at`,
-        [nombre, idx]
+        [nombre, idx, owner, owner]
       );
       if (!r.rowCount) return res.status(409).json({ message: "Categoría ya existe" });
       res.status(201).json(r.rows[0]);
@@ -179,7 +188,8 @@ router.post("/", authenticateToken, async (req, res) => {
 
 /* ============================ PUT =========================== */
 /**
- * Renombra a un nombre canónico. No cambia la org, solo el nombre.
+ * Renombra a una etapa del pipeline de la org. No cambia la org, solo el nombre.
+ * Una global solo se renombra a otra etapa fija (CANON_CATS); las de la org, a cualquier etapa.
  * Si falta la tabla => 501.
  */
 router.put("/:id", authenticateToken, async (req, res) => {
@@ -197,7 +207,8 @@ router.put("/:id", authenticateToken, async (req, res) => {
     }
 
     nombre = nombre.trim();
-    if (!(CANON_CATS || []).includes(nombre)) {
+    const orgId = getOrgText(req);
+    if (!(await pipelineForOrg(orgId)).includes(nombre)) {
       return res.status(400).json({ message: "Categoría no permitida (fuera del pipeline)" });
     }
 
@@ -206,8 +217,9 @@ router.put("/:id", authenticateToken, async (req, res) => {
         `UPDATE categorias
             SET nombre=$1
           WHERE id=$2
+            AND (organizacion_id::text = $3::text OR (organizacion_id IS NULL AND $4::boolean))
           RETURNING id, nombre, organizacion_id, (NOW())::timestamptz AS created_at`,
-        [nombre, id]
+        [nombre, id, orgId, (CANON_CATS || []).includes(nombre)]
       );
       if (!r.rowCount) return res.status(404).json({ message: "Categoría no encontrada" });
       res.json(r.rows[0]);
@@ -227,7 +239,7 @@ router.put("/:id", authenticateToken, async (req, res) => {
 /**
  * Borra categoría NO canónica.
  * - Si es canónica global (NULL y en CANON_CATS) => 400.
- * - ?reassignTo=Qualified (opcional, debe ser canónica).
+ * - ?reassignTo=Qualified (opcional, debe ser etapa del pipeline de la org).
  * - Solo permite borrar si pertenece a la misma organización que el request.
  * - Si falta tabla => 501.
  */
@@ -262,7 +274,7 @@ router.delete("/:id", authenticateToken, async (req, res) => {
 
     // Reasignación opcional
     if (reassignTo) {
-      if (!(CANON_CATS || []).includes(reassignTo)) {
+      if (!(await pipelineForOrg(orgId)).includes(reassignTo)) {
         return res.status(400).json({ message: "reassignTo no pertenece al pipeline" });
       }
       const hasClientes = await hasTable("clientes");
@@ -318,7 +330,7 @@ router.patch("/clientes/:id/move", authenticateToken, async (req, res) => {
 
     if (!Number.isInteger(id)) return res.status(400).json({ message: "ID inválido" });
     if (!nextRaw) return res.status(400).json({ message: "stage requerido" });
-    if (!(CANON_CATS || []).includes(nextRaw)) {
+    if (!(await pipelineForOrg(orgId)).includes(nextRaw)) {
       return res.status(400).json({ message: "stage fuera del pipeline" });
     }
 
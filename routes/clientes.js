@@ -3,6 +3,7 @@ import { Router } from "express";
 import { q, pool } from "../utils/db.js";
 import { authenticateToken } from "../middleware/auth.js";
 import { getOrgText } from "../utils/org.js";
+import { buildStatement, statementToCsv } from "../services/statements.service.js";
 
 const router = Router();
 
@@ -97,7 +98,7 @@ router.get("/", authenticateToken, async (req, res) => {
     // status derivado robusto
     const hasStatus = colsC.has("status");
     const stageCol = pickOne(colsC, ["stage", "estado", "etapa"]);
-    const statusExpr = hasStatus
+    const baseStatusExpr = hasStatus
       ? `COALESCE(c.status,'active')`
       : stageCol
         ? `(CASE
@@ -106,6 +107,10 @@ router.get("/", authenticateToken, async (req, res) => {
              ELSE 'active'
            END)`
         : `'active'`;
+    // activo = FALSE lo pone el dunning (mark_client_inactive)
+    const statusExpr = colsC.has("activo")
+      ? `(CASE WHEN c.activo = FALSE THEN 'inactive' ELSE ${baseStatusExpr} END)`
+      : baseStatusExpr;
 
     // filtros
     const params = [organizacion_id];
@@ -275,6 +280,16 @@ router.patch("/:id", authenticateToken, async (req, res) => {
     const values = [];
     let i = 1;
 
+    // activo (lo apaga el dunning con mark_client_inactive): reactivar es de owner/admin
+    if (colsC.has("activo") && "activo" in (req.body || {})) {
+      const rol = String(req.usuario?.rol || "user").toLowerCase();
+      if (!["owner", "admin"].includes(rol)) return res.status(403).json({ message: "Permisos insuficientes" });
+      const activo = req.body.activo;
+      if (typeof activo !== "boolean") return res.status(400).json({ message: "activo debe ser booleano" });
+      fields.push(`activo=$${i++}`);
+      values.push(activo);
+    }
+
     for (const k of allowed) {
       if (k in (req.body || {})) {
         if (k === "status") {
@@ -385,14 +400,16 @@ router.post("/:id/convertir-a-activo", authenticateToken, async (req, res) => {
     if (!organizacion_id) return res.status(400).json({ message: "organizacion_id requerido" });
 
     const colsC = await tableColumns("clientes");
+    // tambien deshace el mark_client_inactive del dunning
+    const reactivar = colsC.has("activo") ? ", activo=TRUE" : "";
     if (colsC.has("status")) {
-      const r = await q(`UPDATE clientes SET status='active', updated_at=NOW() WHERE id=$1 AND organizacion_id=$2 RETURNING *`, [id, organizacion_id]);
+      const r = await q(`UPDATE clientes SET status='active'${reactivar}, updated_at=NOW() WHERE id=$1 AND organizacion_id=$2 RETURNING *`, [id, organizacion_id]);
       if (!r.rowCount) return res.status(404).json({ message: "Cliente no encontrado" });
       return res.json(r.rows[0]);
     }
     const stageCol = pickOne(colsC, ["stage", "estado", "etapa"]);
     if (stageCol) {
-      const r = await q(`UPDATE clientes SET ${stageCol}='Active', updated_at=NOW() WHERE id=$1 AND organizacion_id=$2 RETURNING *`, [id, organizacion_id]);
+      const r = await q(`UPDATE clientes SET ${stageCol}='Active'${reactivar}, updated_at=NOW() WHERE id=$1 AND organizacion_id=$2 RETURNING *`, [id, organizacion_id]);
       if (!r.rowCount) return res.status(404).json({ message: "Cliente no encontrado" });
       return res.json(r.rows[0]);
     }
@@ -514,6 +531,51 @@ router.delete("/:id", authenticateToken, async (req, res) => {
   }
 });
 
+/* ============== GET /clientes/:id/estado-de-cuenta ============== */
+/**
+ * Estado de cuenta con saldo corrido (facturas, pagos, notas de credito, cobros POS).
+ *   - ?from=YYYY-MM-DD&to=YYYY-MM-DD  (opcionales; lo previo a from va a saldo_inicial)
+ *   - ?format=csv                     (o Accept: text/csv)
+ */
+router.get("/:id/estado-de-cuenta", authenticateToken, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ message: "ID inválido" });
+    const { organizacion_id } = getUserFromReq(req);
+    if (!organizacion_id) return res.status(400).json({ message: "organizacion_id requerido" });
+
+    const isDate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(new Date(v).getTime());
+    const from = T(req.query.from);
+    const to = T(req.query.to);
+    if ((from && !isDate(from)) || (to && !isDate(to))) {
+      return res.status(400).json({ message: "Fechas inválidas (YYYY-MM-DD)" });
+    }
+    if (from && to && from > to) return res.status(400).json({ message: "from posterior a to" });
+
+    const rCli = await q(
+      `SELECT id, nombre, email FROM clientes WHERE id = $1 AND organizacion_id = $2`,
+      [id, organizacion_id]
+    );
+    if (!rCli.rowCount) return res.status(404).json({ message: "Cliente no encontrado" });
+
+    const statement = await buildStatement(pool, { org: organizacion_id, clienteId: id, from, to });
+
+    const wantsCsv =
+      String(req.query.format || "").toLowerCase() === "csv" ||
+      (!req.query.format && req.accepts(["json", "text/csv"]) === "text/csv");
+    if (wantsCsv) {
+      const name = `estado-de-cuenta-${id}${from ? `-${from}` : ""}${to ? `-${to}` : ""}.csv`;
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set("Content-Disposition", `attachment; filename="${name}"`);
+      return res.send(statementToCsv(statement));
+    }
+    res.json({ cliente: rCli.rows[0], ...statement });
+  } catch (e) {
+    console.error("[GET /clientes/:id/estado-de-cuenta]", e?.stack || e?.message || e);
+    res.status(500).json({ message: "Error generando estado de cuenta" });
+  }
+});
+
 /* ===================== CONTACTOS ===================== */
 
 // Guardas por si el esquema no tiene la tabla
@@ -1,8 +1,22 @@
 import { Router } from "express";
-import { authenticateToken } from "../middleware/auth.js";
+import { authenticateToken, requireRole } from "../middleware/auth.js";
 import { getOrgText } from "../utils/org.js";
 import { q, pool } from "../utils/db.js";
 import { stockRequest } from "../services/stock.client.js";
+import { hasTable, tableColumns } from "../utils/schema.js";
+import {
+  normalizePagos,
+  normalizeMedio,
+  resumenMedio,
+  insertCobroPagos,
+  planDevolucion,
+  postCobroStock,
+  reintentarStockCobro,
+  MEDIO_EFECTIVO,
+} from "../services/cobros.service.js";
+import { loadPricingContext, precioDeLista, priceLine } from "../services/pricing.service.js";
+import { recalcularCierreCaja } from "../services/caja.service.js";
+import { round2 } from "../utils/money.js";
 
 const router = Router();
 
@@ -103,7 +117,29 @@ async function fetchStockProduct(req, { producto_id, codigo_qr, producto_nombre,
   return null;
 }
 
-async function validateItemsAgainstStock(req, items, almacen_id) {
+function precioStock(prod) {
+  return Number.isFinite(Number(prod?.costo)) ? Number(prod.costo) : null;
+}
+
+function assertPrecioStock(prod, it) {
+  const esperado = precioStock(prod);
+  if (it.precio_unitario != null && Number.isFinite(esperado)) {
+    if (Math.abs(esperado - it.precio_unitario) > 0.01) {
+      const err = new Error("precio_mismatch");
+      err.status = 409;
+      err.detail = {
+        message: "precio_mismatch",
+        producto_id: prod.id,
+        esperado,
+        recibido: it.precio_unitario,
+      };
+      throw err;
+    }
+  }
+}
+
+// checkPrecio=false: el precio lo resuelve despues la lista de precios (ver cotizarItems)
+async function validateItemsAgainstStock(req, items, almacen_id, { checkPrecio = true } = {}) {
   const validated = [];
   for (const it of items) {
     const prod = await fetchStockProduct(req, {
@@ -140,26 +176,114 @@ async function validateItemsAgainstStock(req, items, almacen_id) {
       throw err;
     }
 
-    const precioStock = Number.isFinite(Number(prod.costo)) ? Number(prod.costo) : null;
-    if (it.precio_unitario != null && Number.isFinite(precioStock)) {
-      if (Math.abs(precioStock - it.precio_unitario) > 0.01) {
-        const err = new Error("precio_mismatch");
-        err.status = 409;
-        err.detail = {
-          message: "precio_mismatch",
-          producto_id: prod.id,
-          esperado: precioStock,
-          recibido: it.precio_unitario,
-        };
-        throw err;
-      }
-    }
+    if (checkPrecio) assertPrecioStock(prod, it);
 
     validated.push({ producto: prod, item: it });
   }
   return validated;
 }
 
+function itemsError(items) {
+  for (const it of items) {
+    if (!Number.isFinite(it.cantidad) || it.cantidad <= 0) {
+      return { error: "cantidad invalida", item: it._raw };
+    }
+    if (it.precio_unitario != null && !Number.isFinite(it.precio_unitario)) {
+      return { error: "precio_unitario invalido", item: it._raw };
+    }
+    if (!it.producto_id && !it.producto_nombre && !it.codigo_qr) {
+      return { error: "producto_id o nombre/codigo_qr requerido", item: it._raw };
+    }
+  }
+  return null;
+}
+
+function sendStockValidationError(res, err) {
+  if (err?.response || err?.status) {
+    const status = err?.status || err?.response?.status || 502;
+    const detail = err?.detail || err?.response?.data || { message: "stock_error" };
+    return res.status(status).json({ error: "stock_validation_error", detail });
+  }
+  const { status, detail } = stockErrorPayload(err);
+  return res.status(status).json({ error: "stock_validation_error", detail });
+}
+
+/**
+ * Valida contra stock y le pone precio a cada linea en el servidor: lista de la categoria del
+ * cliente (o la general), promocion vigente y el descuento manual aparte. Sin la migracion de
+ * precios queda como antes: precio del cliente validado contra stock.
+ * Si falla ya respondio y devuelve null.
+ */
+async function cotizarCobro(req, res, { org, items, almacen_id, cliente_id, descuentoManual }) {
+  const conPrecios = await hasTable("listas_precios");
+  let validated;
+  try {
+    validated = await validateItemsAgainstStock(req, items, almacen_id, { checkPrecio: !conPrecios });
+  } catch (err) {
+    sendStockValidationError(res, err);
+    return null;
+  }
+
+  let ctx = null;
+  if (conPrecios) {
+    try {
+      ctx = await loadPricingContext(pool, {
+        org,
+        clienteId: cliente_id,
+        productoIds: validated.map(({ producto, item }) => item.producto_id ?? Number(producto?.id)),
+      });
+    } catch (e) {
+      console.error("[POST /cobros] precios error:", e?.message || e);
+      res.status(500).json({ error: "precios_error" });
+      return null;
+    }
+  }
+
+  let lineas;
+  try {
+    lineas = validated.map(({ producto, item }) => {
+      if (!ctx) return { ...item, precio_lista: null, descuento: 0, lista_id: null, promocion_id: null, regla: null };
+      const producto_id = item.producto_id ?? (Number.isInteger(Number(producto?.id)) ? Number(producto.id) : null);
+      // sin precio de lista el del cliente tiene que coincidir con stock, como siempre
+      if (!precioDeLista(ctx, producto_id)) assertPrecioStock(producto, item);
+      const precioBase = item.precio_unitario ?? precioStock(producto);
+      return { ...item, ...priceLine(ctx, { producto_id, cantidad: item.cantidad, precioBase }) };
+    });
+  } catch (err) {
+    sendStockValidationError(res, err);
+    return null;
+  }
+
+  const subtotal = round2(lineas.reduce((acc, l) => acc + (Number.isFinite(l.subtotal) ? l.subtotal : 0), 0));
+  const descuento_reglas = round2(lineas.reduce((acc, l) => acc + l.descuento, 0));
+  const descuento_total = round2(descuento_reglas + descuentoManual);
+  return {
+    con_precios: !!ctx,
+    categoria_cliente: ctx?.categoria ?? null,
+    lineas,
+    subtotal,
+    descuento_reglas,
+    descuento_manual: descuentoManual,
+    descuento_total,
+    total: Math.max(round2(subtotal - descuento_total), 0),
+  };
+}
+
+// lo que ve el POS por linea: precio, descuento y que regla lo dio
+function lineaResumen(l) {
+  return {
+    producto_id: l.producto_id,
+    producto_nombre: l.producto_nombre,
+    codigo_qr: l.codigo_qr,
+    cantidad: l.cantidad,
+    precio_lista: l.precio_lista,
+    precio_unitario: Number.isFinite(l.precio_unitario) ? l.precio_unitario : null,
+    subtotal: Number.isFinite(l.subtotal) ? l.subtotal : 0,
+    descuento: l.descuento,
+    regla: l.regla,
+  };
+}
+
 router.get("/", authenticateToken, async (req, res) => {
   try {
     const org = getOrgText(req, { require: false });
@@ -220,6 +344,54 @@ router.get("/", authenticateToken, async (req, res) => {
   }
 });
 
+/* ---------------------------- fallidos (admin) ---------------------------- */
+async function ensureReconcileInfra(res) {
+  const ok = (await ensureCobrosInfra()) && (await tableColumns("cobros")).has("requiere_revision");
+  if (!ok) res.status(501).json({ error: "cobros_reconcile_no_instalado" });
+  return ok;
+}
+
+// cobros con stock sin postear: online 'fallido' u offline (/sync) con stock_estado pendiente/fallido
+async function stockSinPostearCond() {
+  return (await tableColumns("cobros")).has("stock_estado")
+    ? `(estado = 'fallido' OR stock_estado IN ('pendiente','fallido'))`
+    : `estado = 'fallido'`;
+}
+
+// un offline 'pendiente' que el reconciliador no posteo en este tiempo se lista como trabado
+const SYNC_TRABADO_MIN = 15;
+
+// ?revision=1 solo los que el reconciliador dejo para un humano
+router.get("/fallidos", authenticateToken, requireRole("owner", "admin"), async (req, res) => {
+  try {
+    const org = getOrgText(req, { require: false });
+    if (!org) return res.status(400).json({ error: "organizacion_id requerido" });
+    if (!(await ensureReconcileInfra(res))) return;
+
+    const soloRevision = ["1", "true"].includes(String(req.query?.revision || "").toLowerCase());
+    const conOffline = (await tableColumns("cobros")).has("stock_estado");
+    const r = await q(
+      `SELECT id, tipo, devolucion_de, almacen_id, caja_id, cliente_id, total, medio_pago, estado,
+              ${conOffline ? "origen, stock_estado," : ""}
+              stock_error, stock_intentos, stock_ultimo_intento_at, stock_proximo_intento_at,
+              requiere_revision, usuario_email, created_at
+         FROM cobros
+        WHERE organizacion_id = $1
+          AND (estado = 'fallido'
+               ${conOffline ? `OR stock_estado = 'fallido'
+               OR (stock_estado = 'pendiente' AND sincronizado_at < NOW() - make_interval(mins => ${SYNC_TRABADO_MIN}))` : ""})
+          AND ($2::boolean IS FALSE OR requiere_revision)
+        ORDER BY requiere_revision DESC, created_at ASC
+        LIMIT 500`,
+      [org, soloRevision]
+    );
+    return res.json({ rows: r.rows || [], total: r.rowCount });
+  } catch (e) {
+    console.error("[GET /cobros/fallidos] error:", e?.message || e);
+    return res.status(500).json({ error: "cobros_fallidos_error" });
+  }
+});
+
 router.get("/:id", authenticateToken, async (req, res) => {
   try {
     const org = getOrgText(req, { require: false });
@@ -239,8 +411,20 @@ router.get("/:id", authenticateToken, async (req, res) => {
       `SELECT * FROM cobro_items WHERE cobro_id = $1 ORDER BY id ASC`,
       [id]
     );
+    const pagos = (await hasTable("cobro_pagos"))
+      ? (await q(`SELECT * FROM cobro_pagos WHERE cobro_id = $1 ORDER BY created_at, id`, [id])).rows
+      : [];
+    const cols = await tableColumns("cobros");
+    const devoluciones = cols.has("devolucion_de")
+      ? (await q(
+          `SELECT id, total, medio_pago, estado, notas, caja_id, created_at
+             FROM cobros WHERE devolucion_de = $1 AND organizacion_id = $2
+            ORDER BY created_at`,
+          [id, org]
+        )).rows
+      : [];
 
-    return res.json({ ...r.rows[0], items: items.rows || [] });
+    return res.json({ ...r.rows[0], items: items.rows || [], pagos, devoluciones });
   } catch (e) {
     console.error("[GET /cobros/:id] error:", e?.message || e);
     return res.status(500).json({ error: "cobro_get_error" });
@@ -266,17 +450,8 @@ router.post("/", authenticateToken, async (req, res) => {
   if (!itemsRaw.length) return res.status(400).json({ error: "items requeridos" });
 
   const items = itemsRaw.map(normalizeItem);
-  for (const it of items) {
-    if (!Number.isFinite(it.cantidad) || it.cantidad <= 0) {
-      return res.status(400).json({ error: "cantidad invalida", item: it._raw });
-    }
-    if (it.precio_unitario != null && !Number.isFinite(it.precio_unitario)) {
-      return res.status(400).json({ error: "precio_unitario invalido", item: it._raw });
-    }
-    if (!it.producto_id && !it.producto_nombre && !it.codigo_qr) {
-      return res.status(400).json({ error: "producto_id o nombre/codigo_qr requerido", item: it._raw });
-    }
-  }
+  const badItem = itemsError(items);
+  if (badItem) return res.status(400).json(badItem);
 
   if (caja_id) {
     const rCaja = await q(
@@ -296,28 +471,41 @@ router.post("/", authenticateToken, async (req, res) => {
     }
   }
 
-  try {
-    await validateItemsAgainstStock(req, items, almacen_id);
-  } catch (err) {
-    if (err?.response || err?.status) {
-      const status = err?.status || err?.response?.status || 502;
-      const detail = err?.detail || err?.response?.data || { message: "stock_error" };
-      return res.status(status).json({ error: "stock_validation_error", detail });
-    }
-    const { status, detail } = stockErrorPayload(err);
-    return res.status(status).json({ error: "stock_validation_error", detail });
-  }
-
-  const descuento_total = toNum(body.descuento_total ?? body.descuento ?? 0, 0);
+  const descuentoManual = toNum(body.descuento_total ?? body.descuento ?? 0, 0);
   const moneda = (body.moneda ?? body.currency ?? "ARS").toString().trim() || "ARS";
-  const medio_pago = (body.medio_pago ?? body.metodo_pago ?? body.payment_method ?? "").toString().trim() || null;
   const notas = (body.notas ?? body.observacion ?? "").toString().trim() || null;
   const cliente_id = Number.isFinite(Number(body.cliente_id)) ? Number(body.cliente_id) : null;
 
-  const totalItems = items.reduce((acc, it) => acc + (Number.isFinite(it.subtotal) ? it.subtotal : 0), 0);
-  const total = Number.isFinite(Number(body.total)) ? Number(body.total) : Math.max(totalItems - descuento_total, 0);
+  const cot = await cotizarCobro(req, res, { org, items, almacen_id, cliente_id, descuentoManual });
+  if (!cot) return;
+  const lineas = cot.lineas;
+  const descuento_total = cot.descuento_total;
+
+  // con precios en el servidor el total del cliente solo se controla (POST /cobros/cotizar lo da)
+  let total = cot.total;
+  if (cot.con_precios) {
+    if (body.total != null && Math.abs(toNum(body.total, NaN) - total) > 0.01) {
+      return res.status(409).json({ error: "total_mismatch", esperado: total, recibido: body.total });
+    }
+  } else if (Number.isFinite(Number(body.total))) {
+    total = Number(body.total);
+  }
+
+  // pagos divididos (body.pagos) o uno solo por el total con medio_pago
+  let pagos;
+  try {
+    pagos = normalizePagos(body, total);
+  } catch (err) {
+    return res.status(err.status || 400).json({ error: err.code || "pagos_invalidos", ...err.detail });
+  }
+  const hasPagos = await hasTable("cobro_pagos");
+  const medio_pago =
+    resumenMedio(pagos) ||
+    (body.medio_pago ?? body.metodo_pago ?? body.payment_method ?? "").toString().trim() ||
+    null;
 
   const userEmail = req.usuario?.email || null;
+  const conRegla = cot.con_precios && (await tableColumns("cobro_items")).has("regla");
 
   const client = await pool.connect();
   let cobro = null;
@@ -334,15 +522,245 @@ router.post("/", authenticateToken, async (req, res) => {
       [org, cliente_id, almacen_id, caja_id, moneda, total, descuento_total, medio_pago, notas, userEmail]
     );
     cobro = ins.rows[0];
+    if (conRegla) {
+      await client.query(`UPDATE cobros SET descuento_manual = $2 WHERE id = $1`, [cobro.id, cot.descuento_manual]);
+    }
+
+    for (const it of lineas) {
+      const base = [
+        cobro.id,
+        it.producto_id,
+        it.producto_nombre,
+        it.codigo_qr,
+        it.cantidad,
+        Number.isFinite(it.precio_unitario) ? it.precio_unitario : 0,
+        Number.isFinite(it.subtotal) ? it.subtotal : 0,
+      ];
+      if (conRegla) {
+        await client.query(
+          `INSERT INTO cobro_items
+            (cobro_id, producto_id, producto_nombre, codigo_qr, cantidad, precio_unitario, subtotal,
+             precio_lista, descuento, lista_id, promocion_id, regla)
+           VALUES
+            ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+          [...base, it.precio_lista, it.descuento, it.lista_id, it.promocion_id, JSON.stringify(it.regla)]
+        );
+      } else {
+        await client.query(
+          `INSERT INTO cobro_items
+            (cobro_id, producto_id, producto_nombre, codigo_qr, cantidad, precio_unitario, subtotal)
+           VALUES
+            ($1, $2, $3, $4, $5, $6, $7)`,
+          base
+        );
+      }
+    }
+    if (hasPagos) await insertCobroPagos(client, { cobroId: cobro.id, org, pagos });
+
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("[POST /cobros] db error:", e?.message || e);
+    return res.status(500).json({ error: "cobro_db_error" });
+  } finally {
+    client.release();
+  }
+
+  const precios = {
+    total,
+    descuento_total,
+    descuento_manual: cot.descuento_manual,
+    items: lineas.map(lineaResumen),
+  };
+  try {
+    const r = await postCobroStock(req, cobro, lineas);
+    await q(
+      `UPDATE cobros SET estado = 'confirmado', stock_error = NULL, updated_at = NOW() WHERE id = $1`,
+      [cobro.id]
+    );
+    return res.status(201).json({ cobro_id: cobro.id, estado: "confirmado", ...precios, stock: r.data });
+  } catch (err) {
+    const status = err?.response?.status || 502;
+    const detail = err?.response?.data || { message: "stock_error" };
+    await q(
+      `UPDATE cobros SET estado = 'fallido', stock_error = $2, updated_at = NOW() WHERE id = $1`,
+      [cobro.id, JSON.stringify(detail)]
+    );
+    return res.status(status).json({ cobro_id: cobro.id, estado: "fallido", ...precios, stock_error: detail });
+  }
+});
+
+/**
+ * Precio del carrito sin crear el cobro (mismo body que POST /cobros): precio por linea,
+ * regla aplicada y total a cobrar, para armar los pagos antes de confirmar.
+ */
+router.post("/cotizar", authenticateToken, async (req, res) => {
+  const org = getOrgText(req, { require: false });
+  if (!org) return res.status(400).json({ error: "organizacion_id requerido" });
+
+  const body = req.body || {};
+  const almacen_id = Number(body.almacen_id ?? body.almacenId ?? body.almacen);
+  if (!Number.isFinite(almacen_id)) {
+    return res.status(400).json({ error: "almacen_id requerido" });
+  }
+  const itemsRaw = Array.isArray(body.items) ? body.items : [];
+  if (!itemsRaw.length) return res.status(400).json({ error: "items requeridos" });
+  const items = itemsRaw.map(normalizeItem);
+  const badItem = itemsError(items);
+  if (badItem) return res.status(400).json(badItem);
+
+  const cliente_id = Number.isFinite(Number(body.cliente_id)) ? Number(body.cliente_id) : null;
+  const descuentoManual = toNum(body.descuento_total ?? body.descuento ?? 0, 0);
+  try {
+    const cot = await cotizarCobro(req, res, { org, items, almacen_id, cliente_id, descuentoManual });
+    if (!cot) return;
+    return res.json({
+      cliente_id,
+      categoria_cliente: cot.categoria_cliente,
+      items: cot.lineas.map(lineaResumen),
+      subtotal: cot.subtotal,
+      descuento_reglas: cot.descuento_reglas,
+      descuento_manual: cot.descuento_manual,
+      descuento_total: cot.descuento_total,
+      total: cot.total,
+    });
+  } catch (e) {
+    console.error("[POST /cobros/cotizar] error:", e?.message || e);
+    return res.status(500).json({ error: "cobro_cotizar_error" });
+  }
+});
+
+/* ---------------------------- sync offline ---------------------------- */
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SYNC_MAX = 200;
+// tolerancia para relojes de tablet adelantados
+const SYNC_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Alta de un cobro generado offline. Devuelve el resultado por item:
+ * { id, status: creado|duplicado|error, estado?, stock_estado?, caja_id?, error?, ... }.
+ * No valida contra stock (la venta ya ocurrio): entra 'confirmado' en la caja de la fecha y el
+ * reconciliador postea /salidas (stock_estado pendiente). Sin caja abierta en esa fecha es error;
+ * si esa caja ya cerro, se rehace la foto del cierre en la misma transaccion.
+ */
+async function syncOfflineCobro(org, raw, userEmail) {
+  const id = String(raw?.id ?? raw?.uuid ?? "").trim();
+  if (!UUID_RE.test(id)) return { id: id || null, status: "error", error: "id_invalido" };
+  const fail = (error, extra = {}) => ({ id, status: "error", error, ...extra });
+
+  const ts = new Date(raw?.created_at ?? raw?.timestamp ?? NaN);
+  if (isNaN(ts.getTime())) return fail("created_at_invalido");
+  if (ts.getTime() > Date.now() + SYNC_CLOCK_SKEW_MS) return fail("created_at_futuro");
+
+  const almacen_id = Number(raw?.almacen_id ?? raw?.almacenId);
+  if (!Number.isFinite(almacen_id)) return fail("almacen_id requerido");
+
+  const itemsRaw = Array.isArray(raw?.items) ? raw.items : [];
+  if (!itemsRaw.length) return fail("items requeridos");
+  const items = itemsRaw.map(normalizeItem);
+  for (const [index, it] of items.entries()) {
+    if (!Number.isFinite(it.cantidad) || it.cantidad <= 0) return fail("cantidad invalida", { index });
+    if (it.precio_unitario != null && !Number.isFinite(it.precio_unitario)) return fail("precio_unitario invalido", { index });
+    if (!it.producto_id && !it.producto_nombre && !it.codigo_qr) return fail("producto_id o nombre/codigo_qr requerido", { index });
+  }
+
+  const descuento_total = toNum(raw?.descuento_total ?? raw?.descuento ?? 0, 0);
+  const totalItems = items.reduce((acc, it) => acc + (Number.isFinite(it.subtotal) ? it.subtotal : 0), 0);
+  const total = Number.isFinite(Number(raw?.total)) ? Number(raw.total) : Math.max(totalItems - descuento_total, 0);
+  let pagos;
+  try {
+    pagos = normalizePagos(raw, total);
+  } catch (err) {
+    return fail(err.code || "pagos_invalidos", err.detail);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const prev = await client.query(
+      `SELECT organizacion_id, estado, stock_estado, caja_id FROM cobros WHERE id = $1`,
+      [id]
+    );
+    if (prev.rowCount) {
+      await client.query("ROLLBACK");
+      const p = prev.rows[0];
+      if (String(p.organizacion_id) !== String(org)) return fail("id_en_uso");
+      return { id, status: "duplicado", estado: p.estado, stock_estado: p.stock_estado, caja_id: p.caja_id };
+    }
+
+    // caja abierta al momento de la venta: la indicada o la del almacen en ese horario
+    let caja_id = raw?.caja_id ?? raw?.cajaId ?? null;
+    let cajaCerrada = false;
+    if (caja_id) {
+      const rCaja = await client.query(
+        `SELECT almacen_id, estado, apertura_at, cierre_at FROM cajas WHERE id = $1 AND organizacion_id = $2`,
+        [caja_id, org]
+      );
+      if (!rCaja.rowCount) {
+        await client.query("ROLLBACK");
+        return fail("caja_no_encontrada");
+      }
+      const caja = rCaja.rows[0];
+      const abiertaEnFecha =
+        (!caja.apertura_at || new Date(caja.apertura_at) <= ts) && (!caja.cierre_at || new Date(caja.cierre_at) >= ts);
+      if (!abiertaEnFecha) {
+        await client.query("ROLLBACK");
+        return fail("caja_no_abierta_en_fecha", { caja_id });
+      }
+      if (Number.isFinite(Number(caja.almacen_id)) && Number(caja.almacen_id) !== almacen_id) {
+        await client.query("ROLLBACK");
+        return fail("caja_almacen_mismatch", { caja_almacen_id: Number(caja.almacen_id) });
+      }
+      cajaCerrada = String(caja.estado || "").toLowerCase() !== "abierta";
+    } else {
+      const rCaja = await client.query(
+        `SELECT id, estado FROM cajas
+          WHERE organizacion_id = $1 AND almacen_id = $2
+            AND apertura_at <= $3 AND (cierre_at IS NULL OR cierre_at >= $3)
+          ORDER BY apertura_at DESC
+          LIMIT 1`,
+        [org, almacen_id, ts.toISOString()]
+      );
+      if (!rCaja.rowCount) {
+        // sin caja el efectivo no entraria en ningun arqueo: la tablet tiene que mandar caja_id
+        await client.query("ROLLBACK");
+        return fail("caja_no_abierta_en_fecha", { almacen_id });
+      }
+      caja_id = rCaja.rows[0].id;
+      cajaCerrada = String(rCaja.rows[0].estado || "").toLowerCase() !== "abierta";
+    }
+
+    const moneda = (raw?.moneda ?? raw?.currency ?? "ARS").toString().trim() || "ARS";
+    const notas = (raw?.notas ?? raw?.observacion ?? "").toString().trim() || null;
+    const cliente_id = Number.isFinite(Number(raw?.cliente_id)) ? Number(raw.cliente_id) : null;
+
+    const ins = await client.query(
+      `INSERT INTO cobros
+        (id, organizacion_id, cliente_id, almacen_id, caja_id, moneda, total, descuento_total,
+         medio_pago, notas, estado, usuario_email, created_at, origen, sincronizado_at,
+         stock_estado, stock_proximo_intento_at)
+       VALUES
+        ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'confirmado', $11, $12, 'offline', NOW(),
+         'pendiente', NOW())
+       ON CONFLICT (id) DO NOTHING
+       RETURNING id`,
+      [id, org, cliente_id, almacen_id, caja_id, moneda, total, descuento_total, resumenMedio(pagos),
+       notas, userEmail, ts.toISOString()]
+    );
+    if (!ins.rowCount) {
+      // otra sync del mismo lote gano la carrera
+      await client.query("ROLLBACK");
+      return { id, status: "duplicado" };
+    }
 
     for (const it of items) {
       await client.query(
         `INSERT INTO cobro_items
           (cobro_id, producto_id, producto_nombre, codigo_qr, cantidad, precio_unitario, subtotal)
-         VALUES
-          ($1, $2, $3, $4, $5, $6, $7)`,
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
         [
-          cobro.id,
+          id,
           it.producto_id,
           it.producto_nombre,
           it.codigo_qr,
@@ -352,43 +770,289 @@ router.post("/", authenticateToken, async (req, res) => {
         ]
       );
     }
+    if (await hasTable("cobro_pagos")) await insertCobroPagos(client, { cobroId: id, org, pagos });
+    // caja ya cerrada: la foto del cierre (por medio / esperado / diferencia) incluye esta venta
+    if (cajaCerrada) await recalcularCierreCaja(client, { cajaId: caja_id, org });
 
     await client.query("COMMIT");
+    return {
+      id,
+      status: "creado",
+      estado: "confirmado",
+      stock_estado: "pendiente",
+      caja_id,
+      ...(cajaCerrada ? { caja_cerrada: true, cierre_recalculado: true } : {}),
+    };
   } catch (e) {
     await client.query("ROLLBACK").catch(() => {});
-    console.error("[POST /cobros] db error:", e?.message || e);
-    return res.status(500).json({ error: "cobro_db_error" });
+    console.error("[POST /cobros/sync] db error:", id, e?.message || e);
+    return fail("cobro_db_error");
   } finally {
     client.release();
   }
+}
 
-  const stockPayload = {
-    almacen_id,
-    items: items.map((it) => ({
-      producto_id: it.producto_id || undefined,
-      codigo_qr: it.codigo_qr || undefined,
-      producto_nombre: it.producto_nombre || undefined,
-      cantidad: it.cantidad,
-    })),
-    referencia: `cobro:${cobro.id}`,
-    observaciones: notas || undefined,
-  };
+/**
+ * Sync de cobros creados offline. Body: { cobros: [{ id (uuid), created_at, almacen_id, caja_id?,
+ * items, pagos? | medio_pago, total?, descuento_total?, moneda?, cliente_id?, notas? }] }
+ * Idempotente por id: reenviar el lote devuelve 'duplicado' para lo ya recibido.
+ * El stock se postea despues (workers/cobros.reconciler.js).
+ */
+router.post("/sync", authenticateToken, async (req, res) => {
+  try {
+    const org = getOrgText(req, { require: false });
+    if (!org) return res.status(400).json({ error: "organizacion_id requerido" });
+
+    const okInfra = await ensureCobrosInfra();
+    if (!okInfra) return res.status(501).json({ error: "cobros_no_instalado" });
+    if (!(await tableColumns("cobros")).has("stock_estado")) {
+      return res.status(501).json({ error: "cobros_sync_no_instalado" });
+    }
+
+    const list = Array.isArray(req.body?.cobros) ? req.body.cobros : null;
+    if (!list || !list.length) return res.status(400).json({ error: "cobros requeridos" });
+    if (list.length > SYNC_MAX) return res.status(413).json({ error: "demasiados_cobros", max: SYNC_MAX });
+
+    const results = [];
+    for (const raw of list) {
+      results.push(await syncOfflineCobro(org, raw, req.usuario?.email || null));
+    }
+    const count = (st) => results.filter((r) => r.status === st).length;
+    return res.json({
+      creados: count("creado"),
+      duplicados: count("duplicado"),
+      errores: count("error"),
+      results,
+    });
+  } catch (e) {
+    console.error("[POST /cobros/sync] error:", e?.message || e);
+    return res.status(500).json({ error: "cobros_sync_error" });
+  }
+});
 
+// Reintento inmediato con el token del usuario (mismo Idempotency-Key que el original)
+router.post("/:id/reintentar", authenticateToken, requireRole("owner", "admin"), async (req, res) => {
   try {
-    const r = await stockRequest(req, { method: "post", path: "/salidas", data: stockPayload });
+    const org = getOrgText(req, { require: false });
+    if (!org) return res.status(400).json({ error: "organizacion_id requerido" });
+    if (!(await ensureReconcileInfra(res))) return;
+
+    const r = await q(
+      `SELECT *, ${await stockSinPostearCond()} AS sin_postear FROM cobros WHERE id = $1 AND organizacion_id = $2 LIMIT 1`,
+      [req.params.id, org]
+    );
+    if (!r.rowCount) return res.status(404).json({ error: "cobro_no_encontrado" });
+    if (!r.rows[0].sin_postear) {
+      return res.status(409).json({ error: "cobro_no_fallido", estado: r.rows[0].estado });
+    }
+
+    const out = await reintentarStockCobro(pool, r.rows[0], { req, maxIntentos: Infinity });
+    return res.status(out.ok ? 200 : out.status || 502).json({ cobro_id: r.rows[0].id, ...out });
+  } catch (e) {
+    console.error("[POST /cobros/:id/reintentar] error:", e?.message || e);
+    return res.status(500).json({ error: "cobro_reintentar_error" });
+  }
+});
+
+/**
+ * Resolucion manual de un cobro fallido (o offline con stock sin postear). Body: { accion: confirmar|anular, nota }
+ * confirmar: el stock se ajusto a mano, el cobro cuenta en la caja (offline: stock_estado ajustado).
+ * anular: la venta no se hizo; no cuenta en caja ni en stock.
+ */
+router.post("/:id/resolver", authenticateToken, requireRole("owner", "admin"), async (req, res) => {
+  try {
+    const org = getOrgText(req, { require: false });
+    if (!org) return res.status(400).json({ error: "organizacion_id requerido" });
+    if (!(await ensureReconcileInfra(res))) return;
+
+    const accion = String(req.body?.accion ?? "").trim().toLowerCase();
+    const estado = { confirmar: "confirmado", anular: "anulado" }[accion];
+    if (!estado) return res.status(400).json({ error: "accion_invalida", acciones: ["confirmar", "anular"] });
+    const nota = (req.body?.nota ?? req.body?.motivo ?? "").toString().trim();
+    if (!nota) return res.status(400).json({ error: "nota requerida" });
+
+    const conOffline = (await tableColumns("cobros")).has("stock_estado");
+    const r = await q(
+      `UPDATE cobros
+          SET estado = $3, requiere_revision = FALSE, stock_proximo_intento_at = NULL,
+              ${conOffline ? `stock_estado = CASE WHEN stock_estado IS NULL OR $3 = 'anulado' THEN NULL ELSE 'ajustado' END,` : ""}
+              resuelto_por = $4, resuelto_at = NOW(), resolucion = $5, updated_at = NOW()
+        WHERE id = $1 AND organizacion_id = $2 AND ${await stockSinPostearCond()}
+        RETURNING *`,
+      [req.params.id, org, estado, req.usuario?.email || null, `${accion}: ${nota}`]
+    );
+    if (!r.rowCount) {
+      const ex = await q(`SELECT estado FROM cobros WHERE id = $1 AND organizacion_id = $2`, [req.params.id, org]);
+      return ex.rowCount
+        ? res.status(409).json({ error: "cobro_no_fallido", estado: ex.rows[0].estado })
+        : res.status(404).json({ error: "cobro_no_encontrado" });
+    }
+    return res.json(r.rows[0]);
+  } catch (e) {
+    console.error("[POST /cobros/:id/resolver] error:", e?.message || e);
+    return res.status(500).json({ error: "cobro_resolver_error" });
+  }
+});
+
+/**
+ * Devolucion total o parcial de un cobro confirmado.
+ * Body: { motivo, items?: [{ cobro_item_id | producto_id, cantidad }], medio_pago?, caja_id? }
+ * Sin items devuelve todo lo pendiente. Crea un cobro negativo (tipo 'devolucion') enlazado,
+ * reingresa la mercaderia con /entradas y, si hay caja abierta, el reintegro sale de esa caja.
+ */
+router.post("/:id/devolucion", authenticateToken, async (req, res) => {
+  const org = getOrgText(req, { require: false });
+  if (!org) return res.status(400).json({ error: "organizacion_id requerido" });
+
+  const okInfra = await ensureCobrosInfra();
+  if (!okInfra) return res.status(501).json({ error: "cobros_no_instalado" });
+  if (!(await tableColumns("cobros")).has("devolucion_de")) {
+    return res.status(501).json({ error: "devoluciones_no_instalado" });
+  }
+
+  const body = req.body || {};
+  const motivo = (body.motivo ?? body.notas ?? "").toString().trim();
+  if (!motivo) return res.status(400).json({ error: "motivo requerido" });
+
+  const client = await pool.connect();
+  let dev = null;
+  let lineas = [];
+  let almacen_id = null;
+  try {
+    await client.query("BEGIN");
+
+    // lock del original: dos devoluciones simultaneas no pueden pasarse de lo vendido
+    const rOrig = await client.query(
+      `SELECT * FROM cobros WHERE id = $1 AND organizacion_id = $2 FOR UPDATE`,
+      [req.params.id, org]
+    );
+    if (!rOrig.rowCount) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "cobro_no_encontrado" });
+    }
+    const orig = rOrig.rows[0];
+    if (orig.tipo === "devolucion") {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "cobro_es_devolucion" });
+    }
+    if (orig.estado !== "confirmado") {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "cobro_no_confirmado", estado: orig.estado });
+    }
+    // venta offline sin /salidas todavia: la /entradas de la devolucion dejaria el stock de mas
+    if (["pendiente", "fallido"].includes(orig.stock_estado)) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "cobro_stock_pendiente", stock_estado: orig.stock_estado });
+    }
+    almacen_id = Number(orig.almacen_id);
+
+    const items = (await client.query(`SELECT * FROM cobro_items WHERE cobro_id = $1 ORDER BY id`, [orig.id])).rows;
+    const prev = await client.query(
+      `SELECT ci.origen_item_id, SUM(-ci.cantidad) AS cantidad
+         FROM cobro_items ci
+         JOIN cobros d ON d.id = ci.cobro_id
+        WHERE d.devolucion_de = $1 AND d.estado <> 'anulado' AND ci.origen_item_id IS NOT NULL
+        GROUP BY ci.origen_item_id`,
+      [orig.id]
+    );
+    const prevTotal = await client.query(
+      `SELECT COALESCE(SUM(-total),0) AS total FROM cobros WHERE devolucion_de = $1 AND estado <> 'anulado'`,
+      [orig.id]
+    );
+
+    let plan;
+    try {
+      plan = planDevolucion({
+        cobro: orig,
+        items,
+        devueltos: new Map(prev.rows.map((r) => [r.origen_item_id, Number(r.cantidad)])),
+        yaReintegrado: Number(prevTotal.rows[0].total),
+        pedidos: Array.isArray(body.items) && body.items.length ? body.items : null,
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      return res.status(err.status || 400).json({ error: err.code || "devolucion_invalida", ...err.detail });
+    }
+    lineas = plan.lineas;
+
+    // caja: la indicada (abierta) o la abierta del almacen; sin caja el reintegro queda fuera de arqueo
+    let caja_id = body.caja_id ?? body.cajaId ?? null;
+    if (caja_id) {
+      const rCaja = await client.query(
+        `SELECT estado FROM cajas WHERE id = $1 AND organizacion_id = $2 LIMIT 1`,
+        [caja_id, org]
+      );
+      if (!rCaja.rowCount) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "caja_no_encontrada" });
+      }
+      if (String(rCaja.rows[0].estado || "").toLowerCase() !== "abierta") {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ error: "caja_no_abierta" });
+      }
+    } else if (Number.isFinite(almacen_id)) {
+      const rCaja = await client.query(
+        `SELECT id FROM cajas WHERE organizacion_id = $1 AND almacen_id = $2 AND estado = 'abierta' LIMIT 1`,
+        [org, almacen_id]
+      );
+      caja_id = rCaja.rows[0]?.id || null;
+    }
+
+    const medioOrig = orig.medio_pago && orig.medio_pago !== "mixto" ? orig.medio_pago : MEDIO_EFECTIVO;
+    const medio = normalizeMedio(body.medio_pago ?? body.metodo_pago ?? medioOrig);
+
+    const ins = await client.query(
+      `INSERT INTO cobros
+        (id, organizacion_id, cliente_id, almacen_id, caja_id, moneda, total, descuento_total,
+         medio_pago, notas, estado, usuario_email, tipo, devolucion_de)
+       VALUES
+        (gen_random_uuid(), $1, $2, $3, $4, $5, $6, 0, $7, $8, 'pendiente', $9, 'devolucion', $10)
+       RETURNING *`,
+      [org, orig.cliente_id, orig.almacen_id, caja_id, orig.moneda, -plan.total, medio, motivo,
+       req.usuario?.email || null, orig.id]
+    );
+    dev = ins.rows[0];
+
+    for (const l of lineas) {
+      await client.query(
+        `INSERT INTO cobro_items
+          (cobro_id, producto_id, producto_nombre, codigo_qr, cantidad, precio_unitario, subtotal, origen_item_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [dev.id, l.producto_id, l.producto_nombre, l.codigo_qr, -l.cantidad, l.precio_unitario, -l.subtotal, l.origen_item_id]
+      );
+    }
+    if (plan.total > 0 && (await hasTable("cobro_pagos"))) {
+      await insertCobroPagos(client, {
+        cobroId: dev.id,
+        org,
+        pagos: [{ medio, monto: -plan.total, referencia: `devolucion:${orig.id}` }],
+      });
+    }
+
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("[POST /cobros/:id/devolucion] db error:", e?.message || e);
+    return res.status(500).json({ error: "devolucion_db_error" });
+  } finally {
+    client.release();
+  }
+
+  try {
+    const r = await postCobroStock(req, dev, lineas);
     await q(
       `UPDATE cobros SET estado = 'confirmado', stock_error = NULL, updated_at = NOW() WHERE id = $1`,
-      [cobro.id]
+      [dev.id]
     );
-    return res.status(201).json({ cobro_id: cobro.id, estado: "confirmado", stock: r.data });
+    return res.status(201).json({ cobro_id: dev.id, devolucion_de: dev.devolucion_de, total: Number(dev.total), estado: "confirmado", stock: r.data });
   } catch (err) {
     const status = err?.response?.status || 502;
     const detail = err?.response?.data || { message: "stock_error" };
     await q(
       `UPDATE cobros SET estado = 'fallido', stock_error = $2, updated_at = NOW() WHERE id = $1`,
-      [cobro.id, JSON.stringify(detail)]
+      [dev.id, JSON.stringify(detail)]
     );
-    return res.status(status).json({ cobro_id: cobro.id, estado: "fallido", stock_error: detail });
+    return res.status(status).json({ cobro_id: dev.id, devolucion_de: dev.devolucion_de, estado: "fallido", stock_error: detail });
   }
 });
 
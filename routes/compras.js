@@ -2,6 +2,7 @@
 import { Router } from "express";
 import { q } from "../utils/db.js";
 import { authenticateToken } from "../middleware/auth.js";
+import { hasTable, tableColumns } from "../utils/schema.js";
 
 const router = Router();
 
@@ -23,31 +24,6 @@ function getOrgText(req) {
   );
 }
 
-async function regclassExists(name) {
-  try {
-    const r = await q(`SELECT to_regclass($1) IS NOT NULL AS ok`, [`public.${name}`]);
-    return !!r.rows?.[0]?.ok;
-  } catch {
-    return false;
-  }
-}
-async function hasTable(name) { return regclassExists(name); }
-
-async function tableColumns(name) {
-  try {
-    const r = await q(
-      `SELECT column_name FROM information_schema.columns
-       WHERE table_schema='public' AND table_name=$1`,
-      [name]
-    );
-    const set = new Set();
-    for (const row of r.rows || []) set.add(row.column_name);
-    return set;
-  } catch {
-    return new Set();
-  }
-}
-
 async function hasInfra() {
   const hasC = await hasTable("compras");
   const hasI = await hasTable("compra_items");
@@ -59,6 +35,22 @@ function numOr(v, d = 0) {
   return Number.isFinite(n) ? n : d;
 }
 
+// producto_id / proveedor_id opcionales del item: undefined = no vino, null = limpiar
+function idOpt(v) {
+  if (v === undefined) return undefined;
+  if (v === null || v === "") return null;
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : NaN;
+}
+
+async function proveedorDeOrg(proveedorId, orgId) {
+  const r = await q(
+    `SELECT id FROM proveedores WHERE id = $1 AND organizacion_id::text = $2::text`,
+    [proveedorId, orgId]
+  );
+  return r.rowCount > 0;
+}
+
 // Build INSERT dinámico según columnas presentes
 function buildInsert(table, colsSet, payload, returning = "id") {
   const keys = Object.keys(payload).filter((k) => colsSet.has(k));
@@ -127,6 +119,8 @@ router.get("/", authenticateToken, async (req, res) => {
       : "0";
     const impuesto = iCols.has("impuesto") ? "COALESCE(ci.impuesto,0)" : "0";
     const ci_obs = iCols.has("observacion") ? "ci.observacion" : "NULL::text";
+    const producto_id = iCols.has("producto_id") ? "ci.producto_id" : "NULL::int";
+    const proveedor_id = iCols.has("proveedor_id") ? "ci.proveedor_id" : "NULL::int";
 
     const compra_id = cCols.has("id") ? "c.id" : "NULL::int";
     const proveedor = cCols.has("proveedor") ? "c.proveedor" : "NULL::text";
@@ -153,6 +147,8 @@ router.get("/", authenticateToken, async (req, res) => {
         ${precio_unitario} AS precio_unitario,
         ${impuesto}     AS impuesto,
         ${ci_obs}       AS observacion,
+        ${producto_id}  AS producto_id,
+        ${proveedor_id} AS proveedor_id,
 
         ${compra_id}    AS compra_id,
         ${proveedor}    AS proveedor,
@@ -201,6 +197,8 @@ router.post("/", authenticateToken, async (req, res) => {
       numero = null,
       moneda = "ARS",
     } = req.body || {};
+    const productoId = idOpt(req.body?.producto_id);
+    const proveedorId = idOpt(req.body?.proveedor_id);
 
     if (!producto || !String(producto).trim()) {
       return res.status(400).json({ message: "producto requerido" });
@@ -209,6 +207,11 @@ router.post("/", authenticateToken, async (req, res) => {
     cantidad = Number.isFinite(+cantidad) ? Math.max(1, parseInt(cantidad, 10)) : 1;
     precio_unitario = numOr(precio_unitario, 0);
     impuesto = numOr(impuesto, 0);
+    if (Number.isNaN(productoId)) return res.status(400).json({ message: "producto_id inválido" });
+    if (Number.isNaN(proveedorId)) return res.status(400).json({ message: "proveedor_id inválido" });
+    if (proveedorId && !(await proveedorDeOrg(proveedorId, orgId))) {
+      return res.status(404).json({ message: "Proveedor no encontrado" });
+    }
 
     const cCols = await tableColumns("compras");
     const iCols = await tableColumns("compra_items");
@@ -277,6 +280,8 @@ router.post("/", authenticateToken, async (req, res) => {
       precio_unitario,
       impuesto,
       observacion: T(observacion),
+      producto_id: productoId ?? null,
+      proveedor_id: proveedorId ?? null,
       usuario_email: userEmail,
       organizacion_id: orgId,
       created_at: new Date(),
@@ -291,6 +296,8 @@ router.post("/", authenticateToken, async (req, res) => {
     if (!iCols.has("cantidad")) delete itemPayload.cantidad;
     if (!iCols.has("observacion")) delete itemPayload.observacion;
     if (!iCols.has("producto")) delete itemPayload.producto;
+    if (!iCols.has("producto_id")) delete itemPayload.producto_id;
+    if (!iCols.has("proveedor_id")) delete itemPayload.proveedor_id;
     if (!iCols.has("compra_id")) {
       return res.status(500).json({ message: "Schema inválido: falta compra_id en compra_items" });
     }
@@ -299,7 +306,10 @@ router.post("/", authenticateToken, async (req, res) => {
       "compra_items",
       iCols,
       itemPayload,
-      "id, compra_id, producto, cantidad, precio_unitario, impuesto, observacion"
+      [
+        "id, compra_id, producto, cantidad, precio_unitario, impuesto, observacion",
+        ...["producto_id", "proveedor_id"].filter((c) => iCols.has(c)),
+      ].join(", ")
     );
     const insItem = await q(iSql, iVals);
 
@@ -318,7 +328,7 @@ router.post("/", authenticateToken, async (req, res) => {
 /* -------------------------- PATCH ---------------------------- */
 /**
  * Update parcial de un item.
- * Body: { producto?, cantidad?, precio_unitario?, impuesto?, observacion? }
+ * Body: { producto?, cantidad?, precio_unitario?, impuesto?, observacion?, producto_id?, proveedor_id? }
  */
 router.patch("/:id", authenticateToken, async (req, res) => {
   try {
@@ -366,6 +376,19 @@ router.patch("/:id", authenticateToken, async (req, res) => {
     if (iCols.has("observacion") && req.body?.observacion !== undefined) {
       fields.push(`observacion = $${idx++}`); values.push(req.body.observacion || null);
     }
+    const productoId = idOpt(req.body?.producto_id);
+    const proveedorId = idOpt(req.body?.proveedor_id);
+    if (Number.isNaN(productoId)) return res.status(400).json({ message: "producto_id inválido" });
+    if (Number.isNaN(proveedorId)) return res.status(400).json({ message: "proveedor_id inválido" });
+    if (iCols.has("producto_id") && productoId !== undefined) {
+      fields.push(`producto_id = $${idx++}`); values.push(productoId);
+    }
+    if (iCols.has("proveedor_id") && proveedorId !== undefined) {
+      if (proveedorId && !(await proveedorDeOrg(proveedorId, orgId))) {
+        return res.status(404).json({ message: "Proveedor no encontrado" });
+      }
+      fields.push(`proveedor_id = $${idx++}`); values.push(proveedorId);
+    }
     if (iCols.has("updated_at")) {
       fields.push(`updated_at = NOW()`);
     }
@@ -388,7 +411,9 @@ router.patch("/:id", authenticateToken, async (req, res) => {
               ${iCols.has("cantidad") ? "cantidad" : "NULL::int AS cantidad"},
               ${iCols.has("precio_unitario") ? "precio_unitario" : "NULL::numeric AS precio_unitario"},
               ${iCols.has("impuesto") ? "impuesto" : "NULL::numeric AS impuesto"},
-              ${iCols.has("observacion") ? "observacion" : "NULL::text AS observacion"}
+              ${iCols.has("observacion") ? "observacion" : "NULL::text AS observacion"},
+              ${iCols.has("producto_id") ? "producto_id" : "NULL::int AS producto_id"},
+              ${iCols.has("proveedor_id") ? "proveedor_id" : "NULL::int AS proveedor_id"}
        FROM compra_items WHERE id = $1`,
       [id]
     );
@@ -0,0 +1,377 @@
+// routes/compras.ordenes.js — Ordenes de compra a proveedores (/compras/ordenes)
+// borrador -> aprobada -> enviada -> parcial -> recibida; cancelada antes de recibir. Aprobar, enviar
+// y cancelar son de owner/admin.
+// Cada recepcion suma lo recibido por item y postea /entradas al servicio de stock.
+import { Router } from "express";
+import { authenticateToken, requireRole } from "../middleware/auth.js";
+import { getOrgText } from "../utils/org.js";
+import { q, pool } from "../utils/db.js";
+import { hasTable } from "../utils/schema.js";
+import {
+  OC_ESTADOS,
+  OC_TRANSICIONES,
+  OC_RECIBIBLE,
+  compraError,
+  normalizeOrdenItems,
+  totalOrden,
+  planRecepcion,
+  estadoTrasRecepcion,
+  postRecepcionStock,
+} from "../services/compras.service.js";
+
+const router = Router();
+const T = (v) => (v == null ? null : String(v).trim() || null);
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+async function ensureOrdenesInfra(req, res) {
+  const org = getOrgText(req, { require: false });
+  if (!org) {
+    res.status(400).json({ error: "organizacion_id requerido" });
+    return null;
+  }
+  if (!(await hasTable("ordenes_compra"))) {
+    res.status(501).json({ error: "ordenes_compra_no_instalado" });
+    return null;
+  }
+  return org;
+}
+
+function sendError(res, e, tag, fallback) {
+  if (e?.status && e?.code) return res.status(e.status).json({ error: e.code, ...e.detail });
+  console.error(tag, "error:", e?.message || e);
+  return res.status(500).json({ error: fallback });
+}
+
+async function loadOrden(db, { org, id, forUpdate = false }) {
+  const r = await db.query(
+    `SELECT * FROM ordenes_compra WHERE id = $1 AND organizacion_id = $2 ${forUpdate ? "FOR UPDATE" : ""}`,
+    [Number(id) || 0, org]
+  );
+  return r.rows[0] || null;
+}
+
+async function loadItems(db, ordenId) {
+  return (await db.query(`SELECT * FROM orden_compra_items WHERE orden_id = $1 ORDER BY id`, [ordenId])).rows;
+}
+
+async function checkProveedor(db, { org, proveedorId }) {
+  const id = Number(proveedorId);
+  if (!Number.isInteger(id)) throw compraError(400, "proveedor_id requerido");
+  const r = await db.query(
+    `SELECT id, nombre, activo FROM proveedores WHERE id = $1 AND organizacion_id = $2`,
+    [id, org]
+  );
+  if (!r.rowCount) throw compraError(404, "proveedor_no_encontrado");
+  if (r.rows[0].activo === false) throw compraError(409, "proveedor_inactivo");
+  return r.rows[0];
+}
+
+function normalizeCabecera(body = {}) {
+  const almacen_id = body.almacen_id == null || body.almacen_id === "" ? null : Number(body.almacen_id);
+  if (almacen_id !== null && !Number.isInteger(almacen_id)) throw compraError(400, "almacen_id_invalido");
+  const fecha_entrega = T(body.fecha_entrega);
+  if (fecha_entrega && !DATE_RE.test(fecha_entrega)) throw compraError(400, "fecha_entrega_invalida");
+  return {
+    almacen_id,
+    moneda: (T(body.moneda) || "ARS").toUpperCase(),
+    notas: T(body.notas),
+    fecha_entrega,
+  };
+}
+
+async function insertItems(client, ordenId, items) {
+  for (const it of items) {
+    await client.query(
+      `INSERT INTO orden_compra_items (orden_id, producto_id, descripcion, cantidad, precio_unitario, impuesto)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [ordenId, it.producto_id, it.descripcion, it.cantidad, it.precio_unitario, it.impuesto]
+    );
+  }
+}
+
+/* ---------------------------- GET ---------------------------- */
+router.get("/ordenes", authenticateToken, async (req, res) => {
+  try {
+    const org = await ensureOrdenesInfra(req, res);
+    if (!org) return;
+
+    const page = Math.max(parseInt(req.query?.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query?.pageSize, 10) || 50, 1), 200);
+    const where = ["o.organizacion_id = $1"];
+    const params = [org];
+    const estado = T(req.query?.estado);
+    if (estado) {
+      if (!OC_ESTADOS.includes(estado)) return res.status(400).json({ error: "estado_invalido", estados: OC_ESTADOS });
+      params.push(estado);
+      where.push(`o.estado = $${params.length}`);
+    }
+    const proveedorId = Number(req.query?.proveedor_id);
+    if (Number.isInteger(proveedorId)) {
+      params.push(proveedorId);
+      where.push(`o.proveedor_id = $${params.length}`);
+    }
+
+    const total = (await q(
+      `SELECT COUNT(*)::int AS total FROM ordenes_compra o WHERE ${where.join(" AND ")}`,
+      params
+    )).rows?.[0]?.total || 0;
+    const r = await q(
+      `SELECT o.*, p.nombre AS proveedor_nombre
+         FROM ordenes_compra o
+         JOIN proveedores p ON p.id = o.proveedor_id
+        WHERE ${where.join(" AND ")}
+        ORDER BY o.created_at DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, pageSize, (page - 1) * pageSize]
+    );
+    return res.json({ rows: r.rows || [], total, page, pageSize });
+  } catch (e) {
+    return sendError(res, e, "[GET /compras/ordenes]", "ordenes_list_error");
+  }
+});
+
+router.get("/ordenes/:id", authenticateToken, async (req, res) => {
+  try {
+    const org = await ensureOrdenesInfra(req, res);
+    if (!org) return;
+    const orden = await loadOrden(pool, { org, id: req.params.id });
+    if (!orden) return res.status(404).json({ error: "orden_no_encontrada" });
+
+    const proveedor = (await q(
+      `SELECT id, nombre, contacto, telefono, email FROM proveedores WHERE id = $1`,
+      [orden.proveedor_id]
+    )).rows[0] || null;
+    const items = await loadItems(pool, orden.id);
+    const recepciones = (await q(
+      `SELECT * FROM orden_compra_recepciones WHERE orden_id = $1 ORDER BY created_at`,
+      [orden.id]
+    )).rows;
+    return res.json({ ...orden, proveedor, items, recepciones });
+  } catch (e) {
+    return sendError(res, e, "[GET /compras/ordenes/:id]", "orden_get_error");
+  }
+});
+
+/* ---------------------------- alta / edicion ---------------------------- */
+/**
+ * Body: { proveedor_id, almacen_id?, moneda?, notas?, fecha_entrega?,
+ *         items: [{ producto_id?, descripcion, cantidad, precio_unitario?, impuesto? }] }
+ * Queda en borrador con numero correlativo por organizacion.
+ */
+router.post("/ordenes", authenticateToken, async (req, res) => {
+  const org = await ensureOrdenesInfra(req, res);
+  if (!org) return;
+  let cab, items;
+  try {
+    cab = normalizeCabecera(req.body || {});
+    items = normalizeOrdenItems(req.body?.items);
+  } catch (e) {
+    return sendError(res, e, "[POST /compras/ordenes]", "orden_create_error");
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await checkProveedor(client, { org, proveedorId: req.body?.proveedor_id });
+
+    // numero correlativo por org: lock de la transaccion para no repetir
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [`ordenes_compra:${org}`]);
+    const numero = (await client.query(
+      `SELECT COALESCE(MAX(numero), 0) + 1 AS n FROM ordenes_compra WHERE organizacion_id = $1`,
+      [org]
+    )).rows[0].n;
+
+    const ins = await client.query(
+      `INSERT INTO ordenes_compra
+        (organizacion_id, numero, proveedor_id, almacen_id, moneda, total, notas, fecha_entrega, usuario_email)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [org, numero, Number(req.body.proveedor_id), cab.almacen_id, cab.moneda, totalOrden(items), cab.notas,
+       cab.fecha_entrega, req.usuario?.email || null]
+    );
+    const orden = ins.rows[0];
+    await insertItems(client, orden.id, items);
+    await client.query("COMMIT");
+    return res.status(201).json({ ...orden, items: await loadItems(pool, orden.id) });
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    return sendError(res, e, "[POST /compras/ordenes]", "orden_create_error");
+  } finally {
+    client.release();
+  }
+});
+
+// Solo en borrador: reemplaza cabecera e items (aprobada ya no se toca)
+router.put("/ordenes/:id", authenticateToken, async (req, res) => {
+  const org = await ensureOrdenesInfra(req, res);
+  if (!org) return;
+  let cab, items;
+  try {
+    cab = normalizeCabecera(req.body || {});
+    items = normalizeOrdenItems(req.body?.items);
+  } catch (e) {
+    return sendError(res, e, "[PUT /compras/ordenes/:id]", "orden_update_error");
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const orden = await loadOrden(client, { org, id: req.params.id, forUpdate: true });
+    if (!orden) throw compraError(404, "orden_no_encontrada");
+    if (orden.estado !== "borrador") throw compraError(409, "orden_no_editable", { estado: orden.estado });
+    const proveedorId = req.body?.proveedor_id ?? orden.proveedor_id;
+    await checkProveedor(client, { org, proveedorId });
+
+    const upd = await client.query(
+      `UPDATE ordenes_compra
+          SET proveedor_id = $2, almacen_id = $3, moneda = $4, total = $5, notas = $6, fecha_entrega = $7
+        WHERE id = $1
+        RETURNING *`,
+      [orden.id, Number(proveedorId), cab.almacen_id, cab.moneda, totalOrden(items), cab.notas, cab.fecha_entrega]
+    );
+    await client.query(`DELETE FROM orden_compra_items WHERE orden_id = $1`, [orden.id]);
+    await insertItems(client, orden.id, items);
+    await client.query("COMMIT");
+    return res.json({ ...upd.rows[0], items: await loadItems(pool, orden.id) });
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    return sendError(res, e, "[PUT /compras/ordenes/:id]", "orden_update_error");
+  } finally {
+    client.release();
+  }
+});
+
+/* ---------------------------- estados ---------------------------- */
+async function transicion(req, res, accion, extraSet = "", extraParams = []) {
+  const org = await ensureOrdenesInfra(req, res);
+  if (!org) return;
+  const t = OC_TRANSICIONES[accion];
+  try {
+    const r = await q(
+      `UPDATE ordenes_compra SET estado = $3 ${extraSet}
+        WHERE id = $1 AND organizacion_id = $2 AND estado = ANY($4::text[])
+        RETURNING *`,
+      [Number(req.params.id) || 0, org, t.hacia, t.desde, ...extraParams]
+    );
+    if (r.rowCount) return res.json(r.rows[0]);
+    const orden = await loadOrden(pool, { org, id: req.params.id });
+    if (!orden) return res.status(404).json({ error: "orden_no_encontrada" });
+    return res.status(409).json({ error: "estado_invalido", estado: orden.estado, requiere: t.desde });
+  } catch (e) {
+    return sendError(res, e, `[POST /compras/ordenes/:id/${accion}]`, `orden_${accion}_error`);
+  }
+}
+
+router.post("/ordenes/:id/aprobar", authenticateToken, requireRole("owner", "admin"), (req, res) =>
+  transicion(req, res, "aprobar", ", aprobado_por = $5, aprobado_at = NOW()", [req.usuario?.email || null])
+);
+
+router.post("/ordenes/:id/enviar", authenticateToken, requireRole("owner", "admin"), (req, res) =>
+  transicion(req, res, "enviar", ", enviado_at = NOW()")
+);
+
+router.post("/ordenes/:id/cancelar", authenticateToken, requireRole("owner", "admin"), (req, res) => {
+  const motivo = T(req.body?.motivo);
+  if (!motivo) return res.status(400).json({ error: "motivo requerido" });
+  return transicion(
+    req,
+    res,
+    "cancelar",
+    ", cancelado_por = $5, cancelado_at = NOW(), cancelado_motivo = $6",
+    [req.usuario?.email || null, motivo]
+  );
+});
+
+/* ---------------------------- recepciones ---------------------------- */
+/**
+ * Body: { items?: [{ item_id, cantidad }], almacen_id?, notas? }. Sin items recibe todo lo pendiente.
+ * La recepcion queda guardada aunque falle stock (stock_estado fallido, ver /reintentar).
+ */
+router.post("/ordenes/:id/recepciones", authenticateToken, async (req, res) => {
+  const org = await ensureOrdenesInfra(req, res);
+  if (!org) return;
+  const body = req.body || {};
+  const pedidos = Array.isArray(body.items) && body.items.length ? body.items : null;
+
+  const client = await pool.connect();
+  let orden, recepcion;
+  try {
+    await client.query("BEGIN");
+    orden = await loadOrden(client, { org, id: req.params.id, forUpdate: true });
+    if (!orden) throw compraError(404, "orden_no_encontrada");
+    if (!OC_RECIBIBLE.includes(orden.estado)) {
+      throw compraError(409, "estado_invalido", { estado: orden.estado, requiere: OC_RECIBIBLE });
+    }
+    const almacen_id = Number(body.almacen_id ?? orden.almacen_id);
+    if (!Number.isInteger(almacen_id)) throw compraError(400, "almacen_id requerido");
+
+    const items = await loadItems(client, orden.id);
+    const lineas = planRecepcion(items, pedidos);
+    for (const l of lineas) {
+      await client.query(
+        `UPDATE orden_compra_items SET cantidad_recibida = cantidad_recibida + $2 WHERE id = $1`,
+        [l.item_id, l.cantidad]
+      );
+      const it = items.find((x) => x.id === l.item_id);
+      it.cantidad_recibida = Number(it.cantidad_recibida) + l.cantidad;
+    }
+    const estado = estadoTrasRecepcion(items);
+    const upd = await client.query(
+      `UPDATE ordenes_compra
+          SET estado = $2, recibido_at = CASE WHEN $2 = 'recibida' THEN NOW() ELSE recibido_at END
+        WHERE id = $1
+        RETURNING *`,
+      [orden.id, estado]
+    );
+    orden = upd.rows[0];
+
+    const ins = await client.query(
+      `INSERT INTO orden_compra_recepciones (orden_id, organizacion_id, almacen_id, items, notas, usuario_email)
+       VALUES ($1, $2, $3, $4::jsonb, $5, $6)
+       RETURNING *`,
+      [orden.id, org, almacen_id, JSON.stringify(lineas), T(body.notas), req.usuario?.email || null]
+    );
+    recepcion = ins.rows[0];
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    return sendError(res, e, "[POST /compras/ordenes/:id/recepciones]", "orden_recepcion_error");
+  } finally {
+    client.release();
+  }
+
+  const st = await postRecepcionStock(pool, req, orden, recepcion).catch((e) => {
+    console.error("[POST /compras/ordenes/:id/recepciones] stock:", e?.message || e);
+    return { ok: false, status: 502, error: { message: "stock_error" } };
+  });
+  const out = { orden_id: orden.id, estado: orden.estado, recepcion_id: recepcion.id, items: recepcion.items };
+  if (st.ok) return res.status(201).json({ ...out, stock_estado: "confirmado", stock: st.stock });
+  return res.status(st.status).json({ ...out, stock_estado: "fallido", stock_error: st.error });
+});
+
+router.post("/ordenes/:id/recepciones/:recId/reintentar", authenticateToken, async (req, res) => {
+  try {
+    const org = await ensureOrdenesInfra(req, res);
+    if (!org) return;
+    const orden = await loadOrden(pool, { org, id: req.params.id });
+    if (!orden) return res.status(404).json({ error: "orden_no_encontrada" });
+    if (!UUID_RE.test(req.params.recId)) return res.status(404).json({ error: "recepcion_no_encontrada" });
+    const r = await q(
+      `SELECT * FROM orden_compra_recepciones WHERE id = $1 AND orden_id = $2`,
+      [req.params.recId, orden.id]
+    );
+    if (!r.rowCount) return res.status(404).json({ error: "recepcion_no_encontrada" });
+    const recepcion = r.rows[0];
+    if (recepcion.stock_estado === "confirmado") {
+      return res.status(409).json({ error: "recepcion_ya_confirmada" });
+    }
+    const st = await postRecepcionStock(pool, req, orden, recepcion);
+    if (st.ok) return res.json({ recepcion_id: recepcion.id, stock_estado: "confirmado", stock: st.stock });
+    return res.status(st.status).json({ recepcion_id: recepcion.id, stock_estado: "fallido", stock_error: st.error });
+  } catch (e) {
+    return sendError(res, e, "[POST /compras/ordenes/:id/recepciones/:recId/reintentar]", "recepcion_reintentar_error");
+  }
+});
+
+export default router;
@@ -0,0 +1,279 @@
+// routes/compras.reposicion.js — precios por proveedor, minimos de stock y sugerencias de compra
+// /compras/precios (historial y mejor ultimo precio), /compras/minimos (config, escritura owner/admin)
+// y /compras/sugerencias (stock del servicio vs minimos, agrupado por proveedor preferido).
+import { Router } from "express";
+import { authenticateToken, requireRole } from "../middleware/auth.js";
+import { getOrgText } from "../utils/org.js";
+import { q, pool } from "../utils/db.js";
+import { hasTable } from "../utils/schema.js";
+import { loadFx } from "../utils/fx.js";
+import { compraError } from "../services/compras.service.js";
+import {
+  ultimosPrecios,
+  mejorPrecio,
+  loadMinimos,
+  loadEnCamino,
+  fetchStockProductos,
+  planSugerencias,
+} from "../services/reposicion.service.js";
+
+const router = Router();
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+async function ensureReposicionInfra(req, res) {
+  const org = getOrgText(req, { require: false });
+  if (!org) {
+    res.status(400).json({ error: "organizacion_id requerido" });
+    return null;
+  }
+  if (!(await hasTable("stock_minimos"))) {
+    res.status(501).json({ error: "reposicion_no_instalado" });
+    return null;
+  }
+  return String(org);
+}
+
+function sendError(res, e, tag, fallback) {
+  if (e?.status && e?.code) return res.status(e.status).json({ error: e.code, ...e.detail });
+  if (e?.code === "23505") return res.status(409).json({ error: "minimo_duplicado" });
+  console.error(tag, "error:", e?.message || e);
+  return res.status(500).json({ error: fallback });
+}
+
+// "1,2,3" o [1,2,3] -> [1,2,3]; null si no vino
+function parseIds(v) {
+  if (v == null || v === "") return null;
+  const list = (Array.isArray(v) ? v : String(v).split(",")).map((x) => Number(String(x).trim()));
+  if (!list.length || list.some((n) => !Number.isInteger(n) || n <= 0)) throw compraError(400, "producto_id_invalido");
+  return list;
+}
+
+function optId(v, code) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n <= 0) throw compraError(400, code);
+  return n;
+}
+
+/* ---------------------------- precios ---------------------------- */
+// ?producto_id= &proveedor_id= &desde=YYYY-MM-DD &limit= (default 200)
+router.get("/precios", authenticateToken, async (req, res) => {
+  const org = await ensureReposicionInfra(req, res);
+  if (!org) return;
+  try {
+    const params = [org];
+    const where = ["v.organizacion_id = $1"];
+    const productoId = optId(req.query?.producto_id, "producto_id_invalido");
+    if (productoId) {
+      params.push(productoId);
+      where.push(`v.producto_id = $${params.length}`);
+    }
+    const proveedorId = optId(req.query?.proveedor_id, "proveedor_id_invalido");
+    if (proveedorId) {
+      params.push(proveedorId);
+      where.push(`v.proveedor_id = $${params.length}`);
+    }
+    const desde = String(req.query?.desde || "").trim();
+    if (desde) {
+      if (!DATE_RE.test(desde)) throw compraError(400, "desde_invalido");
+      params.push(desde);
+      where.push(`v.fecha >= $${params.length}::date`);
+    }
+    const limit = Math.min(Math.max(parseInt(req.query?.limit, 10) || 200, 1), 1000);
+    const r = await q(
+      `SELECT v.*, p.nombre AS proveedor
+         FROM v_proveedor_precios v
+         JOIN proveedores p ON p.id = v.proveedor_id
+        WHERE ${where.join(" AND ")}
+        ORDER BY v.fecha DESC, v.origen_id DESC
+        LIMIT ${limit}`,
+      params
+    );
+    return res.json(
+      (r.rows || []).map((x) => ({
+        proveedor_id: x.proveedor_id,
+        proveedor: x.proveedor,
+        producto_id: x.producto_id,
+        descripcion: x.descripcion,
+        precio_unitario: Number(x.precio_unitario),
+        moneda: x.moneda,
+        fecha: x.fecha,
+        origen: x.origen,
+        origen_id: x.origen_id,
+      }))
+    );
+  } catch (e) {
+    return sendError(res, e, "[GET /compras/precios]", "error_listando_precios");
+  }
+});
+
+/**
+ * Mejor ultimo precio por producto: ?producto_id=1,2,3. Devuelve el ultimo precio de cada
+ * proveedor y el menor entre ellos (comparado en moneda base con las cotizaciones de la org).
+ */
+router.get("/precios/mejor", authenticateToken, async (req, res) => {
+  const org = await ensureReposicionInfra(req, res);
+  if (!org) return;
+  try {
+    const ids = parseIds(req.query?.producto_id ?? req.query?.producto_ids);
+    if (!ids) throw compraError(400, "producto_id requerido");
+    const [precios, fx] = await Promise.all([ultimosPrecios(pool, { org, productoIds: ids }), loadFx(org)]);
+    return res.json(
+      ids.map((id) => {
+        const ofertas = precios.get(id) || [];
+        return { producto_id: id, mejor: mejorPrecio(ofertas, fx), proveedores: ofertas };
+      })
+    );
+  } catch (e) {
+    return sendError(res, e, "[GET /compras/precios/mejor]", "error_mejor_precio");
+  }
+});
+
+/* ---------------------------- minimos ---------------------------- */
+router.get("/minimos", authenticateToken, async (req, res) => {
+  const org = await ensureReposicionInfra(req, res);
+  if (!org) return;
+  try {
+    const r = await q(
+      `SELECT m.*, p.nombre AS proveedor
+         FROM stock_minimos m
+         LEFT JOIN proveedores p ON p.id = m.proveedor_id
+        WHERE m.organizacion_id = $1
+        ORDER BY m.producto_id, m.almacen_id NULLS FIRST`,
+      [org]
+    );
+    return res.json(r.rows || []);
+  } catch (e) {
+    return sendError(res, e, "[GET /compras/minimos]", "error_listando_minimos");
+  }
+});
+
+/**
+ * Upsert masivo. Body: { items: [{ producto_id, almacen_id?, stock_minimo, cantidad_reorden?,
+ * proveedor_id?, activo? }] }. La clave es (producto_id, almacen_id).
+ */
+router.put("/minimos", authenticateToken, requireRole("owner", "admin"), async (req, res) => {
+  const org = await ensureReposicionInfra(req, res);
+  if (!org) return;
+  const client = await pool.connect();
+  try {
+    const raw = req.body?.items;
+    if (!Array.isArray(raw) || !raw.length) throw compraError(400, "items_requeridos");
+    const items = raw.map((it, index) => {
+      const producto_id = Number(it?.producto_id);
+      if (!Number.isInteger(producto_id) || producto_id <= 0) throw compraError(400, "producto_id_invalido", { index });
+      const stock_minimo = Number(it?.stock_minimo ?? it?.minimo);
+      if (!Number.isFinite(stock_minimo) || stock_minimo < 0) throw compraError(400, "stock_minimo_invalido", { index });
+      const reorden = it?.cantidad_reorden == null || it?.cantidad_reorden === "" ? null : Number(it.cantidad_reorden);
+      if (reorden !== null && (!Number.isFinite(reorden) || reorden <= 0)) {
+        throw compraError(400, "cantidad_reorden_invalida", { index });
+      }
+      return {
+        producto_id,
+        almacen_id: optId(it?.almacen_id, "almacen_id_invalido"),
+        stock_minimo,
+        cantidad_reorden: reorden,
+        proveedor_id: optId(it?.proveedor_id, "proveedor_id_invalido"),
+        activo: it?.activo == null ? true : !!it.activo,
+      };
+    });
+
+    const provIds = [...new Set(items.map((it) => it.proveedor_id).filter(Boolean))];
+    if (provIds.length) {
+      const p = await client.query(
+        `SELECT id FROM proveedores WHERE id = ANY($1::int[]) AND organizacion_id = $2`,
+        [provIds, org]
+      );
+      const ok = new Set(p.rows.map((x) => x.id));
+      const missing = provIds.filter((id) => !ok.has(id));
+      if (missing.length) throw compraError(404, "proveedor_no_encontrado", { proveedor_ids: missing });
+    }
+
+    await client.query("BEGIN");
+    const out = [];
+    for (const it of items) {
+      const r = await client.query(
+        `INSERT INTO stock_minimos
+           (organizacion_id, producto_id, almacen_id, stock_minimo, cantidad_reorden, proveedor_id, activo)
+         VALUES ($1,$2,$3,$4,$5,$6,$7)
+         ON CONFLICT (organizacion_id, producto_id, COALESCE(almacen_id, 0))
+         DO UPDATE SET stock_minimo = EXCLUDED.stock_minimo,
+                       cantidad_reorden = EXCLUDED.cantidad_reorden,
+                       proveedor_id = EXCLUDED.proveedor_id,
+                       activo = EXCLUDED.activo
+         RETURNING *`,
+        [org, it.producto_id, it.almacen_id, it.stock_minimo, it.cantidad_reorden, it.proveedor_id, it.activo]
+      );
+      out.push(r.rows[0]);
+    }
+    await client.query("COMMIT");
+    return res.json(out);
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    return sendError(res, e, "[PUT /compras/minimos]", "error_guardando_minimos");
+  } finally {
+    client.release();
+  }
+});
+
+router.delete("/minimos/:id", authenticateToken, requireRole("owner", "admin"), async (req, res) => {
+  const org = await ensureReposicionInfra(req, res);
+  if (!org) return;
+  try {
+    const r = await q(`DELETE FROM stock_minimos WHERE id = $1 AND organizacion_id = $2`, [
+      Number(req.params.id) || 0,
+      org,
+    ]);
+    if (!r.rowCount) return res.status(404).json({ error: "minimo_no_encontrado" });
+    return res.json({ ok: true });
+  } catch (e) {
+    return sendError(res, e, "[DELETE /compras/minimos/:id]", "error_eliminando_minimo");
+  }
+});
+
+/* ---------------------------- sugerencias ---------------------------- */
+/**
+ * ?almacen_id= . Ordenes propuestas por proveedor ({ proveedor_id, almacen_id, moneda, items })
+ * listas para POST /compras/ordenes; lo pendiente de ordenes abiertas se descuenta del faltante.
+ */
+router.get("/sugerencias", authenticateToken, async (req, res) => {
+  const org = await ensureReposicionInfra(req, res);
+  if (!org) return;
+  let almacenId;
+  try {
+    almacenId = optId(req.query?.almacen_id, "almacen_id_invalido");
+  } catch (e) {
+    return sendError(res, e, "[GET /compras/sugerencias]", "error_sugerencias");
+  }
+
+  let productos;
+  try {
+    productos = await fetchStockProductos(req, { almacenId });
+  } catch (err) {
+    const status = err?.response?.status || 502;
+    const detail = err?.response?.data || { message: err?.message || "stock_unavailable" };
+    return res.status(status).json({ error: "stock_error", detail });
+  }
+
+  try {
+    const [minimos, enCamino, fx] = await Promise.all([
+      loadMinimos(pool, { org, almacenId }),
+      (await hasTable("ordenes_compra")) ? loadEnCamino(pool, { org, almacenId }) : new Map(),
+      loadFx(org),
+    ]);
+    const ids = productos.map((p) => Number(p?.id ?? p?.producto_id)).filter(Number.isInteger);
+    const precios = ids.length && (await hasTable("v_proveedor_precios"))
+      ? await ultimosPrecios(pool, { org, productoIds: ids })
+      : new Map();
+    const plan = planSugerencias({ productos, minimos, enCamino, precios, fx, almacenId });
+    return res.json({
+      almacen_id: almacenId,
+      productos_evaluados: productos.length,
+      ...plan,
+    });
+  } catch (e) {
+    return sendError(res, e, "[GET /compras/sugerencias]", "error_sugerencias");
+  }
+});
+
+export default router;
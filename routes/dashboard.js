@@ -1,7 +1,10 @@
 // Backend/routes/dashboard.js
 import { Router } from "express";
-import { q } from "../utils/db.js";
+import { q, pool } from "../utils/db.js";
 import { authenticateToken as auth } from "../middleware/auth.js";
+import { hasTable, tableColumns } from "../utils/schema.js";
+import { loadFx, convertByCurrency, DEFAULT_BASE_CURRENCY } from "../utils/fx.js";
+import { apSnapshot, emptyAp } from "../services/payables.service.js";
 
 const router = Router();
 
@@ -19,37 +22,6 @@ function getOrgText(req) {
   );
 }
 
-/** ¿Existe regclass (tabla/vista) en schema public? */
-async function regclassExists(name) {
-  try {
-    const r = await q(`SELECT to_regclass($1) IS NOT NULL AS ok`, [`public.${name}`]);
-    return !!r.rows?.[0]?.ok;
-  } catch {
-    return false;
-  }
-}
-
-/** Alias semántico para tablas (usa regclass) */
-async function hasTable(name) {
-  return regclassExists(name);
-}
-
-/** Set de columnas de tabla/vista en public */
-async function tableColumns(name) {
-  try {
-    const r = await q(
-      `SELECT column_name FROM information_schema.columns
-        WHERE table_schema='public' AND table_name=$1`,
-      [name]
-    );
-    const set = new Set();
-    for (const row of r.rows || []) set.add(row.column_name);
-    return set;
-  } catch {
-    return new Set();
-  }
-}
-
 const num = (v, d = 0) => (Number.isFinite(+v) ? +v : d);
 
 function pickOne(set, candidates) {
@@ -83,8 +55,11 @@ function orgFilterText(cols, orgId, alias = null) {
  *      followups_7d, proximos_7d, overdue,
  *      total_clientes, total_tareas, total_proyectos,
  *      contactability, first_touch_p50_min, first_touch_avg_min,
- *      ar_total, ar_overdue_amount, ar_overdue_count, ar_due_next_7, ar_dso_days
+ *      ar_total, ar_overdue_amount, ar_overdue_count, ar_due_next_7, ar_dso_days,
+ *      currency (moneda base de los montos AR)
  *    }
+ *  - ap: cuentas a pagar (total, overdue, due_next_7, aging) en la moneda base
+ *  - fx: cotizaciones usadas y monedas sin cotizacion
  *  - topClientes: últimos 5
  *  - proximosSeguimientos: tareas a 7d
  */
@@ -111,7 +86,10 @@ router.get("/", auth, async (req, res) => {
       ar_overdue_count: 0,
       ar_due_next_7: 0,
       ar_dso_days: 0,
+      currency: DEFAULT_BASE_CURRENCY,
     },
+    ap: emptyAp(DEFAULT_BASE_CURRENCY),
+    fx: null,
     topClientes: [],
     proximosSeguimientos: [],
     vacunas: [],
@@ -126,7 +104,7 @@ router.get("/", auth, async (req, res) => {
     const hasTareas = await hasTable("tareas");
     const hasProyectos = await hasTable("proyectos");
     const hasInvoices = await hasTable("invoices");
-    const hasARView = await regclassExists("v_ar_aging");
+    const hasARView = await hasTable("v_ar_aging");
 
     const colsClientes = hasClientes ? await tableColumns("clientes") : new Set();
     const colsContactos = hasContactos ? await tableColumns("contactos") : new Set();
@@ -293,41 +271,57 @@ router.get("/", auth, async (req, res) => {
 
     /* ======= Snapshot AR (Aging / Overdue / Due next 7 / DSO) ======= */
     try {
+      const fx = orgId ? await loadFx(orgId) : { base: DEFAULT_BASE_CURRENCY, as_of: null, rates: new Map() };
+      const AR_AMOUNTS = ["ar_total", "overdue_amount", "due_next_7"];
+      let arRows = null;
+
       if (hasARView) {
-        // Chequeo columnas de la VISTA (no de invoices)
+        // Chequeo columnas de la VISTA (no de invoices); una fila por moneda
         const params = [];
         let sql = `SELECT * FROM v_ar_aging`;
         if (colsAR.has("organizacion_id") && orgId) {
           params.push(String(orgId));
           sql += ` WHERE organizacion_id::text = $1::text`;
+        } else {
+          sql += ` WHERE 1=0`;
         }
-        sql += ` LIMIT 1`;
-        const v = (await q(sql, params)).rows?.[0] || {};
-        out.metrics.ar_total = num(v.ar_total, 0);
-        out.metrics.ar_overdue_amount = num(v.overdue_amount, 0);
-        out.metrics.ar_overdue_count = num(v.overdue_count, 0);
-        out.metrics.ar_due_next_7 = num(v.due_next_7, 0);
+        arRows = (await q(sql, params)).rows || [];
       } else if (hasInvoices) {
         const { where, params } = orgFilterText(colsInvoices, orgId);
         const w = where.length ? ` AND ${where.join(" AND ")}` : "";
+        const bal = colsInvoices.has("amount_credited")
+          ? "amount_total - amount_paid - amount_credited"
+          : "amount_total - amount_paid";
         const base = await q(
           `
             SELECT
-              SUM(GREATEST(amount_total - amount_paid,0)) AS ar_total,
+              UPPER(TRIM(currency)) AS currency,
+              SUM(GREATEST(${bal},0)) AS ar_total,
               COUNT(*) FILTER (WHERE (now()::date - due_date) > 0)::int AS overdue_count,
-              SUM(GREATEST(amount_total - amount_paid,0)) FILTER (WHERE (now()::date - due_date) > 0) AS overdue_amount,
-              SUM(GREATEST(amount_total - amount_paid,0)) FILTER (WHERE due_date BETWEEN now()::date AND (now()::date + 7)) AS due_next_7
+              SUM(GREATEST(${bal},0)) FILTER (WHERE (now()::date - due_date) > 0) AS overdue_amount,
+              SUM(GREATEST(${bal},0)) FILTER (WHERE due_date BETWEEN now()::date AND (now()::date + 7)) AS due_next_7
             FROM invoices
             WHERE status IN ('sent','partial','overdue') ${w}
+            GROUP BY 1
             `,
           params
         );
-        const v = base.rows?.[0] || {};
+        arRows = base.rows || [];
+      }
+
+      if (arRows) {
+        const { totals: v, fx: used } = convertByCurrency(
+          arRows,
+          { amounts: AR_AMOUNTS, counts: ["overdue_count"] },
+          fx
+        );
         out.metrics.ar_total = num(v.ar_total, 0);
         out.metrics.ar_overdue_amount = num(v.overdue_amount, 0);
         out.metrics.ar_overdue_count = num(v.overdue_count, 0);
         out.metrics.ar_due_next_7 = num(v.due_next_7, 0);
+        out.fx = used;
       }
+      out.metrics.currency = fx.base;
 
       // DSO simple: AR / (ventas_últimos_30 / 30)
       if (hasInvoices) {
@@ -335,19 +329,25 @@ router.get("/", auth, async (req, res) => {
         const w = where.length ? ` AND ${where.join(" AND ")}` : "";
         const s30 = await q(
           `
-            SELECT COALESCE(SUM(amount_total),0) AS s
+            SELECT UPPER(TRIM(currency)) AS currency, COALESCE(SUM(amount_total),0) AS s
             FROM invoices
             WHERE issue_date >= (now()::date - INTERVAL '30 days')
               AND status IN ('sent','partial','paid','overdue') ${w}
+            GROUP BY 1
             `,
           params
         );
-        const sales = num(s30.rows?.[0]?.s, 0);
+        const sales = convertByCurrency(s30.rows, { amounts: ["s"] }, fx).totals.s;
         const daily = sales / 30;
         out.metrics.ar_dso_days = daily > 0 ? Math.round(num(out.metrics.ar_total) / daily) : 0;
       }
     } catch {}
 
+    /* ======= Snapshot AP (cuentas a pagar) ======= */
+    try {
+      if (orgId) out.ap = await apSnapshot(pool, { org: orgId, fx: await loadFx(orgId) });
+    } catch {}
+
     /* ======= Top clientes recientes ======= */
     try {
       if (hasClientes) {
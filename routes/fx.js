@@ -0,0 +1,179 @@
+// routes/fx.js — moneda base de la org y cotizaciones diarias (exchange_rates)
+import { Router } from "express";
+import { authenticateToken, requireRole } from "../middleware/auth.js";
+import { getOrgText } from "../utils/org.js";
+import { q } from "../utils/db.js";
+import { normalizeCurrency, getBaseCurrency, loadFx } from "../utils/fx.js";
+
+const router = Router();
+
+function requireOrg(req, res) {
+  const org = getOrgText(req, { require: false });
+  if (!org) {
+    res.status(400).json({ error: "organizacion_id requerido" });
+    return null;
+  }
+  return String(org);
+}
+
+const isDate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(String(v || "")) && !isNaN(new Date(v).getTime());
+
+function mapRateRow(r) {
+  return {
+    id: r.id,
+    base: r.base_currency,
+    currency: r.currency,
+    date: r.rate_date,
+    rate: Number(r.rate),
+    source: r.source || null,
+    usuario_email: r.usuario_email || null,
+    updated_at: r.updated_at,
+  };
+}
+
+/* ---------------------------- moneda base ---------------------------- */
+router.get("/base", authenticateToken, async (req, res) => {
+  try {
+    const org = requireOrg(req, res);
+    if (!org) return;
+    return res.json({ base_currency: await getBaseCurrency(org) });
+  } catch (e) {
+    console.error("[GET /fx/base]", e?.message || e);
+    return res.status(500).json({ error: "error_fetching_base_currency" });
+  }
+});
+
+// Cambiar la base no convierte nada: las cotizaciones cargadas contra la base anterior dejan de usarse
+router.put("/base", authenticateToken, requireRole("owner", "admin"), async (req, res) => {
+  try {
+    const org = requireOrg(req, res);
+    if (!org) return;
+    const base = normalizeCurrency(req.body?.base_currency ?? req.body?.currency);
+    if (!base) return res.status(400).json({ error: "currency_invalid" });
+    await q(
+      `INSERT INTO org_profiles (organizacion_id, base_currency, updated_at)
+       VALUES ($1, $2, NOW())
+       ON CONFLICT (organizacion_id) DO UPDATE SET base_currency = EXCLUDED.base_currency, updated_at = NOW()`,
+      [org, base]
+    );
+    return res.json({ base_currency: base });
+  } catch (e) {
+    console.error("[PUT /fx/base]", e?.message || e);
+    return res.status(500).json({ error: "error_updating_base_currency" });
+  }
+});
+
+/* ---------------------------- cotizaciones ---------------------------- */
+// ?currency=ARS&from=2026-01-01&to=2026-01-31 (default: ultimos 30 dias)
+router.get("/rates", authenticateToken, async (req, res) => {
+  try {
+    const org = requireOrg(req, res);
+    if (!org) return;
+    const base = await getBaseCurrency(org);
+    const params = [org, base];
+    const where = ["organizacion_id = $1", "base_currency = $2"];
+    const cur = normalizeCurrency(req.query?.currency);
+    if (cur) {
+      params.push(cur);
+      where.push(`currency = $${params.length}`);
+    }
+    params.push(isDate(req.query?.from) ? req.query.from : null);
+    where.push(`rate_date >= COALESCE($${params.length}::date, now()::date - 30)`);
+    params.push(isDate(req.query?.to) ? req.query.to : null);
+    where.push(`rate_date <= COALESCE($${params.length}::date, now()::date)`);
+
+    const r = await q(
+      `SELECT id, base_currency, currency, to_char(rate_date,'YYYY-MM-DD') AS rate_date, rate,
+              source, usuario_email, updated_at
+         FROM exchange_rates
+        WHERE ${where.join(" AND ")}
+        ORDER BY rate_date DESC, currency`,
+      params
+    );
+    return res.json({ base_currency: base, rows: (r.rows || []).map(mapRateRow) });
+  } catch (e) {
+    console.error("[GET /fx/rates]", e?.message || e);
+    return res.status(500).json({ error: "error_fetching_rates" });
+  }
+});
+
+// Ultima cotizacion vigente por moneda (la que usan los KPIs) ?date=YYYY-MM-DD
+router.get("/rates/latest", authenticateToken, async (req, res) => {
+  try {
+    const org = requireOrg(req, res);
+    if (!org) return;
+    const fx = await loadFx(org, { asOf: isDate(req.query?.date) ? req.query.date : null });
+    return res.json({
+      base_currency: fx.base,
+      as_of: fx.as_of,
+      rates: Object.fromEntries(fx.rates),
+    });
+  } catch (e) {
+    console.error("[GET /fx/rates/latest]", e?.message || e);
+    return res.status(500).json({ error: "error_fetching_rates" });
+  }
+});
+
+/**
+ * Carga/actualiza cotizaciones contra la base actual. Body: { rates: [{ currency, date, rate, source? }] }
+ * o un solo objeto. Misma moneda+fecha pisa el valor anterior.
+ */
+router.put("/rates", authenticateToken, requireRole("owner", "admin"), async (req, res) => {
+  try {
+    const org = requireOrg(req, res);
+    if (!org) return;
+    const base = await getBaseCurrency(org);
+    const list = Array.isArray(req.body?.rates) ? req.body.rates : [req.body || {}];
+    if (!list.length || list.length > 500) return res.status(400).json({ error: "rates_required" });
+
+    const clean = [];
+    for (const [index, it] of list.entries()) {
+      const currency = normalizeCurrency(it?.currency);
+      const date = it?.date ?? it?.rate_date ?? new Date().toISOString().slice(0, 10);
+      const rate = Number(it?.rate);
+      if (!currency) return res.status(400).json({ error: "currency_invalid", index });
+      if (currency === base) return res.status(400).json({ error: "currency_is_base", index });
+      if (!isDate(date)) return res.status(400).json({ error: "date_invalid", index });
+      if (!Number.isFinite(rate) || rate <= 0) return res.status(400).json({ error: "rate_invalid", index });
+      clean.push({ currency, date, rate, source: it?.source ? String(it.source).slice(0, 80) : null });
+    }
+
+    const out = [];
+    for (const it of clean) {
+      const r = await q(
+        `INSERT INTO exchange_rates
+           (organizacion_id, base_currency, currency, rate_date, rate, source, usuario_email)
+         VALUES ($1,$2,$3,$4,$5,$6,$7)
+         ON CONFLICT (organizacion_id, base_currency, currency, rate_date)
+           DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source,
+                         usuario_email = EXCLUDED.usuario_email, updated_at = NOW()
+         RETURNING id, base_currency, currency, to_char(rate_date,'YYYY-MM-DD') AS rate_date, rate,
+                   source, usuario_email, updated_at`,
+        [org, base, it.currency, it.date, it.rate, it.source, req.usuario?.email || null]
+      );
+      out.push(mapRateRow(r.rows[0]));
+    }
+    return res.json({ base_currency: base, rows: out });
+  } catch (e) {
+    console.error("[PUT /fx/rates]", e?.message || e);
+    return res.status(500).json({ error: "error_saving_rates" });
+  }
+});
+
+router.delete("/rates/:id", authenticateToken, requireRole("owner", "admin"), async (req, res) => {
+  try {
+    const org = requireOrg(req, res);
+    if (!org) return;
+    const r = await q(
+      `DELETE FROM exchange_rates WHERE id = $1 AND organizacion_id = $2 RETURNING id`,
+      [Number(req.params.id) || 0, org]
+    );
+    if (!r.rowCount) return res.status(404).json({ error: "rate_not_found" });
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("[DELETE /fx/rates/:id]", e?.message || e);
+    return res.status(500).json({ error: "error_deleting_rate" });
+  }
+});
+
+export default router;
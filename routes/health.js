@@ -1,7 +1,10 @@
-// routes/health.js — liveness/readiness + status extendido (sin auth)
+// routes/health.js — liveness/readiness + status extendido (sin auth, salvo /schema)
 import { Router } from "express";
 import { q } from "../utils/db.js";
 import { nocache } from "../middleware/nocache.js";
+import { authenticateToken, requireRole } from "../middleware/auth.js";
+import { schemaDrift } from "../utils/schema.js";
+import { migrationStatus } from "../utils/migrate.js";
 
 const router = Router();
 
@@ -136,6 +139,39 @@ router.get("/ready", nocache, async (_req, res) => {
   }
 });
 
+/* -------------------------- /schema ------------------------- */
+// Drift del esquema: esperado (utils/schema.js) vs information_schema + migraciones pendientes.
+// Siempre 200 si la DB responde; `ok:false` indica drift.
+router.get(
+  "/schema",
+  nocache,
+  authenticateToken,
+  requireRole("owner", "admin", "superadmin"),
+  async (_req, res) => {
+    try {
+      const drift = await schemaDrift();
+      let migrations = null;
+      try {
+        const st = await migrationStatus();
+        migrations = { pending: st.pending, missing: st.missing.map((m) => m.version) };
+      } catch (e) {
+        migrations = { error: e?.message || "migration_status_error" };
+      }
+      const ok = drift.ok && !!migrations && !migrations.error && !migrations.pending?.length;
+      res.status(200).json({
+        ok,
+        checked_at: new Date().toISOString(),
+        summary: drift.summary,
+        migrations,
+        tables: drift.tables,
+      });
+    } catch (e) {
+      console.error("[GET /health/schema]", e?.message || e);
+      res.status(503).json({ ok: false, error: (e && (e.message || e.code)) || "db_error" });
+    }
+  }
+);
+
 /* -------------------------- HEAD --------------------------- */
 // Para probes que usan HEAD lightweight.
 router.head("/", (_req, res) => res.status(204).end());
@@ -2,8 +2,9 @@
 import { Router } from "express";
 import { q } from "../utils/db.js";
 import { authenticateToken, requireRole } from "../middleware/auth.js";
+import { hasTable, tableColumns } from "../utils/schema.js";
 import { sendSlackMessage, followupBlocks } from "../utils/slack.js";
-import { sendWhatsAppText } from "../utils/whatsapp.js";
+import { sendWhatsAppText, sanitizePhone } from "../utils/whatsapp.js";
 
 const router = Router();
 
@@ -20,25 +21,6 @@ function getOrgText(req) {
   );
 }
 
-async function regclassExists(name) {
-  try {
-    const r = await q(`SELECT to_regclass($1) IS NOT NULL AS ok`, [`public.${name}`]);
-    return !!r.rows?.[0]?.ok;
-  } catch { return false; }
-}
-async function hasTable(name) { return regclassExists(name); }
-
-async function tableColumns(name) {
-  try {
-    const r = await q(
-      `SELECT column_name FROM information_schema.columns
-       WHERE table_schema='public' AND table_name=$1`,
-      [name]
-    );
-    return new Set((r.rows || []).map((x) => x.column_name));
-  } catch { return new Set(); }
-}
-
 function isValidSlackWebhook(urlStr) {
   try {
     const u = new URL(String(urlStr).trim());
@@ -50,13 +32,6 @@ function isValidSlackWebhook(urlStr) {
   } catch { return false; }
 }
 
-function sanitizePhone(v) {
-  if (v == null) return null;
-  const s = String(v).trim();
-  const num = s.replace(/[^\d+]/g, "");
-  return num.startsWith("+") ? "+" + num.slice(1).replace(/[+]/g, "") : num;
-}
-
 /* ------------------------ POST /job/dispatch ------------------------ */
 /**
  * Recorre recordatorios vencidos de la org del token y los envía por Slack/WhatsApp.
@@ -1,6 +1,6 @@
 // routes/kanban.js — Kanban (proyectos/clientes/tareas) + KPIs (blindado, sin deps fantasmas)
 import { Router } from "express";
-import { q, CANON_CATS, pipelineForOrg } from "../utils/db.js";
+import { q, withActor, CANON_CATS, pipelineDefForOrg } from "../utils/db.js";
 import { authenticateToken } from "../middleware/auth.js";
 
 const router = Router();
@@ -49,20 +49,6 @@ const noStore = (res) => {
   res.set("Cache-Control", "no-store");
 };
 
-const ORDER =
-  Array.isArray(CANON_CATS) && CANON_CATS.length
-    ? CANON_CATS
-    : [
-        "Incoming Leads",
-        "Unqualified",
-        "Qualified",
-        "Follow-up Missed",
-        "Bid/Estimate Sent",
-        "Won",
-        "Lost",
-      ];
-const PIPELINE_SET = new Set(ORDER);
-
 const coerceText = (v) => {
   if (v == null) return null;
   const s = String(v).trim();
@@ -74,10 +60,23 @@ const isTruthy = (v) => {
   return s === "1" || s === "true" || s === "t" || s === "yes" || s === "y" || s === "on";
 };
 
-async function pipelineCtx(req) {
-  const order = await pipelineForOrg(resolveOrgId(req));
-  return { order, set: new Set(order) };
+// Pipeline pedido (si es de la org) o el default; los clientes usan siempre el default
+async function pipelineCtx(req, pipelineId = null) {
+  const orgId = resolveOrgId(req);
+  const def = (pipelineId != null && (await pipelineDefForOrg(orgId, pipelineId))) || (await pipelineDefForOrg(orgId));
+  const order = def.stages.map((s) => s.nombre);
+  return { def, order, set: new Set(order) };
 }
+const stageColumn = (s, items = []) => ({
+  key: s.nombre,
+  title: s.nombre,
+  tipo: s.tipo,
+  probabilidad: s.probabilidad,
+  color: s.color,
+  sla_dias: s.sla_dias,
+  count: items.length,
+  items,
+});
 
 /* ============================ KPIs ============================ */
 router.get("/kpis", authenticateToken, async (req, res) => {
@@ -235,11 +234,11 @@ router.get("/kpis", authenticateToken, async (req, res) => {
 router.get("/proyectos", authenticateToken, async (req, res) => {
   noStore(res);
   try {
-    const { order: orderPipeline, set: pipelineSet } = await pipelineCtx(req);
+    const { def, order: orderPipeline, set: pipelineSet } = await pipelineCtx(req, Nint(req.query?.pipeline_id));
+    const pipeline = { id: def.id, nombre: def.nombre };
 
     if (!(await hasTable("proyectos"))) {
-      const columns = orderPipeline.map((name) => ({ key: name, title: name, count: 0, items: [] }));
-      return res.status(200).json({ columns, order: orderPipeline });
+      return res.status(200).json({ columns: def.stages.map((s) => stageColumn(s)), order: orderPipeline, pipeline });
     }
 
     const orgId = resolveOrgId(req);
@@ -255,6 +254,13 @@ router.get("/proyectos", authenticateToken, async (req, res) => {
       params.push(orgId);
       where.push(`p.organizacion_id = $${params.length}`);
     }
+    // sin pipeline_id el proyecto es del default
+    if (def.id != null && pCols.has("pipeline_id")) {
+      params.push(def.id);
+      where.push(
+        def.es_default ? `(p.pipeline_id = $${params.length} OR p.pipeline_id IS NULL)` : `p.pipeline_id = $${params.length}`
+      );
+    }
     if (stage && pCols.has("stage")) {
       params.push(String(stage));
       where.push(`p.stage = $${params.length}`);
@@ -354,14 +360,9 @@ router.get("/proyectos", authenticateToken, async (req, res) => {
       });
     }
 
-    const columns = orderPipeline.map((name) => ({
-      key: name,
-      title: name,
-      count: bucket.get(name)?.length || 0,
-      items: bucket.get(name) || [],
-    }));
+    const columns = def.stages.map((s) => stageColumn(s, bucket.get(s.nombre) || []));
 
-    res.json({ columns, order: orderPipeline });
+    res.json({ columns, order: orderPipeline, pipeline });
   } catch (e) {
     console.error("[GET /kanban/proyectos]", e?.stack || e?.message || e);
     const columns = CANON_CATS.map((name) => ({ key: name, title: name, count: 0, items: [] }));
@@ -371,7 +372,6 @@ router.get("/proyectos", authenticateToken, async (req, res) => {
 
 router.patch("/proyectos/:id/move", authenticateToken, async (req, res) => {
   try {
-    const { order: orderPipeline, set: pipelineSet } = await pipelineCtx(req);
     if (!(await hasTable("proyectos"))) return res.status(404).json({ message: "Tabla proyectos no existe" });
     const pCols = await tableColumns("proyectos");
     const orgId = resolveOrgId(req);
@@ -380,16 +380,48 @@ router.patch("/proyectos/:id/move", authenticateToken, async (req, res) => {
     let next = coerceText(req.body?.stage ?? req.body?.categoria);
     if (!Number.isInteger(id)) return res.status(400).json({ message: "ID inválido" });
     if (!next) return res.status(400).json({ message: "stage requerido" });
+
+    const curParams = [id];
+    let curWhere = `id = $1`;
+    if (pCols.has("organizacion_id") && orgId != null) {
+      curParams.push(orgId);
+      curWhere += ` AND organizacion_id = $2`;
+    }
+    const current = (await q(`SELECT * FROM proyectos WHERE ${curWhere}`, curParams)).rows?.[0];
+    if (!current) return res.status(404).json({ message: "Proyecto no encontrado" });
+
+    const { def, order: orderPipeline, set: pipelineSet } = await pipelineCtx(req, current.pipeline_id ?? null);
     if (!pipelineSet.has(next) && !orderPipeline.includes(next)) {
       return res.status(400).json({ message: "stage fuera del pipeline" });
     }
 
+    // reglas de entrada de la etapa (mismo 422 que PATCH /proyectos/:id/stage)
+    const lostReason = coerceText(req.body?.lost_reason ?? req.body?.motivo);
+    const from = current.stage ?? current.categoria ?? null;
+    const violations = stageViolations(def.stages.find((s) => s.nombre === next), {
+      from,
+      values: { ...current, ...(lostReason ? { lost_reason: lostReason } : {}) },
+    });
+    if (violations.length) {
+      return res.status(422).json({
+        error: "stage_rules",
+        message: "Faltan requisitos para mover a la etapa",
+        stage: next,
+        from,
+        violations,
+      });
+    }
+
     const sets = [];
     const params = [next, id];
     let i = 3;
 
     if (pCols.has("stage")) sets.push(`stage = $1`);
     if (pCols.has("categoria")) sets.push(`categoria = $1`);
+    if (lostReason && pCols.has("lost_reason")) {
+      params.push(lostReason);
+      sets.push(`lost_reason = $${i++}`);
+    }
     if (pCols.has("updated_at")) sets.push(`updated_at = NOW()`);
 
     let where = `id = $2`;
@@ -398,13 +430,16 @@ router.patch("/proyectos/:id/move", authenticateToken, async (req, res) => {
       where += ` AND organizacion_id = $${i++}`;
     }
 
-    const r = await q(
-      `UPDATE proyectos SET ${sets.join(", ")} WHERE ${where}
-       RETURNING id,
-         ${pCols.has("nombre") ? "nombre" : "NULL::text AS nombre"},
-         ${pCols.has("stage") ? "stage" : "NULL::text AS stage"},
-         ${pCols.has("categoria") ? "categoria" : "NULL::text AS categoria"}`,
-      params
+    // withActor: el historial de etapas registra quien movio
+    const r = await withActor(String(req.usuario?.email || "").toLowerCase() || null, (c) =>
+      c.query(
+        `UPDATE proyectos SET ${sets.join(", ")} WHERE ${where}
+         RETURNING id,
+           ${pCols.has("nombre") ? "nombre" : "NULL::text AS nombre"},
+           ${pCols.has("stage") ? "stage" : "NULL::text AS stage"},
+           ${pCols.has("categoria") ? "categoria" : "NULL::text AS categoria"}`,
+        params
+      )
     );
     if (!r.rowCount) return res.status(404).json({ message: "Proyecto no encontrado" });
     res.json(r.rows[0]);
@@ -418,9 +453,9 @@ router.patch("/proyectos/:id/move", authenticateToken, async (req, res) => {
 router.get("/clientes", authenticateToken, async (req, res) => {
   noStore(res);
   try {
+    const { def, order: orderPipeline, set: pipelineSet } = await pipelineCtx(req);
     if (!(await hasTable("clientes"))) {
-      const columns = ORDER.map((name) => ({ key: name, title: name, count: 0, items: [] }));
-      return res.status(200).json({ columns, order: ORDER });
+      return res.status(200).json({ columns: def.stages.map((s) => stageColumn(s)), order: orderPipeline });
     }
 
     const orgId = resolveOrgId(req);
@@ -490,14 +525,14 @@ router.get("/clientes", authenticateToken, async (req, res) => {
       params
     );
 
-    const bucket = new Map(ORDER.map((k) => [k, []]));
+    const bucket = new Map(orderPipeline.map((k) => [k, []]));
     for (const row of rs.rows) {
       const key =
-        (row.stage && PIPELINE_SET.has(row.stage))
+        (row.stage && pipelineSet.has(row.stage))
           ? row.stage
-          : (row.categoria && PIPELINE_SET.has(row.categoria))
+          : (row.categoria && pipelineSet.has(row.categoria))
             ? row.categoria
-            : ORDER[ORDER.length - 1] || "Lost";
+            : orderPipeline[orderPipeline.length - 1] || "Lost";
 
       const estimateChip = !!(row.estimate_url || row.estimate_file);
       bucket.get(key)?.push({
@@ -516,18 +551,13 @@ router.get("/clientes", authenticateToken, async (req, res) => {
       });
     }
 
-    const columns = ORDER.map((name) => ({
-      key: name,
-      title: name,
-      count: bucket.get(name)?.length || 0,
-      items: bucket.get(name) || [],
-    }));
+    const columns = def.stages.map((s) => stageColumn(s, bucket.get(s.nombre) || []));
 
-    res.json({ columns, order: ORDER });
+    res.json({ columns, order: orderPipeline });
   } catch (e) {
     console.error("[GET /kanban/clientes]", e?.stack || e?.message || e);
-    const columns = ORDER.map((name) => ({ key: name, title: name, count: 0, items: [] }));
-    res.status(200).json({ columns, order: ORDER });
+    const columns = CANON_CATS.map((name) => ({ key: name, title: name, count: 0, items: [] }));
+    res.status(200).json({ columns, order: CANON_CATS });
   }
 });
 
@@ -536,12 +566,13 @@ router.patch("/clientes/:id/move", authenticateToken, async (req, res) => {
     if (!(await hasTable("clientes"))) return res.status(404).json({ message: "Tabla clientes no existe" });
     const cCols = await tableColumns("clientes");
     const orgId = resolveOrgId(req);
+    const { set: pipelineSet } = await pipelineCtx(req);
 
     const id = Number(req.params.id);
     let next = coerceText(req.body?.stage ?? req.body?.categoria);
     if (!Number.isInteger(id)) return res.status(400).json({ message: "ID inválido" });
     if (!next) return res.status(400).json({ message: "stage requerido" });
-    if (!PIPELINE_SET.has(next) && !ORDER.includes(next)) {
+    if (!pipelineSet.has(next)) {
       return res.status(400).json({ message: "stage fuera del pipeline" });
     }
 
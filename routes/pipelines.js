@@ -0,0 +1,179 @@
+// routes/pipelines.js — pipelines de proyectos por org (/pipelines), escritura owner/admin
+// Una org sin pipelines propios usa el fijo de su area (GET lo devuelve con builtin: true).
+// Cada etapa: { nombre, orden, probabilidad 0-100, tipo open|won|lost, color #hex, sla_dias,
+// requisitos[], desde[], requiere_motivo, motivos[] } (reglas de entrada: PATCH .../stage da 422).
+import { Router } from "express";
+import { authenticateToken, requireRole } from "../middleware/auth.js";
+import { getOrgText } from "../utils/org.js";
+import { q, pool, builtinPipeline, pipelinesForOrg, forgetOrgPipelines } from "../utils/db.js";
+import { hasTable } from "../utils/schema.js";
+import {
+  pipelineError,
+  normalizeStages,
+  loadPipeline,
+  proyectosPorStage,
+  createPipeline,
+  updatePipeline,
+  deletePipeline,
+} from "../services/pipelines.service.js";
+
+const router = Router();
+
+async function requirePipelinesOrg(req, res) {
+  const org = getOrgText(req, { require: false });
+  if (!org) {
+    res.status(400).json({ error: "organizacion_id requerido" });
+    return null;
+  }
+  if (!(await hasTable("pipeline_stages"))) {
+    res.status(501).json({ error: "pipelines_no_instalado" });
+    return null;
+  }
+  return String(org);
+}
+
+async function inTx(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const out = await fn(client);
+    await client.query("COMMIT");
+    return out;
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+function sendError(res, e, tag, fallback) {
+  if (e?.status && e?.code) return res.status(e.status).json({ error: e.code, ...e.detail });
+  if (e?.code === "23505") return res.status(409).json({ error: "pipeline_duplicado" });
+  console.error(tag, "error:", e?.message || e);
+  return res.status(500).json({ error: fallback });
+}
+
+function nombreDe(v) {
+  const nombre = String(v ?? "").trim();
+  if (!nombre) throw pipelineError(400, "nombre_requerido");
+  if (nombre.length > 80) throw pipelineError(400, "nombre_largo");
+  return nombre;
+}
+
+const mapStage = (s) => ({
+  id: s.id,
+  nombre: s.nombre,
+  orden: s.orden,
+  probabilidad: Number(s.probabilidad) || 0,
+  tipo: s.tipo,
+  color: s.color || null,
+  sla_dias: s.sla_dias ?? null,
+  requisitos: s.requisitos || [],
+  desde: s.desde || [],
+  requiere_motivo: !!s.requiere_motivo,
+  motivos: s.motivos || [],
+});
+
+function mapPipeline(p, conteo = null) {
+  return {
+    id: p.id,
+    nombre: p.nombre,
+    es_default: !!p.es_default,
+    activo: p.activo !== false,
+    builtin: !!p.builtin,
+    stages: (p.stages || []).map((s) => (conteo ? { ...mapStage(s), proyectos: conteo.get(s.nombre) || 0 } : mapStage(s))),
+  };
+}
+
+/* ---------------------------- lectura ---------------------------- */
+// Todos los pipelines de la org (default primero); ?activo=1 solo los activos
+router.get("/", authenticateToken, async (req, res) => {
+  const org = await requirePipelinesOrg(req, res);
+  if (!org) return;
+  try {
+    let list = await pipelinesForOrg(org);
+    if (["1", "true"].includes(String(req.query?.activo || "").toLowerCase())) list = list.filter((p) => p.activo);
+    return res.json(list.map((p) => mapPipeline(p)));
+  } catch (e) {
+    return sendError(res, e, "[GET /pipelines]", "error_listando_pipelines");
+  }
+});
+
+// Con conteo de proyectos por etapa (para avisar antes de borrar)
+router.get("/:id", authenticateToken, async (req, res) => {
+  const org = await requirePipelinesOrg(req, res);
+  if (!org) return;
+  try {
+    const p = await loadPipeline(pool, { org, id: req.params.id });
+    return res.json(mapPipeline(p, await proyectosPorStage(pool, { org, pipeline: p })));
+  } catch (e) {
+    return sendError(res, e, "[GET /pipelines/:id]", "error_obteniendo_pipeline");
+  }
+});
+
+/* ---------------------------- escritura ---------------------------- */
+/**
+ * Body: { nombre, es_default?, stages? }. Sin stages copia el pipeline fijo del area de la org.
+ * El primer pipeline de la org queda como default.
+ */
+router.post("/", authenticateToken, requireRole("owner", "admin"), async (req, res) => {
+  const org = await requirePipelinesOrg(req, res);
+  if (!org) return;
+  try {
+    const nombre = nombreDe(req.body?.nombre);
+    let raw = req.body?.stages;
+    if (raw == null) {
+      const prof = await q(`SELECT area FROM org_profiles WHERE organizacion_id = $1 LIMIT 1`, [org]);
+      raw = builtinPipeline(prof.rows?.[0]?.area).stages;
+    }
+    const stages = normalizeStages(raw);
+    const p = await inTx((client) =>
+      createPipeline(client, { org, nombre, stages, esDefault: !!req.body?.es_default })
+    );
+    forgetOrgPipelines(org);
+    return res.status(201).json(mapPipeline(p));
+  } catch (e) {
+    return sendError(res, e, "[POST /pipelines]", "error_creando_pipeline");
+  }
+});
+
+/**
+ * Body: { nombre?, activo?, es_default?, stages? }. `stages` reemplaza la lista completa: mandar
+ * el id para conservar una etapa (renombrarla mueve sus proyectos); quitar una con proyectos es 409.
+ */
+router.put("/:id", authenticateToken, requireRole("owner", "admin"), async (req, res) => {
+  const org = await requirePipelinesOrg(req, res);
+  if (!org) return;
+  try {
+    const body = req.body || {};
+    const p = await inTx((client) =>
+      updatePipeline(client, {
+        org,
+        id: req.params.id,
+        nombre: "nombre" in body ? nombreDe(body.nombre) : undefined,
+        activo: "activo" in body ? !!body.activo : undefined,
+        esDefault: "es_default" in body ? !!body.es_default : undefined,
+        stages: body.stages != null ? normalizeStages(body.stages) : null,
+      })
+    );
+    forgetOrgPipelines(org);
+    return res.json(mapPipeline(p));
+  } catch (e) {
+    return sendError(res, e, "[PUT /pipelines/:id]", "error_guardando_pipeline");
+  }
+});
+
+router.delete("/:id", authenticateToken, requireRole("owner", "admin"), async (req, res) => {
+  const org = await requirePipelinesOrg(req, res);
+  if (!org) return;
+  try {
+    await inTx((client) => deletePipeline(client, { org, id: req.params.id }));
+    forgetOrgPipelines(org);
+    return res.json({ ok: true });
+  } catch (e) {
+    return sendError(res, e, "[DELETE /pipelines/:id]", "error_eliminando_pipeline");
+  }
+});
+
+export default router;
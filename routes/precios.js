@@ -0,0 +1,327 @@
+// routes/precios.js — listas de precios por categoria de cliente y promociones (ABM owner/admin)
+// Las evalua POST /cobros (services/pricing.service.js); aca solo se administran.
+import { Router } from "express";
+import { authenticateToken, requireRole } from "../middleware/auth.js";
+import { getOrgText } from "../utils/org.js";
+import { q, pool } from "../utils/db.js";
+import { hasTable } from "../utils/schema.js";
+import { cobroError } from "../services/cobros.service.js";
+import { PROMO_TIPOS } from "../services/pricing.service.js";
+
+const router = Router();
+const ADMIN = requireRole("owner", "admin");
+const T = (v) => (v == null ? null : String(v).trim() || null);
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+async function ensurePreciosInfra(req, res) {
+  const org = getOrgText(req, { require: false });
+  if (!org) {
+    res.status(400).json({ error: "organizacion_id requerido" });
+    return null;
+  }
+  if (!(await hasTable("listas_precios"))) {
+    res.status(501).json({ error: "precios_no_instalado" });
+    return null;
+  }
+  return org;
+}
+
+function sendError(res, e, tag, fallback) {
+  if (e?.status && e?.code) return res.status(e.status).json({ error: e.code, ...e.detail });
+  if (e?.code === "23505") return res.status(409).json({ error: "nombre_en_uso" });
+  console.error(tag, "error:", e?.message || e);
+  return res.status(500).json({ error: fallback });
+}
+
+function normalizeLista(body = {}) {
+  const nombre = T(body.nombre);
+  if (!nombre) throw cobroError(400, "nombre_requerido");
+  const prioridad = body.prioridad == null ? 0 : Number(body.prioridad);
+  if (!Number.isInteger(prioridad)) throw cobroError(400, "prioridad_invalida");
+  return {
+    nombre,
+    categoria_cliente: T(body.categoria_cliente ?? body.categoria),
+    prioridad,
+    activa: body.activa == null ? true : !!body.activa,
+  };
+}
+
+function normalizePromocion(body = {}) {
+  const nombre = T(body.nombre);
+  if (!nombre) throw cobroError(400, "nombre_requerido");
+  const tipo = String(body.tipo || "").trim().toLowerCase();
+  if (!PROMO_TIPOS.includes(tipo)) throw cobroError(400, "tipo_invalido", { tipos: PROMO_TIPOS });
+  const valor = Number(body.valor);
+  if (!Number.isFinite(valor) || valor <= 0 || (tipo === "porcentaje" && valor > 100)) {
+    throw cobroError(400, "valor_invalido");
+  }
+  let producto_ids = null;
+  if (body.producto_ids != null || body.producto_id != null) {
+    const raw = body.producto_ids ?? [body.producto_id];
+    producto_ids = (Array.isArray(raw) ? raw : [raw]).map(Number);
+    if (!producto_ids.length || producto_ids.some((x) => !Number.isInteger(x))) {
+      throw cobroError(400, "producto_ids_invalido");
+    }
+    producto_ids = [...new Set(producto_ids)];
+  }
+  const desde = T(body.desde);
+  const hasta = T(body.hasta);
+  if ((desde && !DATE_RE.test(desde)) || (hasta && !DATE_RE.test(hasta))) throw cobroError(400, "fecha_invalida");
+  if (desde && hasta && desde > hasta) throw cobroError(400, "rango_invalido");
+  const cantidad_minima = body.cantidad_minima == null ? 1 : Number(body.cantidad_minima);
+  if (!Number.isFinite(cantidad_minima) || cantidad_minima <= 0) throw cobroError(400, "cantidad_minima_invalida");
+  const prioridad = body.prioridad == null ? 0 : Number(body.prioridad);
+  if (!Number.isInteger(prioridad)) throw cobroError(400, "prioridad_invalida");
+  return {
+    nombre,
+    tipo,
+    valor,
+    producto_ids,
+    categoria_cliente: T(body.categoria_cliente ?? body.categoria),
+    cantidad_minima,
+    desde,
+    hasta,
+    prioridad,
+    activa: body.activa == null ? true : !!body.activa,
+  };
+}
+
+/* ---------------------------- listas ---------------------------- */
+router.get("/listas", authenticateToken, async (req, res) => {
+  try {
+    const org = await ensurePreciosInfra(req, res);
+    if (!org) return;
+    const r = await q(
+      `SELECT l.*, (SELECT COUNT(*)::int FROM lista_precio_items li WHERE li.lista_id = l.id) AS productos
+         FROM listas_precios l
+        WHERE l.organizacion_id = $1
+        ORDER BY l.activa DESC, l.categoria_cliente NULLS FIRST, l.prioridad DESC, l.nombre`,
+      [org]
+    );
+    return res.json({ rows: r.rows || [] });
+  } catch (e) {
+    return sendError(res, e, "[GET /precios/listas]", "listas_list_error");
+  }
+});
+
+router.post("/listas", authenticateToken, ADMIN, async (req, res) => {
+  try {
+    const org = await ensurePreciosInfra(req, res);
+    if (!org) return;
+    const l = normalizeLista(req.body || {});
+    const r = await q(
+      `INSERT INTO listas_precios (organizacion_id, nombre, categoria_cliente, prioridad, activa)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [org, l.nombre, l.categoria_cliente, l.prioridad, l.activa]
+    );
+    return res.status(201).json(r.rows[0]);
+  } catch (e) {
+    return sendError(res, e, "[POST /precios/listas]", "lista_create_error");
+  }
+});
+
+router.put("/listas/:id", authenticateToken, ADMIN, async (req, res) => {
+  try {
+    const org = await ensurePreciosInfra(req, res);
+    if (!org) return;
+    const l = normalizeLista(req.body || {});
+    const r = await q(
+      `UPDATE listas_precios
+          SET nombre = $3, categoria_cliente = $4, prioridad = $5, activa = $6
+        WHERE id = $1 AND organizacion_id = $2
+        RETURNING *`,
+      [Number(req.params.id) || 0, org, l.nombre, l.categoria_cliente, l.prioridad, l.activa]
+    );
+    if (!r.rowCount) return res.status(404).json({ error: "lista_no_encontrada" });
+    return res.json(r.rows[0]);
+  } catch (e) {
+    return sendError(res, e, "[PUT /precios/listas/:id]", "lista_update_error");
+  }
+});
+
+// los cobro_items que la usaron conservan la regla (JSON) con lista_id NULL
+router.delete("/listas/:id", authenticateToken, ADMIN, async (req, res) => {
+  try {
+    const org = await ensurePreciosInfra(req, res);
+    if (!org) return;
+    const r = await q(
+      `DELETE FROM listas_precios WHERE id = $1 AND organizacion_id = $2 RETURNING id`,
+      [Number(req.params.id) || 0, org]
+    );
+    if (!r.rowCount) return res.status(404).json({ error: "lista_no_encontrada" });
+    return res.json({ ok: true });
+  } catch (e) {
+    return sendError(res, e, "[DELETE /precios/listas/:id]", "lista_delete_error");
+  }
+});
+
+router.get("/listas/:id/items", authenticateToken, async (req, res) => {
+  try {
+    const org = await ensurePreciosInfra(req, res);
+    if (!org) return;
+    const r = await q(
+      `SELECT li.producto_id, li.precio, li.updated_at
+         FROM lista_precio_items li
+         JOIN listas_precios l ON l.id = li.lista_id
+        WHERE li.lista_id = $1 AND l.organizacion_id = $2
+        ORDER BY li.producto_id`,
+      [Number(req.params.id) || 0, org]
+    );
+    return res.json({ rows: r.rows || [] });
+  } catch (e) {
+    return sendError(res, e, "[GET /precios/listas/:id/items]", "lista_items_error");
+  }
+});
+
+/**
+ * Alta/actualizacion masiva: { items: [{ producto_id, precio }], reemplazar? }.
+ * Con reemplazar=true los productos que no vienen salen de la lista.
+ */
+router.put("/listas/:id/items", authenticateToken, ADMIN, async (req, res) => {
+  const org = await ensurePreciosInfra(req, res);
+  if (!org) return;
+  const listaId = Number(req.params.id) || 0;
+  const itemsRaw = Array.isArray(req.body?.items) ? req.body.items : [];
+  const items = [];
+  for (const [index, raw] of itemsRaw.entries()) {
+    const producto_id = Number(raw?.producto_id);
+    const precio = Number(raw?.precio);
+    if (!Number.isInteger(producto_id)) return res.status(400).json({ error: "producto_id_invalido", index });
+    if (!Number.isFinite(precio) || precio < 0) return res.status(400).json({ error: "precio_invalido", index });
+    items.push({ producto_id, precio });
+  }
+  const reemplazar = !!req.body?.reemplazar;
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const l = await client.query(
+      `SELECT id FROM listas_precios WHERE id = $1 AND organizacion_id = $2 FOR UPDATE`,
+      [listaId, org]
+    );
+    if (!l.rowCount) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "lista_no_encontrada" });
+    }
+    if (reemplazar) {
+      await client.query(
+        `DELETE FROM lista_precio_items WHERE lista_id = $1 AND NOT (producto_id = ANY($2::int[]))`,
+        [listaId, items.map((i) => i.producto_id)]
+      );
+    }
+    for (const it of items) {
+      await client.query(
+        `INSERT INTO lista_precio_items (lista_id, producto_id, precio)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (lista_id, producto_id) DO UPDATE SET precio = EXCLUDED.precio, updated_at = NOW()`,
+        [listaId, it.producto_id, it.precio]
+      );
+    }
+    await client.query("COMMIT");
+    return res.json({ ok: true, lista_id: listaId, actualizados: items.length });
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    return sendError(res, e, "[PUT /precios/listas/:id/items]", "lista_items_update_error");
+  } finally {
+    client.release();
+  }
+});
+
+router.delete("/listas/:id/items/:productoId", authenticateToken, ADMIN, async (req, res) => {
+  try {
+    const org = await ensurePreciosInfra(req, res);
+    if (!org) return;
+    const r = await q(
+      `DELETE FROM lista_precio_items li
+        USING listas_precios l
+        WHERE l.id = li.lista_id AND li.lista_id = $1 AND li.producto_id = $2 AND l.organizacion_id = $3
+        RETURNING li.id`,
+      [Number(req.params.id) || 0, Number(req.params.productoId) || 0, org]
+    );
+    if (!r.rowCount) return res.status(404).json({ error: "item_no_encontrado" });
+    return res.json({ ok: true });
+  } catch (e) {
+    return sendError(res, e, "[DELETE /precios/listas/:id/items/:productoId]", "lista_item_delete_error");
+  }
+});
+
+/* ---------------------------- promociones ---------------------------- */
+// ?vigentes=1 solo las activas con vigencia que incluye hoy
+router.get("/promociones", authenticateToken, async (req, res) => {
+  try {
+    const org = await ensurePreciosInfra(req, res);
+    if (!org) return;
+    const vigentes = ["1", "true"].includes(String(req.query?.vigentes || "").toLowerCase());
+    const r = await q(
+      `SELECT * FROM promociones
+        WHERE organizacion_id = $1
+          AND ($2::boolean IS FALSE OR (activa
+               AND (desde IS NULL OR desde <= CURRENT_DATE)
+               AND (hasta IS NULL OR hasta >= CURRENT_DATE)))
+        ORDER BY activa DESC, prioridad DESC, desde NULLS FIRST, id`,
+      [org, vigentes]
+    );
+    return res.json({ rows: r.rows || [] });
+  } catch (e) {
+    return sendError(res, e, "[GET /precios/promociones]", "promociones_list_error");
+  }
+});
+
+router.post("/promociones", authenticateToken, ADMIN, async (req, res) => {
+  try {
+    const org = await ensurePreciosInfra(req, res);
+    if (!org) return;
+    const p = normalizePromocion(req.body || {});
+    const r = await q(
+      `INSERT INTO promociones
+        (organizacion_id, nombre, tipo, valor, producto_ids, categoria_cliente, cantidad_minima,
+         desde, hasta, prioridad, activa)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING *`,
+      [org, p.nombre, p.tipo, p.valor, p.producto_ids, p.categoria_cliente, p.cantidad_minima,
+       p.desde, p.hasta, p.prioridad, p.activa]
+    );
+    return res.status(201).json(r.rows[0]);
+  } catch (e) {
+    return sendError(res, e, "[POST /precios/promociones]", "promocion_create_error");
+  }
+});
+
+router.put("/promociones/:id", authenticateToken, ADMIN, async (req, res) => {
+  try {
+    const org = await ensurePreciosInfra(req, res);
+    if (!org) return;
+    const p = normalizePromocion(req.body || {});
+    const r = await q(
+      `UPDATE promociones
+          SET nombre = $3, tipo = $4, valor = $5, producto_ids = $6, categoria_cliente = $7,
+              cantidad_minima = $8, desde = $9, hasta = $10, prioridad = $11, activa = $12
+        WHERE id = $1 AND organizacion_id = $2
+        RETURNING *`,
+      [Number(req.params.id) || 0, org, p.nombre, p.tipo, p.valor, p.producto_ids, p.categoria_cliente,
+       p.cantidad_minima, p.desde, p.hasta, p.prioridad, p.activa]
+    );
+    if (!r.rowCount) return res.status(404).json({ error: "promocion_no_encontrada" });
+    return res.json(r.rows[0]);
+  } catch (e) {
+    return sendError(res, e, "[PUT /precios/promociones/:id]", "promocion_update_error");
+  }
+});
+
+router.delete("/promociones/:id", authenticateToken, ADMIN, async (req, res) => {
+  try {
+    const org = await ensurePreciosInfra(req, res);
+    if (!org) return;
+    const r = await q(
+      `DELETE FROM promociones WHERE id = $1 AND organizacion_id = $2 RETURNING id`,
+      [Number(req.params.id) || 0, org]
+    );
+    if (!r.rowCount) return res.status(404).json({ error: "promocion_no_encontrada" });
+    return res.json({ ok: true });
+  } catch (e) {
+    return sendError(res, e, "[DELETE /precios/promociones/:id]", "promocion_delete_error");
+  }
+});
+
+export default router;
@@ -324,6 +324,10 @@ router.delete("/:id", authenticateToken, async (req, res) => {
     if (!r.rowCount) return res.status(404).json({ message: "Proveedor no encontrado" });
     res.json({ ok: true });
   } catch (e) {
+    // con ordenes de compra no se borra: se desactiva (activo=false)
+    if (e?.code === "23503") {
+      return res.status(409).json({ message: "Proveedor con ordenes de compra: desactivarlo en lugar de borrarlo" });
+    }
     console.error("[DELETE /proveedores/:id]", e?.stack || e?.message || e);
     res.status(500).json({ message: "Error eliminando proveedor" });
   }
@@ -2,6 +2,7 @@
 import { Router } from "express";
 import { q } from "../utils/db.js";
 import { authenticateToken } from "../middleware/auth.js";
+import { hasTable, tableColumns } from "../utils/schema.js";
 import { emit as emitFlow } from "../services/flows.client.js";
 import { ensureFollowupForAssignment } from "../services/followups.service.js";
 
@@ -40,32 +41,6 @@ function getBearer(req) {
   return req.headers?.authorization || null;
 }
 
-// Infra helpers 
-async function regclassExists(name) {
-  try {
-    const r = await q(`SELECT to_regclass($1) IS NOT NULL AS ok`, [`public.${name}`]);
-    return !!r.rows?.[0]?.ok;
-  } catch {
-    return false;
-  }
-}
-async function hasTable(name) {
-  return regclassExists(name);
-}
-async function tableColumns(name) {
-  try {
-    const r = await q(
-      `SELECT column_name
-         FROM information_schema.columns
-        WHERE table_schema='public' AND table_name=$1`,
-      [name]
-    );
-    return new Set((r.rows || []).map((x) => x.column_name));
-  } catch {
-    return new Set();
-  }
-}
-
 // Valida que el cliente pertenezca a la org (si la columna existe)
 async function maybeClientBelongsToOrg(clienteId, orgText) {
   if (!clienteId) return { ok: false, reason: "no_id" };
@@ -1,8 +1,13 @@
 // routes/proyectos.js — Oportunidades/Proyectos (blindado + multi-tenant + schema-agnostic, TEXT-safe)
 import { Router } from "express";
-import { q, CANON_CATS, pipelineForOrg } from "../utils/db.js";
+import { q, withActor, CANON_CATS, pipelinesForOrg, pipelineDefForOrg, findStage } from "../utils/db.js";
 import { authenticateToken } from "../middleware/auth.js";
 import { emit as emitFlow } from "../services/flows.client.js";
+import crypto from "node:crypto";
+import { resolveProfile } from "../utils/area.profiles.js";
+import { publicUpload } from "../utils/uploads.js";
+import { renderEstimatePdf, storeDocument } from "../services/pdf.service.js";
+import { stageViolations } from "../services/pipelines.service.js";
 
 const router = Router();
 
@@ -32,9 +37,60 @@ function getUserFromReq(req) {
     organizacion_id: getOrg(req),
   };
 }
-async function getPipelineForReq(req) {
+// Definicion del pipeline (utils/db.js): el pedido o el default de la org; null si el id no es de la org
+async function getPipelineForReq(req, pipelineId = null) {
   const { organizacion_id } = getUserFromReq(req);
-  return pipelineForOrg(organizacion_id);
+  return pipelineDefForOrg(organizacion_id, pipelineId);
+}
+const stageNames = (def) => def.stages.map((s) => s.nombre);
+const stageMeta = (s) => ({
+  nombre: s.nombre,
+  orden: s.orden,
+  probabilidad: s.probabilidad,
+  tipo: s.tipo,
+  color: s.color,
+  sla_dias: s.sla_dias,
+});
+const pipelineRef = (def) => ({ id: def.id, nombre: def.nombre, builtin: !!def.builtin });
+
+// won/lost segun el tipo de la etapa en el pipeline del proyecto
+function closeInfo(def, item) {
+  const tipo = findStage(def, item.stage)?.tipo || "open";
+  const isClosed = tipo === "won" || tipo === "lost";
+  return { isClosed, result: item.result || (isClosed ? tipo : null) };
+}
+
+// pipeline_id del body: undefined si no vino, null = default de la org
+function pipelineIdFromBody(body) {
+  if (!("pipeline_id" in (body || {}))) return undefined;
+  const v = body.pipeline_id;
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : NaN;
+}
+
+// Fila actual (para pipeline_id, etapa de origen y campos que exigen las reglas de entrada)
+async function currentRow(cols, id, organizacion_id) {
+  const params = [id];
+  let where = `id = $1`;
+  if (cols.has("organizacion_id") && organizacion_id != null) {
+    params.push(String(organizacion_id));
+    where += ` AND organizacion_id::text = $2::text`;
+  }
+  const r = await q(`SELECT * FROM proyectos WHERE ${where}`, params);
+  return r.rows?.[0] || null;
+}
+
+// 422 con lo que falta para entrar a la etapa (ver stageViolations)
+function sendStageViolations(res, { stage, from, violations }) {
+  return res.status(422).json({
+    ok: false,
+    error: "stage_rules",
+    message: "Faltan requisitos para mover a la etapa",
+    stage,
+    from,
+    violations,
+  });
 }
 
 async function regclassExists(name) {
@@ -119,7 +175,9 @@ async function buildProjectSelect() {
     `${exp(cols, "contacto_nombre", "text")} AS contacto_nombre`,
     `${exp(cols, "usuario_email", "text")} AS usuario_email`,
     `${exp(cols, "organizacion_id", "int")} AS organizacion_id`,
+    `${exp(cols, "pipeline_id", "int")} AS pipeline_id`,
     `${exp(cols, "result", "text")} AS result`,
+    `${exp(cols, "lost_reason", "text")} AS lost_reason`,
     `${exp(cols, "closed_at", "timestamptz")} AS closed_at`,
     `${exp(cols, "created_at", "timestamptz")} AS created_at`,
     `${exp(cols, "updated_at", "timestamptz")} AS updated_at`,
@@ -145,11 +203,20 @@ function pickUpdate(cols, obj) {
 router.get("/options", authenticateToken, async (req, res) => {
   try {
     const { organizacion_id, email } = getUserFromReq(req);
-    const pipeline = await getPipelineForReq(req);
+    const pipelineId = toInt(req.query?.pipeline_id);
+    const def = await getPipelineForReq(req, pipelineId);
+    if (!def) return res.status(400).json({ ok: false, message: "pipeline_id inválido" });
+    const pipeline = stageNames(def);
+    const pipelineInfo = {
+      pipeline: pipelineRef(def),
+      stage_meta: def.stages.map(stageMeta),
+      pipelines: (await pipelinesForOrg(organizacion_id)).filter((p) => p.activo).map(pipelineRef),
+    };
     if (!(await hasTable("proyectos"))) {
       return res.json({
         ok: true,
         stages: pipeline,
+        ...pipelineInfo,
         sources: ["Website","Referral","Email","WhatsApp","Phone","Instagram","Facebook","Google Ads","LinkedIn","Cold Outreach","Event","Walk-in"],
         assignees: email ? [String(email).toLowerCase()] : [],
       });
@@ -182,7 +249,13 @@ router.get("/options", authenticateToken, async (req, res) => {
     }
     const assigneesSet = new Set([...(email ? [String(email).toLowerCase()] : []), ...assignees]);
 
-    res.json({ ok: true, stages: pipeline, sources: Array.from(sourcesSet), assignees: Array.from(assigneesSet) });
+    res.json({
+      ok: true,
+      stages: pipeline,
+      ...pipelineInfo,
+      sources: Array.from(sourcesSet),
+      assignees: Array.from(assigneesSet),
+    });
   } catch (e) {
     console.error("[GET /proyectos/options]", e?.stack || e?.message || e);
     res.json({ ok: true, stages: CANON_CATS, sources: [], assignees: [] });
@@ -254,13 +327,12 @@ router.get("/", authenticateToken, async (req, res) => {
 /* ============== GET /proyectos/kanban (debe ir antes de :id) ============== */
 router.get("/kanban", authenticateToken, async (req, res) => {
   try {
-    const pipeline = await getPipelineForReq(req);
+    const def = await getPipelineForReq(req, toInt(req.query?.pipeline_id));
+    if (!def) return res.status(400).json({ ok: false, message: "pipeline_id inválido" });
+    const pipeline = stageNames(def);
+    const column = (s, items = []) => ({ key: s.nombre, title: s.nombre, ...stageMeta(s), items, count: items.length });
     if (!(await hasTable("proyectos"))) {
-      return res.json({
-        ok: true,
-        order: pipeline,
-        columns: pipeline.map((s) => ({ key: s, title: s, items: [], count: 0 })),
-      });
+      return res.json({ ok: true, pipeline: pipelineRef(def), order: pipeline, columns: def.stages.map((s) => column(s)) });
     }
 
     const { organizacion_id } = getUserFromReq(req);
@@ -277,6 +349,13 @@ router.get("/kanban", authenticateToken, async (req, res) => {
     const of = orgFilterText(cols, "p", organizacion_id, params.length + 1);
     if (of.where.length) { where.push(of.where[0]); params.push(...of.params); }
 
+    // solo los proyectos del pipeline (sin pipeline_id = el default)
+    if (def.id != null && cols.has("pipeline_id")) {
+      params.push(def.id);
+      where.push(def.es_default
+        ? `(p.pipeline_id = $${params.length} OR p.pipeline_id IS NULL)`
+        : `p.pipeline_id = $${params.length}`);
+    }
     if (source && cols.has("source")) { params.push(String(source)); where.push(`p.source = $${params.length}`); }
     if (assignee && cols.has("assignee")) { params.push(String(assignee)); where.push(`p.assignee = $${params.length}`); }
     if (String(only_due) === "1" && cols.has("due_date")) { where.push("p.due_date IS NOT NULL"); }
@@ -314,14 +393,9 @@ router.get("/kanban", authenticateToken, async (req, res) => {
       byStage.get(key)?.push(it);
     }
 
-    const columns = pipeline.map((s) => ({
-      key: s,
-      title: s,
-      items: byStage.get(s),
-      count: byStage.get(s).length,
-    }));
+    const columns = def.stages.map((s) => column(s, byStage.get(s.nombre)));
 
-    res.json({ ok: true, order: pipeline, columns });
+    res.json({ ok: true, pipeline: pipelineRef(def), order: pipeline, columns });
   } catch (e) {
     console.error("[GET /proyectos/kanban]", e?.stack || e?.message || e);
     res.json({
@@ -365,7 +439,10 @@ router.post("/", authenticateToken, async (req, res) => {
     const bearer = getBearer(req);
     const { organizacion_id, email: usuario_email } = getUserFromReq(req);
     const cols = await tableColumns("proyectos");
-    const pipeline = await getPipelineForReq(req);
+    const pipelineId = pipelineIdFromBody(req.body) ?? null;
+    const def = Number.isNaN(pipelineId) ? null : await getPipelineForReq(req, pipelineId);
+    if (!def || (pipelineId != null && !def.activo)) return res.status(400).json({ ok: false, message: "pipeline_id inválido" });
+    const pipeline = stageNames(def);
 
     if (!("assignee" in (req.body || {})) && "responsable" in (req.body || {})) req.body.assignee = req.body.responsable;
     if (!("source" in (req.body || {})) && "origen" in (req.body || {})) req.body.source = req.body.origen;
@@ -387,6 +464,7 @@ router.post("/", authenticateToken, async (req, res) => {
       prob_win = null,
       fecha_cierre_estimada = null,
       contacto_nombre = null,
+      lost_reason = null,
     } = req.body || {};
 
     if (!nombre || !String(nombre).trim()) return res.status(400).json({ ok: false, message: "Nombre requerido" });
@@ -413,7 +491,14 @@ router.post("/", authenticateToken, async (req, res) => {
       contacto_nombre: T(contacto_nombre),
       usuario_email: emailNorm(usuario_email),
       organizacion_id: organizacion_id, // insert como número si existe la columna
+      pipeline_id: def.id != null && pipelineId != null ? def.id : null,
+      lost_reason: T(lost_reason),
     };
+    const violations = stageViolations(findStage(def, finalStage), {
+      values: payload,
+      alta: finalStage !== pipeline[0],
+    });
+    if (violations.length) return sendStageViolations(res, { stage: finalStage, from: null, violations });
     if (cols.has("created_at")) payload.created_at = new Date();
     if (cols.has("updated_at")) payload.updated_at = new Date();
 
@@ -466,15 +551,32 @@ router.patch("/:id", authenticateToken, async (req, res) => {
     if (id == null) return res.status(400).json({ ok: false, message: "ID inválido" });
 
     const cols = await tableColumns("proyectos");
-    const pipeline = await getPipelineForReq(req);
+    const pipelineIn = pipelineIdFromBody(req.body);
+    if (Number.isNaN(pipelineIn)) return res.status(400).json({ ok: false, message: "pipeline_id inválido" });
+    const changingPipeline = pipelineIn !== undefined && cols.has("pipeline_id");
+    const current = await currentRow(cols, id, organizacion_id);
+    if (!current) return res.status(404).json({ ok: false, message: "Proyecto no encontrado" });
+    const def = changingPipeline
+      ? await getPipelineForReq(req, pipelineIn)
+      : (await getPipelineForReq(req, current.pipeline_id ?? null)) || (await getPipelineForReq(req));
+    if (!def || (changingPipeline && pipelineIn != null && !def.activo)) {
+      return res.status(400).json({ ok: false, message: "pipeline_id inválido" });
+    }
+    const pipeline = stageNames(def);
 
     if (!("descripcion" in (req.body || {})) && "notas" in (req.body || {})) req.body.descripcion = req.body.notas;
     if (!("assignee" in (req.body || {})) && "responsable" in (req.body || {})) req.body.assignee = req.body.responsable;
     if (!("source" in (req.body || {})) && "origen" in (req.body || {})) req.body.source = req.body.origen;
 
-    const incomingStage = T(req.body?.stage ?? req.body?.categoria);
+    let incomingStage = T(req.body?.stage ?? req.body?.categoria);
     const updates = {};
 
+    if (changingPipeline) {
+      updates.pipeline_id = pipelineIn == null ? null : def.id;
+      // al cambiar de pipeline sin etapa: conserva la actual si existe en el nuevo, si no la primera
+      if (!incomingStage && (!current.stage || !pipeline.includes(current.stage))) incomingStage = pipeline[0];
+    }
+
     if (incomingStage) {
       if (!pipeline.includes(incomingStage)) return res.status(400).json({ ok: false, message: "stage fuera del pipeline" });
       if (cols.has("stage")) updates.stage = incomingStage;
@@ -498,12 +600,29 @@ router.patch("/:id", authenticateToken, async (req, res) => {
       prob_win: (v) => N(v),
       fecha_cierre_estimada: (v) => D(v),
       contacto_nombre: (v) => T(v),
+      lost_reason: (v) => T(v),
     };
 
     for (const [k, conv] of Object.entries(allowed)) {
       if (k in (req.body || {})) updates[k] = conv(req.body[k]);
     }
 
+    // reglas de entrada contra el proyecto con los cambios de este request (al cambiar de
+    // pipeline no hay etapa de origen que valga para `desde`)
+    if (incomingStage && incomingStage !== current.stage) {
+      const from = changingPipeline ? null : current.stage ?? null;
+      const violations = stageViolations(findStage(def, incomingStage), { from, values: { ...current, ...updates } });
+      if (violations.length) return sendStageViolations(res, { stage: incomingStage, from, violations });
+    } else if (current.stage) {
+      // sin cambio de etapa: si el patch toca un requisito de la etapa actual, no puede dejarlo vacio
+      const stage = findStage(def, current.stage);
+      if ((stage?.requisitos || []).some((f) => f in updates)) {
+        const violations = stageViolations(stage, { values: { ...current, ...updates } })
+          .filter((v) => v.rule === "required_field");
+        if (violations.length) return sendStageViolations(res, { stage: current.stage, from: current.stage, violations });
+      }
+    }
+
     const { sets, values } = pickUpdate(cols, updates);
     if (!sets.length) return res.status(400).json({ ok: false, message: "Nada para actualizar" });
 
@@ -516,13 +635,17 @@ router.patch("/:id", authenticateToken, async (req, res) => {
       where += ` AND organizacion_id::text = $${values.length}::text`;
     }
 
-    const ret = await q(`UPDATE proyectos SET ${sets.join(", ")} WHERE ${where} RETURNING id`, values);
+    // withActor: el historial de etapas registra quien movio
+    const { email: actor } = getUserFromReq(req);
+    const ret = await withActor(emailNorm(actor), (c) =>
+      c.query(`UPDATE proyectos SET ${sets.join(", ")} WHERE ${where} RETURNING id`, values)
+    );
     if (!ret.rowCount) return res.status(404).json({ ok: false, message: "Proyecto no encontrado" });
 
     const { selectSQL } = await buildProjectSelect();
     const item = (await q(`${selectSQL} WHERE p.id = $1`, [id])).rows[0];
 
-    const isClosed = (item.stage === "Won" || item.stage === "Lost");
+    const { isClosed, result } = closeInfo(def, item);
     const evt = isClosed ? "crm.lead.closed" : "crm.lead.updated";
     emitFlow(
       evt,
@@ -533,7 +656,8 @@ router.patch("/:id", authenticateToken, async (req, res) => {
           id: String(item.id),
           name: item.nombre,
           stage: item.stage,
-          result: item.result || (item.stage === "Won" ? "won" : item.stage === "Lost" ? "lost" : null),
+          result,
+          ...(result === "lost" && item.lost_reason ? { lost_reason: item.lost_reason } : {}),
           closed_at: item.closed_at ? new Date(item.closed_at).toISOString() : null,
           assignee: item.assignee ? { email: item.assignee } : null,
           estimate: item.estimate_amount ? { amount: Number(item.estimate_amount), currency: item.estimate_currency || null } : null,
@@ -561,16 +685,29 @@ router.patch("/:id/stage", authenticateToken, async (req, res) => {
     if (id == null) return res.status(400).json({ ok: false, message: "ID inválido" });
 
     const cols = await tableColumns("proyectos");
-    const pipeline = await getPipelineForReq(req);
+    const current = await currentRow(cols, id, organizacion_id);
+    if (!current) return res.status(404).json({ ok: false, message: "Proyecto no encontrado" });
+    const def = (await getPipelineForReq(req, current.pipeline_id ?? null)) || (await getPipelineForReq(req));
+    const pipeline = stageNames(def);
     const next = T(req.body?.stage ?? req.body?.categoria);
     if (!next) return res.status(400).json({ ok: false, message: "stage requerido" });
     if (!pipeline.includes(next)) return res.status(400).json({ ok: false, message: "stage fuera del pipeline" });
     if (!cols.has("stage") && !cols.has("categoria")) return res.status(501).json({ ok: false, message: "Schema no soporta stage/categoria" });
 
+    // lost_reason puede venir junto con el movimiento
+    const lostReason = T(req.body?.lost_reason ?? req.body?.motivo);
+    const from = current.stage ?? current.categoria ?? null;
+    const violations = stageViolations(findStage(def, next), {
+      from,
+      values: { ...current, ...(lostReason ? { lost_reason: lostReason } : {}) },
+    });
+    if (violations.length) return sendStageViolations(res, { stage: next, from, violations });
+
     const sets = [];
     const vals = [];
     if (cols.has("stage")) { sets.push(`stage = $${vals.length + 1}`); vals.push(next); }
     if (cols.has("categoria")) { sets.push(`categoria = $${vals.length + 1}`); vals.push(next); }
+    if (lostReason && cols.has("lost_reason")) { sets.push(`lost_reason = $${vals.length + 1}`); vals.push(lostReason); }
     if (cols.has("updated_at")) sets.push(`updated_at = NOW()`);
 
     // WHERE TEXT-safe
@@ -582,12 +719,15 @@ router.patch("/:id/stage", authenticateToken, async (req, res) => {
       where += ` AND organizacion_id::text = $${vals.length}::text`;
     }
 
-    const r = await q(`UPDATE proyectos SET ${sets.join(", ")} WHERE ${where} RETURNING id`, vals);
+    const { email: actor } = getUserFromReq(req);
+    const r = await withActor(emailNorm(actor), (c) =>
+      c.query(`UPDATE proyectos SET ${sets.join(", ")} WHERE ${where} RETURNING id`, vals)
+    );
     if (!r.rowCount) return res.status(404).json({ ok: false, message: "Proyecto no encontrado" });
 
     const { selectSQL } = await buildProjectSelect();
     const item = (await q(`${selectSQL} WHERE p.id = $1`, [id])).rows[0];
-    const isClosed = item.stage === "Won" || item.stage === "Lost";
+    const { isClosed, result } = closeInfo(def, item);
 
     emitFlow(
       isClosed ? "crm.lead.closed" : "crm.lead.stage_changed",
@@ -598,7 +738,8 @@ router.patch("/:id/stage", authenticateToken, async (req, res) => {
           id: String(item.id),
           name: item.nombre,
           stage: item.stage,
-          result: item.result || (item.stage === "Won" ? "won" : item.stage === "Lost" ? "lost" : null),
+          result,
+          ...(result === "lost" && item.lost_reason ? { lost_reason: item.lost_reason } : {}),
           closed_at: item.closed_at ? new Date(item.closed_at).toISOString() : null,
           assignee: item.assignee ? { email: item.assignee } : null,
         },
@@ -676,6 +817,68 @@ router.patch("/:id/estimate", authenticateToken, async (req, res) => {
   }
 });
 
+/* ============== GET /proyectos/:id/estimate.pdf ============== */
+// Genera el presupuesto en PDF y lo guarda en UPLOAD_DIR. Si el proyecto no tiene estimate_url
+// (o viene ?attach=1) queda linkeado en estimate_url/estimate_file. ?link=1 => JSON con la URL.
+router.get("/:id/estimate.pdf", authenticateToken, async (req, res) => {
+  try {
+    if (!(await hasTable("proyectos"))) return res.status(501).json({ ok: false, message: "Módulo de proyectos no instalado" });
+
+    const { organizacion_id } = getUserFromReq(req);
+    const id = toInt(req.params.id);
+    if (id == null) return res.status(400).json({ ok: false, message: "ID inválido" });
+    if (organizacion_id == null) return res.status(400).json({ ok: false, message: "organizacion_id requerido" });
+
+    const { selectSQL, cols } = await buildProjectSelect();
+    const params = [id];
+    let where = `p.id = $1`;
+    const of = orgFilterText(cols, "p", organizacion_id, params.length + 1);
+    if (of.where.length) { where += ` AND ${of.where[0]}`; params.push(...of.params); }
+    const proyecto = (await q(`${selectSQL} WHERE ${where}`, params)).rows[0];
+    if (!proyecto) return res.status(404).json({ ok: false, message: "Proyecto no encontrado" });
+
+    const org = String(organizacion_id);
+    const [cli, prof] = await Promise.all([
+      proyecto.cliente_id
+        ? q(
+            `SELECT nombre, email, telefono, direccion FROM clientes
+              WHERE id = $1 AND organizacion_id::text = $2::text`,
+            [proyecto.cliente_id, org]
+          )
+        : { rows: [] },
+      q(`SELECT area, vocab, features, forms, branding FROM org_profiles WHERE organizacion_id = $1 LIMIT 1`, [org]),
+    ]);
+
+    const buffer = await renderEstimatePdf({
+      profile: resolveProfile(prof.rows?.[0] || {}),
+      client: cli.rows?.[0] || null,
+      proyecto,
+    });
+
+    // Reusa el archivo generado antes (mismo nombre) para no acumular versiones
+    const prev = String(proyecto.estimate_file || "");
+    const reuse = new RegExp(`^docs/[^/]+/estimate-${id}-[0-9a-f]{8}\\.pdf$`).test(prev);
+    const filename = reuse ? prev.split("/").pop() : `estimate-${id}-${crypto.randomBytes(4).toString("hex")}.pdf`;
+    const rel = await storeDocument({ org, filename, buffer });
+    const link = publicUpload(req, rel);
+
+    if ((req.query?.attach || !proyecto.estimate_url) && cols.has("estimate_url") && cols.has("estimate_file")) {
+      const { sets, values } = pickUpdate(cols, { estimate_url: link.url, estimate_file: rel });
+      values.push(id);
+      await q(`UPDATE proyectos SET ${sets.join(", ")} WHERE id = $${values.length}`, values);
+    }
+
+    if (req.query?.link) return res.json({ ok: true, ...link });
+    res.set("Content-Type", "application/pdf");
+    res.set("Content-Disposition", `inline; filename="${filename}"`);
+    res.set("Content-Location", link.path);
+    return res.send(buffer);
+  } catch (e) {
+    console.error("[GET /proyectos/:id/estimate.pdf]", e?.stack || e?.message || e);
+    res.status(500).json({ ok: false, message: "Error generando presupuesto" });
+  }
+});
+
 /* ============== DELETE /proyectos/:id ============== */
 router.delete("/:id", authenticateToken, async (req, res) => {
   try {
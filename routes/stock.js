@@ -1,6 +1,15 @@
 ﻿import { Router } from "express";
-import { authenticateToken } from "../middleware/auth.js";
-import { stockRequest } from "../services/stock.client.js";
+import { authenticateToken, requireRole } from "../middleware/auth.js";
+import { getOrgText } from "../utils/org.js";
+import { q } from "../utils/db.js";
+import { tableColumns } from "../utils/schema.js";
+import {
+  stockRequest,
+  stockCachedGet,
+  stockAdapterFor,
+  defaultStockAdapter,
+  forgetStockAdapter,
+} from "../services/stock.client.js";
 
 const router = Router();
 
@@ -10,56 +19,115 @@ function handleStockError(res, err) {
   res.status(status).json({ error: "stock_error", detail: data });
 }
 
+// X-Stock-Cache: hit | miss | stale | bypass (ver stockCachedGet)
+function sendCached(res, r) {
+  const total = r.headers?.["x-total-count"] || r.headers?.["X-Total-Count"];
+  if (total != null) res.set("X-Total-Count", String(total));
+  if (r.cache) res.set("X-Stock-Cache", r.cache);
+  res.status(r.status).json(r.data);
+}
+
+// proxy tal cual (escrituras y lecturas sin cache)
+function proxy(method, path, { withBody = false, idempotent = false } = {}) {
+  return async (req, res) => {
+    try {
+      const key = req.headers["idempotency-key"];
+      const r = await stockRequest(req, {
+        method,
+        path: typeof path === "function" ? path(req) : path,
+        params: method === "get" ? req.query : undefined,
+        data: withBody ? req.body || {} : undefined,
+        headers: idempotent && key ? { "Idempotency-Key": String(key) } : undefined,
+      });
+      res.status(r.status).json(r.data);
+    } catch (err) {
+      handleStockError(res, err);
+    }
+  };
+}
+
 router.get("/productos", authenticateToken, async (req, res) => {
   try {
-    const r = await stockRequest(req, {
-      method: "get",
-      path: "/productos",
-      params: req.query,
-    });
-    const total = r.headers?.["x-total-count"] || r.headers?.["X-Total-Count"];
-    if (total != null) res.set("X-Total-Count", String(total));
-    res.status(r.status).json(r.data);
+    sendCached(res, await stockCachedGet(req, { path: "/productos", params: req.query }));
   } catch (err) {
     handleStockError(res, err);
   }
 });
 
-router.get("/productos/:id", authenticateToken, async (req, res) => {
+router.get("/productos/:id", authenticateToken, proxy("get", (req) => `/productos/${encodeURIComponent(req.params.id)}`));
+
+router.post("/productos", authenticateToken, requireRole("owner", "admin"), proxy("post", "/productos", { withBody: true }));
+
+router.put(
+  "/productos/:id",
+  authenticateToken,
+  requireRole("owner", "admin"),
+  proxy("put", (req) => `/productos/${encodeURIComponent(req.params.id)}`, { withBody: true })
+);
+
+router.get("/almacenes", authenticateToken, async (req, res) => {
   try {
-    const r = await stockRequest(req, {
-      method: "get",
-      path: `/productos/${encodeURIComponent(req.params.id)}`,
-    });
-    res.status(r.status).json(r.data);
+    sendCached(res, await stockCachedGet(req, { path: "/almacenes", params: req.query }));
   } catch (err) {
     handleStockError(res, err);
   }
 });
 
-router.get("/almacenes", authenticateToken, async (req, res) => {
+router.post("/almacenes", authenticateToken, requireRole("owner", "admin"), proxy("post", "/almacenes", { withBody: true }));
+
+router.get("/dashboard/resumen", authenticateToken, proxy("get", "/dashboard/resumen"));
+
+router.get("/movimientos", authenticateToken, proxy("get", "/movimientos"));
+
+// Ajustes manuales (fuera de cobros y compras): solo owner/admin.
+// Idempotency-Key del cliente se reenvia: un reintento no mueve stock dos veces
+router.post(
+  "/entradas",
+  authenticateToken,
+  requireRole("owner", "admin"),
+  proxy("post", "/entradas", { withBody: true, idempotent: true })
+);
+router.post(
+  "/salidas",
+  authenticateToken,
+  requireRole("owner", "admin"),
+  proxy("post", "/salidas", { withBody: true, idempotent: true })
+);
+
+/* ---------------------------- adaptador ---------------------------- */
+router.get("/adapter", authenticateToken, async (req, res) => {
+  const org = getOrgText(req);
+  if (!org) return res.status(400).json({ error: "organizacion_id requerido" });
   try {
-    const r = await stockRequest(req, {
-      method: "get",
-      path: "/almacenes",
-      params: req.query,
-    });
-    res.status(r.status).json(r.data);
-  } catch (err) {
-    handleStockError(res, err);
+    return res.json({ adapter: await stockAdapterFor(org), default: defaultStockAdapter() });
+  } catch (e) {
+    console.error("[GET /stock/adapter] error:", e?.message || e);
+    return res.status(500).json({ error: "error_stock_adapter" });
   }
 });
 
-router.get("/dashboard/resumen", authenticateToken, async (req, res) => {
+/** Body: { adapter: "http" | "local" | null } — null vuelve al default del entorno. */
+router.put("/adapter", authenticateToken, requireRole("owner", "admin"), async (req, res) => {
+  const org = getOrgText(req);
+  if (!org) return res.status(400).json({ error: "organizacion_id requerido" });
+  const adapter = req.body?.adapter == null || req.body.adapter === "" ? null : String(req.body.adapter).toLowerCase();
+  if (adapter !== null && !["http", "local"].includes(adapter)) {
+    return res.status(400).json({ error: "adapter_invalido", adapters: ["http", "local"] });
+  }
   try {
-    const r = await stockRequest(req, {
-      method: "get",
-      path: "/dashboard/resumen",
-      params: req.query,
-    });
-    res.status(r.status).json(r.data);
-  } catch (err) {
-    handleStockError(res, err);
+    if (!(await tableColumns("org_profiles")).has("stock_adapter")) {
+      return res.status(501).json({ error: "stock_local_no_instalado" });
+    }
+    await q(
+      `INSERT INTO org_profiles (organizacion_id, stock_adapter) VALUES ($1, $2)
+       ON CONFLICT (organizacion_id) DO UPDATE SET stock_adapter = EXCLUDED.stock_adapter`,
+      [String(org), adapter]
+    );
+    forgetStockAdapter(String(org));
+    return res.json({ adapter: await stockAdapterFor(String(org)), default: defaultStockAdapter() });
+  } catch (e) {
+    console.error("[PUT /stock/adapter] error:", e?.message || e);
+    return res.status(500).json({ error: "error_stock_adapter" });
   }
 });
 
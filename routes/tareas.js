@@ -1,8 +1,9 @@
-// routes/tareas.js — Blindado + multi-tenant + schema-agnostic (TEXT-safe, sin utils/schema)
+// routes/tareas.js — Blindado + multi-tenant + schema-agnostic (TEXT-safe)
 import { Router } from "express";
 import { q } from "../utils/db.js";
 import { authenticateToken } from "../middleware/auth.js";
 import { getOrgText } from "../utils/org.js";
+import { hasTable, tableColumns } from "../utils/schema.js";
 import { emit as emitFlow } from "../services/flows.client.js";
 
 const router = Router();
@@ -43,28 +44,6 @@ const normPrioridad = (v) => {
   return VALID_PRIORIDADES.includes(p) ? p : "media";
 };
 
-/* ---------- introspección local (sin utils/schema) ---------- */
-async function hasTable(tableName) {
-  const { rows } = await q(`SELECT to_regclass($1) IS NOT NULL AS ok`, [tableName]);
-  return !!rows?.[0]?.ok;
-}
-// cache columnas 30s
-const _colsCache = new Map(); // tableName -> { at:number, set:Set<string> }
-const COLS_TTL_MS = 30_000;
-async function tableColumns(tableName) {
-  const now = Date.now();
-  const hit = _colsCache.get(tableName);
-  if (hit && now - hit.at < COLS_TTL_MS) return hit.set;
-  const { rows } = await q(
-    `SELECT column_name FROM information_schema.columns
-       WHERE table_schema = current_schema() AND table_name = $1`,
-    [tableName]
-  );
-  const set = new Set((rows || []).map(r => String(r.column_name)));
-  _colsCache.set(tableName, { at: now, set });
-  return set;
-}
-
 /* ---------- schema utils ---------- */
 function exp(cols, name, type) {
   return cols.has(name) ? `t.${name}` : `NULL::${type} AS ${name}`;
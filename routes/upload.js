@@ -1,17 +1,14 @@
 // routes/upload.js — robusto, proxy-aware, con firma mágica
 import { Router } from "express";
 import multer from "multer";
-import fs from "node:fs";
 import fsp from "node:fs/promises";
 import path from "node:path";
 import crypto from "node:crypto";
 import { authenticateToken } from "../middleware/auth.js";
+import { UPLOAD_DIR, resolveBaseURL } from "../utils/uploads.js";
 
 const router = Router();
 
-const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(process.cwd(), "uploads");
-fs.mkdirSync(UPLOAD_DIR, { recursive: true });
-
 // Límite configurable (por defecto 10 MB)
 const MAX_MB = Number(process.env.UPLOAD_MAX_MB || 10);
 
@@ -34,24 +31,6 @@ const safeName = (orig) => {
   return `${Date.now()}_${crypto.randomUUID()}_${clean}`;
 };
 
-function resolveBaseURL(req) {
-  const env = (process.env.PUBLIC_BASE_URL || "").trim();
-  if (env) {
-    try {
-      const u = new URL(env);
-      return u.origin; // evita duplicar paths
-    } catch {
-      console.warn("[upload] PUBLIC_BASE_URL inválida:", env);
-    }
-  }
-  // Detrás de proxy usar X-Forwarded-*
-  const xfProto = String(req.headers["x-forwarded-proto"] || "").split(",")[0].trim();
-  const xfHost  = String(req.headers["x-forwarded-host"]  || "").split(",")[0].trim();
-  const proto = xfProto || req.protocol || "http";
-  const host  = xfHost  || req.get("host");
-  return `${proto}://${host}`;
-}
-
 // Sniff muy ligero de firma mágica (primeros bytes)
 async function sniffMagic(filePath) {
   const fh = await fsp.open(filePath, "r");
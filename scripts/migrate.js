@@ -0,0 +1,60 @@
+// scripts/migrate.js — CLI de migraciones
+//   node scripts/migrate.js up [--to=<version>]
+//   node scripts/migrate.js status
+//   node scripts/migrate.js rollback [--steps=N]
+import "dotenv/config";
+import { migrateUp, migrateDown, migrationStatus } from "../utils/migrate.js";
+import { closeDB } from "../utils/db.js";
+
+function parseArgs(argv) {
+  const [cmd = "up", ...rest] = argv;
+  const opts = {};
+  for (const a of rest) {
+    const m = /^--([a-z-]+)(?:=(.*))?$/i.exec(a);
+    if (m) opts[m[1]] = m[2] ?? true;
+  }
+  return { cmd, opts };
+}
+
+function printStatus({ migrations, pending, missing }) {
+  for (const m of migrations) {
+    const mark = m.applied ? (m.checksum_ok ? "x" : "!") : " ";
+    const when = m.applied_at ? new Date(m.applied_at).toISOString() : "pendiente";
+    const down = m.reversible ? "" : "  (sin down)";
+    console.log(`[${mark}] ${m.version.padEnd(48)} ${when}${down}`);
+  }
+  for (const m of missing) {
+    console.log(`[?] ${m.version.padEnd(48)} aplicada pero sin archivo en disco`);
+  }
+  console.log(`\n${migrations.length - pending.length}/${migrations.length} aplicadas, ${pending.length} pendientes`);
+  if (migrations.some((m) => m.checksum_ok === false)) {
+    console.log("[!] = el archivo cambio despues de aplicarse");
+  }
+}
+
+async function main() {
+  const { cmd, opts } = parseArgs(process.argv.slice(2));
+
+  if (cmd === "up") {
+    const { applied } = await migrateUp({ to: opts.to || null });
+    console.log(applied.length ? `${applied.length} migracion(es) aplicada(s)` : "Nada pendiente");
+  } else if (cmd === "status") {
+    printStatus(await migrationStatus());
+  } else if (cmd === "rollback" || cmd === "down") {
+    const { reverted } = await migrateDown({ steps: opts.steps || 1 });
+    console.log(reverted.length ? `${reverted.length} migracion(es) revertida(s)` : "Nada para revertir");
+  } else {
+    console.error(`Comando desconocido: ${cmd} (usar up | status | rollback)`);
+    process.exitCode = 2;
+  }
+}
+
+try {
+  await main();
+} catch (e) {
+  console.error("[migrate]", e?.message || e);
+  if (e?.cause) console.error(e.cause?.stack || e.cause);
+  process.exitCode = 1;
+} finally {
+  await closeDB();
+}
@@ -0,0 +1,230 @@
+// services/caja.service.js — resumen de caja y reporte Z/X (GET /caja/:id/reporte)
+// Z = caja cerrada (usa la foto del cierre); X = caja abierta (parcial, sin contado).
+import { hasTable, tableColumns } from "../utils/schema.js";
+import { toCsv } from "../utils/csv.js";
+import { cajaTotalesPorMedio, arqueoPorMedio, MEDIO_EFECTIVO } from "./cobros.service.js";
+import { round2 } from "../utils/money.js";
+
+/** Totales de movimientos no anulados; sin la tabla (migracion pendiente) todo en 0. */
+export async function movimientosResumen(db, { cajaId, org }) {
+  const out = { entrada: 0, salida: 0, por_tipo: {} };
+  if (!(await hasTable("caja_movimientos"))) return out;
+  const r = await db.query(
+    `SELECT tipo, sentido, COUNT(*)::int AS count, COALESCE(SUM(monto),0) AS total
+       FROM caja_movimientos
+      WHERE caja_id = $1 AND organizacion_id = $2 AND anulado_at IS NULL
+      GROUP BY tipo, sentido`,
+    [cajaId, org]
+  );
+  for (const row of r.rows || []) {
+    const total = Number(row.total);
+    out[row.sentido] += total;
+    out.por_tipo[row.tipo] = { count: row.count, total };
+  }
+  return out;
+}
+
+/**
+ * Rehace la foto del cierre de una caja cerrada (cierre_por_medio, esperado y diferencia) cuando
+ * entra un cobro despues del cierre (sync offline con fecha del turno). Lo contado no cambia:
+ * la venta tardia aparece como diferencia. Usar con el client de la transaccion del cobro.
+ */
+export async function recalcularCierreCaja(db, { cajaId, org }) {
+  const r = await db.query(`SELECT * FROM cajas WHERE id = $1 AND organizacion_id = $2 FOR UPDATE`, [cajaId, org]);
+  const caja = r.rows[0];
+  if (!caja || String(caja.estado || "").toLowerCase() !== "cerrada") return null;
+
+  const cols = await tableColumns("cajas");
+  const movimientos = caja.cierre_movimientos_entrada != null
+    ? { entrada: Number(caja.cierre_movimientos_entrada), salida: Number(caja.cierre_movimientos_salida || 0) }
+    : await movimientosResumen(db, { cajaId, org });
+  const contados = {};
+  for (const m of Array.isArray(caja.cierre_por_medio) ? caja.cierre_por_medio : []) {
+    if (m.medio !== MEDIO_EFECTIVO && m.contado != null) contados[m.medio] = Number(m.contado);
+  }
+  const porMedio = arqueoPorMedio({
+    apertura: caja.apertura_monto,
+    totales: await cajaTotalesPorMedio(db, { cajaId, org }),
+    movimientos,
+    cierreEfectivo: caja.cierre_monto != null ? Number(caja.cierre_monto) : null,
+    contados,
+  });
+  const efectivo = porMedio.find((m) => m.medio === MEDIO_EFECTIVO);
+  await db.query(
+    `UPDATE cajas
+        SET cierre_total_esperado = $3, cierre_diferencia = $4,
+            ${cols.has("cierre_por_medio") ? "cierre_por_medio = $5::jsonb," : ""}
+            updated_at = NOW()
+      WHERE id = $1 AND organizacion_id = $2`,
+    [cajaId, org, efectivo.esperado, efectivo.diferencia, ...(cols.has("cierre_por_medio") ? [JSON.stringify(porMedio)] : [])]
+  );
+  return porMedio;
+}
+
+// arqueo_detalle: [{ denominacion, cantidad }] (o el objeto { "1000": 3 } normalizado al cerrar)
+function arqueoLineas(detalle) {
+  const rows = Array.isArray(detalle)
+    ? detalle
+    : Object.entries(detalle || {}).map(([denominacion, cantidad]) => ({ denominacion, cantidad }));
+  return rows
+    .map((r) => ({ denominacion: Number(r?.denominacion), cantidad: Number(r?.cantidad) }))
+    .filter((r) => Number.isFinite(r.denominacion) && Number.isFinite(r.cantidad))
+    .map((r) => ({ ...r, subtotal: round2(r.denominacion * r.cantidad) }))
+    .sort((a, b) => b.denominacion - a.denominacion);
+}
+
+/**
+ * Todo lo del turno: caja, cobros confirmados con items y pagos, descuentos, devoluciones,
+ * movimientos, totales por medio y arqueo por denominacion.
+ */
+export async function buildCajaReporte(db, { caja, org }) {
+  const cajaId = caja.id;
+  const cerrada = String(caja.estado || "").toLowerCase() === "cerrada";
+
+  const cobros = (await db.query(
+    `SELECT * FROM cobros
+      WHERE caja_id = $1 AND organizacion_id = $2 AND estado = 'confirmado'
+      ORDER BY created_at ASC`,
+    [cajaId, org]
+  )).rows;
+  const ids = cobros.map((c) => c.id);
+  const items = ids.length
+    ? (await db.query(`SELECT * FROM cobro_items WHERE cobro_id = ANY($1::uuid[]) ORDER BY id`, [ids])).rows
+    : [];
+  const pagos = ids.length && (await hasTable("cobro_pagos"))
+    ? (await db.query(`SELECT * FROM cobro_pagos WHERE cobro_id = ANY($1::uuid[]) ORDER BY created_at, id`, [ids])).rows
+    : [];
+  const otros = (await db.query(
+    `SELECT estado, COUNT(*)::int AS count, COALESCE(SUM(total),0) AS total
+       FROM cobros
+      WHERE caja_id = $1 AND organizacion_id = $2 AND estado <> 'confirmado'
+      GROUP BY estado`,
+    [cajaId, org]
+  )).rows;
+  const movimientos = (await hasTable("caja_movimientos"))
+    ? (await db.query(
+        `SELECT id, tipo, sentido, monto, motivo, categoria, comprobante, usuario_email, anulado_at, created_at
+           FROM caja_movimientos
+          WHERE caja_id = $1 AND organizacion_id = $2
+          ORDER BY created_at ASC`,
+        [cajaId, org]
+      )).rows
+    : [];
+  const movs = await movimientosResumen(db, { cajaId, org });
+
+  const totales = { ventas_count: 0, ventas_brutas: 0, descuentos: 0, ventas_netas: 0, devoluciones_count: 0, devoluciones: 0 };
+  const detalle = cobros.map((c) => {
+    const its = items.filter((i) => i.cobro_id === c.id);
+    if (c.tipo === "devolucion") {
+      totales.devoluciones_count++;
+      totales.devoluciones = round2(totales.devoluciones - Number(c.total));
+    } else {
+      totales.ventas_count++;
+      totales.ventas_brutas = round2(totales.ventas_brutas + its.reduce((acc, i) => acc + Number(i.subtotal || 0), 0));
+      totales.descuentos = round2(totales.descuentos + Number(c.descuento_total || 0));
+      totales.ventas_netas = round2(totales.ventas_netas + Number(c.total));
+    }
+    return {
+      id: c.id,
+      tipo: c.tipo || "venta",
+      devolucion_de: c.devolucion_de || null,
+      created_at: c.created_at,
+      cliente_id: c.cliente_id,
+      usuario_email: c.usuario_email,
+      total: Number(c.total),
+      descuento_total: Number(c.descuento_total || 0),
+      medio_pago: c.medio_pago,
+      items: its.map((i) => ({
+        producto_id: i.producto_id,
+        producto_nombre: i.producto_nombre,
+        cantidad: Number(i.cantidad),
+        precio_unitario: Number(i.precio_unitario),
+        subtotal: Number(i.subtotal),
+      })),
+      pagos: pagos
+        .filter((p) => p.cobro_id === c.id)
+        .map((p) => ({ medio: p.medio, monto: Number(p.monto), referencia: p.referencia })),
+    };
+  });
+  totales.neto = round2(totales.ventas_netas - totales.devoluciones);
+
+  const porMedio = caja.cierre_por_medio || arqueoPorMedio({
+    apertura: caja.apertura_monto,
+    totales: await cajaTotalesPorMedio(db, { cajaId, org }),
+    movimientos: movs,
+    cierreEfectivo: cerrada && caja.cierre_monto != null ? Number(caja.cierre_monto) : null,
+  });
+
+  return {
+    tipo: cerrada ? "Z" : "X",
+    generado_at: new Date().toISOString(),
+    moneda: cobros[0]?.moneda || "ARS",
+    caja: {
+      id: caja.id,
+      almacen_id: caja.almacen_id,
+      estado: caja.estado,
+      cajero_email: caja.usuario_email || null,
+      apertura_at: caja.apertura_at,
+      apertura_monto: Number(caja.apertura_monto || 0),
+      cierre_at: caja.cierre_at || null,
+      notas: caja.notas || null,
+    },
+    totales,
+    por_medio: porMedio,
+    movimientos,
+    movimientos_entrada: movs.entrada,
+    movimientos_salida: movs.salida,
+    arqueo: {
+      detalle: arqueoLineas(caja.arqueo_detalle),
+      total: caja.arqueo_total != null ? Number(caja.arqueo_total) : null,
+      cierre_monto: caja.cierre_monto != null ? Number(caja.cierre_monto) : null,
+      esperado: caja.cierre_total_esperado != null ? Number(caja.cierre_total_esperado) : null,
+      diferencia: caja.cierre_diferencia != null ? Number(caja.cierre_diferencia) : null,
+    },
+    cobros: detalle,
+    otros_estados: otros.map((o) => ({ estado: o.estado, count: o.count, total: Number(o.total) })),
+  };
+}
+
+/* ---------------------------- CSV ---------------------------- */
+const n2 = (v) => (v == null ? null : Number(v).toFixed(2));
+
+/** Secciones apiladas (seccion, campo/detalle, valores) para abrir en una planilla. */
+export function cajaReporteToCsv(rep) {
+  const rows = [["seccion", "concepto", "detalle", "cantidad", "monto"]];
+  const c = rep.caja;
+  rows.push(["caja", "reporte", rep.tipo, null, null]);
+  rows.push(["caja", "caja_id", c.id, null, null]);
+  rows.push(["caja", "cajero", c.cajero_email, null, null]);
+  rows.push(["caja", "apertura", c.apertura_at ? new Date(c.apertura_at).toISOString() : null, null, n2(c.apertura_monto)]);
+  rows.push(["caja", "cierre", c.cierre_at ? new Date(c.cierre_at).toISOString() : null, null, n2(rep.arqueo.cierre_monto)]);
+
+  for (const [k, v] of Object.entries(rep.totales)) {
+    rows.push(["totales", k, null, k.endsWith("_count") ? v : null, k.endsWith("_count") ? null : n2(v)]);
+  }
+  for (const m of rep.por_medio) {
+    rows.push(["medio", m.medio, "esperado", null, n2(m.esperado)]);
+    rows.push(["medio", m.medio, "contado", null, n2(m.contado)]);
+    rows.push(["medio", m.medio, "diferencia", null, n2(m.diferencia)]);
+  }
+  for (const m of rep.movimientos) {
+    if (m.anulado_at) continue;
+    rows.push(["movimiento", m.tipo, m.motivo, null, n2(m.sentido === "salida" ? -m.monto : m.monto)]);
+  }
+  for (const a of rep.arqueo.detalle) {
+    rows.push(["arqueo", "denominacion", a.denominacion, a.cantidad, n2(a.subtotal)]);
+  }
+  rows.push(["arqueo", "total", null, null, n2(rep.arqueo.total)]);
+  rows.push(["arqueo", "esperado_efectivo", null, null, n2(rep.arqueo.esperado)]);
+  rows.push(["arqueo", "diferencia", null, null, n2(rep.arqueo.diferencia)]);
+
+  for (const cb of rep.cobros) {
+    const pagos = cb.pagos.map((p) => `${p.medio}:${p.monto.toFixed(2)}`).join(" ");
+    rows.push([cb.tipo, cb.id, pagos || cb.medio_pago, null, n2(cb.total)]);
+    if (cb.descuento_total) rows.push([cb.tipo, cb.id, "descuento", null, n2(-cb.descuento_total)]);
+    for (const it of cb.items) {
+      rows.push(["item", cb.id, it.producto_nombre || it.producto_id, it.cantidad, n2(it.subtotal)]);
+    }
+  }
+  return toCsv(rows);
+}
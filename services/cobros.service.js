@@ -0,0 +1,301 @@
+// services/cobros.service.js — medios de pago de un cobro (cobro_pagos) y totales por medio de una caja
+// Lo usan routes/cobros.js (alta con pagos divididos, devoluciones), routes/caja.js (cierre por medio)
+// y workers/cobros.reconciler.js (reintentos de stock).
+import { hasTable } from "../utils/schema.js";
+import { stockRequest } from "./stock.client.js";
+import { round2 } from "../utils/money.js";
+import { httpError } from "../utils/errors.js";
+
+export const MEDIO_EFECTIVO = "efectivo";
+// texto libre historico -> medio canonico
+const MEDIO_ALIASES = { cash: "efectivo", contado: "efectivo", card: "tarjeta", transfer: "transferencia" };
+
+export const cobroError = httpError;
+
+/** "Tarjeta Credito " -> "tarjeta_credito"; vacio => efectivo (como lo contaba el cierre). */
+export function normalizeMedio(v) {
+  const m = String(v ?? "").trim().toLowerCase().replace(/\s+/g, "_").slice(0, 40);
+  if (!m) return MEDIO_EFECTIVO;
+  return MEDIO_ALIASES[m] || m;
+}
+
+/**
+ * body.pagos = [{ medio, monto, referencia? }] o, si no viene, un solo pago por el total
+ * con body.medio_pago. La suma tiene que dar el total del cobro.
+ */
+export function normalizePagos(body = {}, total) {
+  const raw = Array.isArray(body.pagos) ? body.pagos : null;
+  if (!raw || !raw.length) {
+    if (!(total > 0)) return [];
+    return [{ medio: normalizeMedio(body.medio_pago ?? body.metodo_pago ?? body.payment_method), monto: round2(total), referencia: null }];
+  }
+  const pagos = raw.map((p, index) => {
+    const monto = Number(p?.monto ?? p?.amount);
+    if (!Number.isFinite(monto) || monto <= 0) throw cobroError(400, "pago_monto_invalido", { index });
+    return {
+      medio: normalizeMedio(p?.medio ?? p?.medio_pago ?? p?.method),
+      monto: round2(monto),
+      referencia: (p?.referencia ?? p?.reference ?? "").toString().trim() || null,
+    };
+  });
+  const suma = round2(pagos.reduce((acc, p) => acc + p.monto, 0));
+  if (Math.abs(suma - round2(total)) > 0.01) {
+    throw cobroError(400, "pagos_no_cuadran", { total: round2(total), pagos_total: suma });
+  }
+  return pagos;
+}
+
+/** Valor de cobros.medio_pago: el medio si es uno solo, 'mixto' si hay varios. */
+export function resumenMedio(pagos) {
+  const medios = [...new Set(pagos.map((p) => p.medio))];
+  if (!medios.length) return null;
+  return medios.length === 1 ? medios[0] : "mixto";
+}
+
+export async function insertCobroPagos(client, { cobroId, org, pagos }) {
+  const out = [];
+  for (const p of pagos) {
+    const r = await client.query(
+      `INSERT INTO cobro_pagos (cobro_id, organizacion_id, medio, monto, referencia)
+       VALUES ($1,$2,$3,$4,$5)
+       RETURNING *`,
+      [cobroId, org, p.medio, p.monto, p.referencia]
+    );
+    out.push(r.rows[0]);
+  }
+  return out;
+}
+
+/**
+ * Lo cobrado en una caja por medio: pagos de cobros confirmados + pagos de facturas
+ * registrados con ese caja_id (no revertidos). Devuelve { [medio]: { cobros, facturas } }.
+ */
+export async function cajaTotalesPorMedio(db, { cajaId, org }) {
+  const out = {};
+  const add = (medio, key, total) => {
+    const m = normalizeMedio(medio);
+    out[m] ??= { cobros: 0, facturas: 0 };
+    out[m][key] = round2(out[m][key] + Number(total || 0));
+  };
+
+  const cobros = (await hasTable("cobro_pagos"))
+    ? await db.query(
+        `SELECT p.medio, SUM(p.monto) AS total
+           FROM cobro_pagos p
+           JOIN cobros c ON c.id = p.cobro_id
+          WHERE c.caja_id = $1 AND c.organizacion_id = $2 AND c.estado = 'confirmado'
+          GROUP BY p.medio`,
+        [cajaId, org]
+      )
+    : await db.query(
+        `SELECT medio_pago AS medio, SUM(total) AS total
+           FROM cobros
+          WHERE caja_id = $1 AND organizacion_id = $2 AND estado = 'confirmado'
+          GROUP BY medio_pago`,
+        [cajaId, org]
+      );
+  for (const r of cobros.rows || []) add(r.medio, "cobros", r.total);
+
+  if (await hasTable("invoice_payments")) {
+    const fact = await db.query(
+      `SELECT method AS medio, SUM(amount) AS total
+         FROM invoice_payments
+        WHERE caja_id = $1 AND organizacion_id = $2 AND reversed_at IS NULL
+        GROUP BY method`,
+      [cajaId, org]
+    );
+    for (const r of fact.rows || []) add(r.medio, "facturas", r.total);
+  }
+  return out;
+}
+
+/**
+ * Esperado vs contado por medio. El efectivo suma apertura y movimientos de caja y se compara
+ * con el arqueo (cierre_monto); el resto se compara con `contados[medio]` si vino.
+ */
+export function arqueoPorMedio({ apertura = 0, totales = {}, movimientos = { entrada: 0, salida: 0 }, cierreEfectivo = null, contados = {} }) {
+  const medios = new Set([MEDIO_EFECTIVO, ...Object.keys(totales), ...Object.keys(contados)]);
+  const rows = [];
+  for (const medio of medios) {
+    const t = totales[medio] || { cobros: 0, facturas: 0 };
+    let esperado = t.cobros + t.facturas;
+    let contado = contados[medio] ?? null;
+    if (medio === MEDIO_EFECTIVO) {
+      esperado += Number(apertura || 0) + movimientos.entrada - movimientos.salida;
+      contado = cierreEfectivo;
+    }
+    esperado = round2(esperado);
+    rows.push({
+      medio,
+      cobros: t.cobros,
+      facturas: t.facturas,
+      esperado,
+      contado: contado == null ? null : round2(contado),
+      diferencia: contado == null ? null : round2(contado - esperado),
+    });
+  }
+  // efectivo primero, despues por nombre
+  return rows.sort((a, b) => (a.medio === MEDIO_EFECTIVO ? -1 : b.medio === MEDIO_EFECTIVO ? 1 : a.medio.localeCompare(b.medio)));
+}
+
+/* ---------------------------- devoluciones ---------------------------- */
+/**
+ * Arma las lineas de una devolucion contra los items del cobro original.
+ * `devueltos` = Map<item_id, cantidad ya devuelta>; `pedidos` = body.items
+ * ([{ cobro_item_id | producto_id, cantidad }]) o null para devolver todo lo pendiente.
+ * El importe respeta el descuento del original (prorrateado) y, si la devolucion
+ * completa el cobro, cierra exacto contra `total - yaReintegrado`.
+ */
+export function planDevolucion({ cobro, items, devueltos, yaReintegrado = 0, pedidos = null }) {
+  const pendiente = (it) => round2(Number(it.cantidad) - (devueltos.get(it.id) || 0));
+  const lineas = [];
+
+  if (!pedidos) {
+    for (const it of items) {
+      const cant = pendiente(it);
+      if (cant > 0) lineas.push({ item: it, cantidad: cant });
+    }
+  } else {
+    const pedidoPorItem = new Map();
+    for (const [index, p] of pedidos.entries()) {
+      const cantidad = Number(p?.cantidad ?? p?.qty);
+      const itemId = Number(p?.cobro_item_id ?? p?.item_id);
+      const productoId = Number(p?.producto_id);
+      const it = Number.isInteger(itemId)
+        ? items.find((x) => x.id === itemId)
+        : items.find((x) => Number(x.producto_id) === productoId && pendiente(x) > 0);
+      if (!it) throw cobroError(404, "item_no_encontrado", { index });
+      if (!Number.isFinite(cantidad) || cantidad <= 0) throw cobroError(400, "cantidad_invalida", { index });
+      pedidoPorItem.set(it.id, round2((pedidoPorItem.get(it.id) || 0) + cantidad));
+    }
+    for (const [id, cantidad] of pedidoPorItem) {
+      const it = items.find((x) => x.id === id);
+      if (cantidad > pendiente(it)) {
+        throw cobroError(409, "cantidad_excede_vendido", { cobro_item_id: id, disponible: pendiente(it) });
+      }
+      lineas.push({ item: it, cantidad });
+    }
+  }
+  if (!lineas.length) throw cobroError(409, "cobro_ya_devuelto");
+
+  // neto de cada linea (promocion incluida); el descuento manual se prorratea con factor
+  const neto = (it) => Number(it.subtotal || 0) - Number(it.descuento || 0);
+  const bruto = items.reduce((acc, it) => acc + neto(it), 0);
+  const factor = bruto > 0 ? Number(cobro.total) / bruto : 1;
+  const out = lineas.map(({ item, cantidad }) => {
+    const unitario = Number(item.cantidad) ? neto(item) / Number(item.cantidad) : Number(item.precio_unitario);
+    return {
+      origen_item_id: item.id,
+      producto_id: item.producto_id,
+      producto_nombre: item.producto_nombre,
+      codigo_qr: item.codigo_qr,
+      cantidad,
+      precio_unitario: Number(item.precio_unitario),
+      subtotal: round2(cantidad * unitario * factor),
+    };
+  });
+
+  const completa = items.every((it) => {
+    const l = out.find((x) => x.origen_item_id === it.id);
+    return pendiente(it) - (l ? l.cantidad : 0) <= 0;
+  });
+  const total = completa
+    ? round2(Number(cobro.total) - yaReintegrado)
+    : round2(out.reduce((acc, l) => acc + l.subtotal, 0));
+  return { lineas: out, total, completa };
+}
+
+/* ---------------------------- stock ---------------------------- */
+/** Venta -> /salidas con referencia cobro:<id>; devolucion -> /entradas con devolucion:<id>. */
+export function cobroStockMovimiento(cobro, items) {
+  const devolucion = cobro.tipo === "devolucion";
+  const referencia = `${devolucion ? "devolucion" : "cobro"}:${cobro.id}`;
+  const notas = cobro.notas || null;
+  return {
+    path: devolucion ? "/entradas" : "/salidas",
+    referencia,
+    data: {
+      almacen_id: Number(cobro.almacen_id),
+      items: items.map((it) => ({
+        producto_id: it.producto_id || undefined,
+        codigo_qr: it.codigo_qr || undefined,
+        producto_nombre: it.producto_nombre || undefined,
+        cantidad: Math.abs(Number(it.cantidad)),
+      })),
+      referencia,
+      observaciones: devolucion
+        ? `Devolucion de cobro:${cobro.devolucion_de}${notas ? ` - ${notas}` : ""}`
+        : notas || undefined,
+    },
+  };
+}
+
+/** Manda el movimiento con Idempotency-Key = referencia: un reintento no descuenta dos veces. */
+export function postCobroStock(req, cobro, items) {
+  const mov = cobroStockMovimiento(cobro, items);
+  return stockRequest(req, {
+    method: "post",
+    path: mov.path,
+    data: mov.data,
+    headers: { "Idempotency-Key": mov.referencia },
+    org: cobro.organizacion_id,
+  });
+}
+
+// 5xx, timeouts, sin respuesta, 408 y 429 se reintentan; el resto (stock insuficiente, 404...) no
+const isTransient = (status) => !status || status >= 500 || status === 408 || status === 429;
+
+/**
+ * Reintenta el movimiento de stock de un cobro 'fallido' o de uno offline (/cobros/sync) con
+ * stock_estado pendiente/fallido. Sin `req` usa STOCK_SERVICE_TOKEN. OK => confirmado (offline:
+ * stock_estado posteado). Error => fallido con backoff (5, 10, 20... min, tope 6 h); el offline
+ * sigue 'confirmado' en caja y solo marca stock_estado. Si no es transitorio o se agotan los
+ * intentos queda requiere_revision y el worker no lo toma mas.
+ */
+export async function reintentarStockCobro(db, cobro, { req = null, maxIntentos = 8 } = {}) {
+  const items = (await db.query(`SELECT * FROM cobro_items WHERE cobro_id = $1 ORDER BY id`, [cobro.id])).rows;
+  const intentos = Number(cobro.stock_intentos || 0) + 1;
+  const offline = cobro.stock_estado != null;
+  const sinPostear = offline ? "stock_estado IN ('pendiente','fallido')" : "estado IN ('fallido','pendiente')";
+  try {
+    const r = await postCobroStock(req, cobro, items);
+    await db.query(
+      `UPDATE cobros
+          SET ${offline ? "stock_estado = 'posteado'" : "estado = 'confirmado'"}, stock_error = NULL,
+              stock_intentos = $2, stock_ultimo_intento_at = NOW(), stock_proximo_intento_at = NULL,
+              requiere_revision = FALSE, updated_at = NOW()
+        WHERE id = $1 AND ${sinPostear}`,
+      [cobro.id, intentos]
+    );
+    return {
+      ok: true,
+      estado: offline ? cobro.estado : "confirmado",
+      ...(offline ? { stock_estado: "posteado" } : {}),
+      intentos,
+      stock: r.data,
+    };
+  } catch (err) {
+    const status = err?.response?.status || null;
+    const detail = err?.response?.data || { message: err?.message || "stock_error" };
+    const revision = !isTransient(status) || intentos >= maxIntentos;
+    const esperaMin = Math.min(5 * 2 ** (intentos - 1), 360);
+    await db.query(
+      `UPDATE cobros
+          SET ${offline ? "stock_estado" : "estado"} = 'fallido', stock_error = $2, stock_intentos = $3,
+              stock_ultimo_intento_at = NOW(),
+              stock_proximo_intento_at = CASE WHEN $4 THEN NULL ELSE NOW() + make_interval(mins => $5) END,
+              requiere_revision = $4, updated_at = NOW()
+        WHERE id = $1 AND ${sinPostear}`,
+      [cobro.id, JSON.stringify(detail), intentos, revision, esperaMin]
+    );
+    return {
+      ok: false,
+      estado: offline ? cobro.estado : "fallido",
+      ...(offline ? { stock_estado: "fallido" } : {}),
+      intentos,
+      status,
+      stock_error: detail,
+      requiere_revision: revision,
+    };
+  }
+}
@@ -0,0 +1,138 @@
+// services/compras.service.js — ordenes de compra a proveedores: estados, items y recepciones
+// Lo usa routes/compras.ordenes.js. La recepcion postea /entradas al servicio de stock con
+// referencia oc:<orden>:rec:<recepcion> (misma Idempotency-Key en los reintentos).
+import { stockRequest } from "./stock.client.js";
+import { round2, round3 } from "../utils/money.js";
+import { httpError } from "../utils/errors.js";
+
+export const OC_ESTADOS = ["borrador", "aprobada", "enviada", "parcial", "recibida", "cancelada"];
+
+// accion -> estados de origen y destino. Recibir no esta: lo decide estadoTrasRecepcion
+export const OC_TRANSICIONES = {
+  aprobar: { desde: ["borrador"], hacia: "aprobada" },
+  enviar: { desde: ["aprobada"], hacia: "enviada" },
+  cancelar: { desde: ["borrador", "aprobada", "enviada"], hacia: "cancelada" },
+};
+export const OC_RECIBIBLE = ["enviada", "parcial"];
+
+export const compraError = httpError;
+
+/** items: [{ producto_id?, descripcion|producto_nombre, cantidad, precio_unitario?, impuesto? }] */
+export function normalizeOrdenItems(raw) {
+  if (!Array.isArray(raw) || !raw.length) throw compraError(400, "items_requeridos");
+  return raw.map((it, index) => {
+    const producto_id = it?.producto_id == null || it?.producto_id === "" ? null : Number(it.producto_id);
+    if (producto_id !== null && !Number.isInteger(producto_id)) throw compraError(400, "producto_id_invalido", { index });
+    const descripcion = String(it?.descripcion ?? it?.producto_nombre ?? it?.producto ?? "").trim();
+    if (!descripcion) throw compraError(400, "descripcion_requerida", { index });
+    const cantidad = Number(it?.cantidad);
+    if (!Number.isFinite(cantidad) || cantidad <= 0) throw compraError(400, "cantidad_invalida", { index });
+    const precio_unitario = Number(it?.precio_unitario ?? 0);
+    if (!Number.isFinite(precio_unitario) || precio_unitario < 0) throw compraError(400, "precio_unitario_invalido", { index });
+    const impuesto = Number(it?.impuesto ?? 0);
+    if (!Number.isFinite(impuesto) || impuesto < 0) throw compraError(400, "impuesto_invalido", { index });
+    return { producto_id, descripcion, cantidad: round3(cantidad), precio_unitario: round2(precio_unitario), impuesto: round2(impuesto) };
+  });
+}
+
+/** Como compras.recalcTotal: cantidad * precio + impuesto (monto) por linea. */
+export function totalOrden(items) {
+  return round2(items.reduce((acc, it) => acc + Number(it.cantidad) * Number(it.precio_unitario) + Number(it.impuesto || 0), 0));
+}
+
+/**
+ * Lineas a recibir. Sin `pedidos` recibe todo lo pendiente; con pedidos = [{ item_id, cantidad }]
+ * valida contra lo pendiente de cada item.
+ */
+export function planRecepcion(items, pedidos = null) {
+  const pendiente = (it) => round3(Number(it.cantidad) - Number(it.cantidad_recibida || 0));
+  const lineas = [];
+  if (!pedidos) {
+    for (const it of items) {
+      const cant = pendiente(it);
+      if (cant > 0) lineas.push({ item: it, cantidad: cant });
+    }
+  } else {
+    const porItem = new Map();
+    for (const [index, p] of pedidos.entries()) {
+      const itemId = Number(p?.item_id ?? p?.orden_item_id);
+      const cantidad = Number(p?.cantidad);
+      const it = items.find((x) => x.id === itemId);
+      if (!it) throw compraError(404, "item_no_encontrado", { index });
+      if (!Number.isFinite(cantidad) || cantidad <= 0) throw compraError(400, "cantidad_invalida", { index });
+      porItem.set(it.id, round3((porItem.get(it.id) || 0) + cantidad));
+    }
+    for (const [id, cantidad] of porItem) {
+      const it = items.find((x) => x.id === id);
+      if (cantidad > pendiente(it)) {
+        throw compraError(409, "cantidad_excede_pendiente", { item_id: id, pendiente: pendiente(it) });
+      }
+      lineas.push({ item: it, cantidad });
+    }
+  }
+  if (!lineas.length) throw compraError(409, "orden_ya_recibida");
+  return lineas.map(({ item, cantidad }) => ({
+    item_id: item.id,
+    producto_id: item.producto_id,
+    descripcion: item.descripcion,
+    cantidad,
+  }));
+}
+
+/** Despues de sumar lo recibido: todo completo => recibida, si no parcial. */
+export function estadoTrasRecepcion(items) {
+  return items.every((it) => Number(it.cantidad_recibida) >= Number(it.cantidad)) ? "recibida" : "parcial";
+}
+
+/* ---------------------------- stock ---------------------------- */
+export function recepcionStockMovimiento(orden, recepcion) {
+  const referencia = `oc:${orden.id}:rec:${recepcion.id}`;
+  return {
+    path: "/entradas",
+    referencia,
+    data: {
+      almacen_id: Number(recepcion.almacen_id),
+      items: recepcion.items.map((l) => ({
+        producto_id: l.producto_id || undefined,
+        producto_nombre: l.producto_id ? undefined : l.descripcion,
+        cantidad: Number(l.cantidad),
+      })),
+      referencia,
+      observaciones: `Recepcion OC ${orden.numero}${recepcion.notas ? ` - ${recepcion.notas}` : ""}`,
+    },
+  };
+}
+
+/**
+ * Postea la recepcion y deja stock_estado confirmado/fallido. No tira: devuelve
+ * { ok, stock?, status?, error? } para que la ruta informe sin perder la recepcion.
+ */
+export async function postRecepcionStock(db, req, orden, recepcion) {
+  const mov = recepcionStockMovimiento(orden, recepcion);
+  try {
+    const r = await stockRequest(req, {
+      method: "post",
+      path: mov.path,
+      data: mov.data,
+      headers: { "Idempotency-Key": mov.referencia },
+      org: orden.organizacion_id,
+    });
+    await db.query(
+      `UPDATE orden_compra_recepciones
+          SET stock_estado = 'confirmado', stock_error = NULL, stock_intentos = stock_intentos + 1
+        WHERE id = $1`,
+      [recepcion.id]
+    );
+    return { ok: true, stock: r.data };
+  } catch (err) {
+    const status = err?.response?.status || 502;
+    const detail = err?.response?.data || { message: err?.message || "stock_error" };
+    await db.query(
+      `UPDATE orden_compra_recepciones
+          SET stock_estado = 'fallido', stock_error = $2, stock_intentos = stock_intentos + 1
+        WHERE id = $1`,
+      [recepcion.id, JSON.stringify(detail)]
+    );
+    return { ok: false, status, error: detail };
+  }
+}
@@ -0,0 +1,301 @@
+// services/dunning.service.js — politicas de cobranza y motor de recordatorios de facturas
+// Lo usa startInvoiceReminders() (index.js) y routes/billing.js (/billing/dunning-policies).
+// Sin politica asignada ni default de la org se usa reminder_policy de la factura (days_before/days_after).
+import { emit as emitFlow } from "./flows.client.js";
+import { getOrgIntegrations } from "../utils/org.integrations.js";
+import { sendSlackMessage } from "../utils/slack.js";
+import { sendWhatsAppText, sanitizePhone } from "../utils/whatsapp.js";
+import { tableColumns } from "../utils/schema.js";
+import { invoiceError } from "./invoices.service.js";
+
+export const DUNNING_CHANNELS = ["flows", "slack", "whatsapp", "none"];
+export const DUNNING_ACTIONS = ["mark_client_inactive"];
+
+const DEFAULT_TEMPLATE =
+  "Hola {{client_name}}, la factura {{number}} por {{amount_due}} {{currency}} vence el {{due_date}}.";
+
+/* ---------------------------- politicas ---------------------------- */
+/** Valida y ordena los pasos de una politica (offset_days unico por politica). */
+export function normalizeSteps(raw) {
+  if (!Array.isArray(raw) || !raw.length) throw invoiceError(400, "steps_required");
+  const seen = new Set();
+  const steps = raw.map((s, index) => {
+    const offset = Number(s?.offset_days ?? s?.days);
+    if (!Number.isInteger(offset) || offset < -365 || offset > 3650) {
+      throw invoiceError(400, "step_offset_invalid", { index });
+    }
+    if (seen.has(offset)) throw invoiceError(400, "step_offset_duplicated", { index });
+    seen.add(offset);
+
+    const channel = String(s?.channel || "flows").toLowerCase();
+    if (!DUNNING_CHANNELS.includes(channel)) throw invoiceError(400, "step_channel_invalid", { index });
+    const action = s?.action ? String(s.action) : null;
+    if (action && !DUNNING_ACTIONS.includes(action)) throw invoiceError(400, "step_action_invalid", { index });
+    if (channel === "none" && !action) throw invoiceError(400, "step_empty", { index });
+
+    const template = s?.template == null ? null : String(s.template).slice(0, 2000);
+    const event = s?.event ? String(s.event).trim().slice(0, 80) : null;
+    return { offset_days: offset, channel, template, event, action };
+  });
+  return steps.sort((a, b) => a.offset_days - b.offset_days);
+}
+
+// politica implicita desde invoices.reminder_policy: todo por Flows como antes
+function legacyPolicy(reminderPolicy) {
+  const rp = reminderPolicy || {};
+  const before = Array.isArray(rp.days_before) ? rp.days_before : [];
+  const after = Array.isArray(rp.days_after) ? rp.days_after : [];
+  const offsets = new Set(
+    [...before.map((d) => -Number(d)), ...after.map((d) => Number(d))].filter(Number.isInteger)
+  );
+  return {
+    id: null,
+    name: "legacy",
+    steps: [...offsets].sort((a, b) => a - b).map((offset_days) => ({ offset_days, channel: "flows" })),
+  };
+}
+
+/**
+ * Politica que aplica a la factura: la asignada (si sigue activa), la default de la org o la legacy.
+ * `cache` (Map) evita releer politicas dentro de una misma corrida.
+ */
+export async function resolveInvoicePolicy(db, inv, cache = new Map()) {
+  const load = async (key, sql, params) => {
+    if (!cache.has(key)) cache.set(key, (await db.query(sql, params)).rows?.[0] || null);
+    return cache.get(key);
+  };
+  const assigned = inv.dunning_policy_id
+    ? await load(
+        `id:${inv.dunning_policy_id}`,
+        `SELECT id, name, steps FROM public.dunning_policies WHERE id = $1 AND organizacion_id = $2 AND active`,
+        [inv.dunning_policy_id, inv.organizacion_id]
+      )
+    : null;
+  if (assigned) return assigned;
+  const orgDefault = await load(
+    `org:${inv.organizacion_id}`,
+    `SELECT id, name, steps FROM public.dunning_policies
+      WHERE organizacion_id = $1 AND is_default AND active LIMIT 1`,
+    [inv.organizacion_id]
+  );
+  return orgDefault || legacyPolicy(inv.reminder_policy);
+}
+
+const stepKey = (policy, step) => `${policy.id ? `p${policy.id}` : "legacy"}:d${step.offset_days}`;
+
+/**
+ * Paso a ejecutar hoy: el de mayor offset ya alcanzado, si todavia no se envio.
+ * Los pasos intermedios que se pasaron (server caido, factura emitida tarde) no se reenvian.
+ */
+export function pickStep(policy, daysOverdue, sentKeys) {
+  const reached = (policy.steps || []).filter((s) => s.offset_days <= daysOverdue);
+  const step = reached[reached.length - 1];
+  if (!step || sentKeys.has(stepKey(policy, step))) return null;
+  return { ...step, key: stepKey(policy, step) };
+}
+
+/* ---------------------------- envio ---------------------------- */
+export function renderTemplate(template, ctx) {
+  return String(template || DEFAULT_TEMPLATE).replace(/\{\{\s*(\w+)\s*\}\}/g, (_m, k) =>
+    ctx[k] == null ? "" : String(ctx[k])
+  );
+}
+
+const fmtDate = (v) => (v instanceof Date ? v.toISOString().slice(0, 10) : String(v ?? "").slice(0, 10));
+
+function reminderContext(inv) {
+  const due = Math.max(
+    Number(inv.amount_total || 0) - Number(inv.amount_paid || 0) - Number(inv.amount_credited || 0),
+    0
+  );
+  return {
+    client_name: inv.client_name || "",
+    number: inv.number || "",
+    amount_due: due.toFixed(2),
+    currency: inv.currency || "USD",
+    due_date: fmtDate(inv.due_date),
+    days_overdue: inv.days_overdue,
+  };
+}
+
+// clientes.activo (migracion de dunning); el stage del pipeline de clientes no se toca
+async function markClientInactive(db, org, clientId) {
+  if (!(await tableColumns("clientes")).has("activo")) return false;
+  const r = await db.query(
+    `UPDATE public.clientes SET activo = FALSE, updated_at = NOW()
+      WHERE id = $1 AND organizacion_id = $2`,
+    [clientId, org]
+  );
+  return r.rowCount > 0;
+}
+
+async function deliver(db, { inv, step, policy, text }) {
+  const org = inv.organizacion_id;
+
+  if (step.channel === "flows") {
+    const out = await emitFlow(
+      step.event || "invoice_reminder",
+      {
+        org,
+        invoiceId: inv.id,
+        client: { id: inv.client_id, name: inv.client_name, email: inv.client_email },
+        client_id: inv.client_id,
+        amount_due: Number(reminderContext(inv).amount_due),
+        due_date: inv.due_date,
+        days_overdue: inv.days_overdue,
+        policy: policy.name,
+        step: step.offset_days,
+        message: text,
+      },
+      { bearer: process.env.FLOWS_BEARER }
+    );
+    // Flows sin configurar no envia nada: el paso queda 'skipped' y se reintenta
+    if (out?.skipped) return { skipped: true, reason: "flows_not_configured" };
+    return { recipient: inv.client_email || null };
+  }
+
+  if (step.channel === "slack") {
+    const { webhookUrl } = await getOrgIntegrations(org);
+    if (!webhookUrl) throw new Error("slack_not_configured");
+    await sendSlackMessage(webhookUrl, text);
+    return { recipient: "slack" };
+  }
+
+  if (step.channel === "whatsapp") {
+    const r = await db.query(
+      `SELECT whatsapp_meta_token, whatsapp_phone_id FROM integraciones WHERE organizacion_id = $1 LIMIT 1`,
+      [org]
+    );
+    const cfg = r.rows?.[0] || {};
+    const to = sanitizePhone(inv.client_phone);
+    if (!cfg.whatsapp_meta_token || !cfg.whatsapp_phone_id) throw new Error("whatsapp_not_configured");
+    if (!to) throw new Error("client_phone_missing");
+    await sendWhatsAppText({ metaToken: cfg.whatsapp_meta_token, phoneId: cfg.whatsapp_phone_id, to, text });
+    return { recipient: to };
+  }
+
+  return { recipient: null };
+}
+
+async function recordReminder(db, row) {
+  const r = await db.query(
+    `INSERT INTO public.invoice_reminders
+       (invoice_id, organizacion_id, policy_id, step_key, offset_days, channel, status,
+        recipient, message, actions, error, manual, usuario_email)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10::jsonb,$11,$12,$13)
+     RETURNING *`,
+    [
+      row.invoice_id,
+      row.organizacion_id,
+      row.policy_id ?? null,
+      row.step_key,
+      row.offset_days ?? null,
+      row.channel,
+      row.status,
+      row.recipient ?? null,
+      row.message ?? null,
+      JSON.stringify(row.actions || []),
+      row.error ?? null,
+      !!row.manual,
+      row.usuario_email ?? null,
+    ]
+  );
+  return r.rows[0];
+}
+
+/**
+ * Ejecuta (si corresponde) el paso de dunning de una factura y lo deja en invoice_reminders.
+ * `inv` trae days_overdue, client_name/email/phone (ver DUNNING_CANDIDATES_SQL).
+ */
+export async function runInvoiceDunning(db, inv, { cache } = {}) {
+  const policy = await resolveInvoicePolicy(db, inv, cache);
+  const hist = await db.query(
+    `SELECT step_key, status, created_at > now() - interval '20 hours' AS recent
+       FROM public.invoice_reminders
+      WHERE invoice_id = $1 AND NOT manual AND status IN ('sent','failed','skipped')`,
+    [inv.id]
+  );
+  const sentKeys = new Set(hist.rows.filter((r) => r.status === "sent").map((r) => r.step_key));
+  const step = pickStep(policy, inv.days_overdue, sentKeys);
+  if (!step) return null;
+  // un fallo (o envio salteado) reintenta recien en la proxima ventana (mismo ritmo que last_reminder_at)
+  if (hist.rows.some((r) => r.status !== "sent" && r.recent && r.step_key === step.key)) return null;
+
+  const text = renderTemplate(step.template, reminderContext(inv));
+  const base = {
+    invoice_id: inv.id,
+    organizacion_id: inv.organizacion_id,
+    policy_id: policy.id,
+    step_key: step.key,
+    offset_days: step.offset_days,
+    channel: step.channel,
+    message: step.channel === "none" ? null : text,
+  };
+
+  let delivered;
+  try {
+    delivered = await deliver(db, { inv, step, policy, text });
+  } catch (e) {
+    return recordReminder(db, { ...base, status: "failed", error: String(e?.message || e).slice(0, 500) });
+  }
+  if (delivered.skipped) return recordReminder(db, { ...base, status: "skipped", error: delivered.reason });
+
+  const actions = [];
+  if (step.action === "mark_client_inactive" && inv.client_id) {
+    if (await markClientInactive(db, inv.organizacion_id, inv.client_id)) actions.push(step.action);
+  }
+  await db.query(
+    `UPDATE public.invoices
+        SET last_reminder_at = NOW(),
+            status = CASE WHEN now()::date > due_date AND status IN ('sent','partial') THEN 'overdue' ELSE status END
+      WHERE id = $1`,
+    [inv.id]
+  );
+  return recordReminder(db, { ...base, status: "sent", recipient: delivered.recipient, actions });
+}
+
+/** Envio manual (POST /invoices/:id/remind): siempre por Flows, no consume pasos de la politica. */
+export async function sendManualReminder(db, inv, { actor = null } = {}) {
+  const step = { offset_days: inv.days_overdue ?? null, channel: "flows", event: "invoice_reminder" };
+  const text = renderTemplate(null, reminderContext(inv));
+  const base = {
+    invoice_id: inv.id,
+    organizacion_id: inv.organizacion_id,
+    step_key: "manual",
+    offset_days: step.offset_days,
+    channel: "flows",
+    message: text,
+    manual: true,
+    usuario_email: actor,
+  };
+  try {
+    const { recipient, skipped, reason } = await deliver(db, { inv, step, policy: { name: "manual" }, text });
+    if (skipped) return recordReminder(db, { ...base, status: "skipped", error: reason });
+    await db.query(`UPDATE public.invoices SET last_reminder_at = NOW() WHERE id = $1`, [inv.id]);
+    return recordReminder(db, { ...base, status: "sent", recipient });
+  } catch (e) {
+    return recordReminder(db, { ...base, status: "failed", error: String(e?.message || e).slice(0, 500) });
+  }
+}
+
+// Facturas abiertas con datos del cliente para el motor
+export const DUNNING_CANDIDATES_SQL = `
+  SELECT i.*, (now()::date - i.due_date)::int AS days_overdue,
+         c.nombre AS client_name, c.email AS client_email, c.telefono AS client_phone
+    FROM invoices i
+    LEFT JOIN clientes c ON c.id = i.client_id
+   WHERE i.status IN ('sent','partial','overdue')
+     AND (i.last_reminder_at IS NULL OR i.last_reminder_at < now() - interval '20 hours')`;
+
+export async function listInvoiceReminders(db, invoiceId) {
+  const r = await db.query(
+    `SELECT r.id, r.policy_id, p.name AS policy_name, r.step_key, r.offset_days, r.channel, r.status,
+            r.recipient, r.message, r.actions, r.error, r.manual, r.usuario_email, r.created_at
+       FROM public.invoice_reminders r
+       LEFT JOIN public.dunning_policies p ON p.id = r.policy_id
+      WHERE r.invoice_id = $1
+      ORDER BY r.created_at DESC, r.id DESC`,
+    [invoiceId]
+  );
+  return r.rows || [];
+}
@@ -0,0 +1,629 @@
+// services/invoices.service.js — lineas, totales, numeracion, pagos y notas de credito
+// Lo usan index.js (/invoices) y routes/billing.js (/billing/invoices).
+// Todas las funciones que escriben reciben un client con la transaccion abierta.
+import { round2 } from "../utils/money.js";
+import { httpError } from "../utils/errors.js";
+
+export const INVOICE_STATUSES = ["draft", "sent", "partial", "paid", "overdue", "void"];
+// partial/paid/overdue los deriva syncInvoiceStatus() desde invoice_payments;
+// void solo via voidInvoice() (exige motivo y deja quien anulo)
+export const MANUAL_STATUSES = ["draft", "sent"];
+
+export const NUMBERING_DEFAULTS = { prefix: "INV-", credit_prefix: "NC-", padding: 5, yearly_reset: true };
+
+export const invoiceError = httpError;
+
+/* ---------------------------- lineas ---------------------------- */
+function normalizeLine(raw, idx) {
+  const description = String(raw?.description ?? raw?.descripcion ?? raw?.concepto ?? "").trim();
+  const quantity = Number(raw?.quantity ?? raw?.cantidad ?? 1);
+  const unit_price = Number(raw?.unit_price ?? raw?.precio_unitario ?? raw?.precio ?? NaN);
+  const tax_rate = Number(raw?.tax_rate ?? raw?.iva ?? 0);
+  const producto_id = Number(raw?.producto_id ?? raw?.productoId);
+
+  if (!description) throw invoiceError(400, "item_description_required", { index: idx });
+  if (!Number.isFinite(quantity) || quantity <= 0) {
+    throw invoiceError(400, "item_quantity_invalid", { index: idx });
+  }
+  if (!Number.isFinite(unit_price) || unit_price < 0) {
+    throw invoiceError(400, "item_unit_price_invalid", { index: idx });
+  }
+  if (!Number.isFinite(tax_rate) || tax_rate < 0 || tax_rate > 100) {
+    throw invoiceError(400, "item_tax_rate_invalid", { index: idx });
+  }
+
+  const amount_subtotal = round2(quantity * unit_price);
+  const amount_tax = round2((amount_subtotal * tax_rate) / 100);
+  return {
+    position: idx,
+    description,
+    producto_id: Number.isInteger(producto_id) && producto_id > 0 ? producto_id : null,
+    quantity,
+    unit_price: round2(unit_price),
+    tax_rate,
+    amount_subtotal,
+    amount_tax,
+    amount_total: round2(amount_subtotal + amount_tax),
+  };
+}
+
+/**
+ * Lineas validadas con importes calculados. Si no vienen `items` pero si los importes
+ * viejos (amount_subtotal/amount_tax), arma una linea unica para no romper clientes legacy.
+ * Devuelve null si el body no trae ni lo uno ni lo otro.
+ */
+export function normalizeInvoiceItems(body = {}) {
+  if (Array.isArray(body.items)) {
+    if (!body.items.length) throw invoiceError(400, "items_required");
+    return body.items.map(normalizeLine);
+  }
+  if (body.amount_subtotal != null || body.amount_total != null) {
+    const tax = Number(body.amount_tax ?? 0);
+    const sub =
+      body.amount_subtotal != null ? Number(body.amount_subtotal) : Number(body.amount_total) - tax;
+    if (!Number.isFinite(sub) || sub < 0 || !Number.isFinite(tax) || tax < 0) {
+      throw invoiceError(400, "amounts_invalid");
+    }
+    return [
+      normalizeLine(
+        {
+          description: body.description || body.notes || "Importe",
+          quantity: 1,
+          unit_price: sub,
+          tax_rate: sub > 0 ? Math.min(Math.round((tax * 100000) / sub) / 1000, 100) : 0,
+        },
+        0
+      ),
+    ];
+  }
+  return null;
+}
+
+export function sumLines(lines = []) {
+  const amount_subtotal = round2(lines.reduce((a, l) => a + Number(l.amount_subtotal || 0), 0));
+  const amount_tax = round2(lines.reduce((a, l) => a + Number(l.amount_tax || 0), 0));
+  return { amount_subtotal, amount_tax, amount_total: round2(amount_subtotal + amount_tax) };
+}
+
+/** Reemplaza las lineas de la factura. */
+export async function replaceInvoiceItems(client, { invoiceId, org, lines }) {
+  await client.query(`DELETE FROM public.invoice_items WHERE invoice_id = $1`, [invoiceId]);
+  for (const l of lines) {
+    await client.query(
+      `INSERT INTO public.invoice_items
+         (invoice_id, organizacion_id, position, description, producto_id, quantity, unit_price,
+          tax_rate, amount_subtotal, amount_tax, amount_total)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)`,
+      [
+        invoiceId,
+        org,
+        l.position,
+        l.description,
+        l.producto_id,
+        l.quantity,
+        l.unit_price,
+        l.tax_rate,
+        l.amount_subtotal,
+        l.amount_tax,
+        l.amount_total,
+      ]
+    );
+  }
+}
+
+/** Recalcula amount_subtotal/tax/total desde invoice_items. Devuelve la fila actualizada. */
+export async function recomputeInvoiceTotals(client, invoiceId) {
+  const r = await client.query(
+    `UPDATE public.invoices i
+        SET amount_subtotal = s.sub,
+            amount_tax      = s.tax,
+            amount_total    = s.sub + s.tax,
+            updated_at      = NOW()
+       FROM (
+         SELECT COALESCE(SUM(amount_subtotal),0) AS sub, COALESCE(SUM(amount_tax),0) AS tax
+           FROM public.invoice_items WHERE invoice_id = $1
+       ) s
+      WHERE i.id = $1
+      RETURNING i.*`,
+    [invoiceId]
+  );
+  return r.rows?.[0] || null;
+}
+
+export async function loadInvoiceItems(db, invoiceId) {
+  const r = await db.query(
+    `SELECT id, position, description, producto_id, quantity, unit_price, tax_rate,
+            amount_subtotal, amount_tax, amount_total
+       FROM public.invoice_items
+      WHERE invoice_id = $1
+      ORDER BY position, id`,
+    [invoiceId]
+  );
+  return r.rows || [];
+}
+
+/* ---------------------------- numeracion ---------------------------- */
+export async function getNumberingConfig(db, org) {
+  const r = await db.query(
+    `SELECT prefix, credit_prefix, padding, yearly_reset
+       FROM public.invoice_numbering WHERE organizacion_id = $1`,
+    [org]
+  );
+  return { ...NUMBERING_DEFAULTS, ...(r.rows?.[0] || {}) };
+}
+
+/** kind: "invoice" | "credit" (notas de credito usan credit_prefix y su propio contador) */
+export function formatInvoiceNumber(cfg, year, n, kind = "invoice") {
+  const prefix = kind === "credit" ? cfg.credit_prefix : cfg.prefix;
+  const seq = String(n).padStart(cfg.padding, "0");
+  return cfg.yearly_reset ? `${prefix}${year}-${seq}` : `${prefix}${seq}`;
+}
+
+// DATE de pg llega como Date a medianoche local; string "YYYY-MM-DD" desde el body
+function yearOf(v) {
+  if (v instanceof Date && !isNaN(v.getTime())) return v.getFullYear();
+  const m = /^(\d{4})-/.exec(String(v ?? ""));
+  return m ? Number(m[1]) : new Date().getFullYear();
+}
+
+/**
+ * Proximo numero correlativo para la org. Debe correr dentro de la transaccion que
+ * guarda la factura: el lock de la fila de invoice_sequences serializa a los concurrentes
+ * y el ROLLBACK devuelve el numero (sin huecos).
+ */
+export async function nextInvoiceNumber(client, { org, issueDate, kind = "invoice" }) {
+  const cfg = await getNumberingConfig(client, org);
+  const year = cfg.yearly_reset ? yearOf(issueDate) : 0;
+  const r = await client.query(
+    `INSERT INTO public.invoice_sequences (organizacion_id, kind, year, last_number)
+     VALUES ($1, $2, $3, 1)
+     ON CONFLICT (organizacion_id, kind, year)
+       DO UPDATE SET last_number = public.invoice_sequences.last_number + 1
+     RETURNING last_number`,
+    [org, kind, year]
+  );
+  return formatInvoiceNumber(cfg, year, r.rows[0].last_number, kind);
+}
+
+/** Asigna numero si la factura sale de draft y todavia no tiene. */
+export async function ensureInvoiceNumber(client, row) {
+  if (!row || row.number || row.status === "draft") return row;
+  const number = await nextInvoiceNumber(client, { org: row.organizacion_id, issueDate: row.issue_date });
+  const r = await client.query(
+    `UPDATE public.invoices SET number = $2, updated_at = NOW() WHERE id = $1 RETURNING *`,
+    [row.id, number]
+  );
+  return r.rows?.[0] || row;
+}
+
+/* ---------------------------- alta / edicion ---------------------------- */
+function toClientId(v) {
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+// dunning_policy_id: null la desasigna (vuelve a la default de la org)
+async function toPolicyId(client, org, v) {
+  if (v == null || v === "") return null;
+  const r = await client.query(
+    `SELECT id FROM public.dunning_policies WHERE id = $1 AND organizacion_id = $2`,
+    [Number(v) || 0, org]
+  );
+  if (!r.rowCount) throw invoiceError(400, "dunning_policy_invalid");
+  return r.rows[0].id;
+}
+
+function toStatus(v) {
+  const st = String(v || "").toLowerCase();
+  if (!INVOICE_STATUSES.includes(st)) throw invoiceError(400, "status_invalid");
+  if (st === "void") throw invoiceError(400, "status_void_use_endpoint");
+  if (!MANUAL_STATUSES.includes(st)) throw invoiceError(400, "status_derived_from_payments", { status: st });
+  return st;
+}
+
+/**
+ * Crea la factura con sus lineas. Los importes salen de las lineas; el numero se
+ * asigna al emitir (status != draft).
+ */
+export async function createInvoice(client, { org, body = {} }) {
+  const clientId = toClientId(body.client_id);
+  if (!clientId) throw invoiceError(400, "client_id_required");
+  const lines = normalizeInvoiceItems(body);
+  if (!lines) throw invoiceError(400, "items_required");
+  if ("number" in body && body.number) throw invoiceError(400, "number_readonly");
+
+  const issueDate = body.issue_date || body.date || new Date().toISOString().slice(0, 10);
+  const dueDate = body.due_date || body.dueDate || issueDate;
+  const status = toStatus(body.status || "draft");
+  const policyId = await toPolicyId(client, org, body.dunning_policy_id);
+  const totals = sumLines(lines);
+
+  const r = await client.query(
+    `INSERT INTO public.invoices
+       (id, organizacion_id, client_id, issue_date, due_date, currency,
+        amount_subtotal, amount_tax, amount_total, status, notes, dunning_policy_id)
+     VALUES (gen_random_uuid(), $1, $2, $3, $4, COALESCE($5,'USD'), $6, $7, $8, $9, $10, $11)
+     RETURNING *`,
+    [
+      org,
+      clientId,
+      issueDate,
+      dueDate,
+      body.currency || null,
+      totals.amount_subtotal,
+      totals.amount_tax,
+      totals.amount_total,
+      status,
+      body.notes || null,
+      policyId,
+    ]
+  );
+  const inv = r.rows[0];
+  await replaceInvoiceItems(client, { invoiceId: inv.id, org, lines });
+  await recomputeInvoiceTotals(client, inv.id);
+  const row = await ensureInvoiceNumber(client, await syncInvoiceStatus(client, inv.id));
+  return { ...row, items: await loadInvoiceItems(client, inv.id) };
+}
+
+/**
+ * PATCH de factura. Las lineas (o los importes legacy) solo se pueden cambiar en draft;
+ * los totales se recalculan siempre desde invoice_items y el status desde los pagos.
+ */
+export async function updateInvoice(client, { org, id, body = {} }) {
+  const cur = await client.query(
+    `SELECT * FROM public.invoices WHERE id = $1 AND organizacion_id = $2 FOR UPDATE`,
+    [id, org]
+  );
+  const prev = cur.rows?.[0];
+  if (!prev) throw invoiceError(404, "invoice_not_found");
+  if (prev.status === "void") throw invoiceError(409, "invoice_void");
+  if ("number" in body && body.number !== prev.number) throw invoiceError(400, "number_readonly");
+  if ("amount_paid" in body) throw invoiceError(400, "amount_paid_readonly");
+
+  const sets = [];
+  const vals = [];
+  const set = (col, v) => {
+    vals.push(v);
+    sets.push(`${col} = $${vals.length}`);
+  };
+
+  if ("client_id" in body) {
+    const clientId = toClientId(body.client_id);
+    if (!clientId) throw invoiceError(400, "client_id_invalid");
+    set("client_id", clientId);
+  }
+  if ("issue_date" in body || "date" in body) set("issue_date", body.issue_date || body.date || null);
+  if ("due_date" in body || "dueDate" in body) set("due_date", body.due_date || body.dueDate || null);
+  if ("currency" in body) set("currency", body.currency || "USD");
+  if ("status" in body) {
+    const st = toStatus(body.status);
+    if (st === "draft" && prev.status !== "draft") {
+      throw invoiceError(409, "invoice_already_issued", { status: prev.status });
+    }
+    set("status", st);
+  }
+  if ("notes" in body) set("notes", body.notes || null);
+  if ("dunning_policy_id" in body) set("dunning_policy_id", await toPolicyId(client, org, body.dunning_policy_id));
+
+  const lines = normalizeInvoiceItems(body);
+  if (!sets.length && !lines) throw invoiceError(400, "nothing_to_update");
+  if (lines && prev.status !== "draft") {
+    throw invoiceError(409, "invoice_not_draft", { status: prev.status });
+  }
+
+  if (sets.length) {
+    vals.push(id);
+    await client.query(
+      `UPDATE public.invoices SET ${sets.join(", ")}, updated_at = NOW() WHERE id = $${vals.length}`,
+      vals
+    );
+  }
+  if (lines) await replaceInvoiceItems(client, { invoiceId: id, org, lines });
+
+  await recomputeInvoiceTotals(client, id);
+  const row = await ensureInvoiceNumber(client, await syncInvoiceStatus(client, id));
+  return { ...row, items: await loadInvoiceItems(client, id) };
+}
+
+/* ---------------------------- pagos ---------------------------- */
+/**
+ * Deriva amount_paid (pagos no revertidos), amount_credited (notas de credito emitidas)
+ * y status. draft y void no se tocan; el resto queda paid / overdue / partial / sent.
+ */
+export async function syncInvoiceStatus(client, invoiceId) {
+  const r = await client.query(
+    `WITH p AS (
+       SELECT COALESCE(SUM(amount), 0) AS paid
+         FROM public.invoice_payments
+        WHERE invoice_id = $1 AND reversed_at IS NULL
+     ), c AS (
+       SELECT COALESCE(SUM(amount_total), 0) AS credited
+         FROM public.credit_notes
+        WHERE invoice_id = $1 AND status = 'issued'
+     )
+     UPDATE public.invoices i
+        SET amount_paid = p.paid,
+            amount_credited = c.credited,
+            status = CASE
+              WHEN i.status IN ('draft','void') THEN i.status
+              WHEN p.paid + c.credited >= i.amount_total AND i.amount_total > 0 THEN 'paid'
+              WHEN i.due_date < now()::date THEN 'overdue'
+              WHEN p.paid + c.credited > 0 THEN 'partial'
+              ELSE 'sent'
+            END::invoice_status,
+            updated_at = NOW()
+       FROM p, c
+      WHERE i.id = $1
+      RETURNING i.*`,
+    [invoiceId]
+  );
+  return r.rows?.[0] || null;
+}
+
+export async function listInvoicePayments(db, invoiceId) {
+  const r = await db.query(
+    `SELECT id, paid_at, amount, method, reference, caja_id, notes, usuario_email,
+            reversed_at, reversed_by, reversal_reason, created_at
+       FROM public.invoice_payments
+      WHERE invoice_id = $1
+      ORDER BY paid_at, created_at`,
+    [invoiceId]
+  );
+  return r.rows || [];
+}
+
+/** Saldo = total - pagado - acreditado */
+export function invoiceBalance(inv) {
+  return round2(Number(inv.amount_total) - Number(inv.amount_paid || 0) - Number(inv.amount_credited || 0));
+}
+
+async function lockInvoice(client, org, invoiceId) {
+  const r = await client.query(
+    `SELECT * FROM public.invoices WHERE id = $1 AND organizacion_id = $2 FOR UPDATE`,
+    [invoiceId, org]
+  );
+  const inv = r.rows?.[0];
+  if (!inv) throw invoiceError(404, "invoice_not_found");
+  return inv;
+}
+
+/**
+ * Registra un pago. amount por defecto = saldo pendiente. No se permite pagar de mas
+ * ni sobre facturas en draft/void. caja_id, si viene, tiene que ser una caja abierta de la org.
+ */
+export async function recordInvoicePayment(client, { org, invoiceId, body = {}, actor = null }) {
+  const inv = await lockInvoice(client, org, invoiceId);
+  if (inv.status === "draft" || inv.status === "void") {
+    throw invoiceError(409, "invoice_not_issued", { status: inv.status });
+  }
+
+  const balance = invoiceBalance(inv);
+  if (balance <= 0) throw invoiceError(409, "invoice_already_paid");
+  const amount = body.amount == null ? balance : round2(Number(body.amount));
+  if (!Number.isFinite(amount) || amount <= 0) throw invoiceError(400, "amount_invalid");
+  if (amount > balance) throw invoiceError(409, "amount_exceeds_balance", { balance });
+
+  const paidAt = body.paid_at || body.date || new Date().toISOString().slice(0, 10);
+  if (isNaN(new Date(paidAt).getTime())) throw invoiceError(400, "paid_at_invalid");
+  const method = String(body.method || body.medio_pago || "otro").trim().toLowerCase();
+
+  const cajaId = body.caja_id || null;
+  if (cajaId) {
+    const c = await client.query(
+      `SELECT estado FROM public.cajas WHERE id = $1 AND organizacion_id = $2`,
+      [cajaId, org]
+    );
+    if (!c.rowCount) throw invoiceError(404, "caja_not_found");
+    if (c.rows[0].estado !== "abierta") throw invoiceError(409, "caja_no_abierta");
+  }
+
+  const r = await client.query(
+    `INSERT INTO public.invoice_payments
+       (invoice_id, organizacion_id, paid_at, amount, method, reference, caja_id, notes, usuario_email)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+     RETURNING *`,
+    [
+      inv.id,
+      org,
+      paidAt,
+      amount,
+      method,
+      body.reference || body.referencia || null,
+      cajaId,
+      body.notes || null,
+      actor,
+    ]
+  );
+  const invoice = await syncInvoiceStatus(client, inv.id);
+  return { payment: r.rows[0], invoice };
+}
+
+/** Revierte (no borra) un pago y vuelve a derivar el status de la factura. */
+export async function reverseInvoicePayment(client, { org, invoiceId, paymentId, reason = null, actor = null }) {
+  await lockInvoice(client, org, invoiceId);
+  const r = await client.query(
+    `UPDATE public.invoice_payments
+        SET reversed_at = NOW(), reversed_by = $3, reversal_reason = $4
+      WHERE id = $1 AND invoice_id = $2 AND reversed_at IS NULL
+      RETURNING *`,
+    [paymentId, invoiceId, actor, reason]
+  );
+  if (!r.rowCount) {
+    const ex = await client.query(
+      `SELECT reversed_at FROM public.invoice_payments WHERE id = $1 AND invoice_id = $2`,
+      [paymentId, invoiceId]
+    );
+    if (!ex.rowCount) throw invoiceError(404, "payment_not_found");
+    throw invoiceError(409, "payment_already_reversed");
+  }
+  const invoice = await syncInvoiceStatus(client, invoiceId);
+  return { payment: r.rows[0], invoice };
+}
+
+/* ---------------------------- notas de credito ---------------------------- */
+function requireReason(v) {
+  const reason = String(v ?? "").trim();
+  if (!reason) throw invoiceError(400, "reason_required");
+  return reason;
+}
+
+export async function loadCreditNoteItems(db, creditNoteId) {
+  const r = await db.query(
+    `SELECT id, position, description, producto_id, quantity, unit_price, tax_rate,
+            amount_subtotal, amount_tax, amount_total
+       FROM public.credit_note_items
+      WHERE credit_note_id = $1
+      ORDER BY position, id`,
+    [creditNoteId]
+  );
+  return r.rows || [];
+}
+
+export async function listCreditNotes(db, invoiceId) {
+  const r = await db.query(
+    `SELECT * FROM public.credit_notes WHERE invoice_id = $1 ORDER BY issue_date, created_at`,
+    [invoiceId]
+  );
+  return r.rows || [];
+}
+
+export async function getCreditNote(db, { org, id }) {
+  const r = await db.query(
+    `SELECT * FROM public.credit_notes WHERE id = $1 AND organizacion_id = $2`,
+    [id, org]
+  );
+  const cn = r.rows?.[0];
+  if (!cn) return null;
+  return { ...cn, items: await loadCreditNoteItems(db, cn.id) };
+}
+
+/**
+ * Emite una nota de credito contra una factura emitida. Lineas como en createInvoice
+ * (items o amount_total legacy); no puede superar el saldo pendiente. Se numera al
+ * emitirse con el contador "credit" de la org.
+ */
+export async function createCreditNote(client, { org, invoiceId, body = {}, actor = null }) {
+  const inv = await lockInvoice(client, org, invoiceId);
+  if (inv.status === "draft" || inv.status === "void") {
+    throw invoiceError(409, "invoice_not_issued", { status: inv.status });
+  }
+  const reason = requireReason(body.reason ?? body.motivo);
+  const lines = normalizeInvoiceItems({ ...body, description: body.description || reason });
+  if (!lines) throw invoiceError(400, "items_required");
+
+  const totals = sumLines(lines);
+  if (totals.amount_total <= 0) throw invoiceError(400, "amount_invalid");
+  const balance = invoiceBalance(inv);
+  if (totals.amount_total > balance) throw invoiceError(409, "credit_exceeds_balance", { balance });
+
+  const issueDate = body.issue_date || body.date || new Date().toISOString().slice(0, 10);
+  if (isNaN(new Date(issueDate).getTime())) throw invoiceError(400, "issue_date_invalid");
+  const number = await nextInvoiceNumber(client, { org, issueDate, kind: "credit" });
+
+  const r = await client.query(
+    `INSERT INTO public.credit_notes
+       (organizacion_id, invoice_id, number, issue_date, currency, reason,
+        amount_subtotal, amount_tax, amount_total, created_by)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+     RETURNING *`,
+    [
+      org,
+      inv.id,
+      number,
+      issueDate,
+      inv.currency || "USD",
+      reason,
+      totals.amount_subtotal,
+      totals.amount_tax,
+      totals.amount_total,
+      actor,
+    ]
+  );
+  const cn = r.rows[0];
+  for (const l of lines) {
+    await client.query(
+      `INSERT INTO public.credit_note_items
+         (credit_note_id, organizacion_id, position, description, producto_id, quantity, unit_price,
+          tax_rate, amount_subtotal, amount_tax, amount_total)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)`,
+      [
+        cn.id,
+        org,
+        l.position,
+        l.description,
+        l.producto_id,
+        l.quantity,
+        l.unit_price,
+        l.tax_rate,
+        l.amount_subtotal,
+        l.amount_tax,
+        l.amount_total,
+      ]
+    );
+  }
+  const invoice = await syncInvoiceStatus(client, inv.id);
+  return { credit_note: { ...cn, items: await loadCreditNoteItems(client, cn.id) }, invoice };
+}
+
+/** Anula (no borra) una nota de credito; el saldo de la factura vuelve a subir. */
+export async function voidCreditNote(client, { org, id, reason, actor = null }) {
+  const why = requireReason(reason);
+  const cur = await client.query(
+    `SELECT invoice_id FROM public.credit_notes WHERE id = $1 AND organizacion_id = $2`,
+    [id, org]
+  );
+  if (!cur.rowCount) throw invoiceError(404, "credit_note_not_found");
+  // factura primero, mismo orden de locks que createCreditNote
+  await lockInvoice(client, org, cur.rows[0].invoice_id);
+
+  const r = await client.query(
+    `UPDATE public.credit_notes
+        SET status = 'void', voided_at = NOW(), voided_by = $2, void_reason = $3
+      WHERE id = $1 AND status = 'issued'
+      RETURNING *`,
+    [id, actor, why]
+  );
+  if (!r.rowCount) throw invoiceError(409, "credit_note_already_void");
+  const invoice = await syncInvoiceStatus(client, cur.rows[0].invoice_id);
+  return { credit_note: r.rows[0], invoice };
+}
+
+/* ---------------------------- anulacion / borrado ---------------------------- */
+/**
+ * Anula la factura conservando el documento (numero, lineas, motivo y quien anulo).
+ * Antes hay que revertir los pagos y anular las notas de credito.
+ */
+export async function voidInvoice(client, { org, invoiceId, reason, actor = null }) {
+  const inv = await lockInvoice(client, org, invoiceId);
+  if (inv.status === "void") throw invoiceError(409, "invoice_already_void");
+  const why = requireReason(reason);
+
+  const deps = await client.query(
+    `SELECT
+       (SELECT COUNT(*) FROM public.invoice_payments WHERE invoice_id = $1 AND reversed_at IS NULL)::int AS payments,
+       (SELECT COUNT(*) FROM public.credit_notes WHERE invoice_id = $1 AND status = 'issued')::int AS credit_notes`,
+    [inv.id]
+  );
+  const { payments, credit_notes } = deps.rows[0];
+  if (payments) throw invoiceError(409, "invoice_has_payments", { payments });
+  if (credit_notes) throw invoiceError(409, "invoice_has_credit_notes", { credit_notes });
+
+  const r = await client.query(
+    `UPDATE public.invoices
+        SET status = 'void', voided_at = NOW(), voided_by = $2, void_reason = $3, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *`,
+    [inv.id, actor, why]
+  );
+  return r.rows[0];
+}
+
+/** Solo se borran borradores sin numero; lo emitido se anula (el trigger en DB lo refuerza). */
+export async function deleteDraftInvoice(client, { org, invoiceId }) {
+  const inv = await lockInvoice(client, org, invoiceId);
+  if (inv.number || inv.status !== "draft") {
+    throw invoiceError(409, "invoice_issued_use_void", { status: inv.status, number: inv.number });
+  }
+  await client.query(`DELETE FROM public.invoices WHERE id = $1`, [inv.id]);
+  return inv;
+}
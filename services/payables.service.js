@@ -0,0 +1,225 @@
+// services/payables.service.js — cuentas a pagar: facturas de proveedores, pagos y aging
+// Espejo de invoices.service para el lado AP. Lo usan routes/billing.payables.js,
+// GET /analytics/kpis y GET /dashboard (bloque `ap`).
+import { hasTable } from "../utils/schema.js";
+import { convertByCurrency, normalizeCurrency, getBaseCurrency } from "../utils/fx.js";
+import { round2 } from "../utils/money.js";
+import { httpError } from "../utils/errors.js";
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export const BILL_STATUSES = ["open", "partial", "paid", "void"];
+
+export const billError = httpError;
+
+export function billBalance(bill) {
+  return round2(Number(bill.amount_total) - Number(bill.amount_paid || 0));
+}
+
+async function lockBill(client, org, billId) {
+  const r = await client.query(
+    `SELECT * FROM public.supplier_bills WHERE id = $1 AND organizacion_id = $2 FOR UPDATE`,
+    [Number(billId) || 0, org]
+  );
+  const bill = r.rows?.[0];
+  if (!bill) throw billError(404, "bill_not_found");
+  return bill;
+}
+
+/** amount_paid desde los pagos no revertidos y status derivado (void queda void). */
+export async function syncBillStatus(client, billId) {
+  const r = await client.query(
+    `WITH p AS (
+       SELECT COALESCE(SUM(amount), 0) AS paid
+         FROM public.supplier_bill_payments
+        WHERE bill_id = $1 AND reversed_at IS NULL
+     )
+     UPDATE public.supplier_bills b
+        SET amount_paid = p.paid,
+            status = CASE
+              WHEN b.status = 'void' THEN b.status
+              WHEN p.paid >= b.amount_total THEN 'paid'
+              WHEN p.paid > 0 THEN 'partial'
+              ELSE 'open'
+            END
+       FROM p
+      WHERE b.id = $1
+      RETURNING b.*`,
+    [billId]
+  );
+  return r.rows[0];
+}
+
+/**
+ * Alta de factura de proveedor. Con orden_compra_id el proveedor tiene que coincidir y
+ * amount_total/currency salen de la orden si no vienen. due_date o due_days (default 30).
+ */
+export async function createSupplierBill(client, { org, body = {}, actor = null }) {
+  const proveedorId = Number(body.proveedor_id);
+  let amount = body.amount_total == null ? null : round2(Number(body.amount_total));
+  let currency = body.currency ? normalizeCurrency(body.currency) : null;
+  if (body.currency && !currency) throw billError(400, "currency_invalid");
+
+  let ordenId = null;
+  if (body.orden_compra_id != null) {
+    const o = await client.query(
+      `SELECT id, proveedor_id, total, moneda, estado FROM ordenes_compra WHERE id = $1 AND organizacion_id = $2`,
+      [Number(body.orden_compra_id) || 0, org]
+    );
+    const orden = o.rows[0];
+    if (!orden) throw billError(404, "orden_compra_not_found");
+    if (orden.estado === "cancelada") throw billError(409, "orden_compra_cancelada");
+    if (Number.isInteger(proveedorId) && proveedorId !== orden.proveedor_id) {
+      throw billError(409, "proveedor_mismatch", { orden_proveedor_id: orden.proveedor_id });
+    }
+    ordenId = orden.id;
+    if (amount == null) amount = round2(Number(orden.total));
+    if (!currency) currency = normalizeCurrency(orden.moneda);
+    body = { ...body, proveedor_id: orden.proveedor_id };
+  }
+
+  const provId = Number(body.proveedor_id);
+  if (!Number.isInteger(provId)) throw billError(400, "proveedor_id_required");
+  const p = await client.query(`SELECT id FROM proveedores WHERE id = $1 AND organizacion_id = $2`, [provId, org]);
+  if (!p.rowCount) throw billError(404, "proveedor_not_found");
+
+  let compraId = null;
+  if (body.compra_id != null) {
+    const c = await client.query(`SELECT id FROM compras WHERE id = $1 AND organizacion_id = $2`, [Number(body.compra_id) || 0, org]);
+    if (!c.rowCount) throw billError(404, "compra_not_found");
+    compraId = c.rows[0].id;
+  }
+
+  if (!Number.isFinite(amount) || amount <= 0) throw billError(400, "amount_total_invalid");
+  if (!currency) currency = await getBaseCurrency(org);
+
+  const issueDate = body.issue_date || new Date().toISOString().slice(0, 10);
+  if (!DATE_RE.test(issueDate)) throw billError(400, "issue_date_invalid");
+  let dueDate = body.due_date || null;
+  if (!dueDate) {
+    const days = body.due_days == null ? 30 : Number(body.due_days);
+    if (!Number.isInteger(days) || days < 0) throw billError(400, "due_days_invalid");
+    const d = new Date(`${issueDate}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    dueDate = d.toISOString().slice(0, 10);
+  }
+  if (!DATE_RE.test(dueDate)) throw billError(400, "due_date_invalid");
+  if (dueDate < issueDate) throw billError(400, "due_date_before_issue_date");
+
+  const r = await client.query(
+    `INSERT INTO public.supplier_bills
+       (organizacion_id, proveedor_id, compra_id, orden_compra_id, number, issue_date, due_date,
+        currency, amount_total, notes, usuario_email)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+     RETURNING *`,
+    [org, provId, compraId, ordenId, String(body.number ?? "").trim() || null, issueDate, dueDate,
+     currency, amount, body.notes || null, actor]
+  );
+  return r.rows[0];
+}
+
+/** Pago a proveedor; amount por defecto = saldo. No se paga de mas ni una factura anulada. */
+export async function recordBillPayment(client, { org, billId, body = {}, actor = null }) {
+  const bill = await lockBill(client, org, billId);
+  if (bill.status === "void") throw billError(409, "bill_void");
+  const balance = billBalance(bill);
+  if (balance <= 0) throw billError(409, "bill_already_paid");
+  const amount = body.amount == null ? balance : round2(Number(body.amount));
+  if (!Number.isFinite(amount) || amount <= 0) throw billError(400, "amount_invalid");
+  if (amount > balance) throw billError(409, "amount_exceeds_balance", { balance });
+
+  const paidAt = body.paid_at || body.date || new Date().toISOString().slice(0, 10);
+  if (isNaN(new Date(paidAt).getTime())) throw billError(400, "paid_at_invalid");
+  const method = String(body.method || body.medio_pago || "otro").trim().toLowerCase();
+
+  const r = await client.query(
+    `INSERT INTO public.supplier_bill_payments
+       (bill_id, organizacion_id, paid_at, amount, method, reference, notes, usuario_email)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+     RETURNING *`,
+    [bill.id, org, paidAt, amount, method, body.reference || body.referencia || null, body.notes || null, actor]
+  );
+  return { payment: r.rows[0], bill: await syncBillStatus(client, bill.id) };
+}
+
+export async function reverseBillPayment(client, { org, billId, paymentId, reason = null, actor = null }) {
+  const bill = await lockBill(client, org, billId);
+  const r = await client.query(
+    `UPDATE public.supplier_bill_payments
+        SET reversed_at = NOW(), reversed_by = $3, reversal_reason = $4
+      WHERE id = $1 AND bill_id = $2 AND reversed_at IS NULL
+      RETURNING *`,
+    [Number(paymentId) || 0, bill.id, actor, reason]
+  );
+  if (!r.rowCount) {
+    const ex = await client.query(
+      `SELECT reversed_at FROM public.supplier_bill_payments WHERE id = $1 AND bill_id = $2`,
+      [Number(paymentId) || 0, bill.id]
+    );
+    if (!ex.rowCount) throw billError(404, "payment_not_found");
+    throw billError(409, "payment_already_reversed");
+  }
+  return { payment: r.rows[0], bill: await syncBillStatus(client, bill.id) };
+}
+
+/** Anula con motivo; con pagos vigentes primero hay que revertirlos. */
+export async function voidSupplierBill(client, { org, billId, reason, actor = null }) {
+  const why = String(reason ?? "").trim();
+  if (!why) throw billError(400, "reason_required");
+  const bill = await lockBill(client, org, billId);
+  if (bill.status === "void") throw billError(409, "bill_already_void");
+  if (Number(bill.amount_paid) > 0) throw billError(409, "bill_has_payments");
+  const r = await client.query(
+    `UPDATE public.supplier_bills
+        SET status = 'void', voided_at = NOW(), voided_by = $2, void_reason = $3
+      WHERE id = $1
+      RETURNING *`,
+    [bill.id, actor, why]
+  );
+  return r.rows[0];
+}
+
+/* ---------------------------- aging ---------------------------- */
+export const AP_AMOUNTS = [
+  "ap_total", "overdue_amount", "due_next_7",
+  "bucket_current", "bucket_1_30", "bucket_31_60", "bucket_61_90", "bucket_90p",
+];
+
+export function emptyAp(currency = null) {
+  return {
+    total: 0,
+    overdue: { count: 0, amount: 0 },
+    due_next_7: 0,
+    aging: { current: 0, d1_30: 0, d31_60: 0, d61_90: 0, d90p: 0 },
+    source: "none",
+    currency,
+    fx: null,
+  };
+}
+
+/** Bloque `ap` de KPIs/dashboard, convertido a la moneda base con `fx` (utils/fx.loadFx). */
+export async function apSnapshot(db, { org, fx }) {
+  const ap = emptyAp(fx.base);
+  if (!(await hasTable("v_ap_aging"))) return ap;
+  const r = await db.query(`SELECT * FROM v_ap_aging WHERE organizacion_id = $1`, [String(org)]);
+  const { totals: v, fx: used } = convertByCurrency(
+    r.rows || [],
+    { amounts: AP_AMOUNTS, counts: ["overdue_count"] },
+    fx
+  );
+  return {
+    ...ap,
+    total: v.ap_total,
+    overdue: { count: v.overdue_count, amount: v.overdue_amount },
+    due_next_7: v.due_next_7,
+    aging: {
+      current: v.bucket_current,
+      d1_30: v.bucket_1_30,
+      d31_60: v.bucket_31_60,
+      d61_90: v.bucket_61_90,
+      d90p: v.bucket_90p,
+    },
+    source: "v_ap_aging",
+    fx: used,
+  };
+}
@@ -0,0 +1,383 @@
+// services/pdf.service.js — PDFs de facturas, presupuestos y reportes de caja (pdfkit)
+// Marca y vocabulario salen de org_profiles (resolveProfile); se guardan en UPLOAD_DIR/docs/<org>/.
+import fsp from "node:fs/promises";
+import path from "node:path";
+import PDFDocument from "pdfkit";
+import { UPLOAD_DIR } from "../utils/uploads.js";
+
+const DEFAULT_COLOR = "#1f2937";
+const MUTED = "#6b7280";
+
+function money(v, currency) {
+  const n = Number(v) || 0;
+  try {
+    return new Intl.NumberFormat("es-AR", { style: "currency", currency: currency || "USD" }).format(n);
+  } catch {
+    return `${currency || ""} ${n.toFixed(2)}`.trim();
+  }
+}
+
+function fmtDate(v) {
+  if (!v) return "";
+  const d = v instanceof Date ? v : new Date(v);
+  return isNaN(d.getTime()) ? String(v) : d.toLocaleDateString("es-AR");
+}
+
+const qty = (v) => String(Number(Number(v || 0).toFixed(3)));
+
+/* ---------------------------- layout ---------------------------- */
+function header(doc, { branding, title, number, color }) {
+  const top = doc.y;
+  doc.fillColor(color).fontSize(18).font("Helvetica-Bold").text(branding.name || "", 50, top, { width: 300 });
+  doc.font("Helvetica").fontSize(9).fillColor(MUTED);
+  for (const line of [branding.tax_id, branding.address, branding.email, branding.phone, branding.website]) {
+    if (line) doc.text(line, { width: 300 });
+  }
+  const left = doc.y;
+
+  doc.fillColor(color).fontSize(20).font("Helvetica-Bold").text(title.toUpperCase(), 330, top, {
+    width: 215,
+    align: "right",
+  });
+  if (number) {
+    doc.font("Helvetica").fontSize(11).fillColor(DEFAULT_COLOR).text(number, 330, doc.y, { width: 215, align: "right" });
+  }
+  doc.y = Math.max(left, doc.y) + 15;
+  doc.moveTo(50, doc.y).lineTo(545, doc.y).lineWidth(1.5).strokeColor(color).stroke();
+  doc.y += 12;
+}
+
+function partyAndMeta(doc, { clientLabel, client, meta }) {
+  const top = doc.y;
+  doc.font("Helvetica-Bold").fontSize(9).fillColor(MUTED).text(clientLabel.toUpperCase(), 50, top);
+  doc.font("Helvetica-Bold").fontSize(11).fillColor(DEFAULT_COLOR).text(client?.nombre || "-", { width: 260 });
+  doc.font("Helvetica").fontSize(9).fillColor(DEFAULT_COLOR);
+  for (const line of [client?.direccion, client?.email, client?.telefono]) {
+    if (line) doc.text(line, { width: 260 });
+  }
+  const left = doc.y;
+
+  doc.y = top;
+  for (const [label, value] of meta) {
+    if (!value) continue;
+    const y = doc.y;
+    doc.font("Helvetica").fontSize(9).fillColor(MUTED).text(label, 330, y, { width: 100 });
+    doc.font("Helvetica").fontSize(9).fillColor(DEFAULT_COLOR).text(value, 430, y, { width: 115, align: "right" });
+  }
+  doc.y = Math.max(left, doc.y) + 20;
+}
+
+const COLS = [
+  { key: "description", label: "Descripcion", x: 50, w: 225, align: "left" },
+  { key: "quantity", label: "Cant.", x: 275, w: 50, align: "right" },
+  { key: "unit_price", label: "Precio", x: 325, w: 80, align: "right" },
+  { key: "tax_rate", label: "IVA %", x: 405, w: 50, align: "right" },
+  { key: "total", label: "Total", x: 455, w: 90, align: "right" },
+];
+
+function itemsTable(doc, { items, currency, color }) {
+  const drawHead = () => {
+    const y = doc.y;
+    doc.rect(50, y - 4, 495, 18).fill(color);
+    doc.font("Helvetica-Bold").fontSize(9).fillColor("#ffffff");
+    for (const c of COLS) doc.text(c.label, c.x + 4, y, { width: c.w - 8, align: c.align });
+    doc.y = y + 20;
+  };
+  drawHead();
+
+  doc.font("Helvetica").fontSize(9).fillColor(DEFAULT_COLOR);
+  for (const it of items) {
+    const cells = {
+      description: it.description || "",
+      quantity: qty(it.quantity),
+      unit_price: money(it.unit_price, currency),
+      tax_rate: Number(it.tax_rate || 0) ? String(Number(it.tax_rate)) : "-",
+      total: money(it.amount_total ?? it.total, currency),
+    };
+    const h = Math.max(doc.heightOfString(cells.description, { width: COLS[0].w - 8 }), 11) + 8;
+    if (doc.y + h > doc.page.height - 140) {
+      doc.addPage();
+      drawHead();
+      doc.font("Helvetica").fontSize(9).fillColor(DEFAULT_COLOR);
+    }
+    const y = doc.y;
+    for (const c of COLS) doc.text(cells[c.key], c.x + 4, y, { width: c.w - 8, align: c.align });
+    doc.y = y + h;
+    doc.moveTo(50, doc.y - 3).lineTo(545, doc.y - 3).lineWidth(0.5).strokeColor("#e5e7eb").stroke();
+  }
+  doc.y += 8;
+}
+
+function totalsBlock(doc, { rows, currency, color }) {
+  for (const [label, value, strong] of rows) {
+    if (value == null) continue;
+    const y = doc.y;
+    doc.font(strong ? "Helvetica-Bold" : "Helvetica").fontSize(strong ? 11 : 9);
+    doc.fillColor(strong ? color : MUTED).text(label, 330, y, { width: 110 });
+    doc.fillColor(DEFAULT_COLOR).text(money(value, currency), 440, y, { width: 105, align: "right" });
+    doc.y = y + (strong ? 16 : 13);
+  }
+}
+
+function footer(doc, { notes, branding }) {
+  if (notes) {
+    doc.y += 15;
+    doc.font("Helvetica-Bold").fontSize(9).fillColor(MUTED).text("Notas", 50);
+    doc.font("Helvetica").fontSize(9).fillColor(DEFAULT_COLOR).text(notes, { width: 495 });
+  }
+  if (branding.footer) {
+    doc.font("Helvetica").fontSize(8).fillColor(MUTED).text(branding.footer, 50, doc.page.height - 70, {
+      width: 495,
+      align: "center",
+    });
+  }
+}
+
+function toBuffer(draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    try {
+      draw(doc);
+      doc.end();
+    } catch (e) {
+      reject(e);
+    }
+  });
+}
+
+/* ---------------------------- documentos ---------------------------- */
+/** profile = resolveProfile(org_profiles), client = fila de clientes, items = invoice_items */
+export function renderInvoicePdf({ profile, client, invoice, items }) {
+  const branding = profile?.branding || {};
+  const vocab = profile?.vocab || {};
+  const color = branding.color || DEFAULT_COLOR;
+  const currency = invoice.currency;
+  const credited = Number(invoice.amount_credited) || 0;
+  const balance = Math.max(Number(invoice.amount_total) - Number(invoice.amount_paid) - credited, 0);
+  const settled = Number(invoice.amount_paid) || credited;
+
+  return toBuffer((doc) => {
+    doc.info.Title = `${vocab.invoice || "Factura"} ${invoice.number || ""}`.trim();
+    header(doc, {
+      branding,
+      title: vocab.invoice || "Factura",
+      number: invoice.number || "BORRADOR",
+      color,
+    });
+    partyAndMeta(doc, {
+      clientLabel: vocab.client || "Cliente",
+      client,
+      meta: [
+        ["Fecha", fmtDate(invoice.issue_date)],
+        ["Vencimiento", fmtDate(invoice.due_date)],
+        ["Moneda", currency],
+        ["Estado", invoice.status],
+        ["Anulada", invoice.voided_at ? fmtDate(invoice.voided_at) : null],
+        ["Motivo", invoice.voided_at ? invoice.void_reason : null],
+      ],
+    });
+    itemsTable(doc, { items, currency, color });
+    totalsBlock(doc, {
+      currency,
+      color,
+      rows: [
+        ["Subtotal", invoice.amount_subtotal],
+        ["Impuestos", invoice.amount_tax],
+        ["Total", invoice.amount_total, true],
+        ["Pagado", Number(invoice.amount_paid) ? invoice.amount_paid : null],
+        ["Notas de credito", credited ? credited : null],
+        ["Saldo", settled ? balance : null, true],
+      ],
+    });
+    footer(doc, { notes: invoice.notes, branding });
+  });
+}
+
+/** Presupuesto de un proyecto: una linea con el estimate (nombre/descripcion + monto). */
+export function renderEstimatePdf({ profile, client, proyecto }) {
+  const branding = profile?.branding || {};
+  const vocab = profile?.vocab || {};
+  const color = branding.color || DEFAULT_COLOR;
+  const currency = proyecto.estimate_currency || "USD";
+  const amount = Number(proyecto.estimate_amount) || 0;
+  const items = [
+    {
+      description: [proyecto.nombre, proyecto.descripcion].filter(Boolean).join("\n"),
+      quantity: 1,
+      unit_price: amount,
+      tax_rate: 0,
+      total: amount,
+    },
+  ];
+
+  return toBuffer((doc) => {
+    doc.info.Title = `${vocab.estimate || "Presupuesto"} #${proyecto.id}`;
+    header(doc, { branding, title: vocab.estimate || "Presupuesto", number: `#${proyecto.id}`, color });
+    partyAndMeta(doc, {
+      clientLabel: vocab.client || "Cliente",
+      client: client || { nombre: proyecto.contacto_nombre },
+      meta: [
+        ["Fecha", fmtDate(new Date())],
+        ["Cierre estimado", fmtDate(proyecto.fecha_cierre_estimada)],
+        ["Moneda", currency],
+      ],
+    });
+    itemsTable(doc, { items, currency, color });
+    totalsBlock(doc, { currency, color, rows: [["Total", amount, true]] });
+    footer(doc, { notes: null, branding });
+  });
+}
+
+// Tabla chica sin encabezado de color (reporte de caja): cols = [{ label, w, align }]
+function plainTable(doc, { title, cols, rows, color }) {
+  if (!rows.length) return;
+  if (doc.y > doc.page.height - 160) doc.addPage();
+  doc.font("Helvetica-Bold").fontSize(10).fillColor(color).text(title, 50, doc.y);
+  doc.y += 4;
+  const drawRow = (cells, bold) => {
+    const y = doc.y;
+    let x = 50;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8.5).fillColor(bold ? MUTED : DEFAULT_COLOR);
+    const h = Math.max(...cells.map((v, i) => doc.heightOfString(String(v ?? ""), { width: cols[i].w - 6 })), 10) + 4;
+    if (y + h > doc.page.height - 60) {
+      doc.addPage();
+      return drawRow(cells, bold);
+    }
+    cells.forEach((v, i) => {
+      doc.text(String(v ?? ""), x + 3, y, { width: cols[i].w - 6, align: cols[i].align || "left" });
+      x += cols[i].w;
+    });
+    doc.y = y + h;
+  };
+  drawRow(cols.map((c) => c.label), true);
+  for (const r of rows) drawRow(r, false);
+  doc.y += 10;
+}
+
+/** Reporte Z (caja cerrada) o X (abierta) a partir de buildCajaReporte(). */
+export function renderCajaReportePdf({ profile, reporte }) {
+  const branding = profile?.branding || {};
+  const color = branding.color || DEFAULT_COLOR;
+  const cur = reporte.moneda;
+  const c = reporte.caja;
+  const a = reporte.arqueo;
+  const fmtTs = (v) => (v ? new Date(v).toLocaleString("es-AR") : "");
+
+  return toBuffer((doc) => {
+    doc.info.Title = `Reporte ${reporte.tipo} caja ${c.id}`;
+    header(doc, { branding, title: `Reporte ${reporte.tipo}`, number: `Caja ${String(c.id).slice(0, 8)}`, color });
+    partyAndMeta(doc, {
+      clientLabel: "Cajero",
+      client: { nombre: c.cajero_email || "-" },
+      meta: [
+        ["Almacen", c.almacen_id != null ? String(c.almacen_id) : null],
+        ["Apertura", fmtTs(c.apertura_at)],
+        ["Cierre", fmtTs(c.cierre_at) || "abierta"],
+        ["Moneda", cur],
+      ],
+    });
+
+    const t = reporte.totales;
+    totalsBlock(doc, {
+      currency: cur,
+      color,
+      rows: [
+        ["Apertura", c.apertura_monto],
+        [`Ventas brutas (${t.ventas_count})`, t.ventas_brutas],
+        ["Descuentos", t.descuentos ? -t.descuentos : null],
+        ["Ventas netas", t.ventas_netas],
+        [`Devoluciones (${t.devoluciones_count})`, t.devoluciones ? -t.devoluciones : null],
+        ["Neto del turno", t.neto, true],
+      ],
+    });
+    doc.y += 10;
+
+    const w = [{ w: 135 }, { w: 90, align: "right" }, { w: 90, align: "right" }, { w: 90, align: "right" }, { w: 90, align: "right" }];
+    plainTable(doc, {
+      title: "Totales por medio de pago",
+      color,
+      cols: ["Medio", "Cobros", "Facturas", "Esperado", "Contado"].map((label, i) => ({ label, ...w[i] })),
+      rows: reporte.por_medio.map((m) => [
+        m.medio,
+        money(m.cobros, cur),
+        money(m.facturas, cur),
+        money(m.esperado, cur),
+        m.contado == null ? "-" : money(m.contado, cur),
+      ]),
+    });
+
+    plainTable(doc, {
+      title: "Movimientos de caja",
+      color,
+      cols: [
+        { label: "Hora", w: 95 },
+        { label: "Tipo", w: 70 },
+        { label: "Motivo", w: 240 },
+        { label: "Monto", w: 90, align: "right" },
+      ],
+      rows: reporte.movimientos
+        .filter((m) => !m.anulado_at)
+        .map((m) => [fmtTs(m.created_at), m.tipo, m.motivo || "", money(m.sentido === "salida" ? -m.monto : m.monto, cur)]),
+    });
+
+    plainTable(doc, {
+      title: "Arqueo",
+      color,
+      cols: [
+        { label: "Denominacion", w: 165, align: "right" },
+        { label: "Cantidad", w: 165, align: "right" },
+        { label: "Subtotal", w: 165, align: "right" },
+      ],
+      rows: a.detalle.map((d) => [money(d.denominacion, cur), qty(d.cantidad), money(d.subtotal, cur)]),
+    });
+    totalsBlock(doc, {
+      currency: cur,
+      color,
+      rows: [
+        ["Efectivo contado", a.cierre_monto],
+        ["Efectivo esperado", a.esperado],
+        ["Diferencia", a.diferencia, true],
+      ],
+    });
+    doc.y += 10;
+
+    plainTable(doc, {
+      title: "Cobros",
+      color,
+      cols: [
+        { label: "Hora", w: 95 },
+        { label: "Detalle", w: 220 },
+        { label: "Pagos", w: 90 },
+        { label: "Total", w: 90, align: "right" },
+      ],
+      rows: reporte.cobros.map((cb) => [
+        fmtTs(cb.created_at),
+        [
+          cb.tipo === "devolucion" ? "DEVOLUCION" : null,
+          ...cb.items.map((it) => `${qty(it.cantidad)} x ${it.producto_nombre || it.producto_id}`),
+          cb.descuento_total ? `Descuento ${money(cb.descuento_total, cur)}` : null,
+        ].filter(Boolean).join("\n"),
+        cb.pagos.length ? cb.pagos.map((p) => p.medio).join(" + ") : cb.medio_pago || "",
+        money(cb.total, cur),
+      ]),
+    });
+
+    footer(doc, { notes: c.notas, branding });
+  });
+}
+
+/* ---------------------------- storage ---------------------------- */
+const safeSeg = (v) => String(v ?? "").replace(/[^a-zA-Z0-9._-]/g, "_").slice(0, 80) || "_";
+
+/** Guarda el PDF en UPLOAD_DIR/docs/<org>/<filename> y devuelve la ruta relativa a UPLOAD_DIR. */
+export async function storeDocument({ org, filename, buffer }) {
+  const rel = path.posix.join("docs", safeSeg(org), safeSeg(filename));
+  const abs = path.join(UPLOAD_DIR, rel);
+  await fsp.mkdir(path.dirname(abs), { recursive: true });
+  await fsp.writeFile(abs, buffer);
+  return rel;
+}
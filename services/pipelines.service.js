@@ -0,0 +1,294 @@
+// services/pipelines.service.js — pipelines configurables por org (pipelines + pipeline_stages)
+// Validacion de etapas y escrituras en transaccion. Las lecturas cacheadas viven en utils/db.js
+// (pipelinesForOrg / pipelineDefForOrg); despues de escribir hay que llamar forgetOrgPipelines.
+import { STAGE_TIPOS, STAGE_REQUISITOS } from "../utils/db.js";
+import { hasTable, tableColumns } from "../utils/schema.js";
+import { httpError } from "../utils/errors.js";
+
+const COLOR_RE = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const MAX_STAGES = 50;
+
+// lista de textos del body: "a,b" o ["a","b"] -> ["a","b"] sin vacios ni repetidos
+function textList(v) {
+  if (v == null || v === "") return [];
+  const list = (Array.isArray(v) ? v : String(v).split(",")).map((x) => String(x ?? "").trim()).filter(Boolean);
+  return [...new Set(list)];
+}
+
+export const pipelineError = httpError;
+
+/**
+ * Normaliza y valida las etapas del body. Orden: el `orden` pedido (o la posicion) y se
+ * renumera 1..n. Un pipeline necesita al menos una etapa open, una won y una lost.
+ * Reglas de entrada: requisitos (campos de STAGE_REQUISITOS), desde (etapas del mismo
+ * pipeline), requiere_motivo y motivos (lista cerrada; vacia = texto libre).
+ */
+export function normalizeStages(raw) {
+  if (!Array.isArray(raw) || !raw.length) throw pipelineError(400, "stages_requeridas");
+  if (raw.length > MAX_STAGES) throw pipelineError(400, "demasiadas_stages", { max: MAX_STAGES });
+
+  const seen = new Set();
+  const stages = raw.map((s, index) => {
+    const nombre = String(s?.nombre ?? s?.name ?? "").trim();
+    if (!nombre) throw pipelineError(400, "stage_nombre_requerido", { index });
+    if (nombre.length > 80) throw pipelineError(400, "stage_nombre_largo", { index });
+    const key = nombre.toLowerCase();
+    if (seen.has(key)) throw pipelineError(400, "stage_duplicada", { index, nombre });
+    seen.add(key);
+
+    const tipo = String(s?.tipo ?? s?.type ?? "open").toLowerCase();
+    if (!STAGE_TIPOS.includes(tipo)) throw pipelineError(400, "stage_tipo_invalido", { index, tipos: STAGE_TIPOS });
+
+    const probRaw = s?.probabilidad ?? s?.probability;
+    const probabilidad = probRaw == null || probRaw === "" ? (tipo === "won" ? 100 : 0) : Number(probRaw);
+    if (!Number.isFinite(probabilidad) || probabilidad < 0 || probabilidad > 100) {
+      throw pipelineError(400, "stage_probabilidad_invalida", { index });
+    }
+
+    const color = s?.color == null || s.color === "" ? null : String(s.color).trim();
+    if (color !== null && !COLOR_RE.test(color)) throw pipelineError(400, "stage_color_invalido", { index });
+
+    const slaRaw = s?.sla_dias ?? s?.sla_days;
+    const sla_dias = slaRaw == null || slaRaw === "" ? null : Number(slaRaw);
+    if (sla_dias !== null && (!Number.isInteger(sla_dias) || sla_dias <= 0)) {
+      throw pipelineError(400, "stage_sla_invalido", { index });
+    }
+
+    const requisitos = textList(s?.requisitos ?? s?.required_fields);
+    const invalidos = requisitos.filter((f) => !STAGE_REQUISITOS.includes(f));
+    if (invalidos.length) {
+      throw pipelineError(400, "stage_requisito_invalido", { index, campos: invalidos, permitidos: STAGE_REQUISITOS });
+    }
+    const motivos = textList(s?.motivos ?? s?.lost_reasons);
+    const requiere_motivo = !!(s?.requiere_motivo ?? s?.requires_reason) || motivos.length > 0;
+
+    const id = s?.id == null || s.id === "" ? null : Number(s.id);
+    const orden = Number.isFinite(Number(s?.orden)) && s?.orden !== "" && s?.orden != null ? Number(s.orden) : index + 1;
+    return {
+      id: Number.isInteger(id) ? id : null,
+      nombre,
+      tipo,
+      probabilidad,
+      color,
+      sla_dias,
+      requisitos,
+      desde: textList(s?.desde ?? s?.allowed_from),
+      requiere_motivo,
+      motivos,
+      orden,
+      index,
+    };
+  });
+
+  // `desde` se guarda con el nombre exacto de la etapa
+  const porNombre = new Map(stages.map((s) => [s.nombre.toLowerCase(), s.nombre]));
+  for (const [index, s] of stages.entries()) {
+    const desconocidas = s.desde.filter((n) => !porNombre.has(n.toLowerCase()));
+    if (desconocidas.length) throw pipelineError(400, "stage_desde_invalido", { index, stages: desconocidas });
+    s.desde = s.desde.map((n) => porNombre.get(n.toLowerCase()));
+  }
+
+  for (const tipo of STAGE_TIPOS) {
+    if (!stages.some((s) => s.tipo === tipo)) throw pipelineError(400, "pipeline_sin_stage_" + tipo);
+  }
+
+  return stages
+    .sort((a, b) => a.orden - b.orden || a.index - b.index)
+    .map(({ index, ...s }, i) => ({ ...s, orden: i + 1 }));
+}
+
+// Proyectos que usan el pipeline: los asignados y, si es el default, los que no tienen pipeline_id
+const PROYECTOS_DEL_PIPELINE = `p.organizacion_id::text = $1::text
+  AND (p.pipeline_id = $2 OR (p.pipeline_id IS NULL AND $3::boolean))`;
+
+export async function loadPipeline(db, { org, id, forUpdate = false }) {
+  const r = await db.query(
+    `SELECT * FROM pipelines WHERE id = $1 AND organizacion_id = $2 ${forUpdate ? "FOR UPDATE" : ""}`,
+    [Number(id) || 0, org]
+  );
+  if (!r.rowCount) throw pipelineError(404, "pipeline_no_encontrado");
+  const stages = await db.query(
+    `SELECT * FROM pipeline_stages WHERE pipeline_id = $1 ORDER BY orden, id`,
+    [r.rows[0].id]
+  );
+  return { ...r.rows[0], stages: stages.rows || [] };
+}
+
+/** Conteo de proyectos por etapa del pipeline: Map<nombre, n>. */
+export async function proyectosPorStage(db, { org, pipeline }) {
+  const r = await db.query(
+    `SELECT p.stage, COUNT(*)::int AS n FROM proyectos p
+      WHERE ${PROYECTOS_DEL_PIPELINE}
+      GROUP BY p.stage`,
+    [org, pipeline.id, !!pipeline.es_default]
+  );
+  return new Map((r.rows || []).map((x) => [x.stage, x.n]));
+}
+
+// El default nuevo deja de cubrir a los proyectos sin pipeline_id: quedan fijados al anterior
+async function marcarDefault(db, { org, id }) {
+  const prev = await db.query(
+    `SELECT id FROM pipelines WHERE organizacion_id = $1 AND es_default AND id <> $2`,
+    [org, id]
+  );
+  if (prev.rowCount) {
+    await db.query(
+      `UPDATE proyectos SET pipeline_id = $2 WHERE organizacion_id::text = $1::text AND pipeline_id IS NULL`,
+      [org, prev.rows[0].id]
+    );
+    await db.query(`UPDATE pipelines SET es_default = FALSE WHERE id = $1`, [prev.rows[0].id]);
+  }
+  await db.query(`UPDATE pipelines SET es_default = TRUE WHERE id = $1`, [id]);
+}
+
+const RULE_COLS = ["requisitos", "desde", "requiere_motivo", "motivos"];
+
+// columnas de reglas solo si la migracion stage_rules esta aplicada
+async function ruleCols() {
+  const cols = await tableColumns("pipeline_stages");
+  return RULE_COLS.filter((c) => cols.has(c));
+}
+
+async function insertStages(db, pipelineId, stages) {
+  const extra = await ruleCols();
+  for (const s of stages) {
+    const fields = ["pipeline_id", "nombre", "orden", "probabilidad", "tipo", "color", "sla_dias", ...extra];
+    const values = [pipelineId, s.nombre, s.orden, s.probabilidad, s.tipo, s.color, s.sla_dias, ...extra.map((c) => s[c])];
+    await db.query(
+      `INSERT INTO pipeline_stages (${fields.join(", ")}) VALUES (${fields.map((_, i) => `$${i + 1}`).join(",")})`,
+      values
+    );
+  }
+}
+
+/** Alta. El primer pipeline de la org queda como default aunque no se pida. */
+export async function createPipeline(db, { org, nombre, stages, esDefault = false }) {
+  const count = await db.query(`SELECT COUNT(*)::int AS n FROM pipelines WHERE organizacion_id = $1`, [org]);
+  const r = await db.query(
+    `INSERT INTO pipelines (organizacion_id, nombre) VALUES ($1, $2) RETURNING id`,
+    [org, nombre]
+  );
+  const id = r.rows[0].id;
+  await insertStages(db, id, stages);
+  if (esDefault || !count.rows[0].n) await marcarDefault(db, { org, id });
+  return loadPipeline(db, { org, id });
+}
+
+/**
+ * Modificacion. Con `stages` reemplaza la lista: las que traen id se actualizan (un cambio de
+ * nombre se propaga a los proyectos), las nuevas se insertan y las que faltan se borran; borrar
+ * una etapa con proyectos es 409.
+ */
+export async function updatePipeline(db, { org, id, nombre, activo, esDefault, stages }) {
+  const actual = await loadPipeline(db, { org, id, forUpdate: true });
+
+  if (nombre !== undefined) await db.query(`UPDATE pipelines SET nombre = $1 WHERE id = $2`, [nombre, actual.id]);
+  if (activo !== undefined) await db.query(`UPDATE pipelines SET activo = $1 WHERE id = $2`, [activo, actual.id]);
+
+  if (stages) {
+    const porId = new Map(actual.stages.map((s) => [s.id, s]));
+    for (const s of stages) {
+      if (s.id != null && !porId.has(s.id)) throw pipelineError(400, "stage_id_invalido", { id: s.id });
+    }
+    const quedan = new Set(stages.map((s) => s.id).filter((x) => x != null));
+    const borradas = actual.stages.filter((s) => !quedan.has(s.id));
+
+    if (borradas.length) {
+      const enUso = await proyectosPorStage(db, { org, pipeline: actual });
+      const conProyectos = borradas
+        .filter((s) => enUso.get(s.nombre))
+        .map((s) => ({ nombre: s.nombre, proyectos: enUso.get(s.nombre) }));
+      if (conProyectos.length) throw pipelineError(409, "stage_en_uso", { stages: conProyectos });
+      await db.query(`DELETE FROM pipeline_stages WHERE id = ANY($1::int[])`, [borradas.map((s) => s.id)]);
+    }
+
+    // dos pasadas: nombres temporales primero para permitir intercambios sin chocar el indice unico
+    const existentes = stages.filter((s) => s.id != null);
+    for (const s of existentes) {
+      await db.query(`UPDATE pipeline_stages SET nombre = $1 WHERE id = $2`, [`__tmp_${s.id}`, s.id]);
+    }
+    const extra = await ruleCols();
+    for (const s of existentes) {
+      const sets = ["nombre", "orden", "probabilidad", "tipo", "color", "sla_dias", ...extra];
+      await db.query(
+        `UPDATE pipeline_stages SET ${sets.map((c, i) => `${c} = $${i + 1}`).join(", ")}
+          WHERE id = $${sets.length + 1}`,
+        [...sets.map((c) => s[c]), s.id]
+      );
+    }
+    // renombres en un solo UPDATE (un intercambio A<->B no se pisa)
+    const renombres = existentes.filter((s) => porId.get(s.id).nombre !== s.nombre);
+    if (renombres.length) {
+      const renameParams = [
+        org,
+        actual.id,
+        !!actual.es_default,
+        renombres.map((s) => porId.get(s.id).nombre),
+        renombres.map((s) => s.nombre),
+      ];
+      // el trigger de historial ignora este UPDATE; el historial se renombra abajo
+      await db.query(`SELECT set_config('vex.stage_rename', 'on', true)`);
+      await db.query(
+        `UPDATE proyectos p SET stage = m.nuevo, categoria = m.nuevo
+           FROM unnest($4::text[], $5::text[]) AS m(viejo, nuevo)
+          WHERE ${PROYECTOS_DEL_PIPELINE} AND p.stage = m.viejo`,
+        renameParams
+      );
+      await db.query(`SELECT set_config('vex.stage_rename', 'off', true)`);
+      if (await hasTable("proyecto_stage_history")) {
+        for (const col of ["from_stage", "to_stage"]) {
+          await db.query(
+            `UPDATE proyecto_stage_history h SET ${col} = m.nuevo
+               FROM unnest($4::text[], $5::text[]) AS m(viejo, nuevo), proyectos p
+              WHERE p.id = h.proyecto_id AND ${PROYECTOS_DEL_PIPELINE} AND h.${col} = m.viejo`,
+            renameParams
+          );
+        }
+      }
+    }
+    await insertStages(db, actual.id, stages.filter((s) => s.id == null));
+  }
+
+  if (esDefault === true && !actual.es_default) await marcarDefault(db, { org, id: actual.id });
+  // el default se cambia marcando otro; desmarcarlo dejaria a la org sin default
+  if (esDefault === false && actual.es_default) throw pipelineError(400, "pipeline_default_requerido");
+  return loadPipeline(db, { org, id: actual.id });
+}
+
+/** Baja: 409 si hay proyectos en el pipeline (incluye los sin pipeline_id si es el default). */
+export async function deletePipeline(db, { org, id }) {
+  const actual = await loadPipeline(db, { org, id, forUpdate: true });
+  const enUso = await proyectosPorStage(db, { org, pipeline: actual });
+  const total = [...enUso.values()].reduce((a, b) => a + b, 0);
+  if (total) throw pipelineError(409, "pipeline_en_uso", { proyectos: total });
+  await db.query(`DELETE FROM pipelines WHERE id = $1`, [actual.id]);
+  return { ok: true };
+}
+
+/* ---------------------------- reglas de entrada ---------------------------- */
+const vacio = (v) => v == null || (typeof v === "string" && !v.trim());
+
+/**
+ * Violaciones al entrar a `to` desde `from` (misma etapa = sin reglas). `values` es el proyecto
+ * con los cambios del request ya aplicados y `lost_reason` si vino. `alta` = proyecto nuevo fuera
+ * de la primera etapa del pipeline: viene "de ninguna etapa" y una etapa con `desde` lo rechaza.
+ * Devuelve [] si se puede mover.
+ */
+export function stageViolations(stage, { from = null, values = {}, alta = false } = {}) {
+  if (!stage || (from != null && from === stage.nombre)) return [];
+  const out = [];
+  for (const field of stage.requisitos || []) {
+    if (vacio(values[field])) out.push({ rule: "required_field", field });
+  }
+  if ((from != null || alta) && stage.desde?.length && !stage.desde.includes(from)) {
+    out.push({ rule: "allowed_from", from, allowed: stage.desde });
+  }
+  if (stage.requiere_motivo) {
+    const reason = String(values.lost_reason ?? "").trim();
+    if (!reason) out.push({ rule: "lost_reason", field: "lost_reason", ...(stage.motivos?.length ? { options: stage.motivos } : {}) });
+    else if (stage.motivos?.length && !stage.motivos.includes(reason)) {
+      out.push({ rule: "lost_reason", field: "lost_reason", invalid: reason, options: stage.motivos });
+    }
+  }
+  return out;
+}
@@ -0,0 +1,112 @@
+// services/pricing.service.js — listas de precios, promociones y reglas por producto (POST /cobros)
+// El precio lo decide el servidor: lista de la categoria del cliente > lista general > precio de stock.
+// Sobre ese precio se aplica a lo sumo una promocion por linea; el descuento manual va aparte.
+import { hasTable } from "../utils/schema.js";
+import { round2 } from "../utils/money.js";
+
+export const PROMO_TIPOS = ["porcentaje", "fijo"];
+
+/**
+ * Carga lo vigente para un cobro: categoria del cliente, precios de lista de los productos
+ * pedidos y promociones activas a `fecha` (YYYY-MM-DD, default hoy). null sin la migracion.
+ */
+export async function loadPricingContext(db, { org, clienteId = null, productoIds = [], fecha = null }) {
+  if (!(await hasTable("listas_precios"))) return null;
+
+  let categoria = null;
+  if (clienteId != null) {
+    const r = await db.query(
+      `SELECT categoria FROM clientes WHERE id = $1 AND organizacion_id = $2 LIMIT 1`,
+      [clienteId, org]
+    );
+    categoria = String(r.rows?.[0]?.categoria || "").trim() || null;
+  }
+  const ids = [...new Set(productoIds.filter((x) => Number.isInteger(x)))];
+
+  // la lista de la categoria le gana a la general; despues prioridad
+  const precios = new Map();
+  if (ids.length) {
+    const r = await db.query(
+      `SELECT li.producto_id, li.precio, l.id AS lista_id, l.nombre, l.categoria_cliente
+         FROM lista_precio_items li
+         JOIN listas_precios l ON l.id = li.lista_id
+        WHERE l.organizacion_id = $1 AND l.activa
+          AND (l.categoria_cliente IS NULL OR lower(l.categoria_cliente) = lower($2))
+          AND li.producto_id = ANY($3::int[])
+        ORDER BY (l.categoria_cliente IS NULL), l.prioridad DESC, l.id`,
+      [org, categoria, ids]
+    );
+    for (const row of r.rows || []) {
+      if (!precios.has(row.producto_id)) precios.set(row.producto_id, row);
+    }
+  }
+
+  const promociones = (await db.query(
+    `SELECT id, nombre, tipo, valor, producto_ids, categoria_cliente, cantidad_minima, prioridad
+       FROM promociones
+      WHERE organizacion_id = $1 AND activa
+        AND (desde IS NULL OR desde <= COALESCE($2::date, CURRENT_DATE))
+        AND (hasta IS NULL OR hasta >= COALESCE($2::date, CURRENT_DATE))
+        AND (categoria_cliente IS NULL OR lower(categoria_cliente) = lower($3))
+      ORDER BY prioridad DESC, id`,
+    [org, fecha, categoria]
+  )).rows;
+
+  return { categoria, precios, promociones };
+}
+
+/** Precio de lista del producto en el contexto, o null si ninguna lista lo tiene. */
+export function precioDeLista(ctx, productoId) {
+  return ctx?.precios.get(productoId) || null;
+}
+
+function descuentoPromo(promo, { cantidad, bruto }) {
+  const valor = Number(promo.valor);
+  const d = promo.tipo === "porcentaje" ? (bruto * valor) / 100 : valor * cantidad;
+  return round2(Math.min(d, bruto));
+}
+
+/**
+ * Elige la promocion de la linea: la de mayor prioridad y, a igual prioridad, la que mas
+ * descuenta. Las que nombran productos solo aplican a esos; sin producto_ids, a todos.
+ */
+export function mejorPromocion(ctx, { producto_id, cantidad, bruto }) {
+  let best = null;
+  for (const p of ctx?.promociones || []) {
+    if (Array.isArray(p.producto_ids) && p.producto_ids.length && !p.producto_ids.map(Number).includes(producto_id)) continue;
+    if (cantidad < Number(p.cantidad_minima || 1)) continue;
+    const descuento = descuentoPromo(p, { cantidad, bruto });
+    if (descuento <= 0) continue;
+    if (!best || p.prioridad > best.promo.prioridad || (p.prioridad === best.promo.prioridad && descuento > best.descuento)) {
+      best = { promo: p, descuento };
+    }
+  }
+  return best;
+}
+
+/**
+ * Precio final de una linea ya validada contra stock. `precioBase` es el precio conocido
+ * sin lista (el de stock o el que mando el cliente). Devuelve lo que se guarda en cobro_items.
+ */
+export function priceLine(ctx, { producto_id, cantidad, precioBase }) {
+  const lista = precioDeLista(ctx, producto_id);
+  const precio_unitario = lista ? Number(lista.precio) : Number.isFinite(precioBase) ? precioBase : 0;
+  const bruto = round2(cantidad * precio_unitario);
+  const promo = mejorPromocion(ctx, { producto_id, cantidad, bruto });
+
+  const regla = {
+    lista: lista ? { id: lista.lista_id, nombre: lista.nombre, categoria_cliente: lista.categoria_cliente } : null,
+    promocion: promo
+      ? { id: promo.promo.id, nombre: promo.promo.nombre, tipo: promo.promo.tipo, valor: Number(promo.promo.valor) }
+      : null,
+  };
+  return {
+    precio_lista: lista ? precio_unitario : null,
+    precio_unitario,
+    subtotal: bruto,
+    descuento: promo ? promo.descuento : 0,
+    lista_id: lista ? lista.lista_id : null,
+    promocion_id: promo ? promo.promo.id : null,
+    regla,
+  };
+}
@@ -0,0 +1,196 @@
+// services/recurring.service.js — plantillas de facturas recurrentes
+// Las usa routes/billing.js (/billing/recurring) y el cron startRecurringInvoices() de index.js.
+// Fechas como "YYYY-MM-DD" (UTC) para no depender del TZ del proceso.
+import { createInvoice, normalizeInvoiceItems, invoiceError } from "./invoices.service.js";
+
+export const RECURRING_UNITS = ["week", "month", "year"];
+// tope de periodos atrasados que se generan por plantilla en una corrida
+const MAX_CATCHUP = 12;
+
+// columnas DATE como texto: pg las devuelve como Date en hora local
+export const RECURRING_COLUMNS = `
+  id, organizacion_id, client_id, name, currency, items, notes, interval_unit, interval_count,
+  day_of_month, to_char(start_date,'YYYY-MM-DD') AS start_date, to_char(end_date,'YYYY-MM-DD') AS end_date,
+  to_char(next_run_date,'YYYY-MM-DD') AS next_run_date, due_days, auto_send, active, runs_count,
+  last_run_at, last_invoice_id, created_by, created_at, updated_at`;
+
+/* ---------------------------- fechas ---------------------------- */
+function parseYmd(v) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(v ?? "").slice(0, 10));
+  if (!m) return null;
+  const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  return d.getUTCDate() === +m[3] ? d : null;
+}
+
+const ymd = (d) => d.toISOString().slice(0, 10);
+
+const addDays = (v, n) => ymd(new Date(parseYmd(v).getTime() + n * 86400000));
+
+// suma meses y clava el dia en `dom` (31 en febrero => ultimo dia del mes)
+function addMonthsClamped(d, months, dom) {
+  const y = d.getUTCFullYear();
+  const m = d.getUTCMonth() + months;
+  const last = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m, Math.min(dom, last)));
+}
+
+/** Primer periodo: start_date, o el primer day_of_month >= start_date. */
+export function firstRunDate(tpl) {
+  const s = parseYmd(tpl.start_date);
+  if (tpl.interval_unit === "week" || !tpl.day_of_month) return ymd(s);
+  const cand = addMonthsClamped(s, 0, tpl.day_of_month);
+  return ymd(cand >= s ? cand : addMonthsClamped(s, 1, tpl.day_of_month));
+}
+
+/** Periodo siguiente a `from` segun interval_unit/interval_count/day_of_month. */
+export function advanceRunDate(tpl, from) {
+  const d = parseYmd(from);
+  const count = Number(tpl.interval_count) || 1;
+  if (tpl.interval_unit === "week") return addDays(from, 7 * count);
+  const months = tpl.interval_unit === "year" ? 12 * count : count;
+  const dom = tpl.day_of_month || parseYmd(tpl.start_date)?.getUTCDate() || d.getUTCDate();
+  return ymd(addMonthsClamped(d, months, dom));
+}
+
+/* ---------------------------- plantilla ---------------------------- */
+function intIn(v, min, max, code) {
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < min || n > max) throw invoiceError(400, code);
+  return n;
+}
+
+function dateOrNull(v, code) {
+  if (v == null || v === "") return null;
+  const d = parseYmd(v);
+  if (!d) throw invoiceError(400, code);
+  return ymd(d);
+}
+
+/**
+ * Valida el body contra la plantilla previa (PATCH) o contra defaults (alta).
+ * Las lineas se guardan ya normalizadas; importes se recalculan al generar.
+ */
+export function normalizeRecurring(body = {}, prev = null) {
+  const has = (k) => k in body;
+  const out = {};
+
+  if (!prev || has("client_id")) {
+    const n = Number(body.client_id);
+    if (!Number.isInteger(n) || n <= 0) throw invoiceError(400, "client_id_required");
+    out.client_id = n;
+  }
+  const lines = normalizeInvoiceItems(body);
+  if (lines) {
+    out.items = lines.map(({ description, producto_id, quantity, unit_price, tax_rate }) => ({
+      description,
+      producto_id,
+      quantity,
+      unit_price,
+      tax_rate,
+    }));
+  } else if (!prev) {
+    throw invoiceError(400, "items_required");
+  }
+  if (!prev || has("name")) out.name = body.name ? String(body.name).trim() : null;
+  if (!prev || has("currency")) out.currency = body.currency || "USD";
+  if (!prev || has("notes")) out.notes = body.notes || null;
+
+  if (!prev || has("interval") || has("interval_unit")) {
+    const unit = String(body.interval_unit ?? body.interval ?? "month").toLowerCase();
+    if (!RECURRING_UNITS.includes(unit)) throw invoiceError(400, "interval_invalid");
+    out.interval_unit = unit;
+  }
+  if (!prev || has("interval_count")) {
+    out.interval_count = intIn(body.interval_count ?? 1, 1, 36, "interval_count_invalid");
+  }
+  if (!prev || has("day_of_month")) {
+    out.day_of_month =
+      body.day_of_month == null || body.day_of_month === ""
+        ? null
+        : intIn(body.day_of_month, 1, 31, "day_of_month_invalid");
+  }
+  if (!prev || has("start_date")) {
+    out.start_date = dateOrNull(body.start_date, "start_date_invalid");
+    if (!out.start_date) throw invoiceError(400, "start_date_required");
+  }
+  if (!prev || has("end_date")) out.end_date = dateOrNull(body.end_date, "end_date_invalid");
+  if (!prev || has("due_days")) out.due_days = intIn(body.due_days ?? 15, 0, 365, "due_days_invalid");
+  if (!prev || has("auto_send")) out.auto_send = !!body.auto_send;
+  if (has("active")) out.active = !!body.active;
+
+  const merged = { ...(prev || {}), ...out };
+  if (merged.end_date && merged.end_date < merged.start_date) throw invoiceError(400, "end_date_before_start");
+  return { fields: out, merged };
+}
+
+const SCHEDULE_KEYS = ["interval_unit", "interval_count", "day_of_month", "start_date"];
+
+/** Recalcula next_run_date si cambio la agenda, sin repetir periodos ya facturados. */
+export async function scheduleFor(db, merged, { id = null, changed = true } = {}) {
+  if (!changed) return merged.next_run_date;
+  let next = firstRunDate(merged);
+  if (id) {
+    const r = await db.query(
+      `SELECT to_char(MAX(recurring_period),'YYYY-MM-DD') AS last FROM public.invoices
+        WHERE recurring_invoice_id = $1`,
+      [id]
+    );
+    const last = r.rows?.[0]?.last;
+    while (last && next <= last) next = advanceRunDate(merged, next);
+  }
+  return next;
+}
+
+export const scheduleChanged = (fields) => SCHEDULE_KEYS.some((k) => k in fields);
+
+/* ---------------------------- generacion ---------------------------- */
+/**
+ * Genera las facturas vencidas de una plantilla (hasta MAX_CATCHUP) y avanza next_run_date.
+ * Corre dentro de la transaccion del caller con la plantilla lockeada FOR UPDATE.
+ * Devuelve las facturas creadas.
+ */
+export async function runRecurringTemplate(client, tpl, today) {
+  const created = [];
+  let period = tpl.next_run_date;
+
+  while (period <= today && (!tpl.end_date || period <= tpl.end_date) && created.length < MAX_CATCHUP) {
+    const dup = await client.query(
+      `SELECT 1 FROM public.invoices WHERE recurring_invoice_id = $1 AND recurring_period = $2`,
+      [tpl.id, period]
+    );
+    if (!dup.rowCount) {
+      const inv = await createInvoice(client, {
+        org: tpl.organizacion_id,
+        body: {
+          client_id: tpl.client_id,
+          items: tpl.items,
+          currency: tpl.currency,
+          notes: tpl.notes,
+          issue_date: period,
+          due_date: addDays(period, Number(tpl.due_days) || 0),
+          status: tpl.auto_send ? "sent" : "draft",
+        },
+      });
+      await client.query(
+        `UPDATE public.invoices SET recurring_invoice_id = $2, recurring_period = $3 WHERE id = $1`,
+        [inv.id, tpl.id, period]
+      );
+      created.push({ ...inv, recurring_invoice_id: tpl.id, recurring_period: period });
+    }
+    period = advanceRunDate(tpl, period);
+  }
+
+  const finished = !!tpl.end_date && period > tpl.end_date;
+  await client.query(
+    `UPDATE public.recurring_invoices
+        SET next_run_date = $2,
+            active = CASE WHEN $3 THEN FALSE ELSE active END,
+            runs_count = runs_count + $4,
+            last_run_at = CASE WHEN $4 > 0 THEN NOW() ELSE last_run_at END,
+            last_invoice_id = COALESCE($5, last_invoice_id),
+            updated_at = NOW()
+      WHERE id = $1`,
+    [tpl.id, period, finished, created.length, created.at(-1)?.id || null]
+  );
+  return created;
+}
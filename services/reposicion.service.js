@@ -0,0 +1,199 @@
+// services/reposicion.service.js — historial de precios por proveedor y sugerencias de compra
+// El historial sale de v_proveedor_precios (lista-compras con proveedor + ordenes de compra).
+// Las sugerencias cruzan el stock del servicio (/productos) con stock_minimos y agrupan por
+// proveedor preferido; cada grupo tiene la forma del body de POST /compras/ordenes.
+import { stockRequest } from "./stock.client.js";
+import { normalizeCurrency } from "../utils/fx.js";
+import { round2, round3 } from "../utils/money.js";
+
+// Ordenes que ya cubren faltantes: lo pendiente de recibir cuenta como "en camino"
+const OC_ABIERTAS = ["borrador", "aprobada", "enviada", "parcial"];
+const STOCK_PAGE_SIZE = 200;
+const STOCK_MAX_PAGES = 25;
+
+/** Ultimo precio de cada proveedor por producto: Map<producto_id, [{ proveedor_id, precio, ... }]>. */
+export async function ultimosPrecios(db, { org, productoIds = null, proveedorId = null }) {
+  const params = [org];
+  const where = ["v.organizacion_id = $1", "v.producto_id IS NOT NULL"];
+  if (productoIds) {
+    params.push(productoIds);
+    where.push(`v.producto_id = ANY($${params.length}::int[])`);
+  }
+  if (proveedorId) {
+    params.push(proveedorId);
+    where.push(`v.proveedor_id = $${params.length}`);
+  }
+  const r = await db.query(
+    `SELECT DISTINCT ON (v.producto_id, v.proveedor_id)
+            v.producto_id, v.proveedor_id, p.nombre AS proveedor, v.precio_unitario, v.moneda,
+            v.fecha, v.origen, v.origen_id
+       FROM v_proveedor_precios v
+       JOIN proveedores p ON p.id = v.proveedor_id
+      WHERE ${where.join(" AND ")}
+      ORDER BY v.producto_id, v.proveedor_id, v.fecha DESC, v.origen_id DESC`,
+    params
+  );
+  const out = new Map();
+  for (const row of r.rows || []) {
+    const list = out.get(row.producto_id) || [];
+    list.push({
+      proveedor_id: row.proveedor_id,
+      proveedor: row.proveedor,
+      precio: Number(row.precio_unitario),
+      moneda: normalizeCurrency(row.moneda) || row.moneda,
+      fecha: row.fecha,
+      origen: row.origen,
+      origen_id: row.origen_id,
+    });
+    out.set(row.producto_id, list);
+  }
+  return out;
+}
+
+/**
+ * Mejor ultimo precio: el menor entre los ultimos precios de cada proveedor, comparado en la
+ * moneda base con `fx` (utils/fx.loadFx). Sin cotizacion para ninguno, compara el precio tal cual.
+ */
+export function mejorPrecio(precios, fx = null) {
+  if (!precios?.length) return null;
+  const enBase = (p) => {
+    if (!fx || !p.moneda || p.moneda === fx.base) return p.precio;
+    const hit = fx.rates.get(p.moneda);
+    return hit ? p.precio * hit.rate : null;
+  };
+  const conBase = precios.map((p) => ({ ...p, precio_base: enBase(p) }));
+  const comparables = conBase.filter((p) => p.precio_base != null);
+  const pool = comparables.length ? comparables : conBase.map((p) => ({ ...p, precio_base: p.precio }));
+  const best = pool.reduce((a, b) =>
+    b.precio_base < a.precio_base || (b.precio_base === a.precio_base && new Date(b.fecha) > new Date(a.fecha)) ? b : a
+  );
+  return { ...best, precio_base: round2(best.precio_base) };
+}
+
+/** Minimos activos; el del almacen pedido gana sobre el general (almacen_id NULL). */
+export async function loadMinimos(db, { org, almacenId = null }) {
+  const r = await db.query(
+    `SELECT m.*, p.nombre AS proveedor
+       FROM stock_minimos m
+       LEFT JOIN proveedores p ON p.id = m.proveedor_id
+      WHERE m.organizacion_id = $1 AND m.activo
+        AND (m.almacen_id IS NULL OR m.almacen_id = $2)
+      ORDER BY m.producto_id, m.almacen_id NULLS LAST`,
+    [org, almacenId]
+  );
+  const out = new Map();
+  for (const row of r.rows || []) if (!out.has(row.producto_id)) out.set(row.producto_id, row);
+  return out;
+}
+
+/** Cantidad pendiente de recibir en ordenes abiertas: Map<producto_id, cantidad>. */
+export async function loadEnCamino(db, { org, almacenId = null }) {
+  const r = await db.query(
+    `SELECT oi.producto_id, SUM(oi.cantidad - oi.cantidad_recibida) AS pendiente
+       FROM orden_compra_items oi
+       JOIN ordenes_compra o ON o.id = oi.orden_id
+      WHERE o.organizacion_id = $1 AND o.estado = ANY($2::text[])
+        AND oi.producto_id IS NOT NULL
+        AND ($3::int IS NULL OR o.almacen_id IS NULL OR o.almacen_id = $3)
+      GROUP BY oi.producto_id`,
+    [org, OC_ABIERTAS, almacenId]
+  );
+  return new Map((r.rows || []).map((x) => [x.producto_id, Number(x.pendiente) || 0]));
+}
+
+/** Productos del servicio de stock, paginando hasta X-Total-Count (o una pagina incompleta). */
+export async function fetchStockProductos(req, { almacenId = null } = {}) {
+  const out = [];
+  for (let page = 1; page <= STOCK_MAX_PAGES; page++) {
+    const r = await stockRequest(req, {
+      method: "get",
+      path: "/productos",
+      params: { ...(almacenId ? { almacen_id: almacenId } : {}), page, pageSize: STOCK_PAGE_SIZE },
+    });
+    const rows = Array.isArray(r.data) ? r.data : Array.isArray(r.data?.rows) ? r.data.rows : [];
+    out.push(...rows);
+    const total = Number(r.headers?.["x-total-count"]);
+    if (rows.length < STOCK_PAGE_SIZE || (Number.isFinite(total) && out.length >= total)) break;
+  }
+  return out;
+}
+
+function stockDe(prod) {
+  const n = Number(prod?.stock ?? prod?.cantidad ?? prod?.stock_actual);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Arma las sugerencias. Un producto entra si stock + en camino <= minimo (minimo > 0); el minimo
+ * es el de stock_minimos o, si no hay, el `stock_minimo` que informe el servicio de stock.
+ * Cantidad: max(cantidad_reorden, faltante) o, sin cantidad_reorden, reponer hasta 2x minimo.
+ * Proveedor: el preferido del minimo, si no el del mejor ultimo precio; sin ninguno va a `sin_proveedor`.
+ */
+export function planSugerencias({ productos, minimos, enCamino, precios, fx = null, almacenId = null }) {
+  const grupos = new Map();
+  const sinProveedor = [];
+
+  for (const prod of productos || []) {
+    const productoId = Number(prod?.id ?? prod?.producto_id);
+    if (!Number.isInteger(productoId)) continue;
+    const stock = stockDe(prod);
+    if (stock == null) continue;
+
+    const conf = minimos.get(productoId) || null;
+    const minimo = Number(conf ? conf.stock_minimo : prod?.stock_minimo);
+    if (!Number.isFinite(minimo) || minimo <= 0) continue;
+
+    const camino = enCamino.get(productoId) || 0;
+    const disponible = round3(stock + camino);
+    if (disponible > minimo) continue;
+
+    const faltante = round3(minimo - disponible);
+    const reorden = conf?.cantidad_reorden != null ? Number(conf.cantidad_reorden) : null;
+    const cantidad = round3(reorden != null ? Math.max(reorden, faltante) : 2 * minimo - disponible);
+    if (cantidad <= 0) continue;
+
+    const ofertas = precios.get(productoId) || [];
+    const mejor = mejorPrecio(ofertas, fx);
+    const proveedorId = conf?.proveedor_id ?? mejor?.proveedor_id ?? null;
+    const ultimo = ofertas.find((p) => p.proveedor_id === proveedorId) || null;
+
+    const linea = {
+      producto_id: productoId,
+      descripcion: String(prod?.nombre ?? prod?.producto_nombre ?? `Producto ${productoId}`),
+      cantidad,
+      precio_unitario: ultimo ? round2(ultimo.precio) : 0,
+      stock,
+      en_camino: camino,
+      minimo,
+      minimo_origen: conf ? "stock_minimos" : "stock",
+      proveedor_origen: conf?.proveedor_id ? "preferido" : mejor ? "mejor_precio" : null,
+      ultimo_precio: ultimo ? { precio: ultimo.precio, moneda: ultimo.moneda, fecha: ultimo.fecha } : null,
+      mejor_precio: mejor
+        ? { proveedor_id: mejor.proveedor_id, precio: mejor.precio, moneda: mejor.moneda, fecha: mejor.fecha }
+        : null,
+    };
+
+    if (!proveedorId) {
+      sinProveedor.push(linea);
+      continue;
+    }
+    // una orden tiene una sola moneda: mismo proveedor con precios en otra moneda va aparte
+    const key = `${proveedorId}:${ultimo?.moneda || ""}`;
+    const g = grupos.get(key) || {
+      proveedor_id: proveedorId,
+      proveedor: conf?.proveedor_id === proveedorId ? conf.proveedor : mejor?.proveedor || null,
+      almacen_id: almacenId,
+      moneda: ultimo?.moneda || null,
+      items: [],
+      total: 0,
+    };
+    g.items.push(linea);
+    g.total = round2(g.total + cantidad * linea.precio_unitario);
+    grupos.set(key, g);
+  }
+
+  return {
+    ordenes: [...grupos.values()].sort((a, b) => b.total - a.total),
+    sin_proveedor: sinProveedor,
+  };
+}
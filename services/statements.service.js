@@ -0,0 +1,146 @@
+// services/statements.service.js — estado de cuenta de un cliente (GET /clientes/:id/estado-de-cuenta)
+// Junta facturas, pagos, notas de credito y cobros POS en un libro con saldo corrido por moneda.
+// Debe = lo que el cliente pasa a deber; haber = lo que cancela. Saldo > 0 => nos debe.
+import { hasTable } from "../utils/schema.js";
+import { toCsv } from "../utils/csv.js";
+import { round2 } from "../utils/money.js";
+
+// orden dentro del mismo dia: primero lo que genera deuda, despues lo que la cancela
+const MOVEMENTS_SQL = `
+  SELECT to_char(i.issue_date,'YYYY-MM-DD') AS fecha, 1 AS ord, i.created_at AS ts,
+         'factura' AS tipo, i.id::text AS documento_id, i.number AS referencia,
+         'Factura ' || COALESCE(i.number, 's/n') AS descripcion,
+         i.amount_total AS debe, 0::numeric AS haber, i.currency AS moneda
+    FROM public.invoices i
+   WHERE i.organizacion_id = $1 AND i.client_id = $2 AND i.status <> 'draft'
+  UNION ALL
+  SELECT to_char(i.voided_at::date,'YYYY-MM-DD'), 4, i.voided_at,
+         'factura_anulada', i.id::text, i.number,
+         'Anulacion factura ' || COALESCE(i.number, 's/n') || COALESCE(' - ' || i.void_reason, ''),
+         0, i.amount_total, i.currency
+    FROM public.invoices i
+   WHERE i.organizacion_id = $1 AND i.client_id = $2 AND i.status = 'void' AND i.voided_at IS NOT NULL
+  UNION ALL
+  SELECT to_char(p.paid_at,'YYYY-MM-DD'), 3, p.created_at,
+         'pago', p.id::text, p.reference,
+         'Pago factura ' || COALESCE(i.number, 's/n') || ' (' || p.method || ')',
+         0, p.amount, i.currency
+    FROM public.invoice_payments p
+    JOIN public.invoices i ON i.id = p.invoice_id
+   WHERE i.organizacion_id = $1 AND i.client_id = $2
+  UNION ALL
+  SELECT to_char(p.reversed_at::date,'YYYY-MM-DD'), 2, p.reversed_at,
+         'pago_revertido', p.id::text, p.reference,
+         'Reversa pago factura ' || COALESCE(i.number, 's/n') || COALESCE(' - ' || p.reversal_reason, ''),
+         p.amount, 0, i.currency
+    FROM public.invoice_payments p
+    JOIN public.invoices i ON i.id = p.invoice_id
+   WHERE i.organizacion_id = $1 AND i.client_id = $2 AND p.reversed_at IS NOT NULL
+  UNION ALL
+  SELECT to_char(cn.issue_date,'YYYY-MM-DD'), 3, cn.created_at,
+         'nota_credito', cn.id::text, cn.number,
+         'Nota de credito ' || COALESCE(cn.number, 's/n') || ' s/ factura ' || COALESCE(i.number, 's/n'),
+         0, cn.amount_total, cn.currency
+    FROM public.credit_notes cn
+    JOIN public.invoices i ON i.id = cn.invoice_id
+   WHERE cn.organizacion_id = $1 AND i.client_id = $2
+  UNION ALL
+  SELECT to_char(cn.voided_at::date,'YYYY-MM-DD'), 2, cn.voided_at,
+         'nota_credito_anulada', cn.id::text, cn.number,
+         'Anulacion nota de credito ' || COALESCE(cn.number, 's/n'),
+         cn.amount_total, 0, cn.currency
+    FROM public.credit_notes cn
+    JOIN public.invoices i ON i.id = cn.invoice_id
+   WHERE cn.organizacion_id = $1 AND i.client_id = $2 AND cn.status = 'void' AND cn.voided_at IS NOT NULL`;
+
+// Un cobro POS confirmado se vende y se cobra en el acto: debe = haber, no mueve el saldo
+const COBROS_SQL = `
+  UNION ALL
+  SELECT to_char(c.created_at::date,'YYYY-MM-DD'), 1, c.created_at,
+         'cobro', c.id::text, NULL,
+         'Cobro POS' || COALESCE(' (' || c.medio_pago || ')', ''),
+         c.total, c.total, c.moneda
+    FROM public.cobros c
+   WHERE c.organizacion_id = $1 AND c.cliente_id = $2 AND c.estado = 'confirmado'`;
+
+/**
+ * Arma el estado de cuenta entre `from` y `to` (YYYY-MM-DD, ambos opcionales e inclusivos).
+ * Lo anterior a `from` se resume en saldo_inicial. Una seccion por moneda, sin convertir.
+ */
+export async function buildStatement(db, { org, clienteId, from = null, to = null }) {
+  const sql = MOVEMENTS_SQL + ((await hasTable("cobros")) ? COBROS_SQL : "");
+  const r = await db.query(
+    `SELECT * FROM (${sql}) m
+      WHERE ($3::date IS NULL OR m.fecha::date <= $3::date)
+      ORDER BY m.fecha, m.ord, m.ts`,
+    [String(org), Number(clienteId), to]
+  );
+
+  const byCurrency = new Map();
+  for (const row of r.rows || []) {
+    const moneda = String(row.moneda || "").trim().toUpperCase() || "USD";
+    if (!byCurrency.has(moneda)) {
+      byCurrency.set(moneda, {
+        moneda,
+        saldo_inicial: 0,
+        movimientos: [],
+        total_debe: 0,
+        total_haber: 0,
+        saldo_final: 0,
+      });
+    }
+    const sec = byCurrency.get(moneda);
+    const debe = Number(row.debe) || 0;
+    const haber = Number(row.haber) || 0;
+
+    if (from && row.fecha < from) {
+      sec.saldo_inicial = round2(sec.saldo_inicial + debe - haber);
+      sec.saldo_final = sec.saldo_inicial;
+      continue;
+    }
+    sec.saldo_final = round2(sec.saldo_final + debe - haber);
+    sec.total_debe = round2(sec.total_debe + debe);
+    sec.total_haber = round2(sec.total_haber + haber);
+    sec.movimientos.push({
+      fecha: row.fecha,
+      tipo: row.tipo,
+      documento_id: row.documento_id,
+      referencia: row.referencia || null,
+      descripcion: row.descripcion,
+      debe: round2(debe),
+      haber: round2(haber),
+      saldo: sec.saldo_final,
+    });
+  }
+
+  return {
+    desde: from,
+    hasta: to,
+    monedas: [...byCurrency.values()].sort((a, b) => a.moneda.localeCompare(b.moneda)),
+  };
+}
+
+/* ---------------------------- CSV ---------------------------- */
+const CSV_HEADER = ["moneda", "fecha", "tipo", "referencia", "descripcion", "debe", "haber", "saldo"];
+
+/** Una fila de saldo inicial, los movimientos y una de saldo final por moneda. */
+export function statementToCsv(statement) {
+  const rows = [CSV_HEADER];
+  for (const sec of statement.monedas) {
+    rows.push([sec.moneda, statement.desde, "saldo_inicial", null, "Saldo inicial", null, null, sec.saldo_inicial.toFixed(2)]);
+    for (const m of sec.movimientos) {
+      rows.push([sec.moneda, m.fecha, m.tipo, m.referencia, m.descripcion, m.debe.toFixed(2), m.haber.toFixed(2), m.saldo.toFixed(2)]);
+    }
+    rows.push([
+      sec.moneda,
+      statement.hasta,
+      "saldo_final",
+      null,
+      "Saldo final",
+      sec.total_debe.toFixed(2),
+      sec.total_haber.toFixed(2),
+      sec.saldo_final.toFixed(2),
+    ]);
+  }
+  return toCsv(rows);
+}
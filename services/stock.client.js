@@ -1,8 +1,20 @@
 ﻿// services/stock.client.js
+// Adaptador por org: 'http' (servicio externo) o 'local' (Postgres, services/stock.local.js).
+// org_profiles.stock_adapter manda; sin valor se usa STOCK_ADAPTER (default http).
 import axios from "axios";
+import crypto from "node:crypto";
+import { q } from "../utils/db.js";
+import { getOrgText } from "../utils/org.js";
+import { tableColumns } from "../utils/schema.js";
+import { localStockRequest } from "./stock.local.js";
 
 const BASE = (process.env.STOCK_BASE_URL || "https://vex-backend-production.up.railway.app").replace(/\/+$/, "");
 const DEFAULT_TIMEOUT = Number(process.env.STOCK_TIMEOUT_MS || 8000);
+const ADAPTERS = ["http", "local"];
+const ADAPTER_TTL_MS = 60_000;
+const CACHE_TTL_MS = Number(process.env.STOCK_CACHE_TTL_MS ?? 15_000);
+const CACHE_STALE_MS = Number(process.env.STOCK_CACHE_STALE_MS ?? 300_000);
+const CACHE_MAX = 500;
 
 function extractToken(req) {
   const auth = req.headers?.authorization || req.headers?.Authorization;
@@ -17,13 +29,52 @@ function extractToken(req) {
   return null;
 }
 
+// Sin req (workers) se usa el token de servicio; con req nunca se cae al de servicio
 function buildAuthHeader(req) {
-  const token = extractToken(req);
+  const token = req ? extractToken(req) : process.env.STOCK_SERVICE_TOKEN || null;
   if (!token) return null;
   return token.startsWith("Bearer ") ? token : `Bearer ${token}`;
 }
 
-export async function stockRequest(req, { method, path, params, data, timeout } = {}) {
+export function defaultStockAdapter() {
+  const v = String(process.env.STOCK_ADAPTER || "").trim().toLowerCase();
+  return ADAPTERS.includes(v) ? v : "http";
+}
+
+const adapterCache = new Map(); // org -> { adapter, at }
+
+export async function stockAdapterFor(org) {
+  if (!org) return defaultStockAdapter();
+  const hit = adapterCache.get(org);
+  if (hit && Date.now() - hit.at < ADAPTER_TTL_MS) return hit.adapter;
+  let adapter = defaultStockAdapter();
+  try {
+    if ((await tableColumns("org_profiles")).has("stock_adapter")) {
+      const r = await q(`SELECT stock_adapter FROM org_profiles WHERE organizacion_id = $1`, [String(org)]);
+      if (ADAPTERS.includes(r.rows?.[0]?.stock_adapter)) adapter = r.rows[0].stock_adapter;
+    }
+  } catch {
+    return adapter; // no cacheamos errores de conexion
+  }
+  adapterCache.set(org, { adapter, at: Date.now() });
+  return adapter;
+}
+
+export function forgetStockAdapter(org) {
+  adapterCache.delete(org);
+  invalidateStockCache(org);
+}
+
+/**
+ * `org` es opcional: sin el se toma de req (los workers lo pasan explicito porque no tienen req).
+ * El adaptador local ignora token y timeout.
+ */
+export async function stockRequest(req, { method, path, params, data, timeout, headers, org = null } = {}) {
+  const orgId = org || getOrgText(req);
+  if ((await stockAdapterFor(orgId)) === "local") {
+    return localStockRequest({ org: orgId, method, path, params, data, headers, usuario: req?.usuario?.email || null });
+  }
+
   if (!BASE) throw new Error("STOCK_BASE_URL no configurado");
   const auth = buildAuthHeader(req);
   if (!auth) throw new Error("Token requerido para Stock");
@@ -36,13 +87,75 @@ export async function stockRequest(req, { method, path, params, data, timeout }
     data,
     timeout: Number(timeout || DEFAULT_TIMEOUT),
     headers: {
+      ...headers,
       Authorization: auth,
       Accept: "application/json",
     },
   });
+  if (String(method).toLowerCase() !== "get") invalidateStockCache(orgId);
   return response;
 }
 
+/* ---------------------------- cache de lecturas ---------------------------- */
+// key -> { at, status, data, total }. Se separa por org y por token: el servicio externo
+// filtra por el token, asi que dos usuarios no comparten respuestas.
+const readCache = new Map();
+
+function cacheKey(req, orgId, path, params) {
+  const auth = crypto.createHash("sha1").update(buildAuthHeader(req) || "").digest("hex").slice(0, 16);
+  const sorted = Object.keys(params || {})
+    .sort()
+    .map((k) => [k, params[k]]);
+  return `${orgId || ""}|${auth}|${path}|${JSON.stringify(sorted)}`;
+}
+
+export function invalidateStockCache(orgId) {
+  const prefix = `${orgId || ""}|`;
+  for (const k of readCache.keys()) if (k.startsWith(prefix)) readCache.delete(k);
+}
+
+// sin respuesta (caido/timeout), 5xx, 408 y 429: se puede servir lo cacheado
+const isOutage = (err) => {
+  const status = err?.response?.status;
+  return !status || status >= 500 || status === 408 || status === 429;
+};
+
+/**
+ * GET con cache corto (STOCK_CACHE_TTL_MS, default 15 s). Si el servicio falla por caida,
+ * devuelve la ultima respuesta hasta STOCK_CACHE_STALE_MS (default 5 min). Agrega `cache`:
+ * hit | miss | stale | bypass (adaptador local, que no pasa por la red).
+ */
+export async function stockCachedGet(req, { path, params } = {}) {
+  const orgId = getOrgText(req);
+  if ((await stockAdapterFor(orgId)) === "local" || CACHE_TTL_MS <= 0) {
+    const r = await stockRequest(req, { method: "get", path, params, org: orgId });
+    return { ...r, cache: "bypass" };
+  }
+  const key = cacheKey(req, orgId, path, params);
+  const hit = readCache.get(key);
+  const age = hit ? Date.now() - hit.at : Infinity;
+  const asResponse = (e, cache) => ({
+    status: e.status,
+    data: e.data,
+    headers: e.total != null ? { "x-total-count": e.total } : {},
+    cache,
+    age_ms: age,
+  });
+  if (hit && age < CACHE_TTL_MS) return asResponse(hit, "hit");
+
+  try {
+    const r = await stockRequest(req, { method: "get", path, params, org: orgId });
+    const total = r.headers?.["x-total-count"] ?? r.headers?.["X-Total-Count"] ?? null;
+    readCache.delete(key); // reinsertar al final: el Map queda ordenado por antiguedad
+    readCache.set(key, { at: Date.now(), status: r.status, data: r.data, total });
+    if (readCache.size > CACHE_MAX) readCache.delete(readCache.keys().next().value);
+    return { ...r, cache: "miss" };
+  } catch (err) {
+    if (hit && age < CACHE_STALE_MS && isOutage(err)) return asResponse(hit, "stale");
+    throw err;
+  }
+}
+
 export function stockBaseUrl() {
   return BASE;
 }
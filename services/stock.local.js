@@ -0,0 +1,391 @@
+// services/stock.local.js — adaptador de stock en Postgres (stock_almacenes/productos/movimientos)
+// Implementa el subconjunto del servicio externo que usa el CRM, con la misma forma de respuesta
+// que axios ({ status, data, headers }) y errores con err.response = { status, data }, asi
+// stockRequest lo elige por org sin que rutas, servicios ni workers se enteren.
+import { q, pool } from "../utils/db.js";
+import { round2, round3 } from "../utils/money.js";
+
+const T = (v) => (v == null ? null : String(v).trim() || null);
+
+function localError(status, message, extra = {}) {
+  const err = new Error(message);
+  err.response = { status, data: { message, ...extra } };
+  return err;
+}
+
+const ok = (data, status = 200, headers = {}) => ({ status, data, headers });
+
+function mapProducto(p) {
+  return {
+    id: p.id,
+    almacen_id: p.almacen_id,
+    almacen: p.almacen_nombre || undefined,
+    nombre: p.nombre,
+    codigo_qr: p.codigo_qr,
+    costo: Number(p.costo),
+    stock: Number(p.stock),
+    stock_minimo: p.stock_minimo == null ? null : Number(p.stock_minimo),
+    activo: p.activo,
+    updated_at: p.updated_at,
+  };
+}
+
+function mapMovimiento(m) {
+  return {
+    id: m.id,
+    tipo: m.tipo,
+    almacen_id: m.almacen_id,
+    items: m.items,
+    referencia: m.referencia,
+    observaciones: m.observaciones,
+    usuario_email: m.usuario_email,
+    created_at: m.created_at,
+  };
+}
+
+async function loadAlmacen(db, org, id) {
+  const r = await db.query(`SELECT * FROM stock_almacenes WHERE id = $1 AND organizacion_id = $2`, [Number(id) || 0, org]);
+  if (!r.rowCount) throw localError(404, "almacen_no_encontrado", { almacen_id: id ?? null });
+  return r.rows[0];
+}
+
+/* ---------------------------- productos ---------------------------- */
+// ?q= (nombre) &codigo= &almacen_id= &activo= &page= &pageSize= (default 50, max 500)
+async function listProductos(org, params = {}) {
+  const where = ["p.organizacion_id = $1"];
+  const values = [org];
+  const qText = T(params.q);
+  if (qText) {
+    values.push(`%${qText}%`);
+    where.push(`p.nombre ILIKE $${values.length}`);
+  }
+  const codigo = T(params.codigo ?? params.codigo_qr);
+  if (codigo) {
+    values.push(codigo);
+    where.push(`p.codigo_qr = $${values.length}`);
+  }
+  if (params.almacen_id != null && params.almacen_id !== "") {
+    values.push(Number(params.almacen_id) || 0);
+    where.push(`p.almacen_id = $${values.length}`);
+  }
+  if (params.activo != null && params.activo !== "") {
+    values.push(["1", "true"].includes(String(params.activo).toLowerCase()));
+    where.push(`p.activo = $${values.length}`);
+  }
+  const page = Math.max(parseInt(params.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(params.pageSize, 10) || 50, 1), 500);
+
+  const total = await q(`SELECT COUNT(*)::int AS n FROM stock_productos p WHERE ${where.join(" AND ")}`, values);
+  const r = await q(
+    `SELECT p.*, a.nombre AS almacen_nombre
+       FROM stock_productos p
+       JOIN stock_almacenes a ON a.id = p.almacen_id
+      WHERE ${where.join(" AND ")}
+      ORDER BY p.nombre, p.id
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, pageSize, (page - 1) * pageSize]
+  );
+  return ok((r.rows || []).map(mapProducto), 200, { "x-total-count": String(total.rows[0].n) });
+}
+
+async function getProducto(org, id) {
+  const r = await q(
+    `SELECT p.*, a.nombre AS almacen_nombre
+       FROM stock_productos p
+       JOIN stock_almacenes a ON a.id = p.almacen_id
+      WHERE p.id = $1 AND p.organizacion_id = $2`,
+    [Number(id) || 0, org]
+  );
+  if (!r.rowCount) throw localError(404, "producto_no_encontrado");
+  return ok(mapProducto(r.rows[0]));
+}
+
+function numField(v, code, { min = 0 } = {}) {
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < min) throw localError(400, code);
+  return n;
+}
+
+/** Body: { nombre, almacen_id, codigo_qr?, costo?, stock?, stock_minimo? } */
+async function createProducto(org, body = {}) {
+  const nombre = T(body.nombre);
+  if (!nombre) throw localError(400, "nombre_requerido");
+  const alm = await loadAlmacen(pool, org, body.almacen_id);
+  const r = await q(
+    `INSERT INTO stock_productos (organizacion_id, almacen_id, nombre, codigo_qr, costo, stock, stock_minimo)
+     VALUES ($1,$2,$3,$4,$5,$6,$7)
+     RETURNING *`,
+    [
+      org,
+      alm.id,
+      nombre,
+      T(body.codigo_qr),
+      round2(numField(body.costo ?? 0, "costo_invalido")),
+      round3(numField(body.stock ?? 0, "stock_invalido")),
+      body.stock_minimo == null ? null : round3(numField(body.stock_minimo, "stock_minimo_invalido")),
+    ]
+  );
+  return ok(mapProducto(r.rows[0]), 201);
+}
+
+/** El stock no se edita aca: solo por /entradas y /salidas. */
+async function updateProducto(org, id, body = {}) {
+  const sets = [];
+  const values = [];
+  const set = (col, v) => {
+    values.push(v);
+    sets.push(`${col} = $${values.length}`);
+  };
+  if (body.nombre !== undefined) {
+    const nombre = T(body.nombre);
+    if (!nombre) throw localError(400, "nombre_requerido");
+    set("nombre", nombre);
+  }
+  if (body.codigo_qr !== undefined) set("codigo_qr", T(body.codigo_qr));
+  if (body.costo !== undefined) set("costo", round2(numField(body.costo, "costo_invalido")));
+  if (body.stock_minimo !== undefined) {
+    set("stock_minimo", body.stock_minimo == null ? null : round3(numField(body.stock_minimo, "stock_minimo_invalido")));
+  }
+  if (body.activo !== undefined) set("activo", !!body.activo);
+  if (!sets.length) throw localError(400, "nada_para_actualizar");
+
+  values.push(Number(id) || 0, org);
+  const r = await q(
+    `UPDATE stock_productos SET ${sets.join(", ")}
+      WHERE id = $${values.length - 1} AND organizacion_id = $${values.length}
+      RETURNING *`,
+    values
+  );
+  if (!r.rowCount) throw localError(404, "producto_no_encontrado");
+  return ok(mapProducto(r.rows[0]));
+}
+
+/* ---------------------------- almacenes ---------------------------- */
+async function listAlmacenes(org) {
+  const r = await q(
+    `SELECT a.*, COUNT(p.id)::int AS productos
+       FROM stock_almacenes a
+       LEFT JOIN stock_productos p ON p.almacen_id = a.id AND p.activo
+      WHERE a.organizacion_id = $1
+      GROUP BY a.id
+      ORDER BY a.nombre`,
+    [org]
+  );
+  return ok(r.rows || []);
+}
+
+async function createAlmacen(org, body = {}) {
+  const nombre = T(body.nombre);
+  if (!nombre) throw localError(400, "nombre_requerido");
+  const r = await q(`INSERT INTO stock_almacenes (organizacion_id, nombre) VALUES ($1,$2) RETURNING *`, [org, nombre]);
+  return ok(r.rows[0], 201);
+}
+
+async function resumen(org, params = {}) {
+  const values = [org];
+  let alm = "";
+  if (params.almacen_id != null && params.almacen_id !== "") {
+    values.push(Number(params.almacen_id) || 0);
+    alm = ` AND almacen_id = $2`;
+  }
+  const r = await q(
+    `SELECT COUNT(*) FILTER (WHERE activo)::int AS productos,
+            COALESCE(SUM(stock) FILTER (WHERE activo), 0) AS unidades,
+            COALESCE(SUM(stock * costo) FILTER (WHERE activo), 0) AS valorizado,
+            COUNT(*) FILTER (WHERE activo AND stock_minimo IS NOT NULL AND stock <= stock_minimo)::int AS bajo_minimo,
+            COUNT(*) FILTER (WHERE activo AND stock <= 0)::int AS sin_stock
+       FROM stock_productos
+      WHERE organizacion_id = $1${alm}`,
+    values
+  );
+  const m = await q(
+    `SELECT COUNT(*) FILTER (WHERE tipo = 'entrada')::int AS entradas,
+            COUNT(*) FILTER (WHERE tipo = 'salida')::int AS salidas
+       FROM stock_movimientos
+      WHERE organizacion_id = $1${alm} AND created_at >= date_trunc('day', now())`,
+    values
+  );
+  const x = r.rows[0];
+  return ok({
+    productos: x.productos,
+    unidades: Number(x.unidades),
+    valorizado: round2(x.valorizado),
+    bajo_minimo: x.bajo_minimo,
+    sin_stock: x.sin_stock,
+    movimientos_hoy: m.rows[0],
+    origen: "local",
+  });
+}
+
+/* ---------------------------- movimientos ---------------------------- */
+async function resolverProducto(client, org, almacenId, it, { crear }) {
+  const productoId = Number(it?.producto_id);
+  if (Number.isInteger(productoId) && productoId > 0) {
+    const r = await client.query(
+      `SELECT * FROM stock_productos WHERE id = $1 AND organizacion_id = $2 FOR UPDATE`,
+      [productoId, org]
+    );
+    const p = r.rows[0];
+    if (!p) throw localError(404, "producto_no_encontrado", { producto_id: productoId });
+    if (p.almacen_id !== almacenId) {
+      throw localError(409, "almacen_mismatch", { producto_id: p.id, almacen_id: p.almacen_id });
+    }
+    return p;
+  }
+  const codigo = T(it?.codigo_qr);
+  const nombre = T(it?.producto_nombre ?? it?.nombre);
+  if (codigo) {
+    const r = await client.query(
+      `SELECT * FROM stock_productos WHERE almacen_id = $1 AND codigo_qr = $2 FOR UPDATE`,
+      [almacenId, codigo]
+    );
+    if (r.rows[0]) return r.rows[0];
+  }
+  if (nombre) {
+    const r = await client.query(
+      `SELECT * FROM stock_productos
+        WHERE almacen_id = $1 AND lower(nombre) = lower($2)
+        ORDER BY activo DESC, id
+        LIMIT 2
+        FOR UPDATE`,
+      [almacenId, nombre]
+    );
+    if (r.rowCount > 1) throw localError(409, "nombre_ambiguous", { producto_nombre: nombre });
+    if (r.rows[0]) return r.rows[0];
+  }
+  // las recepciones de compra traen items sin producto_id: se dan de alta en el almacen
+  if (crear && nombre) {
+    const r = await client.query(
+      `INSERT INTO stock_productos (organizacion_id, almacen_id, nombre, codigo_qr)
+       VALUES ($1,$2,$3,$4) RETURNING *`,
+      [org, almacenId, nombre, codigo]
+    );
+    return r.rows[0];
+  }
+  throw localError(404, "producto_no_encontrado", { producto_nombre: nombre, codigo_qr: codigo });
+}
+
+/**
+ * /entradas y /salidas: { almacen_id, items: [{ producto_id | codigo_qr | producto_nombre, cantidad }],
+ * referencia?, observaciones? }. Con Idempotency-Key repetida devuelve el movimiento original.
+ */
+async function registrarMovimiento(org, tipo, body = {}, { idempotencyKey = null, usuario = null } = {}) {
+  const items = Array.isArray(body.items) ? body.items : [];
+  if (!items.length) throw localError(400, "items_requeridos");
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    if (idempotencyKey) {
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [`stock:${org}:${idempotencyKey}`]);
+      const prev = await client.query(
+        `SELECT * FROM stock_movimientos WHERE organizacion_id = $1 AND idempotency_key = $2`,
+        [org, idempotencyKey]
+      );
+      if (prev.rowCount) {
+        await client.query("COMMIT");
+        return ok({ ...mapMovimiento(prev.rows[0]), duplicado: true });
+      }
+    }
+    const alm = await loadAlmacen(client, org, body.almacen_id);
+
+    const lineas = [];
+    for (const [index, it] of items.entries()) {
+      const cantidad = round3(Number(it?.cantidad));
+      if (!Number.isFinite(cantidad) || cantidad <= 0) throw localError(400, "cantidad_invalida", { index });
+      const p = await resolverProducto(client, org, alm.id, it, { crear: tipo === "entrada" });
+      const actual = Number(p.stock);
+      if (tipo === "salida" && actual < cantidad) {
+        throw localError(409, "stock_insuficiente", { producto_id: p.id, disponible: actual, solicitado: cantidad });
+      }
+      const u = await client.query(
+        `UPDATE stock_productos SET stock = stock + $2 WHERE id = $1 RETURNING stock`,
+        [p.id, tipo === "entrada" ? cantidad : -cantidad]
+      );
+      lineas.push({ producto_id: p.id, nombre: p.nombre, cantidad, stock: Number(u.rows[0].stock) });
+    }
+
+    const r = await client.query(
+      `INSERT INTO stock_movimientos
+         (organizacion_id, tipo, almacen_id, items, referencia, idempotency_key, observaciones, usuario_email)
+       VALUES ($1,$2,$3,$4::jsonb,$5,$6,$7,$8)
+       RETURNING *`,
+      [org, tipo, alm.id, JSON.stringify(lineas), T(body.referencia), idempotencyKey, T(body.observaciones), usuario]
+    );
+    await client.query("COMMIT");
+    return ok(mapMovimiento(r.rows[0]), 201);
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// ?tipo= &almacen_id= &referencia= &limit= (default 100)
+async function listMovimientos(org, params = {}) {
+  const where = ["organizacion_id = $1"];
+  const values = [org];
+  if (["entrada", "salida"].includes(params.tipo)) {
+    values.push(params.tipo);
+    where.push(`tipo = $${values.length}`);
+  }
+  if (params.almacen_id != null && params.almacen_id !== "") {
+    values.push(Number(params.almacen_id) || 0);
+    where.push(`almacen_id = $${values.length}`);
+  }
+  if (T(params.referencia)) {
+    values.push(T(params.referencia));
+    where.push(`referencia = $${values.length}`);
+  }
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || 100, 1), 500);
+  const r = await q(
+    `SELECT * FROM stock_movimientos WHERE ${where.join(" AND ")} ORDER BY created_at DESC, id DESC LIMIT ${limit}`,
+    values
+  );
+  return ok((r.rows || []).map(mapMovimiento));
+}
+
+/* ---------------------------- dispatcher ---------------------------- */
+function headerValue(headers, name) {
+  if (!headers) return null;
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name.toLowerCase());
+  return key ? T(headers[key]) : null;
+}
+
+/** Mismo contrato que stockRequest: method/path/params/data/headers del servicio externo. */
+export async function localStockRequest({ org, method = "get", path, params, data, headers, usuario = null }) {
+  if (!org) throw localError(400, "organizacion_id requerido");
+  const m = String(method).toLowerCase();
+  const p = String(path || "").replace(/\/+$/, "");
+  let match;
+
+  try {
+    if (p === "/productos") {
+      if (m === "get") return await listProductos(org, params);
+      if (m === "post") return await createProducto(org, data);
+    }
+    if ((match = p.match(/^\/productos\/(\d+)$/))) {
+      if (m === "get") return await getProducto(org, match[1]);
+      if (m === "put" || m === "patch") return await updateProducto(org, match[1], data);
+    }
+    if (p === "/almacenes") {
+      if (m === "get") return await listAlmacenes(org);
+      if (m === "post") return await createAlmacen(org, data);
+    }
+    if (p === "/dashboard/resumen" && m === "get") return await resumen(org, params);
+    if (p === "/movimientos" && m === "get") return await listMovimientos(org, params);
+    if ((p === "/entradas" || p === "/salidas") && m === "post") {
+      return await registrarMovimiento(org, p === "/entradas" ? "entrada" : "salida", data, {
+        idempotencyKey: headerValue(headers, "Idempotency-Key") || T(data?.referencia),
+        usuario,
+      });
+    }
+  } catch (e) {
+    if (e?.response) throw e;
+    if (e?.code === "23505") throw localError(409, "duplicado", { constraint: e.constraint || null });
+    if (e?.code === "23514") throw localError(409, "valor_invalido", { constraint: e.constraint || null });
+    throw e;
+  }
+  throw localError(404, "ruta_no_soportada", { method: m, path: p });
+}
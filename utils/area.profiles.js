@@ -14,6 +14,8 @@ const BASE_PROFILE = {
     providers: "Subcontratistas",
     tasks: "Tareas",
     billing: "Facturacion",
+    invoice: "Factura",
+    estimate: "Presupuesto",
     clinicalHistory: "Historia clinica",
     clinicalHistoryList: "Historias clinicas",
   },
@@ -163,6 +165,21 @@ function cleanForms(raw, presetForms) {
   return out;
 }
 
+// Datos de marca para PDFs (nombre, CUIT, direccion, contacto, color de acento)
+const BRANDING_KEYS = { name: 120, tax_id: 40, address: 200, email: 120, phone: 60, website: 120, footer: 300 };
+
+function cleanBranding(raw) {
+  if (!raw || typeof raw !== "object") return {};
+  const out = {};
+  for (const [k, max] of Object.entries(BRANDING_KEYS)) {
+    const s = cleanStr(raw[k], max);
+    if (s) out[k] = s;
+  }
+  const color = cleanStr(raw.color, 7);
+  if (color && /^#[0-9a-fA-F]{6}$/.test(color)) out.color = color;
+  return out;
+}
+
 /* ---------- Exports ---------- */
 export function resolveProfile(row = {}) {
   const area = ALLOWED_AREAS.includes(row.area) ? row.area : "general";
@@ -178,6 +195,7 @@ export function resolveProfile(row = {}) {
     vocab: cleanVocab(row.vocab, preset.vocab),
     features: mergedFeatures,
     forms: deepMerge(preset.forms, row.forms || {}),
+    branding: cleanBranding(row.branding),
     availableAreas: ALLOWED_AREAS,
   };
 }
@@ -197,5 +215,6 @@ export function sanitizeProfilePayload(body = {}) {
     features.labResults = body.features.labResults;
   }
   const forms = cleanForms(body.forms, preset.forms);
-  return { area, vocab, features, forms };
+  const branding = cleanBranding(body.branding);
+  return { area, vocab, features, forms, branding };
 }
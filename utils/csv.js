@@ -0,0 +1,11 @@
+// utils/csv.js — CSV (RFC 4180, separador coma, CRLF) para exports
+export function csvCell(v) {
+  if (v == null) return "";
+  const s = String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** rows = array de arrays; la primera suele ser el header. */
+export function toCsv(rows) {
+  return rows.map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
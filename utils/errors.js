@@ -0,0 +1,9 @@
+// utils/errors.js — errores de dominio que los routers traducen a HTTP
+// err.status = codigo HTTP, err.code = { error } del JSON, err.detail = campos extra de la respuesta.
+export function httpError(status, code, detail = {}) {
+  const err = new Error(code);
+  err.status = status;
+  err.code = code;
+  err.detail = detail;
+  return err;
+}
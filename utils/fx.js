@@ -0,0 +1,93 @@
+// utils/fx.js — moneda base de la org y conversion con exchange_rates
+// Los KPIs agrupan por moneda en SQL y convierten aca, devolviendo las cotizaciones usadas.
+import { q } from "./db.js";
+import { round2 } from "./money.js";
+
+export const DEFAULT_BASE_CURRENCY = "USD";
+
+/** "usd " -> "USD"; null si no es un codigo ISO de 3 letras. */
+export function normalizeCurrency(v) {
+  const c = String(v ?? "").trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(c) ? c : null;
+}
+
+export async function getBaseCurrency(orgId) {
+  try {
+    const r = await q(
+      `SELECT base_currency FROM org_profiles WHERE organizacion_id = $1 LIMIT 1`,
+      [String(orgId)]
+    );
+    return normalizeCurrency(r.rows?.[0]?.base_currency) || DEFAULT_BASE_CURRENCY;
+  } catch {
+    // sin la columna todavia (migracion pendiente)
+    return DEFAULT_BASE_CURRENCY;
+  }
+}
+
+/**
+ * Ultima cotizacion <= asOf (default hoy) por moneda, contra la base actual de la org.
+ * Devuelve { base, as_of, rates: Map<currency, { rate, rate_date }> }.
+ */
+export async function loadFx(orgId, { asOf = null } = {}) {
+  const base = await getBaseCurrency(orgId);
+  let rows = [];
+  try {
+    const r = await q(
+      `SELECT DISTINCT ON (currency) currency, rate, to_char(rate_date,'YYYY-MM-DD') AS rate_date
+         FROM exchange_rates
+        WHERE organizacion_id = $1 AND base_currency = $2
+          AND rate_date <= COALESCE($3::date, now()::date)
+        ORDER BY currency, rate_date DESC`,
+      [String(orgId), base, asOf]
+    );
+    rows = r.rows || [];
+  } catch {
+    rows = [];
+  }
+  return {
+    base,
+    as_of: asOf,
+    rates: new Map(rows.map((r) => [r.currency, { rate: Number(r.rate), rate_date: r.rate_date }])),
+  };
+}
+
+/**
+ * Suma filas agrupadas por moneda (`row.currency`) convertidas a la base.
+ * `amounts` se multiplican por la cotizacion, `counts` se suman tal cual.
+ * Sin moneda se asume la base. Las monedas sin cotizacion quedan fuera de los totales y se
+ * listan en `missing`; los valores que no son un codigo ISO, en `invalid` (tampoco suman).
+ */
+export function convertByCurrency(rows, { amounts = [], counts = [] }, fx) {
+  const totals = {};
+  for (const f of [...amounts, ...counts]) totals[f] = 0;
+  const used = {};
+  const missing = {};
+  const invalid = {};
+  const bucket = (into, key, row) => {
+    into[key] = Object.fromEntries(amounts.map((f) => [f, round2((into[key]?.[f] || 0) + (Number(row[f]) || 0))]));
+  };
+
+  for (const row of rows || []) {
+    const raw = String(row.currency ?? "").trim();
+    const cur = raw ? normalizeCurrency(raw) : fx.base;
+    if (!cur) {
+      bucket(invalid, raw.slice(0, 40), row);
+      continue;
+    }
+    let rate = 1;
+    if (cur !== fx.base) {
+      const hit = fx.rates.get(cur);
+      if (!hit) {
+        bucket(missing, cur, row);
+        continue;
+      }
+      rate = hit.rate;
+      used[cur] = hit;
+    }
+    for (const f of amounts) totals[f] += (Number(row[f]) || 0) * rate;
+    for (const f of counts) totals[f] += Number(row[f]) || 0;
+  }
+  for (const f of amounts) totals[f] = round2(totals[f]);
+
+  return { totals, fx: { base: fx.base, as_of: fx.as_of, rates: used, missing, invalid } };
+}
@@ -0,0 +1,230 @@
+// utils/migrate.js — migraciones SQL versionadas (ledger schema_migrations + advisory lock)
+//
+// Archivos en /migrations:
+//   <version>_<nombre>.up.sql    (o <version>_<nombre>.sql, solo up)
+//   <version>_<nombre>.down.sql  (opcional; sin down la migracion no se puede revertir)
+// <version> es numerico (YYYYMMDD o YYYYMMDDHHMM) y define el orden.
+// Un archivo con la linea `-- migrate:no-transaction` corre fuera de BEGIN/COMMIT.
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+import { pool } from "./db.js";
+
+const MIGRATIONS_DIR =
+  process.env.MIGRATIONS_DIR ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "migrations");
+const LOCK = Number(process.env.MIGRATE_LOCK_KEY || 842501);
+
+const FILE_RE = /^(\d+)_([A-Za-z0-9_-]+?)(?:\.(up|down))?\.sql$/;
+const NO_TX_RE = /^\s*--\s*migrate:no-transaction\b/m;
+
+/* ---------------------------- helpers ---------------------------- */
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+const sortKey = (num) => num.padEnd(14, "0");
+
+function migrationError(version, err) {
+  const e = new Error(`migracion ${version} fallo: ${err?.message || err}`);
+  e.migration = version;
+  e.cause = err;
+  return e;
+}
+
+/** Lista de migraciones en disco, ordenadas por version. */
+export async function listMigrations(dir = MIGRATIONS_DIR) {
+  let files = [];
+  try {
+    files = await fs.readdir(dir);
+  } catch (e) {
+    if (e?.code === "ENOENT") return [];
+    throw e;
+  }
+
+  const byVersion = new Map();
+  for (const f of files) {
+    const m = FILE_RE.exec(f);
+    if (!m) continue;
+    const [, num, name, kind = "up"] = m;
+    const version = `${num}_${name}`;
+    const rec = byVersion.get(version) || { version, num, name, up: null, down: null };
+    rec[kind] = path.join(dir, f);
+    byVersion.set(version, rec);
+  }
+
+  return [...byVersion.values()]
+    .filter((m) => m.up)
+    .sort((a, b) => sortKey(a.num).localeCompare(sortKey(b.num)) || a.name.localeCompare(b.name));
+}
+
+async function readSql(file) {
+  const sql = await fs.readFile(file, "utf8");
+  return { sql, checksum: sha256(sql), noTx: NO_TX_RE.test(sql) };
+}
+
+async function ensureLedger(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS public.schema_migrations (
+      version       TEXT PRIMARY KEY,
+      name          TEXT NOT NULL,
+      checksum      TEXT NOT NULL,
+      execution_ms  INTEGER NOT NULL DEFAULT 0,
+      applied_at    TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+}
+
+async function appliedMap(client) {
+  const r = await client.query(
+    `SELECT version, name, checksum, execution_ms, applied_at FROM public.schema_migrations`
+  );
+  return new Map((r.rows || []).map((row) => [row.version, row]));
+}
+
+/** Corre fn con un cliente dedicado que tiene el advisory lock de migraciones. */
+async function withMigrationLock(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [LOCK]);
+    try {
+      await ensureLedger(client);
+      return await fn(client);
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1)", [LOCK]).catch(() => {});
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runFile(client, { sql, noTx }, after) {
+  if (noTx) {
+    await client.query(sql);
+    await after();
+    return;
+  }
+  await client.query("BEGIN");
+  try {
+    await client.query(sql);
+    await after();
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  }
+}
+
+/* ---------------------------- API ---------------------------- */
+/**
+ * Aplica las migraciones pendientes en orden (hasta la version `to` inclusive si se indica).
+ * Corta en la primera que falla; las anteriores quedan aplicadas.
+ */
+export async function migrateUp({ to = null, log = console.log } = {}) {
+  const all = await listMigrations();
+  return withMigrationLock(async (client) => {
+    const applied = await appliedMap(client);
+    const done = [];
+
+    for (const m of all) {
+      const prev = applied.get(m.version);
+      const file = await readSql(m.up);
+
+      if (prev) {
+        if (prev.checksum !== file.checksum) {
+          log(`[migrate] WARN ${m.version} cambio despues de aplicada (checksum distinto)`);
+        }
+      } else {
+        const t0 = Date.now();
+        try {
+          await runFile(client, file, () =>
+            client.query(
+              `INSERT INTO public.schema_migrations (version, name, checksum, execution_ms)
+               VALUES ($1, $2, $3, $4)`,
+              [m.version, m.name, file.checksum, Date.now() - t0]
+            )
+          );
+        } catch (e) {
+          throw migrationError(m.version, e);
+        }
+        log(`[migrate] up ${m.version} (${Date.now() - t0}ms)`);
+        done.push(m.version);
+      }
+
+      if (to && (m.version === to || m.num === String(to))) break;
+    }
+
+    return { applied: done };
+  });
+}
+
+/** Revierte las ultimas `steps` migraciones aplicadas usando sus .down.sql. */
+export async function migrateDown({ steps = 1, log = console.log } = {}) {
+  const all = await listMigrations();
+  const n = Math.max(1, Number(steps) || 1);
+
+  return withMigrationLock(async (client) => {
+    const applied = await appliedMap(client);
+    const known = new Set(all.map((m) => m.version));
+    const orphan = [...applied.keys()].find((v) => !known.has(v));
+    if (orphan) throw new Error(`migracion aplicada sin archivo en disco: ${orphan}`);
+
+    const targets = all.filter((m) => applied.has(m.version)).reverse().slice(0, n);
+    const done = [];
+
+    for (const m of targets) {
+      if (!m.down) throw new Error(`migracion ${m.version} no tiene .down.sql; no se puede revertir`);
+      const file = await readSql(m.down);
+      const t0 = Date.now();
+      try {
+        await runFile(client, file, () =>
+          client.query(`DELETE FROM public.schema_migrations WHERE version = $1`, [m.version])
+        );
+      } catch (e) {
+        throw migrationError(m.version, e);
+      }
+      log(`[migrate] down ${m.version} (${Date.now() - t0}ms)`);
+      done.push(m.version);
+    }
+
+    return { reverted: done };
+  });
+}
+
+/** Estado de cada migracion en disco + aplicadas que ya no existen en disco. */
+export async function migrationStatus() {
+  const all = await listMigrations();
+  const has = await pool.query(`SELECT to_regclass('public.schema_migrations') IS NOT NULL AS ok`);
+  let applied = new Map();
+  if (has.rows?.[0]?.ok) {
+    const client = await pool.connect();
+    try {
+      applied = await appliedMap(client);
+    } finally {
+      client.release();
+    }
+  }
+
+  const rows = [];
+  for (const m of all) {
+    const prev = applied.get(m.version);
+    const { checksum } = await readSql(m.up);
+    rows.push({
+      version: m.version,
+      name: m.name,
+      applied: !!prev,
+      applied_at: prev?.applied_at ?? null,
+      execution_ms: prev?.execution_ms ?? null,
+      checksum_ok: prev ? prev.checksum === checksum : null,
+      reversible: !!m.down,
+    });
+  }
+  const known = new Set(all.map((m) => m.version));
+  const missing = [...applied.values()]
+    .filter((row) => !known.has(row.version))
+    .map((row) => ({ version: row.version, name: row.name, applied_at: row.applied_at }));
+
+  return {
+    migrations: rows,
+    pending: rows.filter((r) => !r.applied).map((r) => r.version),
+    missing,
+  };
+}
@@ -0,0 +1,5 @@
+// utils/money.js — redondeo de importes (2 decimales) y cantidades (3 decimales)
+// Un solo redondeo para caja, cobros, facturas, estados de cuenta, AP y stock: si cada modulo
+// tuviera el suyo, los totales de un lado y otro podrian no cerrar por un centavo.
+export const round2 = (n) => Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+export const round3 = (n) => Math.round((Number(n) + Number.EPSILON) * 1000) / 1000;
@@ -0,0 +1,503 @@
+// utils/schema.js — registro del esquema esperado + introspeccion compartida (cache corto)
+//
+// SCHEMA describe lo que las migraciones dejan en la base. Los routers usan
+// hasTable()/tableColumns() de aca (una sola cache) y /health/schema usa
+// schemaDrift() para mostrar lo que falta en vez de degradar en silencio.
+// Al agregar una migracion que crea tablas/columnas/indices/triggers, sumarlos aca.
+import { q } from "./db.js";
+
+const TTL_MS = Number(process.env.SCHEMA_CACHE_MS || 60_000);
+
+/* ===========================
+ *  Esquema esperado
+ * ===========================
+ * indexes: nombre, o array de nombres alternativos (cualquiera sirve).
+ */
+export const SCHEMA = {
+  usuarios: {
+    columns: ["id", "email", "password", "rol", "organizacion_id"],
+  },
+  clientes: {
+    columns: [
+      "id", "nombre", "telefono", "email", "direccion", "observacion", "stage", "categoria",
+      "assignee", "source", "due_date", "contacto_nombre", "estimate_url", "estimate_file",
+      "estimate_uploaded_at", "usuario_email", "organizacion_id", "created_at", "updated_at", "activo",
+    ],
+    indexes: [
+      "idx_clientes_org", "idx_clientes_created", "idx_clientes_updated", "idx_clientes_stage",
+      "idx_clientes_categoria", "idx_clientes_assignee", "idx_clientes_due", "idx_clientes_source",
+    ],
+    triggers: ["tr_clientes_touch"],
+  },
+  contactos: {
+    columns: [
+      "id", "cliente_id", "nombre", "email", "telefono", "cargo", "rol", "notas", "es_principal",
+      "obra_social", "plan", "numero_afiliado", "preguntas", "motivo_consulta", "ultima_consulta",
+      "cepillados_diarios", "sangrado", "momentos_azucar", "dolor", "golpe", "dificultad",
+      "peso", "vacunas", "proxima_vacuna",
+      "usuario_email", "organizacion_id", "created_at", "updated_at",
+    ],
+    indexes: ["idx_contactos_cliente", "idx_contactos_org", "idx_contactos_principal", "idx_contactos_org_vacuna"],
+    triggers: ["tr_contactos_touch"],
+  },
+  pedidos: {
+    columns: ["id", "cliente_id", "observacion", "estado", "fecha", "usuario_email", "organizacion_id"],
+  },
+  pedido_items: {
+    columns: ["id", "pedido_id", "producto", "cantidad", "observacion"],
+  },
+  compras: {
+    columns: [
+      "id", "proveedor", "cliente_id", "numero", "estado", "total", "moneda", "notas", "fecha",
+      "usuario_email", "organizacion_id", "created_at", "updated_at",
+    ],
+    indexes: ["idx_compras_org", "idx_compras_fecha", "idx_compras_estado"],
+    triggers: ["tr_compras_touch"],
+  },
+  compra_items: {
+    columns: [
+      "id", "compra_id", "producto", "cantidad", "precio_unitario", "impuesto", "observacion", "producto_id",
+      "proveedor_id",
+    ],
+    indexes: ["idx_compra_items_cid", "idx_compra_items_proveedor_producto"],
+  },
+  ordenes_compra: {
+    columns: [
+      "id", "organizacion_id", "numero", "proveedor_id", "almacen_id", "estado", "moneda", "total", "notas",
+      "fecha_entrega", "usuario_email", "aprobado_por", "aprobado_at", "enviado_at", "recibido_at",
+      "cancelado_por", "cancelado_at", "cancelado_motivo", "created_at", "updated_at",
+    ],
+    indexes: ["ordenes_compra_org_numero_uniq", "idx_ordenes_compra_org_estado", "idx_ordenes_compra_proveedor"],
+    triggers: ["tr_ordenes_compra_touch"],
+  },
+  orden_compra_items: {
+    columns: [
+      "id", "orden_id", "producto_id", "descripcion", "cantidad", "cantidad_recibida", "precio_unitario", "impuesto",
+    ],
+    indexes: ["idx_orden_compra_items_orden"],
+  },
+  orden_compra_recepciones: {
+    columns: [
+      "id", "orden_id", "organizacion_id", "almacen_id", "items", "notas", "usuario_email", "stock_estado",
+      "stock_error", "stock_intentos", "created_at",
+    ],
+    indexes: ["idx_orden_compra_recepciones_orden"],
+  },
+  stock_almacenes: {
+    columns: ["id", "organizacion_id", "nombre", "activo", "created_at", "updated_at"],
+    indexes: ["stock_almacenes_org_nombre_uniq"],
+    triggers: ["tr_stock_almacenes_touch"],
+  },
+  stock_productos: {
+    columns: [
+      "id", "organizacion_id", "almacen_id", "nombre", "codigo_qr", "costo", "stock", "stock_minimo", "activo",
+      "created_at", "updated_at",
+    ],
+    indexes: ["stock_productos_alm_codigo_uniq", "idx_stock_productos_org_nombre"],
+    triggers: ["tr_stock_productos_touch"],
+  },
+  stock_movimientos: {
+    columns: [
+      "id", "organizacion_id", "tipo", "almacen_id", "items", "referencia", "idempotency_key", "observaciones",
+      "usuario_email", "created_at",
+    ],
+    indexes: ["stock_movimientos_org_idem_uniq", "idx_stock_movimientos_org_created"],
+  },
+  v_proveedor_precios: {
+    kind: "view",
+    columns: [
+      "organizacion_id", "proveedor_id", "producto_id", "descripcion", "precio_unitario", "moneda", "fecha",
+      "origen", "origen_id",
+    ],
+  },
+  stock_minimos: {
+    columns: [
+      "id", "organizacion_id", "producto_id", "almacen_id", "stock_minimo", "cantidad_reorden", "proveedor_id",
+      "activo", "created_at", "updated_at",
+    ],
+    indexes: ["stock_minimos_org_prod_alm_uniq"],
+    triggers: ["tr_stock_minimos_touch"],
+  },
+  cajas: {
+    columns: [
+      "id", "organizacion_id", "almacen_id", "usuario_email", "estado", "apertura_monto", "apertura_at",
+      "cierre_monto", "cierre_total_esperado", "cierre_diferencia", "cierre_at", "arqueo_detalle",
+      "arqueo_total", "notas", "created_at", "updated_at", "cierre_movimientos_entrada",
+      "cierre_movimientos_salida", "cierre_por_medio",
+    ],
+    indexes: ["idx_cajas_org_estado", "idx_cajas_created", "idx_cajas_almacen"],
+    triggers: ["tr_cajas_touch"],
+  },
+  cobro_pagos: {
+    columns: ["id", "cobro_id", "organizacion_id", "medio", "monto", "referencia", "created_at"],
+    indexes: ["idx_cobro_pagos_cobro", "idx_cobro_pagos_org_medio"],
+  },
+  caja_movimientos: {
+    columns: [
+      "id", "organizacion_id", "caja_id", "tipo", "sentido", "monto", "motivo", "categoria", "comprobante",
+      "usuario_email", "anulado_at", "anulado_por", "anulado_motivo", "created_at",
+    ],
+    indexes: ["idx_caja_movimientos_caja", "idx_caja_movimientos_org"],
+  },
+  cobros: {
+    columns: [
+      "id", "organizacion_id", "cliente_id", "almacen_id", "caja_id", "moneda", "total",
+      "descuento_total", "medio_pago", "notas", "estado", "usuario_email", "stock_error",
+      "created_at", "updated_at", "tipo", "devolucion_de", "stock_intentos", "stock_ultimo_intento_at",
+      "stock_proximo_intento_at", "requiere_revision", "resuelto_por", "resuelto_at", "resolucion", "origen",
+      "sincronizado_at", "descuento_manual", "stock_estado",
+    ],
+    indexes: [
+      "idx_cobros_org", "idx_cobros_created", "idx_cobros_estado", "idx_cobros_caja", "idx_cobros_devolucion_de",
+      "idx_cobros_fallidos", "idx_cobros_stock_pendiente",
+    ],
+    triggers: ["tr_cobros_touch"],
+  },
+  cobro_items: {
+    columns: [
+      "id", "cobro_id", "producto_id", "producto_nombre", "codigo_qr", "cantidad",
+      "precio_unitario", "subtotal", "origen_item_id", "precio_lista", "descuento", "lista_id",
+      "promocion_id", "regla",
+    ],
+    indexes: ["idx_cobro_items_cobro", "idx_cobro_items_origen"],
+  },
+  listas_precios: {
+    columns: [
+      "id", "organizacion_id", "nombre", "categoria_cliente", "prioridad", "activa", "created_at", "updated_at",
+    ],
+    indexes: ["listas_precios_org_nombre_uniq", "idx_listas_precios_org_cat"],
+    triggers: ["tr_listas_precios_touch"],
+  },
+  lista_precio_items: {
+    columns: ["id", "lista_id", "producto_id", "precio", "updated_at"],
+    indexes: ["lista_precio_items_lista_producto_uniq"],
+  },
+  promociones: {
+    columns: [
+      "id", "organizacion_id", "nombre", "tipo", "valor", "producto_ids", "categoria_cliente", "cantidad_minima",
+      "desde", "hasta", "prioridad", "activa", "created_at", "updated_at",
+    ],
+    indexes: ["idx_promociones_org_vigencia"],
+    triggers: ["tr_promociones_touch"],
+  },
+  tareas: {
+    columns: [
+      "id", "titulo", "descripcion", "cliente_id", "estado", "prioridad", "vence_en", "completada",
+      "orden", "usuario_email", "organizacion_id", "created_at", "updated_at",
+    ],
+    indexes: [
+      "idx_tareas_org", "idx_tareas_estado", "idx_tareas_orden", "idx_tareas_vence",
+      "idx_tareas_compl", "idx_tareas_cliente", "idx_tareas_user_due",
+    ],
+  },
+  integraciones: {
+    columns: [
+      "id", "organizacion_id", "slack_webhook_url", "slack_default_channel", "whatsapp_meta_token",
+      "whatsapp_phone_id", "ios_push_key_id", "ios_team_id", "ios_bundle_id", "updated_at",
+    ],
+    indexes: [["integraciones_org_unique", "integraciones_organizacion_id_key"]],
+  },
+  recordatorios: {
+    columns: [
+      "id", "organizacion_id", "titulo", "mensaje", "enviar_en", "cliente_id", "tarea_id", "estado",
+      "intento_count", "last_error", "created_at", "sent_at",
+    ],
+    indexes: ["idx_recordatorios_pend"],
+  },
+  categorias: {
+    columns: ["id", "nombre", "organizacion_id", "created_at", "orden"],
+    indexes: ["categorias_org_nombre_lower_uniq"],
+  },
+  slack_users: {
+    columns: ["id", "organizacion_id", "email", "slack_user_id", "created_at", "updated_at"],
+    triggers: ["tr_slack_users_touch"],
+  },
+  org_profiles: {
+    columns: [
+      "organizacion_id", "area", "vocab", "features", "forms", "branding", "base_currency", "created_at",
+      "updated_at", "stock_adapter",
+    ],
+    triggers: ["tr_org_profiles_touch"],
+  },
+  historias_clinicas: {
+    columns: [
+      "id", "cliente_id", "organizacion_id", "tipo", "motivo", "diagnostico", "tratamiento",
+      "indicaciones", "notas", "signos_vitales", "antecedentes", "extras", "creado_por",
+      "created_at", "updated_at",
+    ],
+    indexes: ["idx_historias_org_cli", "idx_historias_org_created"],
+    triggers: ["tr_historias_touch"],
+  },
+  proyectos: {
+    columns: [
+      "id", "nombre", "descripcion", "cliente_id", "stage", "categoria", "estimate_amount",
+      "estimate_currency", "prob_win", "fecha_cierre_estimada", "usuario_email", "organizacion_id",
+      "created_at", "updated_at", "closed_at", "result", "source", "assignee", "due_date",
+      "estimate_url", "estimate_file", "contacto_nombre", "pipeline_id", "lost_reason",
+    ],
+    indexes: [
+      "idx_proyectos_org", "idx_proyectos_updated", "idx_proyectos_stage", "idx_proyectos_cliente",
+      "idx_proyectos_assignee", "idx_proyectos_source", "idx_proyectos_due", "idx_proyectos_result",
+      "idx_proyectos_closed_at", "idx_proyectos_pipeline",
+    ],
+    triggers: ["tr_proyectos_on_close", "tr_proyectos_touch", "tr_proyectos_stage_history"],
+  },
+  proyecto_stage_history: {
+    columns: [
+      "id", "proyecto_id", "organizacion_id", "pipeline_id", "from_stage", "to_stage", "changed_by", "changed_at",
+      "backfill",
+    ],
+    indexes: ["idx_stage_history_proyecto", "idx_stage_history_org_changed"],
+  },
+  pipelines: {
+    columns: ["id", "organizacion_id", "nombre", "es_default", "activo", "created_at", "updated_at"],
+    indexes: ["pipelines_org_nombre_uniq", "pipelines_org_default_uniq"],
+    triggers: ["tr_pipelines_touch"],
+  },
+  pipeline_stages: {
+    columns: [
+      "id", "pipeline_id", "nombre", "orden", "probabilidad", "tipo", "color", "sla_dias", "created_at",
+      "updated_at", "requisitos", "desde", "requiere_motivo", "motivos",
+    ],
+    indexes: ["pipeline_stages_pipeline_nombre_uniq", "idx_pipeline_stages_pipeline_orden"],
+    triggers: ["tr_pipeline_stages_touch"],
+  },
+  proveedores: {
+    columns: [
+      "id", "nombre", "contacto", "telefono", "email", "rubro", "notas", "activo",
+      "usuario_email", "organizacion_id", "created_at", "updated_at",
+    ],
+    triggers: ["tr_proveedores_touch"],
+  },
+  invoices: {
+    columns: [
+      "id", "organizacion_id", "client_id", "number", "issue_date", "due_date", "currency",
+      "amount_subtotal", "amount_tax", "amount_total", "amount_paid", "amount_credited", "status",
+      "last_reminder_at", "next_reminder_at", "reminder_policy", "notes", "voided_at", "voided_by",
+      "void_reason", "recurring_invoice_id", "recurring_period", "dunning_policy_id", "created_at",
+      "updated_at",
+    ],
+    indexes: [
+      "idx_invoices_org_status", "idx_invoices_org_due", "uq_invoices_org_number", "uq_invoices_recurring_period",
+    ],
+    triggers: ["tr_invoices_block_delete"],
+  },
+  invoice_items: {
+    columns: [
+      "id", "invoice_id", "organizacion_id", "position", "description", "producto_id", "quantity",
+      "unit_price", "tax_rate", "amount_subtotal", "amount_tax", "amount_total", "created_at",
+    ],
+    indexes: ["idx_invoice_items_invoice"],
+  },
+  invoice_payments: {
+    columns: [
+      "id", "invoice_id", "organizacion_id", "paid_at", "amount", "method", "reference", "caja_id",
+      "notes", "usuario_email", "reversed_at", "reversed_by", "reversal_reason", "created_at",
+    ],
+    indexes: ["idx_invoice_payments_invoice", "idx_invoice_payments_org_date", "idx_invoice_payments_caja"],
+  },
+  invoice_numbering: {
+    columns: ["organizacion_id", "prefix", "credit_prefix", "padding", "yearly_reset", "updated_at"],
+  },
+  invoice_sequences: {
+    columns: ["organizacion_id", "kind", "year", "last_number"],
+  },
+  credit_notes: {
+    columns: [
+      "id", "organizacion_id", "invoice_id", "number", "issue_date", "currency", "reason",
+      "amount_subtotal", "amount_tax", "amount_total", "status", "created_by", "created_at",
+      "voided_at", "voided_by", "void_reason",
+    ],
+    indexes: ["idx_credit_notes_invoice", "idx_credit_notes_org_date", "uq_credit_notes_org_number"],
+  },
+  credit_note_items: {
+    columns: [
+      "id", "credit_note_id", "organizacion_id", "position", "description", "producto_id", "quantity",
+      "unit_price", "tax_rate", "amount_subtotal", "amount_tax", "amount_total", "created_at",
+    ],
+    indexes: ["idx_credit_note_items_cn"],
+  },
+  exchange_rates: {
+    columns: [
+      "id", "organizacion_id", "base_currency", "currency", "rate_date", "rate", "source", "usuario_email",
+      "created_at", "updated_at",
+    ],
+    indexes: ["idx_exchange_rates_lookup"],
+  },
+  dunning_policies: {
+    columns: ["id", "organizacion_id", "name", "is_default", "active", "steps", "created_at", "updated_at"],
+    indexes: ["uq_dunning_policies_org_default"],
+  },
+  invoice_reminders: {
+    columns: [
+      "id", "invoice_id", "organizacion_id", "policy_id", "step_key", "offset_days", "channel", "status",
+      "recipient", "message", "actions", "error", "manual", "usuario_email", "created_at",
+    ],
+    indexes: ["idx_invoice_reminders_invoice", "uq_invoice_reminders_step"],
+  },
+  recurring_invoices: {
+    columns: [
+      "id", "organizacion_id", "client_id", "name", "currency", "items", "notes", "interval_unit",
+      "interval_count", "day_of_month", "start_date", "end_date", "next_run_date", "due_days", "auto_send",
+      "active", "runs_count", "last_run_at", "last_invoice_id", "created_by", "created_at", "updated_at",
+    ],
+    indexes: ["idx_recurring_invoices_due", "idx_recurring_invoices_org"],
+  },
+  projects: {
+    kind: "view",
+    columns: ["id", "org_id", "stage", "result", "closed_at", "created_at", "updated_at"],
+  },
+  supplier_bills: {
+    columns: [
+      "id", "organizacion_id", "proveedor_id", "compra_id", "orden_compra_id", "number", "issue_date", "due_date",
+      "currency", "amount_total", "amount_paid", "status", "notes", "usuario_email", "voided_at", "voided_by",
+      "void_reason", "created_at", "updated_at",
+    ],
+    indexes: ["supplier_bills_org_prov_number_uniq", "idx_supplier_bills_org_due", "idx_supplier_bills_proveedor"],
+    triggers: ["tr_supplier_bills_touch"],
+  },
+  supplier_bill_payments: {
+    columns: [
+      "id", "bill_id", "organizacion_id", "paid_at", "amount", "method", "reference", "notes", "usuario_email",
+      "reversed_at", "reversed_by", "reversal_reason", "created_at",
+    ],
+    indexes: ["idx_supplier_bill_payments_bill", "idx_supplier_bill_payments_org_date"],
+  },
+  v_ap_aging: {
+    kind: "view",
+    columns: [
+      "organizacion_id", "ap_total", "bucket_current", "bucket_1_30", "bucket_31_60", "bucket_61_90",
+      "bucket_90p", "overdue_count", "overdue_amount", "due_next_7", "currency",
+    ],
+  },
+  v_ar_aging: {
+    kind: "view",
+    columns: [
+      "organizacion_id", "ar_total", "bucket_current", "bucket_1_30", "bucket_31_60", "bucket_61_90",
+      "bucket_90p", "overdue_count", "overdue_amount", "due_next_7", "currency",
+    ],
+  },
+};
+
+/* ===========================
+ *  Introspeccion con cache
+ * =========================== */
+const REL_CACHE = new Map(); // name -> { at, ok }
+const COLS_CACHE = new Map(); // name -> { at, set:Set<string> }
+
+/** ¿Existe la tabla/vista en public? (cache TTL) */
+export async function hasTable(name) {
+  const hit = REL_CACHE.get(name);
+  if (hit && Date.now() - hit.at < TTL_MS) return hit.ok;
+  let ok = false;
+  try {
+    const r = await q(`SELECT to_regclass($1) IS NOT NULL AS ok`, [`public.${name}`]);
+    ok = !!r.rows?.[0]?.ok;
+  } catch {
+    return false; // no cacheamos errores de conexion
+  }
+  REL_CACHE.set(name, { at: Date.now(), ok });
+  return ok;
+}
+
+/** Set de columnas de la tabla/vista en public (vacio si no existe). */
+export async function tableColumns(name) {
+  const hit = COLS_CACHE.get(name);
+  if (hit && Date.now() - hit.at < TTL_MS) return hit.set;
+  let set;
+  try {
+    const r = await q(
+      `SELECT column_name FROM information_schema.columns
+        WHERE table_schema='public' AND table_name=$1`,
+      [name]
+    );
+    set = new Set((r.rows || []).map((x) => x.column_name));
+  } catch {
+    return new Set();
+  }
+  COLS_CACHE.set(name, { at: Date.now(), set });
+  return set;
+}
+
+/** Descarta la cache (p.ej. despues de correr migraciones). */
+export function invalidateSchemaCache() {
+  REL_CACHE.clear();
+  COLS_CACHE.clear();
+}
+
+/* ===========================
+ *  Drift: esperado vs information_schema
+ * =========================== */
+const groupBy = (rows, key, val) => {
+  const m = new Map();
+  for (const r of rows) {
+    if (!m.has(r[key])) m.set(r[key], new Set());
+    m.get(r[key]).add(r[val]);
+  }
+  return m;
+};
+
+/**
+ * Compara SCHEMA con la base. Por tabla: exists, missing_columns, missing_indexes,
+ * missing_triggers y extra_columns (informativo; no cuenta como drift).
+ */
+export async function schemaDrift() {
+  const [rels, cols, idx, trg] = await Promise.all([
+    q(`SELECT table_name, table_type FROM information_schema.tables WHERE table_schema='public'`),
+    q(`SELECT table_name, column_name FROM information_schema.columns WHERE table_schema='public'`),
+    q(`SELECT tablename, indexname FROM pg_indexes WHERE schemaname='public'`),
+    q(`SELECT c.relname AS table_name, t.tgname
+         FROM pg_trigger t
+         JOIN pg_class c ON c.oid = t.tgrelid
+         JOIN pg_namespace n ON n.oid = c.relnamespace
+        WHERE n.nspname='public' AND NOT t.tgisinternal`),
+  ]);
+
+  const relKind = new Map(
+    (rels.rows || []).map((r) => [r.table_name, r.table_type === "VIEW" ? "view" : "table"])
+  );
+  const colsBy = groupBy(cols.rows || [], "table_name", "column_name");
+  const idxBy = groupBy(idx.rows || [], "tablename", "indexname");
+  const trgBy = groupBy(trg.rows || [], "table_name", "tgname");
+
+  const tables = {};
+  const missing_tables = [];
+  let drifted = 0;
+
+  for (const [name, spec] of Object.entries(SCHEMA)) {
+    const kind = spec.kind || "table";
+    const exists = relKind.has(name);
+    const have = colsBy.get(name) || new Set();
+    const haveIdx = idxBy.get(name) || new Set();
+    const haveTrg = trgBy.get(name) || new Set();
+
+    const missing_columns = (spec.columns || []).filter((c) => !have.has(c));
+    const missing_indexes = (spec.indexes || [])
+      .filter((i) => !(Array.isArray(i) ? i.some((x) => haveIdx.has(x)) : haveIdx.has(i)))
+      .map((i) => (Array.isArray(i) ? i[0] : i));
+    const missing_triggers = (spec.triggers || []).filter((t) => !haveTrg.has(t));
+    const expected = new Set(spec.columns || []);
+    const extra_columns = [...have].filter((c) => !expected.has(c)).sort();
+
+    const ok = exists && !missing_columns.length && !missing_indexes.length && !missing_triggers.length;
+    if (!exists) missing_tables.push(name);
+    if (!ok) drifted += 1;
+
+    tables[name] = {
+      kind,
+      exists,
+      ok,
+      ...(exists && relKind.get(name) !== kind ? { actual_kind: relKind.get(name) } : {}),
+      missing_columns,
+      missing_indexes,
+      missing_triggers,
+      extra_columns,
+    };
+  }
+
+  return {
+    ok: drifted === 0,
+    summary: { expected: Object.keys(SCHEMA).length, drifted, missing_tables },
+    tables,
+  };
+}
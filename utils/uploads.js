@@ -0,0 +1,30 @@
+// utils/uploads.js — directorio de uploads (servido como /uploads) + URL publica
+import fs from "node:fs";
+import path from "node:path";
+
+export const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(process.cwd(), "uploads");
+fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+export function resolveBaseURL(req) {
+  const env = (process.env.PUBLIC_BASE_URL || "").trim();
+  if (env) {
+    try {
+      const u = new URL(env);
+      return u.origin; // evita duplicar paths
+    } catch {
+      console.warn("[upload] PUBLIC_BASE_URL inválida:", env);
+    }
+  }
+  // Detrás de proxy usar X-Forwarded-*
+  const xfProto = String(req.headers["x-forwarded-proto"] || "").split(",")[0].trim();
+  const xfHost  = String(req.headers["x-forwarded-host"]  || "").split(",")[0].trim();
+  const proto = xfProto || req.protocol || "http";
+  const host  = xfHost  || req.get("host");
+  return `${proto}://${host}`;
+}
+
+/** { path, url } publicos para un archivo relativo a UPLOAD_DIR */
+export function publicUpload(req, relPath) {
+  const rel = `/uploads/${String(relPath).split(path.sep).join("/")}`;
+  return { path: rel, url: new URL(rel, resolveBaseURL(req)).toString() };
+}
@@ -2,6 +2,13 @@
 const GRAPH_BASE = process.env.WHATSAPP_GRAPH_BASE || "https://graph.facebook.com";
 const GRAPH_VER  = process.env.WHATSAPP_GRAPH_VER  || "v20.0";
 
+export function sanitizePhone(v) {
+  if (v == null) return null;
+  const s = String(v).trim();
+  const num = s.replace(/[^\d+]/g, "");
+  return num.startsWith("+") ? "+" + num.slice(1).replace(/[+]/g, "") : num;
+}
+
 export async function sendWhatsAppText({ metaToken, phoneId, to, text }) {
   if (!metaToken || !phoneId || !to || !text) throw new Error("WhatsApp: parámetros faltantes");
   const url = `${GRAPH_BASE}/${GRAPH_VER}/${phoneId}/messages`;
@@ -0,0 +1,102 @@
+// workers/cobros.reconciler.js — ESM
+// Reintenta el movimiento de stock de cobros 'fallido' (ventas y devoluciones) con la misma
+// referencia / Idempotency-Key, y postea el stock de los cobros de POST /cobros/sync
+// (stock_estado pendiente/fallido, stock_proximo_intento_at seteado). Tambien levanta cobros online que
+// quedaron 'pendiente' mas de PENDIENTE_GRACIA_MIN (proceso caido entre el COMMIT y el post de stock);
+// la Idempotency-Key cobro:<id> evita duplicar la salida. Lo que no se resuelve queda requiere_revision para
+// GET /cobros/fallidos y POST /cobros/:id/resolver.
+import cron from "node-cron";
+import { pool } from "../utils/db.js";
+import { tableColumns } from "../utils/schema.js";
+import { reintentarStockCobro } from "../services/cobros.service.js";
+import { defaultStockAdapter } from "../services/stock.client.js";
+
+const CRON = process.env.COBROS_RECONCILE_CRON ?? "*/5 * * * *";
+const TZ = process.env.TZ ?? "UTC";
+const MAX_INTENTOS = Number(process.env.COBROS_RECONCILE_MAX_ATTEMPTS) || 8;
+const BATCH = 50;
+const LOCK = 842512;
+const PENDIENTE_GRACIA_MIN = Number(process.env.COBROS_PENDIENTE_GRACE_MIN) || 10;
+
+/**
+ * Sin token de servicio el worker no puede hablar con el stock externo: solo toma cobros de
+ * orgs con adaptador local (no gastamos intentos en el resto). null = sin filtro.
+ */
+async function filtroAdaptador() {
+  if (process.env.STOCK_SERVICE_TOKEN) return null;
+  const conAdapter = (await tableColumns("org_profiles")).has("stock_adapter");
+  if (defaultStockAdapter() === "local") {
+    return conAdapter
+      ? `AND organizacion_id NOT IN (SELECT organizacion_id FROM org_profiles WHERE stock_adapter = 'http')`
+      : "";
+  }
+  return conAdapter
+    ? `AND organizacion_id IN (SELECT organizacion_id FROM org_profiles WHERE stock_adapter = 'local')`
+    : false;
+}
+
+/** Una pasada: hasta BATCH cobros vencidos para reintento, encolados o pendientes huerfanos, uno por uno. */
+export async function runCobrosReconcileOnce() {
+  const filtro = await filtroAdaptador();
+  if (filtro === false) return { skipped: "sin_token" };
+  const cols = await tableColumns("cobros");
+  if (!cols.has("requiere_revision")) return { skipped: "sin_migracion" };
+  const offline = cols.has("stock_estado")
+    ? `OR (stock_estado IN ('pendiente','fallido') AND stock_proximo_intento_at <= NOW())`
+    : "";
+  // online (sin stock_estado): 'pendiente' viejo = el request murio antes de confirmar
+  const huerfanos = `OR (estado = 'pendiente'${cols.has("stock_estado") ? " AND stock_estado IS NULL" : ""}
+            AND created_at < NOW() - $2 * INTERVAL '1 minute')`;
+
+  const c = await pool.connect();
+  const out = { confirmados: 0, fallidos: 0, revision: 0 };
+  let got = false;
+  try {
+    got = (await c.query("SELECT pg_try_advisory_lock($1)", [LOCK])).rows[0].pg_try_advisory_lock;
+    if (!got) return { skipped: "lock" };
+
+    const { rows } = await c.query(
+      `SELECT * FROM cobros
+        WHERE NOT requiere_revision
+          AND ((estado = 'fallido' AND (stock_proximo_intento_at IS NULL OR stock_proximo_intento_at <= NOW()))
+            ${offline}
+            ${huerfanos})
+          ${filtro || ""}
+        ORDER BY created_at ASC
+        LIMIT $1`,
+      [BATCH, PENDIENTE_GRACIA_MIN]
+    );
+    for (const cobro of rows) {
+      try {
+        const r = await reintentarStockCobro(c, cobro, { maxIntentos: MAX_INTENTOS });
+        if (r.ok) out.confirmados++;
+        else if (r.requiere_revision) out.revision++;
+        else out.fallidos++;
+      } catch (e) {
+        console.error("[cobros-reconciler] cobro", cobro.id, e?.message || e);
+      }
+    }
+  } finally {
+    // sin el lock, pg_advisory_unlock solo deja un WARNING en el log de Postgres
+    if (got) await c.query("SELECT pg_advisory_unlock($1)", [LOCK]).catch(() => {});
+    c.release();
+  }
+  return out;
+}
+
+export function scheduleCobrosReconciler() {
+  const task = cron.schedule(
+    CRON,
+    () =>
+      runCobrosReconcileOnce()
+        .then((r) => {
+          if (r.confirmados || r.revision) console.log("[cobros-reconciler]", JSON.stringify(r));
+        })
+        .catch((e) => console.error("[cobros-reconciler] [ERROR]", e?.message || e)),
+    { timezone: TZ }
+  );
+  if (!process.env.STOCK_SERVICE_TOKEN) {
+    console.warn("[cobros-reconciler] STOCK_SERVICE_TOKEN no configurado: solo se reintentan orgs con stock local");
+  }
+  return task;
+}